@@ -6,9 +6,11 @@ import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import { AuthProvider } from "@/contexts/AuthContext";
 import { WebSocketProvider } from "@/contexts/WebSocketContext";
+import { OfflineSyncProvider } from "@/contexts/OfflineSyncContext";
 
 // Auth Components
 import Login from "./pages/Login";
+import CelebrationSubmission from "./pages/CelebrationSubmission";
 import ProtectedRoute from "./components/ProtectedRoute";
 
 // Admin Components
@@ -23,10 +25,30 @@ import AdminProfile from "./pages/admin/AdminProfile";
 // Additional Admin Components
 import NewMember from "./pages/admin/NewMember";
 import EditMember from "./pages/admin/EditMember";
+import DuplicateMembers from "./pages/admin/DuplicateMembers";
+import ImportMembers from "./pages/admin/ImportMembers";
+import MergeMembers from "./pages/admin/MergeMembers";
+import MembershipCards from "./pages/admin/MembershipCards";
+import VisitorsManagement from "./pages/admin/VisitorsManagement";
+import NewVisitor from "./pages/admin/NewVisitor";
 import NewAttendance from "./pages/admin/NewAttendance";
 import EditAttendance from "./pages/admin/EditAttendance";
+import KioskCheckIn from "./pages/admin/KioskCheckIn";
+import HeadcountTally from "./pages/admin/HeadcountTally";
+import AbsenteeReport from "./pages/admin/AbsenteeReport";
 import NewEvent from "./pages/admin/NewEvent";
+import ImportEvents from "./pages/admin/ImportEvents";
+import ResourcesManagement from "./pages/admin/ResourcesManagement";
+import EventTemplates from "./pages/admin/EventTemplates";
+import EventCheckIn from "./pages/admin/EventCheckIn";
 import EditEvent from "./pages/admin/EditEvent";
+import EventRegistrations from "./pages/admin/EventRegistrations";
+import EventPayments from "./pages/admin/EventPayments";
+import VolunteerRota from "./pages/admin/VolunteerRota";
+import RotaPrint from "./pages/admin/RotaPrint";
+import CelebrationAcknowledgements from "./pages/admin/CelebrationAcknowledgements";
+import GreetingCard from "./pages/admin/GreetingCard";
+import GreetingTemplates from "./pages/admin/GreetingTemplates";
 
 // Create React Query client with default options for admin
 const queryClient = new QueryClient({
@@ -58,150 +80,327 @@ const AdminApp = () => (
   <QueryClientProvider client={queryClient}>
     <AuthProvider>
       <WebSocketProvider>
-        <TooltipProvider>
-          <Toaster />
-          <Sonner />
-          <BrowserRouter>
-            <Routes>
-              {/* Auth Routes */}
-              <Route path="/login" element={<Login />} />
-
-              {/* Protected Admin Routes */}
-              <Route
-                path="/"
-                element={
-                  <ProtectedRoute>
-                    <AdminLayout />
-                  </ProtectedRoute>
-                }
-              >
-                {/* Dashboard */}
-                <Route path="dashboard" element={<AdminDashboard />} />
-
-                {/* Members Management */}
-                <Route
-                  path="members"
-                  element={
-                    <ProtectedRoute requiredPermission="members">
-                      <MembersManagement />
-                    </ProtectedRoute>
-                  }
-                />
+        <OfflineSyncProvider>
+          <TooltipProvider>
+            <Toaster />
+            <Sonner />
+            <BrowserRouter>
+              <Routes>
+                {/* Auth Routes */}
+                <Route path="/login" element={<Login />} />
+
+                {/* Public celebration submissions (no sign-in) */}
+                <Route path="/celebrate" element={<CelebrationSubmission />} />
+
+                {/* Printable membership cards (outside the admin layout) */}
                 <Route
-                  path="members/new"
+                  path="/members/cards"
                   element={
                     <ProtectedRoute requiredPermission="members">
-                      <NewMember />
+                      <MembershipCards />
                     </ProtectedRoute>
                   }
                 />
+
+                {/* Printable monthly roster (outside the admin layout) */}
                 <Route
-                  path="members/:id/edit"
+                  path="/rota/print"
                   element={
                     <ProtectedRoute requiredPermission="members">
-                      <EditMember />
+                      <RotaPrint />
                     </ProtectedRoute>
                   }
                 />
 
-                {/* Attendance Management */}
-                <Route
-                  path="attendance"
-                  element={
-                    <ProtectedRoute requiredPermission="manage_attendance">
-                      <AttendanceManagement />
-                    </ProtectedRoute>
-                  }
-                />
+                {/* Celebration slides and bulletin (outside the admin layout) */}
                 <Route
-                  path="attendance/new"
+                  path="/celebrations/acknowledge"
                   element={
-                    <ProtectedRoute requiredPermission="manage_attendance">
-                      <NewAttendance />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path="attendance/:id/edit"
-                  element={
-                    <ProtectedRoute requiredPermission="manage_attendance">
-                      <EditAttendance />
+                    <ProtectedRoute requiredPermission="celebrations">
+                      <CelebrationAcknowledgements />
                     </ProtectedRoute>
                   }
                 />
 
-                {/* Events Management */}
+                {/* Self-service check-in kiosk (outside the admin layout) */}
                 <Route
-                  path="events"
+                  path="/kiosk"
                   element={
-                    <ProtectedRoute requiredPermission="events">
-                      <EventsManagement />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path="events/new"
-                  element={
-                    <ProtectedRoute requiredPermission="events">
-                      <NewEvent />
+                    <ProtectedRoute requiredPermission="manage_attendance" allowInKiosk>
+                      <KioskCheckIn />
                     </ProtectedRoute>
                   }
                 />
+
+                {/* Protected Admin Routes */}
                 <Route
-                  path="events/:id/edit"
+                  path="/"
                   element={
-                    <ProtectedRoute requiredPermission="events">
-                      <EditEvent />
+                    <ProtectedRoute>
+                      <AdminLayout />
                     </ProtectedRoute>
                   }
-                />
+                >
+                  {/* Dashboard */}
+                  <Route path="dashboard" element={<AdminDashboard />} />
+
+                  {/* Members Management */}
+                  <Route
+                    path="members"
+                    element={
+                      <ProtectedRoute requiredPermission="members">
+                        <MembersManagement />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="members/new"
+                    element={
+                      <ProtectedRoute requiredPermission="members">
+                        <NewMember />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="members/:id/edit"
+                    element={
+                      <ProtectedRoute requiredPermission="members">
+                        <EditMember />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="members/import"
+                    element={
+                      <ProtectedRoute requiredPermission="members">
+                        <ImportMembers />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="members/duplicates"
+                    element={
+                      <ProtectedRoute requiredPermission="members">
+                        <DuplicateMembers />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="members/merge/:firstId/:secondId"
+                    element={
+                      <ProtectedRoute requiredPermission="members">
+                        <MergeMembers />
+                      </ProtectedRoute>
+                    }
+                  />
+
+                  {/* Visitors */}
+                  <Route
+                    path="visitors"
+                    element={
+                      <ProtectedRoute requiredPermission="members">
+                        <VisitorsManagement />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="visitors/new"
+                    element={
+                      <ProtectedRoute requiredPermission="members">
+                        <NewVisitor />
+                      </ProtectedRoute>
+                    }
+                  />
+
+                  {/* Volunteer Rota */}
+                  <Route
+                    path="rota"
+                    element={
+                      <ProtectedRoute requiredPermission="members">
+                        <VolunteerRota />
+                      </ProtectedRoute>
+                    }
+                  />
+
+                  {/* Attendance Management */}
+                  <Route
+                    path="attendance"
+                    element={
+                      <ProtectedRoute requiredPermission="manage_attendance">
+                        <AttendanceManagement />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="attendance/new"
+                    element={
+                      <ProtectedRoute requiredPermission="manage_attendance">
+                        <NewAttendance />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="attendance/:id/edit"
+                    element={
+                      <ProtectedRoute requiredPermission="manage_attendance">
+                        <EditAttendance />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="attendance/tally"
+                    element={
+                      <ProtectedRoute requiredPermission="manage_attendance">
+                        <HeadcountTally />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="attendance/absentees"
+                    element={
+                      <ProtectedRoute requiredPermission="manage_attendance">
+                        <AbsenteeReport />
+                      </ProtectedRoute>
+                    }
+                  />
+
+                  {/* Events Management */}
+                  <Route
+                    path="events"
+                    element={
+                      <ProtectedRoute requiredPermission="events">
+                        <EventsManagement />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="events/new"
+                    element={
+                      <ProtectedRoute requiredPermission="events">
+                        <NewEvent />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="events/import"
+                    element={
+                      <ProtectedRoute requiredPermission="events">
+                        <ImportEvents />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="events/resources"
+                    element={
+                      <ProtectedRoute requiredPermission="events">
+                        <ResourcesManagement />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="events/templates"
+                    element={
+                      <ProtectedRoute requiredPermission="events">
+                        <EventTemplates />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="events/:id/edit"
+                    element={
+                      <ProtectedRoute requiredPermission="events">
+                        <EditEvent />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="events/:id/registrations"
+                    element={
+                      <ProtectedRoute requiredPermission="events">
+                        <EventRegistrations />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="events/:id/check-in"
+                    element={
+                      <ProtectedRoute requiredPermission="events">
+                        <EventCheckIn />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="events/:id/payments"
+                    element={
+                      <ProtectedRoute requiredPermission="events">
+                        <EventPayments />
+                      </ProtectedRoute>
+                    }
+                  />
+
+                  {/* Celebrations Management */}
+                  <Route
+                    path="celebrations"
+                    element={
+                      <ProtectedRoute requiredPermission="celebrations">
+                        <CelebrationsManagement />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="celebrations/greeting-templates"
+                    element={
+                      <ProtectedRoute requiredPermission="celebrations">
+                        <GreetingTemplates />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="celebrations/:id/greeting"
+                    element={
+                      <ProtectedRoute requiredPermission="celebrations">
+                        <GreetingCard />
+                      </ProtectedRoute>
+                    }
+                  />
 
-                {/* Celebrations Management */}
+                  {/* Profile */}
+                  <Route path="profile" element={<AdminProfile />} />
+
+                  {/* Default redirect to dashboard */}
+                  <Route index element={<AdminDashboard />} />
+                </Route>
+
+                {/* 404 Catch All for Admin */}
                 <Route
-                  path="celebrations"
+                  path="*"
                   element={
-                    <ProtectedRoute requiredPermission="celebrations">
-                      <CelebrationsManagement />
-                    </ProtectedRoute>
-                  }
-                />
-
-                {/* Profile */}
-                <Route path="profile" element={<AdminProfile />} />
-
-                {/* Default redirect to dashboard */}
-                <Route index element={<AdminDashboard />} />
-              </Route>
-
-              {/* 404 Catch All for Admin */}
-              <Route
-                path="*"
-                element={
-                  <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
-                    <div className="max-w-md w-full space-y-8 text-center">
-                      <div>
-                        <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
-                          404 - Admin Page Not Found
-                        </h2>
-                        <p className="mt-2 text-sm text-gray-600">
-                          The admin page you're looking for doesn't exist.
-                        </p>
-                      </div>
-                      <div>
-                        <a
-                          href="/dashboard"
-                          className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                        >
-                          Go to Dashboard
-                        </a>
+                    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+                      <div className="max-w-md w-full space-y-8 text-center">
+                        <div>
+                          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+                            404 - Admin Page Not Found
+                          </h2>
+                          <p className="mt-2 text-sm text-gray-600">
+                            The admin page you're looking for doesn't exist.
+                          </p>
+                        </div>
+                        <div>
+                          <a
+                            href="/dashboard"
+                            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                          >
+                            Go to Dashboard
+                          </a>
+                        </div>
                       </div>
                     </div>
-                  </div>
-                }
-              />
-            </Routes>
-          </BrowserRouter>
-        </TooltipProvider>
+                  }
+                />
+              </Routes>
+            </BrowserRouter>
+          </TooltipProvider>
+        </OfflineSyncProvider>
       </WebSocketProvider>
     </AuthProvider>
   </QueryClientProvider>
@@ -64,6 +64,9 @@ apiClient.interceptors.response.use(
       );
     }
 
+    // Lets the offline queue retry on wifi that stays "online" without internet
+    window.dispatchEvent(new CustomEvent("api:reachable"));
+
     return response;
   },
   async (error) => {
@@ -72,7 +75,12 @@ apiClient.interceptors.response.use(
     // Handle network errors
     if (!error.response) {
       console.error("Network error:", error.message);
-      toast.error("Network error. Please check your internet connection.");
+      error.isNetworkError = true;
+
+      // Requests that can be queued for offline sync report their own outcome
+      if (!originalRequest?.offlineQueueable) {
+        toast.error("Network error. Please check your internet connection.");
+      }
       return Promise.reject(error);
     }
 
@@ -40,6 +40,44 @@ export const attendanceAPI = {
     }
   },
 
+  // Get every attendance record matching the filters, following all pages
+  getAllAttendanceRecords: async (filters = {}) => {
+    try {
+      const records = [];
+      let page = 1;
+      let totalPages = 1;
+
+      do {
+        const response = await attendanceAPI.getAttendanceRecords({
+          ...filters,
+          page,
+          limit: 100,
+          sortBy: 'date',
+          sortOrder: 'asc'
+        });
+        if (!response.success) {
+          return response;
+        }
+
+        records.push(...(response.data || []));
+        totalPages = response.pagination?.totalPages || 1;
+        page++;
+      } while (page <= totalPages);
+
+      return {
+        success: true,
+        data: records,
+        message: 'Attendance records retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Get all attendance records error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to fetch attendance records'
+      };
+    }
+  },
+
   // Get attendance record by ID
   getAttendanceById: async (id) => {
     try {
@@ -64,6 +102,8 @@ export const attendanceAPI = {
   },
 
   // Create new attendance record
+  // `offline` is set on failure when the server could not be reached, so the
+  // caller can keep the submission in the offline sync queue
   createAttendance: async (attendanceData) => {
     try {
       // Validate required fields
@@ -86,8 +126,10 @@ export const attendanceAPI = {
         children: parseInt(attendanceData.children) || 0,
         visitors: parseInt(attendanceData.visitors) || 0,
         notes: attendanceData.notes || '',
-        members: attendanceData.members || []
-      });
+        members: attendanceData.members || [],
+        // Set when the record comes from an event's check-in
+        eventId: attendanceData.eventId || null
+      }, { offlineQueueable: true });
       
       return {
         success: true,
@@ -99,7 +141,9 @@ export const attendanceAPI = {
       return {
         success: false,
         message: error.response?.data?.message || error.message || 'Failed to record attendance',
-        errors: error.response?.data?.errors
+        errors: error.response?.data?.errors,
+        status: error.response?.status,
+        offline: Boolean(error.isNetworkError)
       };
     }
   },
@@ -131,8 +175,9 @@ export const attendanceAPI = {
         children: parseInt(attendanceData.children) || 0,
         visitors: parseInt(attendanceData.visitors) || 0,
         notes: attendanceData.notes || '',
-        members: attendanceData.members || []
-      });
+        members: attendanceData.members || [],
+        ...(attendanceData.eventId !== undefined && { eventId: attendanceData.eventId })
+      }, { offlineQueueable: true });
       
       return {
         success: true,
@@ -144,7 +189,115 @@ export const attendanceAPI = {
       return {
         success: false,
         message: error.response?.data?.message || error.message || 'Failed to update attendance',
-        errors: error.response?.data?.errors
+        errors: error.response?.data?.errors,
+        status: error.response?.status,
+        offline: Boolean(error.isNetworkError)
+      };
+    }
+  },
+
+  // Find the record (if any) already saved for a date and service type
+  findAttendanceRecord: async (date, serviceType) => {
+    try {
+      if (!date || !serviceType) {
+        throw new Error('Date and service type are required');
+      }
+
+      const response = await apiClient.get('/attendance', {
+        params: { startDate: date, endDate: date, serviceType, limit: 10 },
+        offlineQueueable: true
+      });
+      const record = (response.data.data || []).find(
+        r => String(r.date).slice(0, 10) === date && r.serviceType === serviceType
+      );
+
+      return {
+        success: true,
+        data: record || null,
+        message: record ? 'Attendance record found' : 'No attendance record for this service'
+      };
+    } catch (error) {
+      console.error('Find attendance record error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to look up attendance record',
+        offline: Boolean(error.isNetworkError)
+      };
+    }
+  },
+
+  // Add to an existing record on the server, so devices adding at the same
+  // time do not overwrite each other. members: [{ memberId, present,
+  // timeArrived, notes }]; the server skips members already marked present and
+  // raises the headcount to at least the number of named members. counts
+  // ({ adults, youth, children, visitors }, named members included) and notes,
+  // when given, are added to the record's own instead.
+  addToAttendance: async (id, { members = [], counts, notes } = {}) => {
+    try {
+      const response = await apiClient.post(
+        `/attendance/${id}/members`,
+        { members, counts, notes },
+        { offlineQueueable: true }
+      );
+      return {
+        success: true,
+        data: response.data.data,
+        message: response.data.message || 'Members checked in successfully'
+      };
+    } catch (error) {
+      console.error('Add to attendance error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to add to attendance',
+        status: error.response?.status,
+        offline: Boolean(error.isNetworkError)
+      };
+    }
+  },
+
+  // Add members to a service's attendance, creating the record if needed.
+  // members: [{ memberId, timeArrived }]; members already marked are kept.
+  checkInMembers: async (date, serviceType, members) => {
+    try {
+      const incoming = members.map(member => ({
+        memberId: member.memberId,
+        present: true,
+        timeArrived: member.timeArrived || null,
+        notes: member.notes || null
+      }));
+
+      const existing = await attendanceAPI.findAttendanceRecord(date, serviceType);
+      if (!existing.success) {
+        return existing;
+      }
+
+      if (!existing.data) {
+        const created = await attendanceAPI.createAttendance({
+          date,
+          serviceType,
+          totalAttendance: incoming.length,
+          adults: incoming.length,
+          members: incoming
+        });
+        // Another device created the record first; add to theirs instead
+        if (created.status !== 409) {
+          return created;
+        }
+        const retry = await attendanceAPI.findAttendanceRecord(date, serviceType);
+        if (!retry.success || !retry.data) {
+          return created;
+        }
+        existing.data = retry.data;
+      }
+
+      return await attendanceAPI.addToAttendance(existing.data.id, { members: incoming });
+    } catch (error) {
+      console.error('Check in members error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to check in members',
+        status: error.response?.status,
+        offline: Boolean(error.isNetworkError)
       };
     }
   },
@@ -1,6 +1,18 @@
 // src/Services/celebrationsAPI.js - Production Ready
 import { apiClient } from './apiClient';
 
+export const CELEBRATION_TYPES = ['Birthday', 'Wedding Anniversary', 'Other'];
+
+// Every id not reported as failed counts as done
+const bulkResult = (ids, result = {}) => {
+  const failed = result.failed || [];
+  const failedIds = failed.map(item => String(item.id));
+  return {
+    succeeded: result.succeeded || ids.filter(id => !failedIds.includes(String(id))),
+    failed
+  };
+};
+
 export const celebrationsAPI = {
   // Get all celebrations
   getCelebrations: async (filters = {}) => {
@@ -9,6 +21,7 @@ export const celebrationsAPI = {
       return {
         success: true,
         data: response.data.data,
+        pagination: response.data.pagination,
         message: 'Celebrations retrieved successfully'
       };
     } catch (error) {
@@ -19,6 +32,37 @@ export const celebrationsAPI = {
     }
   },
 
+  // Get every celebration matching the filters, following all pages
+  getAllCelebrations: async (filters = {}) => {
+    try {
+      const celebrations = [];
+      let page = 1;
+      let totalPages = 1;
+
+      do {
+        const response = await celebrationsAPI.getCelebrations({ ...filters, page, limit: 100 });
+        if (!response.success) {
+          return response;
+        }
+
+        celebrations.push(...(response.data || []));
+        totalPages = response.pagination?.totalPages || 1;
+        page++;
+      } while (page <= totalPages);
+
+      return {
+        success: true,
+        data: celebrations,
+        message: 'Celebrations retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to fetch celebrations'
+      };
+    }
+  },
+
   // Get celebration by ID
   getCelebrationById: async (id) => {
     try {
@@ -53,6 +97,44 @@ export const celebrationsAPI = {
     }
   },
 
+  // Submit from the public celebration form with picture uploads. antiSpam
+  // carries the honeypot field and time on the form for the server to check.
+  submitCelebration: async (celebrationData, pictures = [], antiSpam = {}, onProgress = null) => {
+    try {
+      const formData = new FormData();
+      Object.entries(celebrationData).forEach(([key, value]) => {
+        if (value !== null && value !== undefined && value !== '') {
+          formData.append(key, value);
+        }
+      });
+      pictures.forEach(picture => formData.append('pictures', picture));
+      // Client-side hints only; the server applies its own spam checks
+      formData.append('website', antiSpam.website || '');
+      formData.append('elapsedMs', antiSpam.elapsedMs || 0);
+
+      const response = await apiClient.post('/celebrations', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        onUploadProgress: (progressEvent) => {
+          if (onProgress && progressEvent.total) {
+            onProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total));
+          }
+        },
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Celebration request submitted successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to submit celebration request'
+      };
+    }
+  },
+
   // Update celebration status
   updateCelebrationStatus: async (id, statusData) => {
     try {
@@ -86,6 +168,46 @@ export const celebrationsAPI = {
     }
   },
 
+  // Apply the same change (status, rejectionReason, acknowledgedDate) to
+  // many celebrations in one request. data.failed lists { id, message } for
+  // the ones the server could not update.
+  bulkUpdateCelebrations: async (ids, changes) => {
+    try {
+      const response = await apiClient.patch('/celebrations/bulk', { ids, changes });
+      return {
+        success: true,
+        data: bulkResult(ids, response.data.data),
+        message: 'Celebrations updated successfully'
+      };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update celebrations';
+      return {
+        success: false,
+        data: { succeeded: [], failed: ids.map(id => ({ id, message })) },
+        message
+      };
+    }
+  },
+
+  // Delete many celebrations in one request, reported like bulkUpdateCelebrations
+  bulkDeleteCelebrations: async (ids) => {
+    try {
+      const response = await apiClient.post('/celebrations/bulk-delete', { ids });
+      return {
+        success: true,
+        data: bulkResult(ids, response.data.data),
+        message: 'Celebrations deleted successfully'
+      };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete celebrations';
+      return {
+        success: false,
+        data: { succeeded: [], failed: ids.map(id => ({ id, message })) },
+        message
+      };
+    }
+  },
+
   // Get celebration statistics
   getCelebrationsStats: async () => {
     try {
@@ -103,10 +225,11 @@ export const celebrationsAPI = {
     }
   },
 
-  // Get upcoming celebrations (for acknowledgment)
-  getUpcomingCelebrations: async (limit = 10) => {
+  // Get upcoming celebrations (for acknowledgment), optionally within
+  // range.from and range.to ("YYYY-MM-DD")
+  getUpcomingCelebrations: async (limit = 10, range = {}) => {
     try {
-      const response = await apiClient.get(`/celebrations/upcoming?limit=${limit}`);
+      const response = await apiClient.get('/celebrations/upcoming', { params: { limit, ...range } });
       return {
         success: true,
         data: response.data.data,
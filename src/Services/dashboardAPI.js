@@ -1,5 +1,6 @@
 // src/Services/dashboardAPI.js - Production Ready with Backend Integration
 import { apiClient } from './apiClient';
+import { eventsAPI } from './eventsAPI';
 
 export const dashboardAPI = {
   // Get dashboard statistics
@@ -58,9 +59,15 @@ export const dashboardAPI = {
     }
   },
 
-  // Get upcoming events
+  // Get upcoming events, with recurring events expanded into occurrences
   getUpcomingEvents: async (limit = 5) => {
     try {
+      const occurrences = await eventsAPI.getUpcomingOccurrences(limit);
+      if (occurrences.success) {
+        return occurrences;
+      }
+
+      // Fall back to the server's list if the events can't be loaded
       const response = await apiClient.get(`/dashboard/upcoming-events?limit=${limit}`);
       
       if (response.data) {
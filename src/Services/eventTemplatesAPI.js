@@ -0,0 +1,99 @@
+// src/Services/eventTemplatesAPI.js - Named templates for events that repeat year to year
+import { apiClient } from './apiClient';
+
+export const eventTemplatesAPI = {
+  getTemplates: async () => {
+    try {
+      const response = await apiClient.get('/event-templates');
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Templates retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch templates',
+        data: []
+      };
+    }
+  },
+
+  getTemplateById: async (id) => {
+    try {
+      const response = await apiClient.get(`/event-templates/${id}`);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Template retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch template'
+      };
+    }
+  },
+
+  // Save a template, usually built from an event with templateFromEvent
+  createTemplate: async (templateData) => {
+    try {
+      if (!templateData.name?.trim()) {
+        throw new Error('Template name is required');
+      }
+
+      const response = await apiClient.post('/event-templates', {
+        roles: [],
+        checklist: [],
+        ...templateData,
+        name: templateData.name.trim()
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Template saved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to save template'
+      };
+    }
+  },
+
+  updateTemplate: async (id, changes) => {
+    try {
+      if (changes.name !== undefined && !changes.name.trim()) {
+        throw new Error('Template name is required');
+      }
+
+      const response = await apiClient.put(`/event-templates/${id}`, changes);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Template updated successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to update template'
+      };
+    }
+  },
+
+  deleteTemplate: async (id) => {
+    try {
+      const response = await apiClient.delete(`/event-templates/${id}`);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Template deleted successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to delete template'
+      };
+    }
+  }
+};
@@ -1,5 +1,33 @@
 // src/Services/eventsAPI.js 
 import { apiClient } from './apiClient';
+import {
+  toDateKey,
+  addDays,
+  eventDateKey,
+  expandEvents,
+  getRecurrenceRule,
+  endRuleBefore,
+  continueRuleFrom,
+  validateRecurrenceRule
+} from '@/lib/recurrence';
+
+// Fields copied from a series when one of its occurrences becomes its own event
+const seriesFields = (series) => ({
+  title: series.title,
+  description: series.description,
+  time: series.time,
+  endTime: series.endTime,
+  location: series.location,
+  category: series.category,
+  maxAttendees: series.maxAttendees,
+  registrationRequired: series.registrationRequired,
+  registrationDeadline: series.registrationDeadline,
+  eventFee: series.eventFee,
+  tags: series.tags,
+  image: series.image,
+  resourceIds: series.resourceIds,
+  checklist: series.checklist
+});
 
 export const eventsAPI = {
   // Get all events with filtering and pagination
@@ -99,12 +127,20 @@ export const eventsAPI = {
         category: eventData.category,
         maxAttendees: eventData.maxAttendees ? parseInt(eventData.maxAttendees) : null,
         isRecurring: Boolean(eventData.isRecurring),
-        recurringPattern: eventData.recurringPattern || null,
+        recurringPattern: eventData.isRecurring
+          ? eventData.recurrenceRule?.frequency || eventData.recurringPattern || null
+          : null,
+        recurrenceRule: eventData.isRecurring ? eventData.recurrenceRule || null : null,
+        exceptionDates: Array.isArray(eventData.exceptionDates) ? eventData.exceptionDates : [],
+        recurrenceParentId: eventData.recurrenceParentId || null,
+        originalDate: eventData.originalDate || null,
         registrationRequired: Boolean(eventData.registrationRequired),
         registrationDeadline: eventData.registrationDeadline || null,
         eventFee: eventData.eventFee ? parseFloat(eventData.eventFee) : 0,
         tags: Array.isArray(eventData.tags) ? eventData.tags : [],
-        image: eventData.image || null
+        image: eventData.image || null,
+        resourceIds: Array.isArray(eventData.resourceIds) ? eventData.resourceIds : [],
+        checklist: Array.isArray(eventData.checklist) ? eventData.checklist : []
       });
       
       return {
@@ -153,6 +189,13 @@ export const eventsAPI = {
         }),
         ...(eventData.isRecurring !== undefined && { isRecurring: Boolean(eventData.isRecurring) }),
         ...(eventData.recurringPattern !== undefined && { recurringPattern: eventData.recurringPattern }),
+        ...(eventData.recurrenceRule !== undefined && {
+          recurrenceRule: eventData.recurrenceRule,
+          recurringPattern: eventData.recurrenceRule?.frequency || null
+        }),
+        ...(eventData.exceptionDates !== undefined && {
+          exceptionDates: Array.isArray(eventData.exceptionDates) ? eventData.exceptionDates : []
+        }),
         ...(eventData.status !== undefined && { status: eventData.status }),
         ...(eventData.registrationRequired !== undefined && { 
           registrationRequired: Boolean(eventData.registrationRequired) 
@@ -166,7 +209,14 @@ export const eventsAPI = {
         ...(eventData.tags !== undefined && { 
           tags: Array.isArray(eventData.tags) ? eventData.tags : [] 
         }),
-        ...(eventData.image !== undefined && { image: eventData.image })
+        ...(eventData.image !== undefined && { image: eventData.image }),
+        ...(eventData.resourceIds !== undefined && {
+          resourceIds: Array.isArray(eventData.resourceIds) ? eventData.resourceIds : []
+        }),
+        ...(eventData.checklist !== undefined && {
+          checklist: Array.isArray(eventData.checklist) ? eventData.checklist : []
+        }),
+        ...(eventData.attendanceRecords !== undefined && { attendanceRecords: eventData.attendanceRecords })
       };
 
       const response = await apiClient.put(`/events/${id}`, updateData);
@@ -240,6 +290,158 @@ export const eventsAPI = {
     }
   },
 
+  // Edit a single occurrence of a recurring event. The occurrence is skipped
+  // in the series and saved as its own event linked back to it.
+  updateOccurrence: async (series, occurrenceDate, eventData = {}) => {
+    try {
+      if (!series?.id) {
+        throw new Error('Event ID is required');
+      }
+      if (!occurrenceDate) {
+        throw new Error('Occurrence date is required');
+      }
+
+      const created = await eventsAPI.createEvent({
+        ...seriesFields(series),
+        date: occurrenceDate,
+        ...eventData,
+        isRecurring: false,
+        recurrenceRule: null,
+        exceptionDates: [],
+        recurrenceParentId: series.id,
+        originalDate: occurrenceDate
+      });
+      if (!created.success) {
+        return created;
+      }
+
+      const exceptionDates = [...new Set([...(series.exceptionDates || []), occurrenceDate])].sort();
+      const updated = await eventsAPI.updateEvent(series.id, { exceptionDates });
+      if (!updated.success) {
+        // Don't leave the occurrence showing twice
+        await eventsAPI.deleteEvent(created.data?.id);
+        return updated;
+      }
+
+      return {
+        success: true,
+        data: created.data,
+        message: 'Occurrence updated successfully'
+      };
+    } catch (error) {
+      console.error('Update occurrence error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to update occurrence'
+      };
+    }
+  },
+
+  // Edit an occurrence and every one after it. The series is ended the day
+  // before and a new series carries on with the changes.
+  updateFollowingOccurrences: async (series, occurrenceDate, eventData = {}) => {
+    try {
+      if (!series?.id) {
+        throw new Error('Event ID is required');
+      }
+      if (!occurrenceDate) {
+        throw new Error('Occurrence date is required');
+      }
+
+      const start = eventDateKey(series);
+      if (occurrenceDate <= start) {
+        return await eventsAPI.updateEvent(series.id, eventData);
+      }
+
+      const rule = getRecurrenceRule(series);
+      if (!rule) {
+        throw new Error('Event is not recurring');
+      }
+
+      const exceptionDates = eventData.exceptionDates || series.exceptionDates || [];
+      const newRule = eventData.recurrenceRule || rule;
+      const created = await eventsAPI.createEvent({
+        ...seriesFields(series),
+        date: occurrenceDate,
+        ...eventData,
+        isRecurring: true,
+        recurrenceRule: continueRuleFrom(newRule, start, occurrenceDate, rule),
+        exceptionDates: exceptionDates.filter(date => date >= occurrenceDate),
+        recurrenceParentId: series.id
+      });
+      if (!created.success) {
+        return created;
+      }
+
+      const ended = await eventsAPI.updateEvent(series.id, {
+        recurrenceRule: endRuleBefore(rule, occurrenceDate),
+        exceptionDates: (series.exceptionDates || []).filter(date => date < occurrenceDate)
+      });
+      if (!ended.success) {
+        await eventsAPI.deleteEvent(created.data?.id);
+        return ended;
+      }
+
+      return {
+        success: true,
+        data: created.data,
+        message: 'Following occurrences updated successfully'
+      };
+    } catch (error) {
+      console.error('Update following occurrences error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to update following occurrences'
+      };
+    }
+  },
+
+  // Remove a single occurrence from a recurring event
+  cancelOccurrence: async (series, occurrenceDate) => {
+    try {
+      if (!series?.id) {
+        throw new Error('Event ID is required');
+      }
+      if (!occurrenceDate) {
+        throw new Error('Occurrence date is required');
+      }
+
+      const exceptionDates = [...new Set([...(series.exceptionDates || []), occurrenceDate])].sort();
+      return await eventsAPI.updateEvent(series.id, { exceptionDates });
+    } catch (error) {
+      console.error('Cancel occurrence error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to cancel occurrence'
+      };
+    }
+  },
+
+  // Remove an occurrence and every one after it
+  cancelFollowingOccurrences: async (series, occurrenceDate) => {
+    try {
+      if (!series?.id) {
+        throw new Error('Event ID is required');
+      }
+
+      const rule = getRecurrenceRule(series);
+      if (!rule || !occurrenceDate || occurrenceDate <= eventDateKey(series)) {
+        return await eventsAPI.deleteEvent(series.id);
+      }
+
+      return await eventsAPI.updateEvent(series.id, {
+        recurrenceRule: endRuleBefore(rule, occurrenceDate),
+        exceptionDates: (series.exceptionDates || []).filter(date => date < occurrenceDate)
+      });
+    } catch (error) {
+      console.error('Cancel following occurrences error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to cancel following occurrences'
+      };
+    }
+  },
+
   // Get events statistics
   getEventsStats: async () => {
     try {
@@ -267,7 +469,7 @@ export const eventsAPI = {
   },
 
   // Update event attendance
-  updateEventAttendance: async (id, attendanceCount) => {
+  updateEventAttendance: async (id, attendanceCount, waitlistCount) => {
     try {
       if (!id) {
         throw new Error('Event ID is required');
@@ -277,7 +479,8 @@ export const eventsAPI = {
       }
 
       const response = await apiClient.patch(`/events/${id}/attendance`, {
-        attendanceCount: parseInt(attendanceCount)
+        attendanceCount: parseInt(attendanceCount),
+        ...(waitlistCount !== undefined && { waitlistCount: parseInt(waitlistCount) })
       });
       
       return {
@@ -313,6 +516,36 @@ export const eventsAPI = {
     }
   },
 
+  // Get upcoming events with recurring events expanded into occurrences
+  getUpcomingOccurrences: async (limit = 10, days = 90) => {
+    try {
+      const today = toDateKey(new Date());
+      const endDate = addDays(today, days);
+      const response = await eventsAPI.getEventsByDateRange(today, endDate);
+
+      if (!response.success) {
+        return response;
+      }
+
+      const active = response.data.filter(
+        event => event.status !== 'cancelled' && event.status !== 'completed'
+      );
+
+      return {
+        success: true,
+        data: expandEvents(active, today, endDate).slice(0, limit),
+        message: 'Upcoming events retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Get upcoming occurrences error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to fetch upcoming events',
+        data: []
+      };
+    }
+  },
+
   // Export events
   exportEvents: async (filters = {}) => {
     try {
@@ -511,6 +744,43 @@ export const eventsAPI = {
     }
   },
 
+  // Get every event matching the filters, fetching all pages
+  getAllEvents: async (filters = {}) => {
+    try {
+      const events = [];
+      let page = 1;
+      let totalPages = 1;
+      do {
+        const response = await eventsAPI.getEvents({
+          sortBy: 'date',
+          sortOrder: 'ASC',
+          ...filters,
+          page,
+          limit: 100
+        });
+        if (!response.success) {
+          return response;
+        }
+        events.push(...(response.data || []));
+        totalPages = response.pagination?.totalPages || 1;
+        page++;
+      } while (page <= totalPages);
+
+      return {
+        success: true,
+        data: events,
+        message: 'Events retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Get all events error:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to fetch events',
+        data: []
+      };
+    }
+  },
+
   // Get events by date range
   getEventsByDateRange: async (startDate, endDate) => {
     try {
@@ -518,13 +788,24 @@ export const eventsAPI = {
         throw new Error('Start date and end date are required');
       }
 
-      return await eventsAPI.getEvents({
-        // Note: Backend doesn't have direct date range filter in the current implementation
-        // You might need to add this to the backend or filter on frontend
-        limit: 100,
-        sortBy: 'date',
-        sortOrder: 'ASC'
+      // Backend doesn't have a date range filter, so filter on the frontend.
+      // Recurring events that started before the range are kept so their
+      // later occurrences can be expanded.
+      const response = await eventsAPI.getAllEvents();
+      if (!response.success) {
+        return response;
+      }
+
+      const inRange = response.data.filter(event => {
+        const date = eventDateKey(event);
+        return date <= endDate && (date >= startDate || event.isRecurring);
       });
+
+      return {
+        success: true,
+        data: inRange,
+        message: 'Events retrieved successfully'
+      };
     } catch (error) {
       console.error('Get events by date range error:', error);
       return {
@@ -615,8 +896,13 @@ export const eventsAPI = {
       }
     }
 
-    if (eventData.isRecurring && !eventData.recurringPattern) {
-      errors.push('Recurring pattern is required for recurring events');
+    if (eventData.isRecurring) {
+      const ruleError = eventData.recurrenceRule
+        ? validateRecurrenceRule(eventData.recurrenceRule, eventData.date)
+        : !eventData.recurringPattern && 'Recurring pattern is required for recurring events';
+      if (ruleError) {
+        errors.push(ruleError);
+      }
     }
 
     if (eventData.eventFee && eventData.eventFee < 0) {
@@ -0,0 +1,70 @@
+// src/Services/followUpsAPI.js - Pastoral follow-up of members who stopped attending
+import { apiClient } from './apiClient';
+
+// Stages the pastoral team moves an absentee through
+export const FOLLOW_UP_STATUSES = ['Not Contacted', 'Contacted', 'Visited', 'Returned', 'Closed'];
+
+export const followUpsAPI = {
+  // Get follow-ups, e.g. { type: 'absentee', serviceType }
+  getFollowUps: async (filters = {}) => {
+    try {
+      const response = await apiClient.get('/follow-ups', { params: filters });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Follow-ups retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch follow-ups',
+        data: []
+      };
+    }
+  },
+
+  // Start following up a member
+  createFollowUp: async (followUpData) => {
+    try {
+      if (!followUpData.memberId) {
+        throw new Error('Member is required');
+      }
+
+      const response = await apiClient.post('/follow-ups', {
+        type: 'absentee',
+        status: FOLLOW_UP_STATUSES[0],
+        assignedToId: null,
+        assignedToName: '',
+        notes: '',
+        ...followUpData
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Follow-up created successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to create follow-up'
+      };
+    }
+  },
+
+  // Update status, assigned worker or notes
+  updateFollowUp: async (id, changes) => {
+    try {
+      const response = await apiClient.put(`/follow-ups/${id}`, changes);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Follow-up updated successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to update follow-up'
+      };
+    }
+  }
+};
@@ -0,0 +1,80 @@
+// src/Services/greetingTemplatesAPI.js - Branded designs for celebrant greeting cards
+import { apiClient } from './apiClient';
+
+export const greetingTemplatesAPI = {
+  getTemplates: async () => {
+    try {
+      const response = await apiClient.get('/greeting-templates');
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Greeting templates retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch greeting templates',
+        data: []
+      };
+    }
+  },
+
+  createTemplate: async (templateData) => {
+    try {
+      if (!templateData.name?.trim()) {
+        throw new Error('Template name is required');
+      }
+
+      const response = await apiClient.post('/greeting-templates', {
+        ...templateData,
+        name: templateData.name.trim()
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Greeting template saved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to save greeting template'
+      };
+    }
+  },
+
+  updateTemplate: async (id, changes) => {
+    try {
+      if (changes.name !== undefined && !changes.name.trim()) {
+        throw new Error('Template name is required');
+      }
+
+      const response = await apiClient.put(`/greeting-templates/${id}`, changes);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Greeting template updated successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to update greeting template'
+      };
+    }
+  },
+
+  deleteTemplate: async (id) => {
+    try {
+      const response = await apiClient.delete(`/greeting-templates/${id}`);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Greeting template deleted successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to delete greeting template'
+      };
+    }
+  }
+};
@@ -0,0 +1,137 @@
+// src/Services/householdsAPI.js - Family units linking members together
+import { apiClient } from './apiClient';
+
+// Roles a member can hold within a household
+export const HOUSEHOLD_ROLES = ['Head', 'Spouse', 'Child', 'Dependant', 'Other'];
+
+export const householdsAPI = {
+  // Get all households
+  getHouseholds: async (filters = {}) => {
+    try {
+      const response = await apiClient.get('/households', { params: filters });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Households retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch households',
+        data: []
+      };
+    }
+  },
+
+  // Get household by ID (includes its members)
+  getHouseholdById: async (id) => {
+    try {
+      const response = await apiClient.get(`/households/${id}`);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Household details retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch household details'
+      };
+    }
+  },
+
+  // Create new household
+  createHousehold: async (householdData) => {
+    try {
+      if (!householdData.name?.trim()) {
+        throw new Error('Household name is required');
+      }
+
+      const response = await apiClient.post('/households', {
+        name: householdData.name.trim(),
+        address: householdData.address || '',
+        phone: householdData.phone || '',
+        headOfHouseholdId: householdData.headOfHouseholdId || null
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Household created successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to create household'
+      };
+    }
+  },
+
+  // Update household (name, shared address/phone, head of household)
+  updateHousehold: async (id, householdData) => {
+    try {
+      const response = await apiClient.put(`/households/${id}`, householdData);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Household updated successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to update household'
+      };
+    }
+  },
+
+  // Delete household (members are unlinked, not deleted)
+  deleteHousehold: async (id) => {
+    try {
+      await apiClient.delete(`/households/${id}`);
+      return {
+        success: true,
+        message: 'Household deleted successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to delete household'
+      };
+    }
+  },
+
+  // Link a member to a household with a role
+  addHouseholdMember: async (householdId, memberId, role = 'Other') => {
+    try {
+      const response = await apiClient.post(`/households/${householdId}/members`, {
+        memberId,
+        role
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Member added to household successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to add member to household'
+      };
+    }
+  },
+
+  // Unlink a member from a household
+  removeHouseholdMember: async (householdId, memberId) => {
+    try {
+      await apiClient.delete(`/households/${householdId}/members/${memberId}`);
+      return {
+        success: true,
+        message: 'Member removed from household successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to remove member from household'
+      };
+    }
+  }
+};
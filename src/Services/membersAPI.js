@@ -154,6 +154,29 @@ export const membersAPI = {
     }
   },
 
+  // Merge a duplicate into the surviving member. `fields` holds the values
+  // picked for the survivor; the server re-points attendance records and
+  // celebrations from the duplicate before removing it.
+  mergeMembers: async (survivorId, duplicateId, fields = {}) => {
+    try {
+      const response = await apiClient.post(`/members/${survivorId}/merge`, {
+        duplicateId,
+        fields
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Members merged successfully'
+      };
+    } catch (error) {
+      console.error('Merge members error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to merge members'
+      };
+    }
+  },
+
   // Import members from CSV/Excel
   importMembers: async (file, onProgress = null) => {
     try {
@@ -187,15 +210,83 @@ export const membersAPI = {
     }
   },
 
+  // Import validated rows one at a time so every row gets its own result.
+  // rows: [{ rowNumber, member, existingMember }]; onExisting: 'skip' | 'update'
+  importMemberRows: async (rows, { onExisting = 'skip', onProgress = null } = {}) => {
+    const results = [];
+
+    for (const [index, { rowNumber, member, existingMember }] of rows.entries()) {
+      let result;
+
+      if (existingMember && onExisting === 'skip') {
+        result = {
+          status: 'skipped',
+          memberId: existingMember.id,
+          message: `Already exists as ${existingMember.name}`
+        };
+      } else if (existingMember) {
+        // Only overwrite fields the spreadsheet actually filled in
+        const filled = Object.fromEntries(
+          Object.entries(member).filter(([, value]) => value !== '' && value !== null)
+        );
+        const response = await membersAPI.updateMember(existingMember.id, {
+          ...existingMember,
+          ...filled,
+          emergencyContact: {
+            ...existingMember.emergencyContact,
+            ...Object.fromEntries(
+              Object.entries(member.emergencyContact || {}).filter(([, value]) => value)
+            )
+          }
+        });
+        result = {
+          status: response.success ? 'updated' : 'failed',
+          memberId: existingMember.id,
+          message: response.message
+        };
+      } else {
+        const response = await membersAPI.addMember(member);
+        result = {
+          status: response.success ? 'created' : 'failed',
+          memberId: response.data?.id,
+          message: response.message
+        };
+      }
+
+      results.push({ rowNumber, name: member.name, ...result });
+
+      if (onProgress) {
+        onProgress(Math.round(((index + 1) * 100) / rows.length));
+      }
+    }
+
+    const count = (status) => results.filter(r => r.status === status).length;
+
+    return {
+      success: count('failed') === 0,
+      data: {
+        results,
+        created: count('created'),
+        updated: count('updated'),
+        skipped: count('skipped'),
+        failed: count('failed')
+      },
+      message: `Import completed: ${count('created')} created, ${count('updated')} updated, ${count('skipped')} skipped, ${count('failed')} failed`
+    };
+  },
+
   // Export members to CSV/Excel
+  // Pass { groupByHousehold: true } to collapse each family into one mailing row
   exportMembers: async (format = 'csv', filters = {}) => {
     try {
+      const { groupByHousehold, ...rest } = filters;
       const response = await apiClient.get('/members/export', {
-        params: { format, ...filters },
+        params: { format, ...rest, ...(groupByHousehold && { groupBy: 'household' }) },
         responseType: 'blob',
       });
 
-      const filename = `members_export_${new Date().toISOString().split('T')[0]}.${format}`;
+      const prefix = groupByHousehold ? 'households' : 'members';
+      const filename = `${prefix}_export_${new Date().toISOString().split('T')[0]}.${format}`;
       const url = window.URL.createObjectURL(new Blob([response.data]));
       const link = document.createElement('a');
       link.href = url;
@@ -0,0 +1,62 @@
+// src/Services/paymentsAPI.js - Event fee payments and refunds ledger
+import { apiClient } from './apiClient';
+import { toDateKey } from '@/lib/recurrence';
+
+export const PAYMENT_METHODS = ['Cash', 'Transfer', 'POS'];
+
+export const paymentsAPI = {
+  // Get every ledger entry for an event, payments and refunds
+  getPayments: async (eventId) => {
+    try {
+      const response = await apiClient.get(`/events/${eventId}/payments`);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Payments retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch payments',
+        data: []
+      };
+    }
+  },
+
+  // Record a payment or refund against a registrant
+  recordPayment: async (eventId, entry) => {
+    try {
+      if (!entry.registrationId) {
+        throw new Error('Registrant is required');
+      }
+      if (!(parseFloat(entry.amount) > 0)) {
+        throw new Error('Amount must be greater than 0');
+      }
+      if (!PAYMENT_METHODS.includes(entry.method)) {
+        throw new Error('Please choose a payment method');
+      }
+      if (entry.method !== 'Cash' && !entry.reference?.trim()) {
+        throw new Error(`A reference is required for ${entry.method} payments`);
+      }
+
+      const response = await apiClient.post(`/events/${eventId}/payments`, {
+        type: 'payment',
+        reference: '',
+        notes: '',
+        ...entry,
+        amount: parseFloat(entry.amount),
+        paidOn: entry.paidOn || toDateKey(new Date())
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: entry.type === 'refund' ? 'Refund recorded successfully' : 'Payment recorded successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to record payment'
+      };
+    }
+  }
+};
@@ -0,0 +1,147 @@
+// src/Services/registrationsAPI.js - Registrations for events, members and guests
+import { apiClient } from './apiClient';
+import { eventsAPI } from './eventsAPI';
+import {
+  countRegistered,
+  countWaitlisted,
+  findDuplicateRegistration,
+  registrationBlocker
+} from '@/lib/registrations';
+
+export const REGISTRATION_STATUSES = ['registered', 'waitlisted', 'cancelled'];
+
+export const registrationsAPI = {
+  // Get every registration for an event, cancelled ones included
+  getRegistrations: async (eventId) => {
+    try {
+      const response = await apiClient.get(`/events/${eventId}/registrations`);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Registrations retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch registrations',
+        data: []
+      };
+    }
+  },
+
+  // Register a member or guest, enforcing the deadline and duplicates; once the
+  // event is full the registrant joins the waitlist instead. The server gives
+  // the place or waitlist spot as it creates the record, so two admins
+  // registering at once cannot both take the last place.
+  addRegistration: async (event, registrant) => {
+    try {
+      // Members need a name too; it is what the registrations list shows
+      if (!registrant.name?.trim()) {
+        throw new Error('Registrant name is required');
+      }
+
+      const current = await registrationsAPI.getRegistrations(event.id);
+      if (!current.success) {
+        throw new Error(current.message);
+      }
+
+      const blocker = registrationBlocker(event, current.data);
+      if (blocker) {
+        throw new Error(blocker);
+      }
+      const duplicate = findDuplicateRegistration(current.data, registrant);
+      if (duplicate) {
+        throw new Error(`${duplicate.name} is already registered for this event`);
+      }
+
+      const response = await apiClient.post(`/events/${event.id}/registrations`, {
+        type: registrant.memberId ? 'member' : 'guest',
+        memberId: null,
+        phone: '',
+        email: '',
+        notes: '',
+        ...registrant,
+        name: registrant.name.trim(),
+        registeredAt: new Date().toISOString()
+      });
+      await registrationsAPI.syncAttendeeCount(event.id);
+
+      const registration = response.data.data;
+      return {
+        success: true,
+        data: registration,
+        message: registration.status === 'waitlisted'
+          ? 'Event is full, added to the waitlist'
+          : 'Registration added successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to add registration'
+      };
+    }
+  },
+
+  // Cancel a registration, keeping it on record with the reason. The server
+  // gives the freed place to the next person on the waitlist in the same
+  // step, so two cancellations at once cannot promote the same registrant
+  // twice or promote too many.
+  cancelRegistration: async (event, registrationId, reason = '') => {
+    try {
+      const response = await apiClient.post(`/events/${event.id}/registrations/${registrationId}/cancel`, {
+        cancelledAt: new Date().toISOString(),
+        cancelReason: reason
+      });
+      const { registration, promoted = [] } = response.data.data || {};
+      await registrationsAPI.syncAttendeeCount(event.id);
+
+      return {
+        success: true,
+        data: { registration, promoted },
+        message: 'Registration cancelled successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to cancel registration'
+      };
+    }
+  },
+
+  // Move waitlisted registrants into any free places, oldest first, e.g. after
+  // maxAttendees is raised, and return the ones promoted. The server picks who
+  // moves up so admins on the page at the same time cannot overfill the event.
+  promoteFromWaitlist: async (event) => {
+    try {
+      const response = await apiClient.post(`/events/${event.id}/registrations/promote`);
+      const promoted = response.data.data || [];
+      await registrationsAPI.syncAttendeeCount(event.id);
+
+      return {
+        success: true,
+        data: promoted,
+        message: `${promoted.length} promoted from the waitlist`
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to promote from the waitlist',
+        data: []
+      };
+    }
+  },
+
+  // Set the event's currentAttendees and waitlistCount from its registrations
+  syncAttendeeCount: async (eventId, registrations) => {
+    let list = registrations;
+    if (!list) {
+      const response = await registrationsAPI.getRegistrations(eventId);
+      if (!response.success) return response;
+      list = response.data;
+    }
+
+    const count = countRegistered(list);
+    const response = await eventsAPI.updateEventAttendance(eventId, count, countWaitlisted(list));
+    return { ...response, data: count };
+  }
+};
@@ -0,0 +1,88 @@
+// src/Services/resourcesAPI.js - Rooms and equipment that events can book
+import { apiClient } from './apiClient';
+
+export const RESOURCE_TYPES = ['Room', 'Equipment', 'Vehicle'];
+
+export const resourcesAPI = {
+  // Get rooms and equipment, e.g. { type, isActive }
+  getResources: async (filters = {}) => {
+    try {
+      const response = await apiClient.get('/resources', { params: filters });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Resources retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch resources',
+        data: []
+      };
+    }
+  },
+
+  // Add a room, piece of equipment or vehicle
+  createResource: async (resourceData) => {
+    try {
+      if (!resourceData.name?.trim()) {
+        throw new Error('Resource name is required');
+      }
+      if (!RESOURCE_TYPES.includes(resourceData.type)) {
+        throw new Error('Please choose a resource type');
+      }
+
+      const response = await apiClient.post('/resources', {
+        capacity: null,
+        notes: '',
+        isActive: true,
+        ...resourceData,
+        name: resourceData.name.trim()
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Resource added successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to add resource'
+      };
+    }
+  },
+
+  // Update a resource, e.g. to retire it with { isActive: false }
+  updateResource: async (id, changes) => {
+    try {
+      const response = await apiClient.put(`/resources/${id}`, changes);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Resource updated successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to update resource'
+      };
+    }
+  },
+
+  // Delete a resource that no event has booked
+  deleteResource: async (id) => {
+    try {
+      const response = await apiClient.delete(`/resources/${id}`);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Resource deleted successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to delete resource'
+      };
+    }
+  }
+};
@@ -0,0 +1,204 @@
+// src/Services/rotaAPI.js - Volunteer roles, rota assignments and blackout dates
+import { apiClient } from './apiClient';
+
+export const rotaAPI = {
+  // Get roles, e.g. { department }
+  getRoles: async (filters = {}) => {
+    try {
+      const response = await apiClient.get('/rota/roles', { params: filters });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Roles retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch roles',
+        data: []
+      };
+    }
+  },
+
+  // Define a role needed at a service type or an event
+  createRole: async (roleData) => {
+    try {
+      if (!roleData.name?.trim() || !roleData.department) {
+        throw new Error('Role name and department are required');
+      }
+      if (!roleData.serviceType && !roleData.eventId) {
+        throw new Error('Choose the service or event the role serves at');
+      }
+
+      const response = await apiClient.post('/rota/roles', {
+        serviceType: null,
+        eventId: null,
+        eventTitle: '',
+        needed: 1,
+        ...roleData
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Role created successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to create role'
+      };
+    }
+  },
+
+  // Update a role
+  updateRole: async (id, changes) => {
+    try {
+      const response = await apiClient.put(`/rota/roles/${id}`, changes);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Role updated successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to update role'
+      };
+    }
+  },
+
+  // Delete a role and its assignments
+  deleteRole: async (id) => {
+    try {
+      const response = await apiClient.delete(`/rota/roles/${id}`);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Role deleted successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to delete role'
+      };
+    }
+  },
+
+  // Get assignments, e.g. { from, to, department }
+  getAssignments: async (filters = {}) => {
+    try {
+      const response = await apiClient.get('/rota/assignments', { params: filters });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Assignments retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch assignments',
+        data: []
+      };
+    }
+  },
+
+  // Put a member in a role on a date
+  assignMember: async (assignment) => {
+    try {
+      if (!assignment.roleId || !assignment.memberId || !assignment.date) {
+        throw new Error('Role, member and date are required');
+      }
+
+      const response = await apiClient.post('/rota/assignments', assignment);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Member assigned successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to assign member'
+      };
+    }
+  },
+
+  // Take a member off the rota
+  removeAssignment: async (id) => {
+    try {
+      const response = await apiClient.delete(`/rota/assignments/${id}`);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Assignment removed successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to remove assignment'
+      };
+    }
+  },
+
+  // Get blackout dates, e.g. { from, to, memberId }
+  getBlackouts: async (filters = {}) => {
+    try {
+      const response = await apiClient.get('/rota/blackouts', { params: filters });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Blackout dates retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch blackout dates',
+        data: []
+      };
+    }
+  },
+
+  // Mark a member unavailable for a date range
+  addBlackout: async (blackout) => {
+    try {
+      if (!blackout.memberId || !blackout.startDate) {
+        throw new Error('Member and start date are required');
+      }
+      if (blackout.endDate && blackout.endDate < blackout.startDate) {
+        throw new Error('End date must be on or after the start date');
+      }
+
+      const response = await apiClient.post('/rota/blackouts', {
+        ...blackout,
+        endDate: blackout.endDate || blackout.startDate
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Blackout dates saved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message || 'Failed to save blackout dates'
+      };
+    }
+  },
+
+  // Remove blackout dates
+  removeBlackout: async (id) => {
+    try {
+      const response = await apiClient.delete(`/rota/blackouts/${id}`);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Blackout dates removed successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to remove blackout dates'
+      };
+    }
+  }
+};
@@ -0,0 +1,157 @@
+// src/Services/visitorsAPI.js - First-timer registry and follow-up pipeline
+import { apiClient } from './apiClient';
+import { membersAPI } from './membersAPI';
+
+// Follow-up pipeline, in order. The last stage is reached by converting the
+// visitor into a member.
+export const VISITOR_STAGES = [
+  'First Visit',
+  'Called',
+  'Visited',
+  'Second Visit',
+  "Believers' Class",
+  'Became Member'
+];
+
+export const HEARD_ABOUT_OPTIONS = [
+  'Invited by a member',
+  'Walked in',
+  'Social media',
+  'Flyer / poster',
+  'Outreach / crusade',
+  'Online search',
+  'Other'
+];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+export const visitorsAPI = {
+  // Get all visitors
+  getVisitors: async (filters = {}) => {
+    try {
+      const response = await apiClient.get('/visitors', { params: filters });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Visitors retrieved successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to fetch visitors',
+        data: []
+      };
+    }
+  },
+
+  // Register a first-timer card
+  addVisitor: async (visitorData) => {
+    try {
+      const response = await apiClient.post('/visitors', {
+        ...visitorData,
+        stage: VISITOR_STAGES[0],
+        history: [
+          {
+            stage: VISITOR_STAGES[0],
+            date: visitorData.firstVisitDate || today(),
+            note: visitorData.serviceType ? `First attended ${visitorData.serviceType}` : ''
+          }
+        ]
+      });
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Visitor registered successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to register visitor'
+      };
+    }
+  },
+
+  // Update visitor
+  updateVisitor: async (id, visitorData) => {
+    try {
+      const response = await apiClient.put(`/visitors/${id}`, visitorData);
+      return {
+        success: true,
+        data: response.data.data,
+        message: 'Visitor updated successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to update visitor'
+      };
+    }
+  },
+
+  // Move a visitor to another stage, recording it in their history
+  updateVisitorStage: async (visitor, stage, note = '') => {
+    return visitorsAPI.updateVisitor(visitor.id, {
+      stage,
+      history: [...(visitor.history || []), { stage, date: today(), note }]
+    });
+  },
+
+  // Add a follow-up note without changing the stage
+  addVisitorNote: async (visitor, note) => {
+    return visitorsAPI.updateVisitor(visitor.id, {
+      history: [...(visitor.history || []), { stage: visitor.stage, date: today(), note }]
+    });
+  },
+
+  // Delete visitor
+  deleteVisitor: async (id) => {
+    try {
+      await apiClient.delete(`/visitors/${id}`);
+      return {
+        success: true,
+        message: 'Visitor deleted successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to delete visitor'
+      };
+    }
+  },
+
+  // Create a member record from a visitor, carrying their visitor history over
+  convertToMember: async (visitor) => {
+    const response = await membersAPI.addMember({
+      name: visitor.name,
+      email: visitor.email || '',
+      phone: visitor.phone,
+      address: visitor.address || '',
+      gender: visitor.gender || '',
+      membershipDate: today(),
+      isActive: true,
+      visitorId: visitor.id,
+      firstVisitDate: visitor.firstVisitDate,
+      invitedBy: visitor.invitedBy || '',
+      howHeard: visitor.howHeard || '',
+      visitorHistory: visitor.history || []
+    });
+    if (!response.success) {
+      return response;
+    }
+
+    const stage = VISITOR_STAGES[VISITOR_STAGES.length - 1];
+    const updated = await visitorsAPI.updateVisitor(visitor.id, {
+      stage,
+      memberId: response.data.id,
+      history: [...(visitor.history || []), { stage, date: today(), note: 'Converted to member' }]
+    });
+
+    return {
+      success: true,
+      data: { member: response.data, visitor: updated.data },
+      message: updated.success
+        ? 'Visitor converted to member'
+        : 'Member created, but the visitor record could not be updated'
+    };
+  }
+};
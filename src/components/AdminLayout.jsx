@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import { Link, useLocation, Outlet, useNavigate } from "react-router-dom";
 import { useAuth } from "@/contexts/AuthContext";
+import PendingSyncTray from "@/components/attendance/PendingSyncTray";
 
 const AdminLayout = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -33,12 +34,24 @@ const AdminLayout = () => {
       label: "Members",
       permission: "members",
     },
+    {
+      path: "/visitors",
+      icon: "ri-user-star-line",
+      label: "Visitors",
+      permission: "members",
+    },
     {
       path: "/attendance",
       icon: "ri-calendar-check-line",
       label: "Attendance",
       permission: "attendance",
     },
+    {
+      path: "/rota",
+      icon: "ri-team-line",
+      label: "Rota",
+      permission: "members",
+    },
     {
       path: "/events",
       icon: "ri-calendar-event-line",
@@ -172,6 +185,9 @@ const AdminLayout = () => {
 
             {/* Right side actions */}
             <div className="flex items-center space-x-4">
+              {/* Offline submissions waiting to sync */}
+              <PendingSyncTray />
+
               {/* Notifications */}
               <button className="p-1 rounded-full text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500">
                 <i className="ri-notification-line text-xl"></i>
@@ -1,8 +1,9 @@
 import React from "react";
 import { Navigate, useLocation } from "react-router-dom";
 import { useAuth } from "@/contexts/AuthContext";
+import { isKioskActive } from "@/lib/kiosk";
 
-const ProtectedRoute = ({ children, requiredPermission = null }) => {
+const ProtectedRoute = ({ children, requiredPermission = null, allowInKiosk = false }) => {
   const { isAuthenticated, admin, loading } = useAuth();
   const location = useLocation();
 
@@ -23,6 +24,12 @@ const ProtectedRoute = ({ children, requiredPermission = null }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  // A tablet left in kiosk mode stays there until the exit PIN is entered,
+  // whichever admin page is typed into the address bar
+  if (isKioskActive() && !allowInKiosk) {
+    return <Navigate to="/kiosk" replace />;
+  }
+
   // Check permissions if required
   if (requiredPermission && admin) {
     const hasPermission =
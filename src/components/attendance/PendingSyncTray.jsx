@@ -0,0 +1,211 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import { useOfflineSync } from "@/contexts/OfflineSyncContext";
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  syncing: "bg-blue-100 text-blue-800",
+  failed: "bg-red-100 text-red-800",
+  conflict: "bg-orange-100 text-orange-800",
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+// Header tray listing attendance captured offline and waiting to sync
+const PendingSyncTray = () => {
+  const {
+    isOnline,
+    queue,
+    pendingCount,
+    syncing,
+    syncNow,
+    resolveConflict,
+    retryItem,
+    removeItem,
+  } = useOfflineSync();
+  const [open, setOpen] = useState(false);
+  const [resolvingId, setResolvingId] = useState(null);
+
+  if (isOnline && pendingCount === 0) {
+    return null;
+  }
+
+  const handleResolve = async (id, resolution) => {
+    try {
+      setResolvingId(id);
+      const response = await resolveConflict(id, resolution);
+      if (response.success) {
+        toast.success(
+          resolution === "discard"
+            ? "Offline copy discarded"
+            : "Attendance synced"
+        );
+      } else {
+        toast.error(response.message);
+      }
+    } finally {
+      setResolvingId(null);
+    }
+  };
+
+  const handleRemove = async (id) => {
+    if (!confirm("Discard this offline submission? It has not been saved to the server.")) {
+      return;
+    }
+    await removeItem(id);
+  };
+
+  const describe = (item) =>
+    item.type === "check-in"
+      ? `${item.payload.members.length} check-in${
+          item.payload.members.length === 1 ? "" : "s"
+        }`
+      : `${item.payload.totalAttendance} attendees, ${
+          item.payload.members?.length || 0
+        } members`;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`relative inline-flex items-center px-2 py-1 rounded-full text-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 ${
+          isOnline ? "text-yellow-700 bg-yellow-50" : "text-red-700 bg-red-50"
+        }`}
+        title={isOnline ? "Pending sync" : "Offline"}
+      >
+        <i
+          className={`${
+            isOnline ? "ri-upload-cloud-2-line" : "ri-wifi-off-line"
+          } text-lg ${syncing ? "animate-pulse" : ""}`}
+        ></i>
+        <span className="ml-1 hidden sm:inline">
+          {isOnline ? "Pending sync" : "Offline"}
+        </span>
+        {pendingCount > 0 && (
+          <span className="ml-1 inline-flex items-center justify-center h-5 min-w-[1.25rem] px-1 rounded-full bg-red-600 text-white text-xs font-semibold">
+            {pendingCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)}></div>
+          <div className="origin-top-right absolute right-0 mt-2 w-96 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-50">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+              <div>
+                <p className="text-sm font-semibold text-gray-900">Pending Sync</p>
+                <p className="text-xs text-gray-500">
+                  {isOnline
+                    ? "Saved on this device, uploading to the server"
+                    : "You are offline. Submissions are kept on this device."}
+                </p>
+              </div>
+              <button
+                onClick={syncNow}
+                disabled={!isOnline || syncing || pendingCount === 0}
+                className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <i className={`ri-refresh-line mr-1 ${syncing ? "animate-spin" : ""}`}></i>
+                {syncing ? "Syncing..." : "Sync now"}
+              </button>
+            </div>
+
+            <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {queue.length === 0 && (
+                <p className="px-4 py-6 text-sm text-center text-gray-500">
+                  Nothing waiting to sync.
+                </p>
+              )}
+              {queue.map((item) => (
+                <div key={item.id} className="px-4 py-3">
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {item.payload.serviceType}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {formatDate(item.payload.date)} • {describe(item)}
+                      </p>
+                    </div>
+                    <span
+                      className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full capitalize ${
+                        STATUS_STYLES[item.status] || STATUS_STYLES.pending
+                      }`}
+                    >
+                      {item.status}
+                    </span>
+                  </div>
+
+                  {item.status === "failed" && (
+                    <div className="mt-2">
+                      <p className="text-xs text-red-600">{item.lastError}</p>
+                      <div className="flex space-x-2 mt-2">
+                        <button
+                          onClick={() => retryItem(item.id)}
+                          className="text-xs text-blue-600 hover:text-blue-800"
+                        >
+                          Retry
+                        </button>
+                        <button
+                          onClick={() => handleRemove(item.id)}
+                          className="text-xs text-red-600 hover:text-red-800"
+                        >
+                          Discard
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {item.status === "conflict" && (
+                    <div className="mt-2 p-2 bg-orange-50 rounded-lg">
+                      <p className="text-xs text-orange-800">
+                        A record for this service already exists
+                        {item.conflict
+                          ? ` (${item.conflict.totalAttendance} attendees, ${
+                              item.conflict.members?.length || 0
+                            } members)`
+                          : ""}
+                        .
+                      </p>
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        <button
+                          onClick={() => handleResolve(item.id, "merge")}
+                          disabled={resolvingId === item.id}
+                          className="px-2 py-1 text-xs rounded bg-white border border-orange-200 text-orange-800 hover:bg-orange-100 disabled:opacity-50"
+                        >
+                          Add my members
+                        </button>
+                        <button
+                          onClick={() => handleResolve(item.id, "overwrite")}
+                          disabled={resolvingId === item.id}
+                          className="px-2 py-1 text-xs rounded bg-white border border-orange-200 text-orange-800 hover:bg-orange-100 disabled:opacity-50"
+                        >
+                          Replace with mine
+                        </button>
+                        <button
+                          onClick={() => handleResolve(item.id, "discard")}
+                          disabled={resolvingId === item.id}
+                          className="px-2 py-1 text-xs rounded bg-white border border-gray-200 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+                        >
+                          Discard mine
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PendingSyncTray;
@@ -0,0 +1,131 @@
+import React, { useEffect, useRef, useState } from "react";
+import jsQR from "jsqr";
+
+const SCAN_INTERVAL = 250;
+// A card held in front of the camera is read many times a second
+const REPEAT_DELAY = 3000;
+
+// Camera QR reader. Uses the native BarcodeDetector where the browser has it
+// and falls back to jsQR on a canvas frame. Calls onScan with the raw text.
+// facingMode is "environment" (the back camera) for ushers pointing a phone at
+// a card, or "user" for a kiosk screen facing the member.
+const QrScanner = ({ onScan, paused = false, facingMode = "environment", className = "" }) => {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  const pausedRef = useRef(paused);
+  const [error, setError] = useState("");
+
+  onScanRef.current = onScan;
+  pausedRef.current = paused;
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let cancelled = false;
+    let detector = null;
+    let lastText = "";
+    let lastReadAt = 0;
+
+    if ("BarcodeDetector" in window) {
+      try {
+        detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+      } catch {
+        detector = null;
+      }
+    }
+
+    const readFrame = async () => {
+      const video = videoRef.current;
+      if (!video || video.readyState < 2) return null;
+
+      if (detector) {
+        const codes = await detector.detect(video);
+        return codes[0]?.rawValue || null;
+      }
+
+      const canvas = canvasRef.current;
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      const context = canvas.getContext("2d", { willReadFrequently: true });
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const image = context.getImageData(0, 0, canvas.width, canvas.height);
+      const code = jsQR(image.data, image.width, image.height, {
+        inversionAttempts: "dontInvert",
+      });
+      return code?.data || null;
+    };
+
+    const tick = async () => {
+      if (cancelled) return;
+      if (!pausedRef.current) {
+        try {
+          const text = await readFrame();
+          const now = Date.now();
+          if (text && !cancelled && (text !== lastText || now - lastReadAt > REPEAT_DELAY)) {
+            onScanRef.current(text);
+          }
+          if (text) {
+            lastText = text;
+            lastReadAt = now;
+          }
+        } catch (err) {
+          console.error("Error reading QR code:", err);
+        }
+      }
+      timer = setTimeout(tick, SCAN_INTERVAL);
+    };
+
+    const start = async () => {
+      if (!navigator.mediaDevices?.getUserMedia) {
+        setError("Camera is not available on this device");
+        return;
+      }
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode },
+          audio: false,
+        });
+        if (cancelled) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        tick();
+      } catch (err) {
+        console.error("Error starting camera:", err);
+        setError("Could not access the camera. Check the browser permissions.");
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, [facingMode]);
+
+  if (error) {
+    return (
+      <div className={`flex flex-col items-center justify-center bg-gray-100 rounded-lg p-6 text-center ${className}`}>
+        <i className="ri-camera-off-line text-4xl text-gray-400"></i>
+        <p className="mt-2 text-sm text-gray-600">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`relative overflow-hidden rounded-lg bg-black ${className}`}>
+      <video ref={videoRef} className="w-full h-full object-cover" muted playsInline></video>
+      <canvas ref={canvasRef} className="hidden"></canvas>
+      <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+        <div className="w-2/3 aspect-square border-4 border-white border-opacity-70 rounded-lg"></div>
+      </div>
+    </div>
+  );
+};
+
+export default QrScanner;
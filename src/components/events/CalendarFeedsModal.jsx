@@ -0,0 +1,130 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import { eventsAPI } from "@/Services/eventsAPI";
+import { EVENT_CATEGORIES, getCategoryColors } from "@/lib/eventCategories";
+import { downloadCalendar } from "@/lib/ics";
+
+// iCalendar export of the current list, per-category feed files and a link to import
+const CalendarFeedsModal = ({ filters, onClose }) => {
+  const [busy, setBusy] = useState(null);
+
+  const download = async (key, eventFilters, options, keepCancelled = false) => {
+    try {
+      setBusy(key);
+      const response = await eventsAPI.getAllEvents(eventFilters);
+      if (!response.success) {
+        toast.error(response.message);
+        return;
+      }
+
+      const events = keepCancelled
+        ? response.data
+        : response.data.filter((event) => event.status !== "cancelled");
+      if (events.length === 0) {
+        toast.info("There are no events to export");
+        return;
+      }
+
+      downloadCalendar(events, options);
+      toast.success(`${events.length} event${events.length === 1 ? "" : "s"} exported`);
+    } catch (error) {
+      console.error("Error exporting calendar:", error);
+      toast.error("Failed to export calendar");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleExportList = () =>
+    download(
+      "list",
+      { status: filters.status, category: filters.category, search: filters.search },
+      { name: filters.category !== "all" ? `RCCG LCC ${filters.category}` : "RCCG LCC Events" },
+      filters.status === "cancelled"
+    );
+
+  const handleFeed = (category) =>
+    download(
+      category || "all",
+      category ? { category } : {},
+      { name: category ? `RCCG LCC ${category}` : "RCCG LCC Events", feed: true }
+    );
+
+  const renderButton = (key, onClick, label = "Download") => (
+    <button
+      onClick={onClick}
+      disabled={busy !== null}
+      className="inline-flex items-center px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors"
+    >
+      <i className={`${busy === key ? "ri-loader-4-line animate-spin" : "ri-download-line"} mr-1`}></i>
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-lg shadow-lg rounded-md bg-white">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">
+            <i className="ri-calendar-2-line mr-2"></i>
+            Phone Calendars (.ics)
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <i className="ri-close-line text-xl"></i>
+          </button>
+        </div>
+
+        <div className="space-y-6">
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900">Current list</h4>
+            <div className="flex items-center justify-between mt-2">
+              <p className="text-sm text-gray-600">
+                Events matching the filters on this page
+                {filters.category !== "all" && ` • ${filters.category}`}
+                {filters.status !== "all" && ` • ${filters.status}`}
+              </p>
+              {renderButton("list", handleExportList)}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900">Category feeds</h4>
+            <p className="text-xs text-gray-500 mt-1">
+              Share these files so members can add them to Google, Apple or Outlook calendars. Recurring events
+              keep their repeat rules; cancelled events are left out.
+            </p>
+            <ul className="mt-3 divide-y divide-gray-100 border rounded-lg">
+              <li className="flex items-center justify-between px-3 py-2">
+                <span className="text-sm font-medium text-gray-900">All events</span>
+                {renderButton("all", () => handleFeed(null))}
+              </li>
+              {EVENT_CATEGORIES.map((category) => (
+                <li key={category} className="flex items-center justify-between px-3 py-2">
+                  <span className="flex items-center text-sm text-gray-700">
+                    <span className={`w-2 h-2 rounded-full mr-2 ${getCategoryColors(category).dot}`}></span>
+                    {category}
+                  </span>
+                  {renderButton(category, () => handleFeed(category))}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="flex items-center justify-between p-3 bg-blue-50 rounded-lg">
+            <p className="text-sm text-blue-700">Have events in another calendar?</p>
+            <Link
+              to="/events/import"
+              className="inline-flex items-center px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              <i className="ri-upload-2-line mr-1"></i>
+              Import .ics
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedsModal;
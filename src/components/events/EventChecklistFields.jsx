@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+
+// Things to get ready before an event. Items are { id, text, done }; the
+// tick boxes are hidden when planning a new event or editing a template.
+const EventChecklistFields = ({ items, onChange, showDone = false }) => {
+  const [text, setText] = useState("");
+
+  const handleAdd = () => {
+    const value = text.trim();
+    if (!value) return;
+    onChange([...items, { id: `${Date.now()}`, text: value, done: false }]);
+    setText("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      handleAdd();
+    }
+  };
+
+  return (
+    <div>
+      {items.length > 0 && (
+        <ul className="space-y-2 mb-3">
+          {items.map((item) => (
+            <li key={item.id} className="flex items-center justify-between px-3 py-2 bg-gray-50 rounded-lg">
+              <label className="flex items-center text-sm text-gray-900">
+                {showDone && (
+                  <input
+                    type="checkbox"
+                    checked={item.done}
+                    onChange={() =>
+                      onChange(items.map((other) => (other.id === item.id ? { ...other, done: !other.done } : other)))
+                    }
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                  />
+                )}
+                <span className={showDone && item.done ? "line-through text-gray-500" : ""}>{item.text}</span>
+              </label>
+              <button
+                type="button"
+                onClick={() => onChange(items.filter((other) => other.id !== item.id))}
+                className="text-gray-400 hover:text-red-600"
+                title="Remove"
+              >
+                <i className="ri-close-line"></i>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          placeholder="e.g., Book the sound engineer, and press Enter"
+        />
+        <button
+          type="button"
+          onClick={handleAdd}
+          className="px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 transition-colors"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EventChecklistFields;
@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+
+const EMPTY_ROLE = { name: "", department: "", needed: 1 };
+
+// Volunteer roles an event needs, { name, department, needed }. They are put
+// on the rota for the event once it is saved.
+const EventRolesFields = ({ roles, departments = [], onChange }) => {
+  const [role, setRole] = useState(EMPTY_ROLE);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setRole((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAdd = () => {
+    if (!role.name.trim() || !role.department.trim()) return;
+    onChange([
+      ...roles,
+      { name: role.name.trim(), department: role.department.trim(), needed: Math.max(1, parseInt(role.needed) || 1) },
+    ]);
+    setRole((prev) => ({ ...EMPTY_ROLE, department: prev.department }));
+  };
+
+  return (
+    <div>
+      {roles.length > 0 && (
+        <ul className="space-y-2 mb-3">
+          {roles.map((r, index) => (
+            <li key={`${r.department}-${r.name}-${index}`} className="flex items-center justify-between px-3 py-2 bg-gray-50 rounded-lg">
+              <span className="text-sm text-gray-900">
+                {r.name}
+                <span className="text-gray-500">
+                  {" "}
+                  • {r.department} • {r.needed || 1} needed
+                </span>
+              </span>
+              <button
+                type="button"
+                onClick={() => onChange(roles.filter((_, other) => other !== index))}
+                className="text-gray-400 hover:text-red-600"
+                title="Remove"
+              >
+                <i className="ri-close-line"></i>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+        <input
+          type="text"
+          name="name"
+          value={role.name}
+          onChange={handleChange}
+          placeholder="Role, e.g., Door Usher"
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <input
+          type="text"
+          name="department"
+          list="event-role-departments"
+          value={role.department}
+          onChange={handleChange}
+          placeholder="Department"
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <datalist id="event-role-departments">
+          {departments.map((department) => (
+            <option key={department} value={department} />
+          ))}
+        </datalist>
+        <input
+          type="number"
+          name="needed"
+          min="1"
+          value={role.needed}
+          onChange={handleChange}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!role.name.trim() || !role.department.trim()}
+          className="px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 disabled:opacity-50 transition-colors"
+        >
+          Add Role
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EventRolesFields;
@@ -0,0 +1,392 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import { eventsAPI } from "@/Services/eventsAPI";
+import { EVENT_CATEGORIES, getCategoryColors } from "@/lib/eventCategories";
+import {
+  toDateKey,
+  parseDateKey,
+  addDays,
+  expandEvents,
+  formatDateKey,
+} from "@/lib/recurrence";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const AGENDA_DAYS = 30;
+
+const formatTime = (timeString) => {
+  if (!timeString) return "";
+  return new Date(`2000-01-01T${timeString}`).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+};
+
+const startOfWeek = (key) => addDays(key, -parseDateKey(key).getDay());
+
+// Visible date range for the current mode
+const getRange = (mode, cursor) => {
+  if (mode === "week") {
+    const start = startOfWeek(cursor);
+    return { start, end: addDays(start, 6) };
+  }
+  if (mode === "agenda") {
+    return { start: cursor, end: addDays(cursor, AGENDA_DAYS - 1) };
+  }
+  const first = parseDateKey(cursor);
+  first.setDate(1);
+  const start = startOfWeek(toDateKey(first));
+  return { start, end: addDays(start, 41) };
+};
+
+const getTitle = (mode, cursor, range) => {
+  const date = parseDateKey(cursor);
+  if (mode === "month") {
+    return date.toLocaleDateString("en-US", { month: "long", year: "numeric" });
+  }
+  const from = parseDateKey(range.start).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+  const to = parseDateKey(range.end).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+  return `${from} – ${to}`;
+};
+
+// Month / week / agenda calendar for EventsManagement
+const EventsCalendar = ({ category = "all", onEventClick }) => {
+  const navigate = useNavigate();
+  const today = toDateKey(new Date());
+  const [mode, setMode] = useState("month");
+  const [cursor, setCursor] = useState(today);
+  const [occurrences, setOccurrences] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [dragOverDay, setDragOverDay] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const range = getRange(mode, cursor);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [range.start, range.end, category, refreshKey]);
+
+  useEffect(() => {
+    const handleRefresh = () => setRefreshKey((key) => key + 1);
+    window.addEventListener("refresh-events", handleRefresh);
+    return () => window.removeEventListener("refresh-events", handleRefresh);
+  }, []);
+
+  const fetchEvents = async () => {
+    try {
+      setLoading(true);
+      const response = await eventsAPI.getEventsByDateRange(range.start, range.end);
+
+      if (response.success) {
+        const events = response.data.filter(
+          (event) => event.status !== "cancelled" && (category === "all" || event.category === category)
+        );
+        setOccurrences(expandEvents(events, range.start, range.end));
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error("Error fetching calendar events:", error);
+      toast.error("Failed to load calendar");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const byDay = occurrences.reduce((days, occurrence) => {
+    (days[occurrence.occurrenceDate] = days[occurrence.occurrenceDate] || []).push(occurrence);
+    return days;
+  }, {});
+
+  const move = (direction) => {
+    if (mode === "month") {
+      const date = parseDateKey(cursor);
+      date.setDate(1);
+      date.setMonth(date.getMonth() + direction);
+      setCursor(toDateKey(date));
+    } else {
+      setCursor(addDays(cursor, direction * (mode === "week" ? 7 : AGENDA_DAYS)));
+    }
+  };
+
+  const handleDayClick = (day) => {
+    navigate(`/events/new?date=${day}`);
+  };
+
+  const handleDrop = async (e, day) => {
+    e.preventDefault();
+    setDragOverDay(null);
+
+    let dragged;
+    try {
+      dragged = JSON.parse(e.dataTransfer.getData("application/json"));
+    } catch {
+      return;
+    }
+    if (!dragged || dragged.occurrenceDate === day) return;
+
+    let response;
+    if (dragged.isRecurring) {
+      // Only the dragged occurrence moves; the rest of the series stays put
+      if (!confirm(`Move only the ${formatDateKey(dragged.occurrenceDate)} occurrence of "${dragged.title}"?`)) {
+        return;
+      }
+      const series = occurrences.find((occurrence) => occurrence.seriesId === dragged.seriesId);
+      response = await eventsAPI.updateOccurrence(
+        { ...series, date: series.seriesStart },
+        dragged.occurrenceDate,
+        { date: day }
+      );
+    } else {
+      response = await eventsAPI.updateEvent(dragged.seriesId, { date: day });
+    }
+
+    if (response.success) {
+      toast.success(`"${dragged.title}" moved to ${parseDateKey(day).toLocaleDateString("en-US", {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+      })}`);
+      setRefreshKey((key) => key + 1);
+    } else {
+      toast.error(response.message);
+    }
+  };
+
+  const dayDropProps = (day) => ({
+    onDragOver: (e) => {
+      e.preventDefault();
+      setDragOverDay(day);
+    },
+    onDragLeave: () => setDragOverDay(null),
+    onDrop: (e) => handleDrop(e, day),
+  });
+
+  const renderChip = (occurrence, showTime = true) => {
+    const colors = getCategoryColors(occurrence.category);
+    return (
+      <button
+        key={`${occurrence.seriesId}-${occurrence.occurrenceDate}`}
+        draggable
+        onDragStart={(e) => {
+          e.stopPropagation();
+          e.dataTransfer.setData(
+            "application/json",
+            JSON.stringify({
+              seriesId: occurrence.seriesId,
+              title: occurrence.title,
+              occurrenceDate: occurrence.occurrenceDate,
+              isRecurring: Boolean(occurrence.isRecurring),
+            })
+          );
+        }}
+        onClick={(e) => {
+          e.stopPropagation();
+          onEventClick(occurrence.seriesId, occurrence.occurrenceDate);
+        }}
+        title={`${occurrence.title}${occurrence.time ? ` • ${formatTime(occurrence.time)}` : ""}`}
+        className={`w-full text-left px-1.5 py-0.5 rounded border text-xs truncate cursor-grab ${colors.chip}`}
+      >
+        {occurrence.isRecurring && <i className="ri-repeat-line mr-1"></i>}
+        {showTime && occurrence.time && <span className="font-medium mr-1">{formatTime(occurrence.time)}</span>}
+        {occurrence.title}
+      </button>
+    );
+  };
+
+  const renderMonth = () => {
+    const days = Array.from({ length: 42 }, (_, i) => addDays(range.start, i));
+    const month = parseDateKey(cursor).getMonth();
+    return (
+      <div className="grid grid-cols-7 border-t border-l border-gray-200">
+        {WEEKDAYS.map((weekday) => (
+          <div
+            key={weekday}
+            className="px-2 py-2 text-xs font-medium text-gray-500 uppercase text-center bg-gray-50 border-r border-b border-gray-200"
+          >
+            {weekday}
+          </div>
+        ))}
+        {days.map((day) => {
+          const dayEvents = byDay[day] || [];
+          const inMonth = parseDateKey(day).getMonth() === month;
+          return (
+            <div
+              key={day}
+              onClick={() => handleDayClick(day)}
+              {...dayDropProps(day)}
+              className={`min-h-[6.5rem] p-1 border-r border-b border-gray-200 cursor-pointer transition-colors ${
+                dragOverDay === day ? "bg-blue-50" : inMonth ? "bg-white hover:bg-gray-50" : "bg-gray-50"
+              }`}
+            >
+              <div
+                className={`text-xs mb-1 w-6 h-6 flex items-center justify-center rounded-full ${
+                  day === today ? "bg-blue-600 text-white" : inMonth ? "text-gray-900" : "text-gray-400"
+                }`}
+              >
+                {parseDateKey(day).getDate()}
+              </div>
+              <div className="space-y-1">
+                {dayEvents.slice(0, 3).map((occurrence) => renderChip(occurrence))}
+                {dayEvents.length > 3 && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setMode("agenda");
+                      setCursor(day);
+                    }}
+                    className="text-xs text-blue-600 hover:text-blue-800"
+                  >
+                    +{dayEvents.length - 3} more
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  const renderWeek = () => {
+    const days = Array.from({ length: 7 }, (_, i) => addDays(range.start, i));
+    return (
+      <div className="grid grid-cols-7 border-t border-l border-gray-200">
+        {days.map((day) => (
+          <div
+            key={day}
+            onClick={() => handleDayClick(day)}
+            {...dayDropProps(day)}
+            className={`min-h-[20rem] border-r border-b border-gray-200 cursor-pointer transition-colors ${
+              dragOverDay === day ? "bg-blue-50" : "bg-white hover:bg-gray-50"
+            }`}
+          >
+            <div className={`px-2 py-2 text-center border-b border-gray-200 ${day === today ? "bg-blue-50" : "bg-gray-50"}`}>
+              <p className="text-xs font-medium text-gray-500 uppercase">{WEEKDAYS[parseDateKey(day).getDay()]}</p>
+              <p className={`text-lg font-semibold ${day === today ? "text-blue-600" : "text-gray-900"}`}>
+                {parseDateKey(day).getDate()}
+              </p>
+            </div>
+            <div className="p-1 space-y-1">{(byDay[day] || []).map((occurrence) => renderChip(occurrence))}</div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderAgenda = () => {
+    const days = Object.keys(byDay).sort();
+    if (days.length === 0) {
+      return (
+        <div className="text-center py-12">
+          <i className="ri-calendar-line text-4xl text-gray-400"></i>
+          <p className="text-gray-500 mt-2">No events in the next {AGENDA_DAYS} days</p>
+        </div>
+      );
+    }
+    return (
+      <div className="divide-y divide-gray-200">
+        {days.map((day) => (
+          <div key={day} className="flex py-3">
+            <div className="w-28 flex-shrink-0">
+              <p className={`text-sm font-semibold ${day === today ? "text-blue-600" : "text-gray-900"}`}>
+                {parseDateKey(day).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" })}
+              </p>
+            </div>
+            <div className="flex-1 space-y-2">
+              {byDay[day].map((occurrence) => {
+                const colors = getCategoryColors(occurrence.category);
+                return (
+                  <button
+                    key={`${occurrence.seriesId}-${occurrence.occurrenceDate}`}
+                    onClick={() => onEventClick(occurrence.seriesId, occurrence.occurrenceDate)}
+                    className="w-full flex items-center text-left hover:bg-gray-50 rounded-lg px-2 py-1"
+                  >
+                    <span className={`w-2 h-2 rounded-full mr-3 flex-shrink-0 ${colors.dot}`}></span>
+                    <span className="w-32 text-sm text-gray-600 flex-shrink-0">
+                      {occurrence.time
+                        ? `${formatTime(occurrence.time)}${occurrence.endTime ? ` – ${formatTime(occurrence.endTime)}` : ""}`
+                        : "All day"}
+                    </span>
+                    <span className="text-sm font-medium text-gray-900">{occurrence.title}</span>
+                    {occurrence.isRecurring && <i className="ri-repeat-line ml-2 text-gray-400"></i>}
+                    <span className="ml-auto text-xs text-gray-500 truncate">{occurrence.location}</span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border">
+      {/* Toolbar */}
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => move(-1)}
+            className="p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-left-s-line"></i>
+          </button>
+          <button
+            onClick={() => setCursor(today)}
+            className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => move(1)}
+            className="p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-right-s-line"></i>
+          </button>
+          <h2 className="ml-2 text-lg font-semibold text-gray-900">{getTitle(mode, cursor, range)}</h2>
+          {loading && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600 ml-2"></div>}
+        </div>
+        <div className="inline-flex p-1 bg-gray-100 rounded-lg">
+          {["month", "week", "agenda"].map((option) => (
+            <button
+              key={option}
+              onClick={() => setMode(option)}
+              className={`px-3 py-1 text-sm rounded-md capitalize transition-colors ${
+                mode === option ? "bg-white text-blue-600 shadow-sm" : "text-gray-600 hover:text-gray-900"
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="p-4">
+        {mode === "month" && renderMonth()}
+        {mode === "week" && renderWeek()}
+        {mode === "agenda" && renderAgenda()}
+      </div>
+
+      {/* Legend */}
+      <div className="px-6 py-3 border-t border-gray-200 flex flex-wrap gap-x-4 gap-y-1">
+        {EVENT_CATEGORIES.map((name) => (
+          <span key={name} className="inline-flex items-center text-xs text-gray-600">
+            <span className={`w-2 h-2 rounded-full mr-1 ${getCategoryColors(name).dot}`}></span>
+            {name}
+          </span>
+        ))}
+        <span className="inline-flex items-center text-xs text-gray-500 ml-auto">
+          Drag an event to reschedule • Click a day to add an event
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default EventsCalendar;
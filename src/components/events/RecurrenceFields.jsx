@@ -0,0 +1,237 @@
+import React, { useState } from "react";
+import {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAY_NAMES,
+  ORDINALS,
+  weekOfMonth,
+  isLastWeekOfMonth,
+  parseDateKey,
+  describeRecurrence,
+  nextOccurrences,
+  formatDateKey,
+} from "@/lib/recurrence";
+
+const inputClass =
+  "px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500";
+
+// Repeat rule, end condition and skipped dates for NewEvent / EditEvent
+const RecurrenceFields = ({ date, rule, exceptionDates = [], error, onRuleChange, onExceptionDatesChange }) => {
+  const [skipDate, setSkipDate] = useState("");
+
+  if (!rule) return null;
+
+  const frequency = RECURRENCE_FREQUENCIES.find((f) => f.value === rule.frequency);
+  const weekday = date ? WEEKDAY_NAMES[parseDateKey(date).getDay()] : "";
+  const preview = date
+    ? nextOccurrences(
+        { id: "preview", date, isRecurring: true, recurrenceRule: rule, exceptionDates },
+        date,
+        4
+      )
+    : [];
+
+  const update = (changes) => onRuleChange({ ...rule, ...changes });
+
+  const toggleWeekday = (day) => {
+    const weekdays = rule.weekdays.includes(day)
+      ? rule.weekdays.filter((d) => d !== day)
+      : [...rule.weekdays, day].sort((a, b) => a - b);
+    update({ weekdays });
+  };
+
+  const handleAddSkipDate = () => {
+    if (!skipDate || exceptionDates.includes(skipDate)) return;
+    onExceptionDatesChange([...exceptionDates, skipDate].sort());
+    setSkipDate("");
+  };
+
+  return (
+    <div className="space-y-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Repeats *</label>
+          <select
+            value={rule.frequency}
+            onChange={(e) => update({ frequency: e.target.value })}
+            className={`w-full ${inputClass}`}
+          >
+            {RECURRENCE_FREQUENCIES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Every</label>
+          <div className="flex items-center space-x-2">
+            <input
+              type="number"
+              min="1"
+              max="99"
+              value={rule.interval}
+              onChange={(e) => update({ interval: e.target.value })}
+              className={`w-24 ${inputClass}`}
+            />
+            <span className="text-sm text-gray-600">
+              {frequency?.unit}
+              {parseInt(rule.interval) === 1 ? "" : "s"}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {rule.frequency === "weekly" && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">On</label>
+          <div className="flex flex-wrap gap-2">
+            {WEEKDAY_NAMES.map((name, day) => (
+              <button
+                key={name}
+                type="button"
+                onClick={() => toggleWeekday(day)}
+                className={`w-12 py-1 text-sm rounded-lg border transition-colors ${
+                  rule.weekdays.includes(day)
+                    ? "bg-blue-600 text-white border-blue-600"
+                    : "bg-white text-gray-700 border-gray-300 hover:bg-gray-100"
+                }`}
+              >
+                {name.slice(0, 3)}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {rule.frequency === "monthly" && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">On</label>
+          {date ? (
+            <select
+              value={rule.monthlyBy}
+              onChange={(e) => update({ monthlyBy: e.target.value })}
+              className={`w-full ${inputClass}`}
+            >
+              <option value="day">Day {parseDateKey(date).getDate()} of the month</option>
+              <option value="weekday">
+                The {ORDINALS[weekOfMonth(date)]} {weekday} of the month
+              </option>
+              {isLastWeekOfMonth(date) && <option value="lastWeekday">The last {weekday} of the month</option>}
+            </select>
+          ) : (
+            <p className="text-sm text-gray-500">Choose the event date first</p>
+          )}
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Ends</label>
+        <div className="space-y-2">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="radio"
+              checked={rule.ends === "never"}
+              onChange={() => update({ ends: "never" })}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 mr-2"
+            />
+            Never
+          </label>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="radio"
+              checked={rule.ends === "until"}
+              onChange={() => update({ ends: "until" })}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 mr-2"
+            />
+            <span className="w-16">On</span>
+            <input
+              type="date"
+              value={rule.until}
+              min={date || undefined}
+              onChange={(e) => update({ ends: "until", until: e.target.value })}
+              className={`text-sm ${inputClass}`}
+            />
+          </label>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="radio"
+              checked={rule.ends === "count"}
+              onChange={() => update({ ends: "count" })}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 mr-2"
+            />
+            <span className="w-16">After</span>
+            <input
+              type="number"
+              min="1"
+              value={rule.count}
+              onChange={(e) => update({ ends: "count", count: e.target.value })}
+              className={`w-24 text-sm ${inputClass}`}
+            />
+            <span className="ml-2">occurrences</span>
+          </label>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Skip dates</label>
+        <div className="flex items-center space-x-2">
+          <input
+            type="date"
+            value={skipDate}
+            min={date || undefined}
+            onChange={(e) => setSkipDate(e.target.value)}
+            className={`text-sm ${inputClass}`}
+          />
+          <button
+            type="button"
+            onClick={handleAddSkipDate}
+            disabled={!skipDate}
+            className="px-3 py-2 bg-gray-200 text-gray-700 text-sm rounded-lg hover:bg-gray-300 disabled:opacity-50 transition-colors"
+          >
+            Skip
+          </button>
+        </div>
+        {exceptionDates.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-2">
+            {exceptionDates.map((key) => (
+              <span
+                key={key}
+                className="inline-flex items-center px-2 py-1 text-xs font-medium bg-red-50 text-red-700 rounded-full"
+              >
+                {formatDateKey(key)}
+                <button
+                  type="button"
+                  onClick={() => onExceptionDatesChange(exceptionDates.filter((d) => d !== key))}
+                  className="ml-1 text-red-500 hover:text-red-700"
+                >
+                  <i className="ri-close-line"></i>
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {error ? (
+        <p className="text-sm text-red-600 flex items-center">
+          <i className="ri-error-warning-line mr-1"></i>
+          {error}
+        </p>
+      ) : (
+        date && (
+          <div className="text-sm text-gray-600">
+            <p className="font-medium text-gray-900">
+              <i className="ri-repeat-line mr-1"></i>
+              {describeRecurrence(rule, date)}
+            </p>
+            {preview.length > 0 && (
+              <p className="mt-1">Next: {preview.map((o) => formatDateKey(o.occurrenceDate)).join(" • ")}</p>
+            )}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceFields;
@@ -0,0 +1,110 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { RESOURCE_TYPES } from "@/Services/resourcesAPI";
+import { describeConflict } from "@/lib/resourceBookings";
+
+const TYPE_ICONS = {
+  Room: "ri-door-open-line",
+  Equipment: "ri-mic-line",
+  Vehicle: "ri-bus-line",
+};
+
+// Shown clashes; a weekly series can clash on dozens of dates
+const MAX_LISTED = 5;
+
+// Rooms and equipment picker for the event forms, with the bookings the
+// chosen date/time clashes with
+const ResourceBookingFields = ({ resources, selectedIds, conflicts, onChange }) => {
+  const selected = new Set(selectedIds.map(String));
+  const clashing = new Set(conflicts.flatMap((conflict) => conflict.resourceIds));
+
+  const toggle = (resource) => {
+    const id = String(resource.id);
+    onChange(
+      selected.has(id)
+        ? selectedIds.filter((other) => String(other) !== id)
+        : [...selectedIds, resource.id],
+      resource
+    );
+  };
+
+  // Retired resources stay visible while an event still books them
+  const available = resources.filter((resource) => resource.isActive !== false || selected.has(String(resource.id)));
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm border">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Rooms & Equipment</h2>
+        <Link to="/events/resources" className="text-sm text-blue-600 hover:text-blue-900">
+          Manage
+        </Link>
+      </div>
+
+      {available.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          No rooms or equipment have been added yet.{" "}
+          <Link to="/events/resources" className="text-blue-600 hover:text-blue-900">
+            Add them
+          </Link>{" "}
+          to book them for events.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {RESOURCE_TYPES.map((type) => {
+            const ofType = available.filter((resource) => resource.type === type);
+            if (ofType.length === 0) return null;
+            return (
+              <div key={type}>
+                <p className="text-sm font-medium text-gray-700 mb-2">
+                  <i className={`${TYPE_ICONS[type]} mr-1`}></i>
+                  {type === "Equipment" ? type : `${type}s`}
+                </p>
+                <div className="flex flex-wrap gap-2">
+                  {ofType.map((resource) => {
+                    const id = String(resource.id);
+                    const isSelected = selected.has(id);
+                    return (
+                      <button
+                        key={resource.id}
+                        type="button"
+                        onClick={() => toggle(resource)}
+                        className={`inline-flex items-center px-3 py-1 text-sm rounded-full border transition-colors ${
+                          isSelected && clashing.has(id)
+                            ? "bg-red-100 text-red-800 border-red-300"
+                            : isSelected
+                              ? "bg-blue-100 text-blue-800 border-blue-300"
+                              : "bg-white text-gray-700 border-gray-300 hover:bg-gray-50"
+                        }`}
+                      >
+                        <i className={`${isSelected ? "ri-checkbox-circle-fill" : "ri-checkbox-blank-circle-line"} mr-1`}></i>
+                        {resource.name}
+                        {resource.capacity && <span className="ml-1 text-xs opacity-75">({resource.capacity})</span>}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm font-medium text-red-800 mb-2">
+            <i className="ri-error-warning-line mr-1"></i>
+            Booking clash{conflicts.length === 1 ? "" : `es on ${new Set(conflicts.map((c) => c.date)).size} dates`}
+          </p>
+          <ul className="text-sm text-red-700 space-y-1">
+            {conflicts.slice(0, MAX_LISTED).map((conflict) => (
+              <li key={`${conflict.event.id}-${conflict.date}`}>{describeConflict(conflict, resources)}</li>
+            ))}
+            {conflicts.length > MAX_LISTED && <li>...and {conflicts.length - MAX_LISTED} more</li>}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResourceBookingFields;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { HOUSEHOLD_ROLES } from '@/Services/householdsAPI';
+import { findHousehold } from '@/lib/households';
+
+// Household picker shared by the New/Edit member forms
+const HouseholdSection = ({ value, households, onChange, error }) => {
+  const selected = findHousehold(households, value.householdId);
+
+  const handleChange = (e) => {
+    const { name, value: fieldValue, type, checked } = e.target;
+    onChange({
+      ...value,
+      [name]: type === 'checkbox' ? checked : fieldValue,
+      // A different household's contact details must be chosen again
+      ...(name === 'householdId' && { useSharedContact: false })
+    });
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-sm border">
+      <h2 className="text-lg font-semibold text-gray-900 mb-1">Household</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Link spouses, children and dependants into one family unit
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Family
+          </label>
+          <select
+            name="householdId"
+            value={value.householdId}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Not linked to a household</option>
+            {households.map(household => (
+              <option key={household.id} value={household.id}>{household.name}</option>
+            ))}
+            <option value="new">+ Create new household</option>
+          </select>
+        </div>
+
+        {value.householdId && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Role in Household
+            </label>
+            <select
+              name="role"
+              value={value.role}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">Select role</option>
+              {HOUSEHOLD_ROLES.map(role => (
+                <option key={role} value={role}>
+                  {role === 'Head' ? 'Head of Household' : role}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {value.householdId === 'new' && (
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Household Name *
+            </label>
+            <input
+              type="text"
+              name="name"
+              value={value.name}
+              onChange={handleChange}
+              className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+                error ? 'border-red-300' : 'border-gray-300'
+              }`}
+              placeholder="e.g., The Adeyemi Family"
+            />
+            {error && (
+              <p className="mt-1 text-sm text-red-600 flex items-center">
+                <i className="ri-error-warning-line mr-1"></i>
+                {error}
+              </p>
+            )}
+            <p className="mt-1 text-xs text-gray-500">
+              This member's address and phone become the household's shared contact.
+            </p>
+          </div>
+        )}
+
+        {selected && (
+          <div className="md:col-span-2">
+            <label className="inline-flex items-center">
+              <input
+                type="checkbox"
+                name="useSharedContact"
+                checked={value.useSharedContact}
+                onChange={handleChange}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <span className="ml-2 text-sm text-gray-700">
+                Use household address and phone
+              </span>
+            </label>
+            {value.useSharedContact && (
+              <div className="mt-2 p-3 bg-blue-50 rounded-lg text-sm text-blue-700">
+                <p><i className="ri-map-pin-line mr-2"></i>{selected.address || 'No shared address'}</p>
+                <p><i className="ri-phone-line mr-2"></i>{selected.phone || 'No shared phone'}</p>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HouseholdSection;
@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from "react";
+import { attendanceAPI } from "@/Services/attendanceAPI";
+import { buildMemberHistory } from "@/lib/attendanceHistory";
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      })
+    : "—";
+
+const rateColor = (rate) =>
+  rate >= 75 ? "bg-green-500" : rate >= 40 ? "bg-yellow-500" : "bg-red-500";
+
+// Attendance tab of the member detail view
+const MemberAttendanceHistory = ({ member }) => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [showAll, setShowAll] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        setError("");
+        const response = await attendanceAPI.getAllAttendanceRecords(
+          member.membershipDate ? { startDate: String(member.membershipDate).slice(0, 10) } : {}
+        );
+        if (cancelled) return;
+        if (response.success) {
+          setHistory(buildMemberHistory(response.data, member));
+        } else {
+          setError(response.message);
+        }
+      } catch (err) {
+        console.error("Error fetching attendance history:", err);
+        if (!cancelled) setError("Failed to load attendance history");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [member]);
+
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+        <p className="text-gray-600 mt-2">Loading attendance...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600 text-center py-6">{error}</p>;
+  }
+
+  if (!history || history.total === 0) {
+    return (
+      <div className="text-center py-8">
+        <i className="ri-calendar-line text-4xl text-gray-400"></i>
+        <p className="text-gray-500 mt-2">No services recorded since this member joined</p>
+      </div>
+    );
+  }
+
+  const services = showAll ? history.attendedServices : history.attendedServices.slice(0, 10);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-3">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Attendance Rate</p>
+          <p className="text-lg font-semibold text-gray-900">{history.rate}%</p>
+          <p className="text-xs text-gray-500">
+            {history.attended} of {history.total} services
+          </p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Current Streak</p>
+          <p className="text-lg font-semibold text-gray-900">{history.currentStreak?.count || 0}</p>
+          <p className="text-xs text-gray-500 truncate">{history.currentStreak?.serviceType || "—"}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">Longest Streak</p>
+          <p className="text-lg font-semibold text-gray-900">{history.longestStreak?.count || 0}</p>
+          <p className="text-xs text-gray-500 truncate">{history.longestStreak?.serviceType || "—"}</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-xs text-gray-500">First / Last Seen</p>
+          <p className="text-sm font-medium text-gray-900">{formatDate(history.firstSeen)}</p>
+          <p className="text-sm font-medium text-gray-900">{formatDate(history.lastSeen)}</p>
+        </div>
+      </div>
+
+      <div>
+        <label className="text-sm font-medium text-gray-500">By Service Type</label>
+        <div className="mt-2 space-y-3">
+          {history.serviceTypes.map((type) => (
+            <div key={type.serviceType}>
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-gray-900">{type.serviceType}</span>
+                <span className="text-gray-600">
+                  {type.attended}/{type.total} • {type.rate}%
+                </span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2 mt-1">
+                <div
+                  className={`h-2 rounded-full ${rateColor(type.rate)}`}
+                  style={{ width: `${type.rate}%` }}
+                ></div>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Streak: {type.current} current, {type.longest} longest
+              </p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className="text-sm font-medium text-gray-500">
+          Services Attended ({history.attendedServices.length})
+        </label>
+        {history.attendedServices.length === 0 ? (
+          <p className="text-sm text-gray-500 mt-2">Not marked present at any service yet</p>
+        ) : (
+          <div className="mt-2 divide-y divide-gray-100 border rounded-lg">
+            {services.map((service) => (
+              <div key={service.id} className="flex items-center justify-between px-3 py-2">
+                <div>
+                  <p className="text-sm text-gray-900">{service.serviceType}</p>
+                  <p className="text-xs text-gray-500">{formatDate(service.date)}</p>
+                </div>
+                {service.timeArrived && (
+                  <span className="text-xs text-gray-500">
+                    <i className="ri-time-line mr-1"></i>
+                    {service.timeArrived}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+        {history.attendedServices.length > 10 && (
+          <button
+            onClick={() => setShowAll(!showAll)}
+            className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+          >
+            {showAll ? "Show fewer" : `Show all ${history.attendedServices.length}`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MemberAttendanceHistory;
@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { encodeMemberQr } from "@/lib/memberQr";
+
+// ID-1 (credit card) size so printed cards fit a standard wallet/lanyard
+const CARD_STYLE = { width: "85.6mm", height: "54mm" };
+
+// Printable membership card. The QR code carries the member ID in the
+// format the attendance check-in scanners read.
+const MembershipCard = ({ member }) => {
+  const [qrCode, setQrCode] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(encodeMemberQr(member.id), {
+      errorCorrectionLevel: "M",
+      margin: 1,
+      width: 240,
+    })
+      .then((url) => {
+        if (!cancelled) setQrCode(url);
+      })
+      .catch((error) => console.error("Error generating QR code:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [member.id]);
+
+  return (
+    <div
+      style={CARD_STYLE}
+      className="flex flex-col overflow-hidden rounded-lg border border-gray-300 bg-white break-inside-avoid"
+    >
+      <div className="flex items-center px-3 py-1.5 bg-gradient-to-r from-indigo-500 to-purple-600 text-white">
+        <img src="/img/favicon.png" alt="RCCG Logo" className="h-5 w-5" />
+        <span className="ml-2 text-xs font-semibold">RCCG LCC</span>
+        <span className="ml-auto text-[10px] uppercase tracking-wide">Membership Card</span>
+      </div>
+      <div className="flex flex-1 items-center px-3 py-2">
+        <div className="flex-shrink-0">
+          {member.avatar ? (
+            <img src={member.avatar} alt={member.name} className="h-16 w-16 rounded-full object-cover" />
+          ) : (
+            <div className="h-16 w-16 rounded-full bg-blue-100 flex items-center justify-center">
+              <span className="text-2xl font-bold text-blue-600">
+                {member.name?.charAt(0).toUpperCase()}
+              </span>
+            </div>
+          )}
+        </div>
+        <div className="flex-1 min-w-0 mx-3">
+          <p className="text-sm font-bold text-gray-900 leading-tight">{member.name}</p>
+          {member.department && (
+            <p className="text-xs text-gray-600 mt-1">{member.department}</p>
+          )}
+          <p className="text-[10px] text-gray-500 mt-2">Member ID</p>
+          <p className="text-xs font-mono text-gray-900 break-all">{member.id}</p>
+        </div>
+        <div className="flex-shrink-0">
+          {qrCode ? (
+            <img src={qrCode} alt={`QR code for ${member.name}`} className="h-20 w-20" />
+          ) : (
+            <div className="h-20 w-20 bg-gray-100"></div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MembershipCard;
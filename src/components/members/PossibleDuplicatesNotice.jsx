@@ -0,0 +1,64 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// Warning shown before saving a member who looks like someone already on file
+const PossibleDuplicatesNotice = ({ matches, saving, onSaveAnyway, onDismiss }) => (
+  <div className="bg-yellow-50 border border-yellow-200 p-6 rounded-lg">
+    <div className="flex items-start">
+      <i className="ri-error-warning-line text-yellow-600 text-xl mr-3"></i>
+      <div className="flex-1">
+        <h2 className="text-lg font-semibold text-yellow-900">Possible duplicates found</h2>
+        <p className="text-sm text-yellow-800 mt-1">
+          {matches.length === 1 ? 'This person' : 'These people'} may already be in the database.
+          Check before adding a new record.
+        </p>
+
+        <div className="mt-4 space-y-2">
+          {matches.map(({ member, score, reasons }) => (
+            <div
+              key={member.id}
+              className="flex items-center justify-between p-3 bg-white border border-yellow-100 rounded-lg"
+            >
+              <div>
+                <p className="text-sm font-medium text-gray-900">{member.name}</p>
+                <p className="text-xs text-gray-500">
+                  {[member.phone, member.email, member.department].filter(Boolean).join(' • ')}
+                </p>
+                <p className="text-xs text-yellow-700 mt-1">{reasons.join(', ')}</p>
+              </div>
+              <div className="flex items-center space-x-3 ml-4">
+                <span className="text-xs font-semibold text-yellow-800">{score}% match</span>
+                <Link
+                  to={`/members/${member.id}/edit`}
+                  className="text-sm text-blue-600 hover:text-blue-800"
+                >
+                  Open
+                </Link>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end space-x-3 mt-4">
+          <button
+            type="button"
+            onClick={onDismiss}
+            className="px-4 py-2 border border-gray-300 text-gray-700 text-sm rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Review Form
+          </button>
+          <button
+            type="button"
+            onClick={onSaveAnyway}
+            disabled={saving}
+            className="px-4 py-2 bg-yellow-600 text-white text-sm rounded-lg hover:bg-yellow-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {saving ? 'Adding...' : 'Not a duplicate, add anyway'}
+          </button>
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+export default PossibleDuplicatesNotice;
@@ -0,0 +1,118 @@
+import React, { useState, useMemo } from "react";
+import { assignmentConflicts } from "@/lib/rota";
+import { formatDateKey } from "@/lib/recurrence";
+
+// Pick a member for one role on one date. Members of the role's department
+// are listed first; anyone away or already serving that day is flagged.
+const AssignVolunteerModal = ({ slot, members, assignments, blackouts, roles, onAssign, onClose }) => {
+  const [searchTerm, setSearchTerm] = useState("");
+  const [allDepartments, setAllDepartments] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const candidates = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    const taken = new Set(slot.assignments.map((assignment) => String(assignment.memberId)));
+
+    return members
+      .filter((member) => member.isActive !== false && !taken.has(String(member.id)))
+      .filter((member) => allDepartments || member.department === slot.role.department)
+      .filter((member) => !term || member.name?.toLowerCase().includes(term))
+      .map((member) => ({
+        member,
+        conflicts: assignmentConflicts(
+          { memberId: member.id, date: slot.date },
+          assignments,
+          blackouts,
+          roles
+        ),
+      }))
+      .sort((a, b) => a.conflicts.length - b.conflicts.length || a.member.name.localeCompare(b.member.name));
+  }, [members, assignments, blackouts, roles, slot, searchTerm, allDepartments]);
+
+  const handlePick = async ({ member, conflicts }) => {
+    if (
+      conflicts.length > 0 &&
+      !confirm(`${member.name}: ${conflicts.map((c) => c.message).join("; ")}. Assign anyway?`)
+    ) {
+      return;
+    }
+
+    setSaving(true);
+    await onAssign(member);
+    setSaving(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-lg shadow-lg rounded-md bg-white">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold text-gray-900">Assign {slot.role.name}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <i className="ri-close-line text-xl"></i>
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          {slot.slot} • {formatDateKey(slot.date, { weekday: "long", month: "short", day: "numeric" })} •{" "}
+          {slot.role.department}
+        </p>
+
+        <div className="flex items-center gap-3 mb-3">
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Search members..."
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <label className="flex items-center text-sm text-gray-700 whitespace-nowrap">
+            <input
+              type="checkbox"
+              checked={allDepartments}
+              onChange={(e) => setAllDepartments(e.target.checked)}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+            />
+            All departments
+          </label>
+        </div>
+
+        <ul className="border rounded-lg divide-y divide-gray-100 max-h-80 overflow-y-auto">
+          {candidates.length === 0 ? (
+            <li className="px-3 py-6 text-center text-sm text-gray-500">
+              No members found{!allDepartments && ` in ${slot.role.department}`}
+            </li>
+          ) : (
+            candidates.map((candidate) => (
+              <li key={candidate.member.id}>
+                <button
+                  onClick={() => handlePick(candidate)}
+                  disabled={saving}
+                  className="w-full flex items-center justify-between px-3 py-2 text-left hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <span>
+                    <span className="text-sm font-medium text-gray-900">{candidate.member.name}</span>
+                    {allDepartments && candidate.member.department && (
+                      <span className="text-xs text-gray-500 ml-2">{candidate.member.department}</span>
+                    )}
+                  </span>
+                  <span className="flex flex-col items-end">
+                    {candidate.conflicts.map((conflict) => (
+                      <span
+                        key={conflict.message}
+                        className={`text-xs ${conflict.type === "unavailable" ? "text-red-600" : "text-yellow-700"}`}
+                      >
+                        <i className="ri-error-warning-line mr-1"></i>
+                        {conflict.message}
+                      </span>
+                    ))}
+                  </span>
+                </button>
+              </li>
+            ))
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default AssignVolunteerModal;
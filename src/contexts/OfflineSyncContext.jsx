@@ -0,0 +1,271 @@
+// src/contexts/OfflineSyncContext.jsx
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { toast } from 'react-toastify';
+import { useAuth } from './AuthContext';
+import { attendanceAPI } from '@/Services/attendanceAPI';
+import { offlineStore } from '@/lib/offlineStore';
+
+const OfflineSyncContext = createContext();
+
+// While items wait, retry on a timer as well: church wifi can be connected
+// with no internet, so the browser never reports coming back online
+const RETRY_BASE_MS = 15 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+const isWaiting = (item) => item.status !== 'conflict' && item.status !== 'failed';
+
+// Replays one queued item. Returns { status: 'synced' | 'conflict' | 'offline' | 'failed' }
+const replayItem = async (item) => {
+  const { payload } = item;
+
+  if (item.type === 'check-in') {
+    const response = await attendanceAPI.checkInMembers(payload.date, payload.serviceType, payload.members);
+    if (response.success) return { status: 'synced' };
+    return { status: response.offline ? 'offline' : 'failed', message: response.message };
+  }
+
+  // Someone may have recorded the same service while this device was offline
+  const existing = await attendanceAPI.findAttendanceRecord(payload.date, payload.serviceType);
+  if (!existing.success) {
+    return { status: existing.offline ? 'offline' : 'failed', message: existing.message };
+  }
+  if (existing.data) {
+    return { status: 'conflict', conflict: existing.data };
+  }
+
+  const response = await attendanceAPI.createAttendance(payload);
+  if (response.success) return { status: 'synced' };
+  if (response.offline) return { status: 'offline', message: response.message };
+  if (response.status === 409) {
+    const latest = await attendanceAPI.findAttendanceRecord(payload.date, payload.serviceType);
+    return { status: 'conflict', conflict: latest.data || null };
+  }
+  return { status: 'failed', message: response.message };
+};
+
+// Union of two present-member lists, keyed by memberId
+const mergeMembers = (existingMembers = [], queuedMembers = []) => {
+  const byId = new Map();
+  [...existingMembers, ...queuedMembers]
+    .filter(member => member.present !== false)
+    .forEach(member => {
+      const key = String(member.memberId);
+      if (!byId.has(key)) {
+        byId.set(key, {
+          memberId: member.memberId,
+          present: true,
+          timeArrived: member.timeArrived || null,
+          notes: member.notes || null
+        });
+      }
+    });
+  return [...byId.values()];
+};
+
+export const OfflineSyncProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [queue, setQueue] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [retries, setRetries] = useState(0);
+  const syncingRef = useRef(false);
+  const hasWaitingRef = useRef(false);
+
+  const refreshQueue = useCallback(async () => {
+    try {
+      setQueue(await offlineStore.getQueue());
+    } catch (error) {
+      console.error('Error reading offline queue:', error);
+    }
+  }, []);
+
+  const syncNow = useCallback(async () => {
+    if (syncingRef.current || !navigator.onLine) return;
+
+    syncingRef.current = true;
+    setSyncing(true);
+
+    let synced = 0;
+    try {
+      const items = await offlineStore.getQueue();
+
+      for (const item of items) {
+        // Conflicts wait for an admin decision and failures for a manual retry
+        if (item.status === 'conflict' || item.status === 'failed') continue;
+
+        await offlineStore.updateItem(item.id, { status: 'syncing' });
+        const result = await replayItem(item);
+
+        if (result.status === 'synced') {
+          await offlineStore.removeItem(item.id);
+          synced++;
+        } else if (result.status === 'offline') {
+          // Connection dropped again; try the rest next time
+          await offlineStore.updateItem(item.id, { status: 'pending' });
+          break;
+        } else if (result.status === 'conflict') {
+          await offlineStore.updateItem(item.id, {
+            status: 'conflict',
+            conflict: result.conflict,
+            attempts: item.attempts + 1
+          });
+        } else {
+          await offlineStore.updateItem(item.id, {
+            status: 'failed',
+            lastError: result.message,
+            attempts: item.attempts + 1
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Error syncing offline queue:', error);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      await refreshQueue();
+    }
+
+    if (synced > 0) {
+      toast.success(`Synced ${synced} offline submission${synced === 1 ? '' : 's'}`);
+      window.dispatchEvent(new CustomEvent('refresh-attendance'));
+    }
+  }, [refreshQueue]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncNow]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      refreshQueue().then(syncNow);
+    }
+  }, [isAuthenticated, refreshQueue, syncNow]);
+
+  const hasWaiting = queue.some(isWaiting);
+  hasWaitingRef.current = hasWaiting;
+
+  // Backs off from RETRY_BASE_MS up to RETRY_MAX_MS until the queue drains
+  useEffect(() => {
+    if (!isAuthenticated || !hasWaiting) {
+      setRetries(0);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      await syncNow();
+      setRetries(count => count + 1);
+    }, Math.min(RETRY_BASE_MS * 2 ** retries, RETRY_MAX_MS));
+    return () => clearTimeout(timer);
+  }, [isAuthenticated, hasWaiting, retries, syncNow]);
+
+  // Any successful request means the server can be reached again
+  useEffect(() => {
+    const handleReachable = () => {
+      if (hasWaitingRef.current && !syncingRef.current) syncNow();
+    };
+    window.addEventListener('api:reachable', handleReachable);
+    return () => window.removeEventListener('api:reachable', handleReachable);
+  }, [syncNow]);
+
+  const enqueue = async (type, payload) => {
+    const item = await offlineStore.enqueue(type, payload);
+    await refreshQueue();
+    return item;
+  };
+
+  const queueAttendance = (attendanceData) => enqueue('attendance', attendanceData);
+
+  const queueCheckIn = (date, serviceType, members) =>
+    enqueue('check-in', { date, serviceType, members });
+
+  // resolution: 'merge' keeps the server's headcount and adds our members,
+  // 'overwrite' replaces the server record, 'discard' drops the offline copy
+  const resolveConflict = async (id, resolution) => {
+    const item = queue.find(q => q.id === id);
+    if (!item) return { success: false, message: 'Item not found' };
+
+    if (resolution === 'discard') {
+      await offlineStore.removeItem(id);
+      await refreshQueue();
+      return { success: true, message: 'Offline copy discarded' };
+    }
+
+    const existing = await attendanceAPI.findAttendanceRecord(item.payload.date, item.payload.serviceType);
+    if (!existing.success) return existing;
+
+    let response;
+    if (!existing.data) {
+      // The conflicting record was deleted in the meantime
+      response = await attendanceAPI.createAttendance(item.payload);
+    } else if (resolution === 'overwrite') {
+      response = await attendanceAPI.updateAttendance(existing.data.id, item.payload);
+    } else {
+      const members = mergeMembers(existing.data.members, item.payload.members);
+      const total = Math.max(parseInt(existing.data.totalAttendance) || 0, members.length);
+      response = await attendanceAPI.updateAttendance(existing.data.id, {
+        ...existing.data,
+        date: item.payload.date,
+        totalAttendance: total,
+        adults: (parseInt(existing.data.adults) || 0) + (total - (parseInt(existing.data.totalAttendance) || 0)),
+        notes: [existing.data.notes, item.payload.notes].filter(Boolean).join('\n'),
+        members
+      });
+    }
+
+    if (response.success) {
+      await offlineStore.removeItem(id);
+      window.dispatchEvent(new CustomEvent('refresh-attendance'));
+    }
+    await refreshQueue();
+    return response;
+  };
+
+  const removeItem = async (id) => {
+    await offlineStore.removeItem(id);
+    await refreshQueue();
+  };
+
+  // Put a failed item back in line for the next sync
+  const retryItem = async (id) => {
+    await offlineStore.updateItem(id, { status: 'pending', lastError: null });
+    await refreshQueue();
+    syncNow();
+  };
+
+  const value = {
+    isOnline,
+    queue,
+    pendingCount: queue.length,
+    syncing,
+    syncNow,
+    queueAttendance,
+    queueCheckIn,
+    resolveConflict,
+    retryItem,
+    removeItem
+  };
+
+  return (
+    <OfflineSyncContext.Provider value={value}>
+      {children}
+    </OfflineSyncContext.Provider>
+  );
+};
+
+export const useOfflineSync = () => {
+  const context = useContext(OfflineSyncContext);
+  if (!context) {
+    throw new Error('useOfflineSync must be used within an OfflineSyncProvider');
+  }
+  return context;
+};
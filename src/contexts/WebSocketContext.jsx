@@ -1,8 +1,16 @@
 // src/contexts/WebSocketContext.jsx
-import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
 import { toast } from 'react-toastify';
+import {
+  emptyCounts,
+  getUsherDeviceId,
+  loadOwnCounts,
+  saveOwnCounts,
+  clearOwnCounts,
+  sumTallies
+} from '@/lib/headcount';
 
 const WebSocketContext = createContext();
 
@@ -132,6 +140,20 @@ export const WebSocketProvider = ({ children }) => {
         });
       });
 
+      newSocket.on('waitlist-promoted', (data) => {
+        if (data.promotedBy !== admin.name) {
+          addNotification({
+            id: Date.now(),
+            type: 'waitlist-promoted',
+            title: 'Waitlist Promotion',
+            message: `${data.registrantName} moved off the waitlist for ${data.eventTitle}`,
+            timestamp: data.timestamp,
+            icon: 'ri-user-star-line',
+            color: 'green'
+          });
+        }
+      });
+
       newSocket.on('celebration-submitted', (data) => {
         addNotification({
           id: Date.now(),
@@ -303,4 +325,119 @@ export const useNotifications = () => {
     removeNotification,
     clearAllNotifications
   };
-};
\ No newline at end of file
+};
+
+// Custom hook for the live multi-usher head count of one service
+export const useHeadcountTally = (tallyId, section) => {
+  const { socket, isConnected } = useWebSocket();
+  const { admin } = useAuth();
+  const usherId = useRef(getUsherDeviceId()).current;
+  const [myCounts, setMyCounts] = useState(() => (tallyId ? loadOwnCounts(tallyId) : emptyCounts()));
+  const [updatedAt, setUpdatedAt] = useState(() => new Date().toISOString());
+  const [peers, setPeers] = useState({});
+  const [finalized, setFinalized] = useState(null);
+  const ownUpdate = useRef(null);
+
+  ownUpdate.current = {
+    tallyId,
+    usherId,
+    usherName: admin?.name || 'Usher',
+    section,
+    counts: myCounts,
+    updatedAt
+  };
+
+  const broadcast = useCallback(() => {
+    if (socket && isConnected && tallyId) {
+      socket.emit('tally:update', ownUpdate.current);
+    }
+  }, [socket, isConnected, tallyId]);
+
+  useEffect(() => {
+    if (!socket || !isConnected || !tallyId) return;
+
+    const handleUpdate = (data) => {
+      if (data.tallyId !== tallyId || data.usherId === usherId) return;
+      setPeers(prev => {
+        const current = prev[data.usherId];
+        // Counts are absolute, so only a newer message replaces an older one
+        if (current && current.updatedAt > data.updatedAt) return prev;
+        return { ...prev, [data.usherId]: { ...data, online: true } };
+      });
+    };
+
+    const handleSyncRequest = (data) => {
+      if (data.tallyId === tallyId) socket.emit('tally:update', ownUpdate.current);
+    };
+
+    // Keep a departed usher's counts in the total, just mark them offline
+    const handleLeave = (data) => {
+      if (data.tallyId !== tallyId) return;
+      setPeers(prev =>
+        prev[data.usherId] ? { ...prev, [data.usherId]: { ...prev[data.usherId], online: false } } : prev
+      );
+    };
+
+    const handleFinalized = (data) => {
+      if (data.tallyId === tallyId) setFinalized(data);
+    };
+
+    socket.on('tally:update', handleUpdate);
+    socket.on('tally:sync-request', handleSyncRequest);
+    socket.on('tally:leave', handleLeave);
+    socket.on('tally:finalized', handleFinalized);
+
+    const { usherName } = ownUpdate.current;
+    socket.emit('tally:join', { tallyId, usherId, usherName, section });
+    socket.emit('tally:sync-request', { tallyId });
+    socket.emit('tally:update', ownUpdate.current);
+
+    return () => {
+      socket.emit('tally:leave', { tallyId, usherId, usherName, section });
+      socket.off('tally:update', handleUpdate);
+      socket.off('tally:sync-request', handleSyncRequest);
+      socket.off('tally:leave', handleLeave);
+      socket.off('tally:finalized', handleFinalized);
+    };
+  }, [socket, isConnected, tallyId, section, usherId]);
+
+  // Re-broadcast whenever this usher's counts change
+  useEffect(() => {
+    if (!tallyId) return;
+    saveOwnCounts(tallyId, myCounts);
+    broadcast();
+  }, [tallyId, myCounts, updatedAt, broadcast]);
+
+  const adjustCount = (category, delta) => {
+    setMyCounts(prev => ({ ...prev, [category]: Math.max(0, (prev[category] || 0) + delta) }));
+    setUpdatedAt(new Date().toISOString());
+  };
+
+  const resetCounts = () => {
+    setMyCounts(emptyCounts());
+    setUpdatedAt(new Date().toISOString());
+  };
+
+  const finalize = (totals) => {
+    const data = { tallyId, totals, by: admin?.name };
+    if (socket && isConnected) socket.emit('tally:finalized', data);
+    setFinalized(data);
+    clearOwnCounts(tallyId);
+  };
+
+  const tallies = [
+    { ...ownUpdate.current, online: isConnected, isMe: true },
+    ...Object.values(peers)
+  ];
+
+  return {
+    isConnected,
+    myCounts,
+    adjustCount,
+    resetCounts,
+    tallies,
+    totals: sumTallies(tallies),
+    finalized,
+    finalize
+  };
+};
@@ -0,0 +1,45 @@
+// The list of approved celebrations read out in service, shared by the
+// presentation slides and the printed bulletin
+
+import { occurrencesBetween } from "@/lib/memberCelebrations";
+import { addDays, toDateKey } from "@/lib/recurrence";
+
+// Default to the coming week, so on Sunday morning it covers today through Saturday
+export const defaultAcknowledgementRange = (today = toDateKey(new Date())) => ({
+  from: today,
+  to: addDays(today, 6),
+});
+
+// Approved celebrations falling between from and to, each with occursOn,
+// in date order
+export const acknowledgementList = (celebrations, from, to) =>
+  celebrations
+    .filter((celebration) => celebration.status === "approved")
+    .map((celebration) => ({
+      ...celebration,
+      occursOn: occurrencesBetween(Number(celebration.month), Number(celebration.date), from, to)[0],
+    }))
+    .filter((celebration) => celebration.occursOn)
+    .sort((a, b) => a.occursOn.localeCompare(b.occursOn) || a.name.localeCompare(b.name));
+
+export const celebrationHeading = (type) => {
+  switch (type) {
+    case "Birthday":
+      return "Happy Birthday";
+    case "Wedding Anniversary":
+      return "Happy Wedding Anniversary";
+    default:
+      return "Congratulations";
+  }
+};
+
+export const celebrationIcon = (type) => {
+  switch (type) {
+    case "Birthday":
+      return "ri-cake-3-line";
+    case "Wedding Anniversary":
+      return "ri-heart-line";
+    default:
+      return "ri-star-line";
+  }
+};
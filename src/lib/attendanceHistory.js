@@ -0,0 +1,124 @@
+// Per-member attendance history derived from the members array on each
+// attendance record.
+
+const recordDate = (record) => String(record.date).slice(0, 10);
+
+export const isMemberPresent = (record, memberId) =>
+  (record.members || []).some(
+    (m) => String(m.memberId) === String(memberId) && m.present !== false
+  );
+
+// Current and longest run of consecutive attended services (oldest first)
+export const computeStreaks = (attendedFlags) => {
+  let longest = 0;
+  let run = 0;
+  attendedFlags.forEach((attended) => {
+    run = attended ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+  return { current: run, longest };
+};
+
+const rate = (attended, total) => (total > 0 ? Math.round((attended / total) * 100) : 0);
+
+// Builds the history for one member. Services held before the member joined
+// don't count against their rate or streaks.
+export const buildMemberHistory = (records, member) => {
+  const joined = member.membershipDate ? String(member.membershipDate).slice(0, 10) : null;
+
+  const services = records
+    .filter((record) => !joined || recordDate(record) >= joined)
+    .map((record) => {
+      const entry = (record.members || []).find(
+        (m) => String(m.memberId) === String(member.id) && m.present !== false
+      );
+      return {
+        id: record.id,
+        date: recordDate(record),
+        serviceType: record.serviceType,
+        present: Boolean(entry),
+        timeArrived: entry?.timeArrived || null,
+      };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const byType = {};
+  services.forEach((service) => {
+    if (!byType[service.serviceType]) byType[service.serviceType] = [];
+    byType[service.serviceType].push(service);
+  });
+
+  // Streaks are per service type: missing a midweek service shouldn't
+  // break a run of Sunday services
+  const serviceTypes = Object.entries(byType)
+    .map(([serviceType, list]) => {
+      const attended = list.filter((s) => s.present).length;
+      return {
+        serviceType,
+        attended,
+        total: list.length,
+        rate: rate(attended, list.length),
+        ...computeStreaks(list.map((s) => s.present)),
+      };
+    })
+    .sort((a, b) => b.attended - a.attended || b.total - a.total);
+
+  const present = services.filter((s) => s.present);
+  const bestCurrent = serviceTypes.reduce(
+    (best, type) => (type.current > (best?.current || 0) ? type : best),
+    null
+  );
+  const bestLongest = serviceTypes.reduce(
+    (best, type) => (type.longest > (best?.longest || 0) ? type : best),
+    null
+  );
+
+  return {
+    attended: present.length,
+    total: services.length,
+    rate: rate(present.length, services.length),
+    firstSeen: present[0]?.date || null,
+    lastSeen: present[present.length - 1]?.date || null,
+    currentStreak: bestCurrent ? { count: bestCurrent.current, serviceType: bestCurrent.serviceType } : null,
+    longestStreak: bestLongest ? { count: bestLongest.longest, serviceType: bestLongest.serviceType } : null,
+    serviceTypes,
+    // Newest first for the list
+    attendedServices: [...present].reverse(),
+  };
+};
+
+// Active members who missed at least `minMissed` services of one type in a
+// row, counting back from the most recent service. Services held before a
+// member joined aren't counted as missed.
+export const findAbsentees = (records, members, serviceType, minMissed) => {
+  const services = records
+    .filter((record) => record.serviceType === serviceType)
+    .sort((a, b) => recordDate(b).localeCompare(recordDate(a)));
+
+  return members
+    .filter((member) => member.isActive)
+    .map((member) => {
+      const joined = member.membershipDate ? String(member.membershipDate).slice(0, 10) : null;
+      let missed = 0;
+      let lastAttended = null;
+
+      for (const record of services) {
+        if (joined && recordDate(record) < joined) break;
+        if (isMemberPresent(record, member.id)) {
+          lastAttended = recordDate(record);
+          break;
+        }
+        missed++;
+      }
+
+      // Look further back for the last visit when the run reached the join date
+      if (!lastAttended) {
+        const earlier = services.find((record) => isMemberPresent(record, member.id));
+        lastAttended = earlier ? recordDate(earlier) : null;
+      }
+
+      return { member, missed, lastAttended };
+    })
+    .filter((entry) => entry.missed >= minMissed)
+    .sort((a, b) => b.missed - a.missed || a.member.name.localeCompare(b.member.name));
+};
@@ -0,0 +1,21 @@
+// Bulk actions on a selection: sent in batches so a progress bar can follow
+// long selections, with the results of each batch merged into one report.
+
+export const BULK_BATCH_SIZE = 25;
+
+// How long an action can be undone before it is sent to the server
+export const UNDO_SECONDS = 5;
+
+// run(batchIds) resolves to a bulk API response whose data is
+// { succeeded: [ids], failed: [{ id, message }] }
+export const runInBatches = async (ids, run, onProgress, batchSize = BULK_BATCH_SIZE) => {
+  const succeeded = [];
+  const failed = [];
+  for (let start = 0; start < ids.length; start += batchSize) {
+    const response = await run(ids.slice(start, start + batchSize));
+    succeeded.push(...response.data.succeeded);
+    failed.push(...response.data.failed);
+    onProgress?.(Math.min(start + batchSize, ids.length));
+  }
+  return { succeeded, failed };
+};
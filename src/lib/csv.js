@@ -0,0 +1,39 @@
+// Small CSV helpers for reports generated in the browser
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, label }] or a key -> label object; rows: array of objects
+export const toCSV = (rows, columns) => {
+  const cols = Array.isArray(columns)
+    ? columns
+    : Object.entries(columns).map(([key, label]) => ({ key, label }));
+
+  const header = cols.map((col) => escapeCell(col.label)).join(",");
+  const lines = rows.map((row) =>
+    cols
+      .map((col) =>
+        escapeCell(typeof col.value === "function" ? col.value(row) : row[col.key])
+      )
+      .join(",")
+  );
+  return [header, ...lines].join("\r\n");
+};
+
+// Triggers a browser download the same way the API export helpers do
+export const downloadBlob = (content, filename, type = "text/csv") => {
+  const url = window.URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.setAttribute("download", filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+export const downloadCSV = (rows, columns, filename) =>
+  downloadBlob(toCSV(rows, columns), filename, "text/csv;charset=utf-8");
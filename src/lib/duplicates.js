@@ -0,0 +1,129 @@
+// Fuzzy matching used to spot the same person entered more than once
+
+// Reduces a phone number to its last 10 digits so "+234 803 123 4567",
+// "08031234567" and "2348031234567" all compare equal
+export const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length > 10 ? digits.slice(-10) : digits.replace(/^0/, "");
+};
+
+export const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// Lowercases, strips punctuation/titles and sorts the name parts so
+// "Adeyemi, John" matches "John Adeyemi"
+export const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter((part) => part && !["mr", "mrs", "miss", "ms", "dr", "pastor", "bro", "sis", "deacon", "deaconess"].includes(part))
+    .sort()
+    .join(" ");
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 0..1 similarity between two names after normalization
+export const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  const longest = Math.max(left.length, right.length);
+  return 1 - levenshtein(left, right) / longest;
+};
+
+const NAME_THRESHOLD = 0.85;
+
+// Scores how likely two member records describe the same person.
+// Returns { score, reasons } where score is 0..100.
+export const scoreDuplicate = (candidate, member) => {
+  const reasons = [];
+  let score = 0;
+
+  const phone = normalizePhone(candidate.phone);
+  if (phone.length >= 7 && phone === normalizePhone(member.phone)) {
+    score += 45;
+    reasons.push("Same phone number");
+  }
+
+  const email = normalizeEmail(candidate.email);
+  if (email && email === normalizeEmail(member.email)) {
+    score += 40;
+    reasons.push("Same email address");
+  }
+
+  const similarity = nameSimilarity(candidate.name, member.name);
+  if (similarity === 1) {
+    score += 35;
+    reasons.push("Same name");
+  } else if (similarity >= NAME_THRESHOLD) {
+    score += 25;
+    reasons.push("Similar name");
+  }
+
+  if (
+    candidate.dateOfBirth &&
+    member.dateOfBirth &&
+    String(candidate.dateOfBirth).slice(0, 10) === String(member.dateOfBirth).slice(0, 10)
+  ) {
+    score += 15;
+    reasons.push("Same date of birth");
+  }
+
+  return { score: Math.min(score, 100), reasons };
+};
+
+// A matching phone or email on its own is enough to flag a record for review
+export const DUPLICATE_THRESHOLD = 40;
+
+// Existing members that look like the candidate, best match first
+export const findPossibleDuplicates = (candidate, members, threshold = DUPLICATE_THRESHOLD) =>
+  members
+    .filter((member) => member.id !== candidate.id)
+    .map((member) => ({ member, ...scoreDuplicate(candidate, member) }))
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+
+// Pairs of members across the whole list that look like the same person
+export const findDuplicatePairs = (members, threshold = DUPLICATE_THRESHOLD) => {
+  const pairs = [];
+  for (let i = 0; i < members.length; i++) {
+    for (let j = i + 1; j < members.length; j++) {
+      const { score, reasons } = scoreDuplicate(members[i], members[j]);
+      if (score >= threshold) {
+        pairs.push({ first: members[i], second: members[j], score, reasons });
+      }
+    }
+  }
+  return pairs.sort((a, b) => b.score - a.score);
+};
+
+// Strict match used when importing: same email or same phone number
+export const findExistingMember = (candidate, members) => {
+  const email = normalizeEmail(candidate.email);
+  const phone = normalizePhone(candidate.phone);
+  return (
+    members.find(
+      (member) =>
+        (email && email === normalizeEmail(member.email)) ||
+        (phone.length >= 7 && phone === normalizePhone(member.phone))
+    ) || null
+  );
+};
@@ -0,0 +1,33 @@
+// Event categories offered in NewEvent/EditEvent and the colours the
+// calendar uses for them. Class names are spelled out in full so Tailwind
+// keeps them in the build.
+
+export const EVENT_CATEGORIES = [
+  "Service",
+  "Conference",
+  "Seminar",
+  "Workshop",
+  "Outreach",
+  "Fellowship",
+  "Youth Event",
+  "Children Event",
+  "Prayer Meeting",
+  "Special Program",
+  "Other",
+];
+
+export const CATEGORY_COLORS = {
+  Service: { chip: "bg-blue-100 text-blue-800 border-blue-200", dot: "bg-blue-500" },
+  Conference: { chip: "bg-purple-100 text-purple-800 border-purple-200", dot: "bg-purple-500" },
+  Seminar: { chip: "bg-indigo-100 text-indigo-800 border-indigo-200", dot: "bg-indigo-500" },
+  Workshop: { chip: "bg-cyan-100 text-cyan-800 border-cyan-200", dot: "bg-cyan-500" },
+  Outreach: { chip: "bg-green-100 text-green-800 border-green-200", dot: "bg-green-500" },
+  Fellowship: { chip: "bg-yellow-100 text-yellow-800 border-yellow-200", dot: "bg-yellow-500" },
+  "Youth Event": { chip: "bg-orange-100 text-orange-800 border-orange-200", dot: "bg-orange-500" },
+  "Children Event": { chip: "bg-pink-100 text-pink-800 border-pink-200", dot: "bg-pink-500" },
+  "Prayer Meeting": { chip: "bg-red-100 text-red-800 border-red-200", dot: "bg-red-500" },
+  "Special Program": { chip: "bg-teal-100 text-teal-800 border-teal-200", dot: "bg-teal-500" },
+  Other: { chip: "bg-gray-100 text-gray-800 border-gray-200", dot: "bg-gray-500" },
+};
+
+export const getCategoryColors = (category) => CATEGORY_COLORS[category] || CATEGORY_COLORS.Other;
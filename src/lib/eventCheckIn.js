@@ -0,0 +1,108 @@
+// Door check-in for an event. Ushers mark registrants, members walking in and
+// guests present; closing the check-in turns the list into a "Special
+// Program" attendance record for the event's date.
+//
+// A check-in is { key, memberId, registrationId, name, group, timeArrived },
+// where memberId is null for guests and group is one of the headcount
+// categories (adults, youth, children, visitors). People counted at the door
+// without being named are kept as extra counts per category.
+
+import { TALLY_CATEGORIES, countTotal, emptyCounts } from "@/lib/headcount";
+import { daysBetween, formatDateKey } from "@/lib/recurrence";
+
+export const CHECK_IN_SERVICE_TYPE = "Special Program";
+
+// Age limits for the headcount breakdown, from the member's date of birth
+const CHILD_UNDER = 13;
+const YOUTH_UNDER = 25;
+
+export const ageGroup = (member, dateKey) => {
+  if (!member?.dateOfBirth) return "adults";
+  const age = Math.floor(daysBetween(member.dateOfBirth, dateKey) / 365.25);
+  if (age < CHILD_UNDER) return "children";
+  if (age < YOUTH_UNDER) return "youth";
+  return "adults";
+};
+
+export const checkInKey = ({ memberId, registrationId, name }) =>
+  memberId ? `member-${memberId}` : registrationId ? `registration-${registrationId}` : `guest-${name}-${Date.now()}`;
+
+// The session survives a reload or a flat phone battery at the door
+const storageKey = (eventId, dateKey) => `eventCheckIn:${eventId}:${dateKey}`;
+
+export const loadCheckInSession = (eventId, dateKey) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(eventId, dateKey)));
+    return {
+      checkIns: saved?.checkIns || [],
+      extraCounts: { ...emptyCounts(), ...saved?.extraCounts },
+    };
+  } catch {
+    return { checkIns: [], extraCounts: emptyCounts() };
+  }
+};
+
+export const saveCheckInSession = (eventId, dateKey, session) =>
+  localStorage.setItem(storageKey(eventId, dateKey), JSON.stringify(session));
+
+export const clearCheckInSession = (eventId, dateKey) => localStorage.removeItem(storageKey(eventId, dateKey));
+
+// Headcount per category: everyone checked in by name plus the extra counts
+export const checkInCounts = (checkIns, extraCounts = {}) => {
+  const counts = emptyCounts();
+  TALLY_CATEGORIES.forEach(({ key }) => {
+    counts[key] = (parseInt(extraCounts[key]) || 0) + checkIns.filter((checkIn) => checkIn.group === key).length;
+  });
+  return { ...counts, totalAttendance: countTotal(counts) };
+};
+
+// Fields for attendanceAPI.createAttendance / updateAttendance
+export const buildAttendanceRecord = (event, dateKey, checkIns, extraCounts) => {
+  const counts = checkInCounts(checkIns, extraCounts);
+  const guests = checkIns.filter((checkIn) => !checkIn.memberId);
+  return {
+    date: dateKey,
+    serviceType: CHECK_IN_SERVICE_TYPE,
+    ...counts,
+    notes: [
+      `Check-in for "${event.title}" on ${formatDateKey(dateKey)}`,
+      guests.length > 0 && `Guests: ${guests.map((guest) => guest.name).join(", ")}`,
+    ]
+      .filter(Boolean)
+      .join(". "),
+    members: checkIns
+      .filter((checkIn) => checkIn.memberId)
+      .map((checkIn) => ({
+        memberId: checkIn.memberId,
+        present: true,
+        timeArrived: checkIn.timeArrived || null,
+        notes: null,
+      })),
+    eventId: event.id,
+  };
+};
+
+// Reopening a check-in that was already closed starts from the saved record.
+// Guests come back as counts only; their names are in the record's notes.
+export const sessionFromRecord = (record, members, dateKey) => {
+  const checkIns = (record.members || [])
+    .filter((attendee) => attendee.present !== false)
+    .map((attendee) => {
+      const member = members.find((m) => String(m.id) === String(attendee.memberId));
+      return {
+        key: checkInKey({ memberId: attendee.memberId }),
+        memberId: attendee.memberId,
+        registrationId: null,
+        name: member?.name || "Unknown member",
+        group: ageGroup(member, dateKey),
+        timeArrived: attendee.timeArrived || null,
+      };
+    });
+
+  const named = checkInCounts(checkIns);
+  const extraCounts = emptyCounts();
+  TALLY_CATEGORIES.forEach(({ key }) => {
+    extraCounts[key] = Math.max(0, (parseInt(record[key]) || 0) - named[key]);
+  });
+  return { checkIns, extraCounts };
+};
@@ -0,0 +1,72 @@
+// Event templates: the fields an event repeats from one edition to the next,
+// plus the volunteer roles it needs and a checklist of things to prepare.
+//
+//   { id, name, title, description, time, endTime, location, category,
+//     maxAttendees, registrationRequired, deadlineDaysBefore, eventFee, tags,
+//     image, resourceIds, isRecurring, recurrenceRule,
+//     roles: [{ name, department, needed }], checklist: [text] }
+//
+// Dates are left out; the registration deadline is kept as a number of days
+// before the event so it moves with whatever date the new event gets.
+
+import { addDays, daysBetween, eventDateKey } from "@/lib/recurrence";
+
+// Days between the deadline and the event, or null when there is none
+const daysBefore = (event) => {
+  if (!event.registrationDeadline || !event.date) return null;
+  const days = daysBetween(event.registrationDeadline, eventDateKey(event));
+  return days >= 0 ? days : null;
+};
+
+export const deadlineFor = (date, deadlineDaysBefore) =>
+  date && deadlineDaysBefore !== null && deadlineDaysBefore !== undefined ? addDays(date, -deadlineDaysBefore) : "";
+
+// Checklist items on an event are { id, text, done }; a template only keeps
+// the text
+export const checklistFromTexts = (texts = []) =>
+  texts.map((text, index) => ({ id: `${Date.now()}-${index}`, text, done: false }));
+
+export const templateFromEvent = (event, name, roles = []) => {
+  const rule = event.isRecurring ? event.recurrenceRule : null;
+  return {
+    name: name.trim(),
+    title: event.title || "",
+    description: event.description || "",
+    time: event.time || "",
+    endTime: event.endTime || "",
+    location: event.location || "",
+    category: event.category || "",
+    maxAttendees: event.maxAttendees || null,
+    registrationRequired: Boolean(event.registrationRequired),
+    deadlineDaysBefore: daysBefore(event),
+    eventFee: event.eventFee || 0,
+    tags: event.tags || [],
+    image: event.image || null,
+    resourceIds: event.resourceIds || [],
+    isRecurring: Boolean(rule),
+    // A fixed end date belongs to the old run; a number of occurrences carries over
+    recurrenceRule: rule ? { ...rule, ends: rule.ends === "until" ? "never" : rule.ends, until: "" } : null,
+    roles: roles.map((role) => ({ name: role.name, department: role.department, needed: role.needed || 1 })),
+    checklist: (event.checklist || []).map((item) => item.text),
+  };
+};
+
+// NewEvent form fields prefilled from a template, for the date already chosen
+export const formFromTemplate = (template, date = "") => ({
+  title: template.title || "",
+  description: template.description || "",
+  time: template.time || "",
+  endTime: template.endTime || "",
+  location: template.location || "",
+  category: template.category || "",
+  maxAttendees: template.maxAttendees ? template.maxAttendees.toString() : "",
+  isRecurring: Boolean(template.isRecurring && template.recurrenceRule),
+  recurrenceRule: template.isRecurring ? template.recurrenceRule : null,
+  exceptionDates: [],
+  registrationRequired: Boolean(template.registrationRequired),
+  registrationDeadline: deadlineFor(date, template.deadlineDaysBefore),
+  eventFee: template.eventFee ? template.eventFee.toString() : "",
+  tags: template.tags || [],
+  resourceIds: template.resourceIds || [],
+  checklist: checklistFromTexts(template.checklist),
+});
@@ -0,0 +1,280 @@
+// Greeting card images for celebrants, drawn on a canvas and downloaded as
+// PNG for sharing on WhatsApp status or Instagram.
+//
+// A template is
+//   {
+//     name, type,                       // type is a celebration type or "Any"
+//     heading: "Happy Birthday",
+//     message: "Dear {name}, ...",      // may use the PLACEHOLDERS below
+//     backgroundFrom, backgroundTo,     // gradient colours
+//     backgroundImage,                  // optional URL drawn over the gradient
+//     textColor, accentColor,
+//     photoShape: "circle" | "rounded",
+//   }
+// and the card stacks the church logo, heading, the celebrant's picture,
+// name and message down the middle.
+
+import { parseDateKey, toDateKey } from "@/lib/recurrence";
+
+export const CHURCH_NAME = "RCCG LCC";
+const LOGO_URL = "/img/favicon.png";
+const FONT_FAMILY = "Georgia, 'Times New Roman', serif";
+
+export const CARD_SIZES = [
+  { key: "story", label: "WhatsApp Status / Instagram Story", width: 1080, height: 1920 },
+  { key: "portrait", label: "Instagram Post (portrait)", width: 1080, height: 1350 },
+  { key: "square", label: "Instagram Post (square)", width: 1080, height: 1080 },
+];
+
+export const PHOTO_SHAPES = [
+  { value: "circle", label: "Circle" },
+  { value: "rounded", label: "Rounded square" },
+];
+
+export const PLACEHOLDERS = [
+  { token: "{name}", description: "Celebrant's name" },
+  { token: "{firstName}", description: "First name only" },
+  { token: "{date}", description: "Day of the celebration, e.g. 21 October" },
+  { token: "{years}", description: "Age or years married, when the year is known" },
+  { token: "{ordinal}", description: "The same as 40th, 10th..." },
+  { token: "{church}", description: CHURCH_NAME },
+];
+
+export const DEFAULT_TEMPLATE = {
+  name: "",
+  type: "Any",
+  heading: "Happy Birthday",
+  message: "Dear {name}, we thank God for you and celebrate with you today. Many happy returns!",
+  backgroundFrom: "#4c1d95",
+  backgroundTo: "#1e3a8a",
+  backgroundImage: "",
+  textColor: "#ffffff",
+  accentColor: "#fbbf24",
+  photoShape: "circle",
+};
+
+// Offered until admins save their own
+export const BUILT_IN_TEMPLATES = [
+  { ...DEFAULT_TEMPLATE, id: "built-in-birthday", name: "Royal Purple", type: "Birthday" },
+  {
+    ...DEFAULT_TEMPLATE,
+    id: "built-in-anniversary",
+    name: "Golden Union",
+    type: "Wedding Anniversary",
+    heading: "Happy Wedding Anniversary",
+    message: "Congratulations {name} on {years} years of marriage. May God continue to bless your home.",
+    backgroundFrom: "#7c2d12",
+    backgroundTo: "#b45309",
+    accentColor: "#fde68a",
+  },
+  {
+    ...DEFAULT_TEMPLATE,
+    id: "built-in-celebration",
+    name: "Thanksgiving Blue",
+    heading: "Congratulations",
+    message: "Dear {name}, we rejoice with you and thank God for His goodness in your life.",
+    backgroundFrom: "#0c4a6e",
+    backgroundTo: "#1e3a8a",
+  },
+];
+
+export const templatesFor = (templates, type) =>
+  templates.filter((template) => !template.type || template.type === "Any" || template.type === type);
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : { 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th";
+  return `${n}${suffix}`;
+};
+
+// The celebration's day this year (or celebration.occursOn when known)
+const celebrationDay = (celebration) => {
+  if (celebration.occursOn) return parseDateKey(celebration.occursOn);
+  return new Date(new Date().getFullYear(), Number(celebration.month) - 1, Number(celebration.date));
+};
+
+export const fillPlaceholders = (text, celebration) => {
+  const day = celebrationDay(celebration);
+  const years = celebration.year ? day.getFullYear() - Number(celebration.year) : null;
+  const values = {
+    name: celebration.name || "",
+    firstName: String(celebration.name || "").trim().split(/\s+/)[0] || "",
+    date: isNaN(day) ? "" : day.toLocaleDateString("en-GB", { day: "numeric", month: "long" }),
+    years: years > 0 ? String(years) : "",
+    ordinal: years > 0 ? ordinal(years) : "",
+    church: CHURCH_NAME,
+  };
+  return String(text || "")
+    .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match))
+    .replace(/ {2,}/g, " ");
+};
+
+// Resolves to null rather than failing so a missing picture leaves a gap
+// instead of no card. Pictures from another site need CORS headers or the
+// canvas cannot be exported.
+export const loadCardImage = (url) =>
+  new Promise((resolve) => {
+    if (!url) {
+      resolve(null);
+      return;
+    }
+    const image = new Image();
+    image.crossOrigin = "anonymous";
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+
+export const loadLogo = () => loadCardImage(LOGO_URL);
+
+const drawCover = (ctx, image, x, y, width, height) => {
+  const scale = Math.max(width / image.width, height / image.height);
+  const sourceWidth = width / scale;
+  const sourceHeight = height / scale;
+  ctx.drawImage(
+    image,
+    (image.width - sourceWidth) / 2,
+    (image.height - sourceHeight) / 2,
+    sourceWidth,
+    sourceHeight,
+    x,
+    y,
+    width,
+    height
+  );
+};
+
+const shapePath = (ctx, shape, x, y, size) => {
+  ctx.beginPath();
+  if (shape === "rounded") {
+    const r = size * 0.08;
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + size, y, x + size, y + size, r);
+    ctx.arcTo(x + size, y + size, x, y + size, r);
+    ctx.arcTo(x, y + size, x, y, r);
+    ctx.arcTo(x, y, x + size, y, r);
+    ctx.closePath();
+  } else {
+    ctx.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+  }
+};
+
+const wrapLines = (ctx, text, maxWidth) => {
+  const lines = [];
+  String(text)
+    .split("\n")
+    .forEach((paragraph) => {
+      let line = "";
+      paragraph.split(/\s+/).forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      });
+      lines.push(line);
+    });
+  return lines;
+};
+
+// Draws the card onto canvas. images holds the loaded { photo, logo, background }.
+export const drawGreetingCard = (canvas, template, { name, message, size, images = {} }) => {
+  const { width, height } = size;
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  const gradient = ctx.createLinearGradient(0, 0, width, height);
+  gradient.addColorStop(0, template.backgroundFrom || DEFAULT_TEMPLATE.backgroundFrom);
+  gradient.addColorStop(1, template.backgroundTo || DEFAULT_TEMPLATE.backgroundTo);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+
+  if (images.background) {
+    drawCover(ctx, images.background, 0, 0, width, height);
+    // Keeps the text readable on busy pictures
+    ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  const padding = width * 0.08;
+  const gap = width * 0.035;
+  const textColor = template.textColor || DEFAULT_TEMPLATE.textColor;
+  const accentColor = template.accentColor || DEFAULT_TEMPLATE.accentColor;
+
+  const textBlock = (text, { px, weight = "normal", color, maxLines = 8, italic = false }) => {
+    const font = `${italic ? "italic " : ""}${weight} ${Math.round(px)}px ${FONT_FAMILY}`;
+    ctx.font = font;
+    const lines = wrapLines(ctx, text, width - padding * 2).slice(0, maxLines);
+    return {
+      height: lines.length * px * 1.25,
+      draw: (y) => {
+        ctx.font = font;
+        ctx.fillStyle = color;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "top";
+        lines.forEach((line, index) => ctx.fillText(line, width / 2, y + index * px * 1.25));
+      },
+    };
+  };
+
+  const blocks = [];
+  if (images.logo) {
+    const logoSize = width * 0.1;
+    blocks.push({ height: logoSize, draw: (y) => ctx.drawImage(images.logo, (width - logoSize) / 2, y, logoSize, logoSize) });
+  }
+  blocks.push(textBlock(CHURCH_NAME.toUpperCase(), { px: width * 0.032, weight: "bold", color: textColor }));
+  if (template.heading) {
+    blocks.push(textBlock(template.heading, { px: width * 0.085, weight: "bold", color: accentColor, maxLines: 3 }));
+  }
+
+  const photoBlock = images.photo && { height: Math.min(width * 0.55, height * 0.36) };
+  if (photoBlock) {
+    photoBlock.draw = (y) => {
+      const photoSize = photoBlock.height;
+      const x = (width - photoSize) / 2;
+      ctx.save();
+      shapePath(ctx, template.photoShape, x, y, photoSize);
+      ctx.clip();
+      drawCover(ctx, images.photo, x, y, photoSize, photoSize);
+      ctx.restore();
+      shapePath(ctx, template.photoShape, x, y, photoSize);
+      ctx.lineWidth = width * 0.012;
+      ctx.strokeStyle = accentColor;
+      ctx.stroke();
+    };
+    blocks.push(photoBlock);
+  }
+
+  if (name) blocks.push(textBlock(name, { px: width * 0.07, weight: "bold", color: textColor, maxLines: 2 }));
+  if (message) blocks.push(textBlock(message, { px: width * 0.04, color: textColor, italic: true }));
+
+  // Shrink the picture when everything does not fit, e.g. on square cards
+  const total = () => blocks.reduce((sum, block) => sum + block.height, 0) + gap * (blocks.length - 1);
+  const overflow = total() - (height - padding * 2);
+  if (overflow > 0 && photoBlock) {
+    photoBlock.height = Math.max(width * 0.25, photoBlock.height - overflow);
+  }
+
+  let y = Math.max(padding, (height - total()) / 2);
+  blocks.forEach((block) => {
+    block.draw(y);
+    y += block.height + gap;
+  });
+};
+
+export const canvasToPng = (canvas) =>
+  new Promise((resolve, reject) => {
+    try {
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("The card could not be saved"))), "image/png");
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+export const cardFilename = (name, size, date = toDateKey(new Date())) =>
+  `greeting-${String(name || "celebrant")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")}-${size.key}-${date}.png`;
@@ -0,0 +1,63 @@
+// Live head-count tally shared between ushers over the admin socket.
+//
+// Every usher broadcasts the absolute counts for their own section, keyed by
+// a per-device usher ID, so re-sent or out-of-order messages never double
+// count. The room total is simply the sum of the latest counts per usher.
+// Socket events (relayed by the server to everyone in the same tally room):
+//   tally:join / tally:leave     { tallyId, usherId, usherName, section }
+//   tally:sync-request           { tallyId } - peers answer with tally:update
+//   tally:update                 { tallyId, usherId, usherName, section, counts, updatedAt }
+//   tally:finalized              { tallyId, totals, by }
+
+export const TALLY_CATEGORIES = [
+  { key: "adults", label: "Adults" },
+  { key: "youth", label: "Youth" },
+  { key: "children", label: "Children" },
+  { key: "visitors", label: "Visitors" },
+];
+
+export const makeTallyId = (date, serviceType) => `${date}|${serviceType}`;
+
+export const emptyCounts = () =>
+  TALLY_CATEGORIES.reduce((counts, { key }) => ({ ...counts, [key]: 0 }), {});
+
+export const countTotal = (counts) =>
+  TALLY_CATEGORIES.reduce((sum, { key }) => sum + (parseInt(counts?.[key]) || 0), 0);
+
+// Adds up every usher's counts into the NewAttendance breakdown
+export const sumTallies = (tallies) => {
+  const totals = emptyCounts();
+  tallies.forEach((tally) => {
+    TALLY_CATEGORIES.forEach(({ key }) => {
+      totals[key] += parseInt(tally.counts?.[key]) || 0;
+    });
+  });
+  return { ...totals, totalAttendance: countTotal(totals) };
+};
+
+// Stable ID for this device so two ushers sharing a login still count separately
+export const getUsherDeviceId = () => {
+  let id = localStorage.getItem("tallyDeviceId");
+  if (!id) {
+    id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    localStorage.setItem("tallyDeviceId", id);
+  }
+  return id;
+};
+
+// This usher's own counts survive a reload of the tally screen
+const storageKey = (tallyId) => `tally:${tallyId}`;
+
+export const loadOwnCounts = (tallyId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(tallyId)));
+    return saved ? { ...emptyCounts(), ...saved } : emptyCounts();
+  } catch {
+    return emptyCounts();
+  }
+};
+
+export const saveOwnCounts = (tallyId, counts) =>
+  localStorage.setItem(storageKey(tallyId), JSON.stringify(counts));
+
+export const clearOwnCounts = (tallyId) => localStorage.removeItem(storageKey(tallyId));
@@ -0,0 +1,87 @@
+import { householdsAPI } from "@/Services/householdsAPI";
+
+// Empty household selection used by the member forms
+export const emptyHouseholdSelection = {
+  householdId: "",
+  role: "",
+  name: "",
+  useSharedContact: false,
+};
+
+// Select values are strings while ids from the API may be numbers
+export const findHousehold = (households, householdId) =>
+  households.find((h) => String(h.id) === String(householdId));
+
+// True when the member's phone can be left blank because the chosen
+// household's shared phone will be used instead
+export const usesSharedPhone = (selection, households = []) =>
+  Boolean(selection.useSharedContact && findHousehold(households, selection.householdId)?.phone);
+
+// Builds the form selection from a member record returned by the API
+export const householdSelectionFromMember = (member) => ({
+  householdId: member.householdId || "",
+  role: member.householdRole || "",
+  name: "",
+  useSharedContact: false,
+});
+
+// Creates the household first when the form asked for a new one, then returns
+// the member payload with householdId/householdRole and, when requested, the
+// household's shared address and phone applied.
+export const applyHouseholdSelection = async (formData, selection, households = []) => {
+  if (!selection.householdId) {
+    return {
+      success: true,
+      data: { ...formData, householdId: null, householdRole: null },
+    };
+  }
+
+  let household = findHousehold(households, selection.householdId);
+
+  if (selection.householdId === "new") {
+    const response = await householdsAPI.createHousehold({
+      name: selection.name,
+      address: formData.address,
+      phone: formData.phone,
+    });
+    if (!response.success) {
+      return response;
+    }
+    household = response.data;
+  }
+
+  const shared = selection.useSharedContact && household;
+
+  return {
+    success: true,
+    data: {
+      ...formData,
+      address: shared ? household.address || formData.address : formData.address,
+      phone: shared ? household.phone || formData.phone : formData.phone,
+      householdId: household?.id || selection.householdId,
+      householdRole: selection.role || "Other",
+    },
+  };
+};
+
+// Marks the saved member as head of household when that role was chosen
+export const syncHeadOfHousehold = async (member, selection) => {
+  if (!member?.householdId || selection.role !== "Head") {
+    return { success: true };
+  }
+  return householdsAPI.updateHousehold(member.householdId, {
+    headOfHouseholdId: member.id,
+  });
+};
+
+// Groups member ids by household so a whole family can be ticked at once
+export const groupByHousehold = (members) =>
+  members.reduce((groups, member) => {
+    if (member.householdId) {
+      groups[member.householdId] = [
+        ...(groups[member.householdId] || []),
+        member.id,
+      ];
+    }
+    return groups;
+  }, {});
@@ -0,0 +1,424 @@
+// iCalendar (RFC 5545) export and import for church events.
+// Times are written in the church's time zone so phones in other zones still
+// show the right local time.
+
+import { downloadBlob } from "@/lib/csv";
+import { EVENT_CATEGORIES } from "@/lib/eventCategories";
+import { eventDateKey, getRecurrenceRule, parseDateKey, weekOfMonth } from "@/lib/recurrence";
+
+export const CALENDAR_TIMEZONE = "Africa/Lagos";
+const CALENDAR_NAME = "RCCG LCC Events";
+const UID_DOMAIN = "rccg-lcc";
+
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Lagos has no daylight saving, so a single STANDARD block describes it
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${CALENDAR_TIMEZONE}`,
+  "BEGIN:STANDARD",
+  "DTSTART:19700101T000000",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0100",
+  "TZNAME:WAT",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const unescapeText = (value) =>
+  String(value ?? "").replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+
+// Lines longer than 75 characters are folded onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+  return parts.join("\r\n");
+};
+
+const compactDate = (key) => key.replace(/-/g, "");
+const compactTime = (time) => `${String(time).slice(0, 5).replace(":", "")}00`;
+
+const utcStamp = (date = new Date()) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const addHour = (time) => {
+  const [h, m] = String(time).split(":").map(Number);
+  return `${String(Math.min(h + 1, 23)).padStart(2, "0")}:${String(m || 0).padStart(2, "0")}`;
+};
+
+const dateProperty = (name, key, time) =>
+  time
+    ? `${name};TZID=${CALENDAR_TIMEZONE}:${compactDate(key)}T${compactTime(time)}`
+    : `${name};VALUE=DATE:${compactDate(key)}`;
+
+// RRULE value for an event's recurrence rule
+export const toRRule = (rule, startKey) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  const interval = parseInt(rule.interval) || 1;
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  const weekday = ICS_WEEKDAYS[parseDateKey(startKey).getDay()];
+  if (rule.frequency === "weekly" && rule.weekdays?.length) {
+    parts.push(`BYDAY=${[...rule.weekdays].sort((a, b) => a - b).map((d) => ICS_WEEKDAYS[d]).join(",")}`);
+  } else if (rule.frequency === "monthly") {
+    if (rule.monthlyBy === "weekday") parts.push(`BYDAY=${weekOfMonth(startKey)}${weekday}`);
+    else if (rule.monthlyBy === "lastWeekday") parts.push(`BYDAY=-1${weekday}`);
+    else parts.push(`BYMONTHDAY=${parseDateKey(startKey).getDate()}`);
+  }
+
+  if (rule.ends === "until" && rule.until) {
+    parts.push(`UNTIL=${compactDate(rule.until)}T235959Z`);
+  } else if (rule.ends === "count" && rule.count) {
+    parts.push(`COUNT=${parseInt(rule.count)}`);
+  }
+  return parts.join(";");
+};
+
+// VEVENT lines for one stored event (recurring events keep their RRULE)
+export const eventToVEvent = (event) => {
+  const start = eventDateKey(event);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:event-${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${utcStamp()}`,
+    dateProperty("DTSTART", start, event.time),
+  ];
+
+  if (event.time) {
+    lines.push(dateProperty("DTEND", start, event.endTime || addHour(event.time)));
+  }
+
+  const rule = getRecurrenceRule(event);
+  if (rule) {
+    lines.push(`RRULE:${toRRule(rule, start)}`);
+    (event.exceptionDates || []).forEach((key) => lines.push(dateProperty("EXDATE", key, event.time)));
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  if (event.status === "cancelled") lines.push("STATUS:CANCELLED");
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${utcStamp(new Date(event.updatedAt))}`);
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+// Complete calendar file. Feeds carry refresh hints for subscribed calendars.
+export const buildCalendar = (events, { name = CALENDAR_NAME, feed = false } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//RCCG LCC//Church Dashboard//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+  ];
+  if (feed) {
+    lines.push("REFRESH-INTERVAL;VALUE=DURATION:P1D", "X-PUBLISHED-TTL:P1D");
+  }
+  lines.push(...VTIMEZONE);
+  events.forEach((event) => lines.push(...eventToVEvent(event)));
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+export const icsFilename = (name) =>
+  `${String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "") || "events"}.ics`;
+
+export const downloadCalendar = (events, options = {}) =>
+  downloadBlob(
+    buildCalendar(events, options),
+    icsFilename(options.name || CALENDAR_NAME),
+    "text/calendar;charset=utf-8"
+  );
+
+// ---- Import ----
+
+// Splits a property line into { name, params, value }
+const parseLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(";");
+  const params = {};
+  paramParts.forEach((part) => {
+    const [key, value = ""] = part.split("=");
+    params[key.toUpperCase()] = value.replace(/"/g, "");
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// Lagos is UTC+1 all year
+const CALENDAR_OFFSET_MINUTES = 60;
+
+// Minutes timeZone is ahead of UTC at the instant utcMs. Throws a RangeError
+// for zones the browser does not know, e.g. Outlook's Windows zone names.
+const zoneOffsetMinutes = (timeZone, utcMs) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+      .formatToParts(new Date(utcMs))
+      .map((part) => [part.type, Number(part.value)])
+  );
+  return (Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - utcMs) / 60000;
+};
+
+// "20261020T090000Z" / "20261020T090000" / "20261020" -> { date, time }
+// UTC times and times with a TZID are converted to the church's time zone;
+// times without either are taken as already in it. Throws when the TZID is
+// not a zone the browser can convert from.
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, y, mo, d, h, mi, , utc] = match;
+  if (!h || params.VALUE === "DATE") {
+    return { date: `${y}-${mo}-${d}`, time: "" };
+  }
+
+  const zone = utc ? "UTC" : params.TZID;
+  if (!zone || zone === CALENDAR_TIMEZONE) {
+    return { date: `${y}-${mo}-${d}`, time: `${h}:${mi}` };
+  }
+
+  const wallMs = Date.UTC(+y, +mo - 1, +d, +h, +mi);
+  let utcMs = wallMs;
+  if (!utc) {
+    try {
+      // Checked again at the corrected instant in case it crosses a DST change
+      utcMs = wallMs - zoneOffsetMinutes(zone, wallMs) * 60000;
+      utcMs = wallMs - zoneOffsetMinutes(zone, utcMs) * 60000;
+    } catch {
+      throw new Error(`Time zone ${zone} is not supported`);
+    }
+  }
+  const church = new Date(utcMs + CALENDAR_OFFSET_MINUTES * 60000);
+  return {
+    date: church.toISOString().slice(0, 10),
+    time: church.toISOString().slice(11, 16),
+  };
+};
+
+// "PT1H30M" -> minutes
+const parseDuration = (value) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, days = 0, hours = 0, minutes = 0] = match;
+  return +days * 1440 + +hours * 60 + +minutes;
+};
+
+const addMinutes = (time, minutes) => {
+  const [h, m] = time.split(":").map(Number);
+  const total = Math.min(h * 60 + m + minutes, 23 * 60 + 59);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// RRULE value -> { rule, warnings }
+const parseRRule = (value, startKey) => {
+  const parts = Object.fromEntries(
+    value.split(";").map((part) => {
+      const [key, val = ""] = part.split("=");
+      return [key.toUpperCase(), val];
+    })
+  );
+  const warnings = [];
+  const frequency = String(parts.FREQ || "").toLowerCase();
+  if (!["daily", "weekly", "monthly", "yearly"].includes(frequency)) {
+    return { rule: null, warnings: [`Repeat frequency ${parts.FREQ || "(none)"} is not supported`] };
+  }
+
+  const rule = {
+    frequency,
+    interval: parseInt(parts.INTERVAL) || 1,
+    weekdays: [parseDateKey(startKey).getDay()],
+    monthlyBy: "day",
+    ends: "never",
+    until: "",
+    count: "",
+  };
+
+  const byDay = parts.BYDAY ? parts.BYDAY.split(",") : [];
+  if (frequency === "weekly" && byDay.length) {
+    rule.weekdays = byDay
+      .map((day) => ICS_WEEKDAYS.indexOf(day.slice(-2)))
+      .filter((day) => day >= 0)
+      .sort((a, b) => a - b);
+  } else if (frequency === "monthly" && byDay.length) {
+    const ordinal = parseInt(byDay[0]);
+    rule.monthlyBy = ordinal === -1 ? "lastWeekday" : "weekday";
+    const startWeekday = ICS_WEEKDAYS[parseDateKey(startKey).getDay()];
+    if (byDay.length > 1 || byDay[0].slice(-2) !== startWeekday || (ordinal > 0 && ordinal !== weekOfMonth(startKey))) {
+      warnings.push(`Monthly rule ${parts.BYDAY} was matched to the event's start date`);
+    }
+  }
+
+  if (parts.UNTIL) {
+    rule.ends = "until";
+    rule.until = parseDateValue(parts.UNTIL)?.date || "";
+  } else if (parts.COUNT) {
+    rule.ends = "count";
+    rule.count = parseInt(parts.COUNT) || 1;
+  }
+
+  ["BYSETPOS", "BYWEEKNO", "BYYEARDAY", "BYHOUR", "BYMINUTE"].forEach((key) => {
+    if (parts[key]) warnings.push(`${key} in the repeat rule is not supported and was ignored`);
+  });
+
+  return { rule, warnings };
+};
+
+const matchCategory = (value) => {
+  const categories = unescapeText(value)
+    .split(",")
+    .map((c) => c.trim().toLowerCase());
+  return EVENT_CATEGORIES.find((category) => categories.includes(category.toLowerCase())) || "";
+};
+
+// One VEVENT -> { event, warnings, originalDate }
+const parseEvent = (props, exdates, get) => {
+  const start = props.DTSTART ? parseDateValue(props.DTSTART.value, props.DTSTART.params) : null;
+  if (!start) {
+    return { event: { title: get("SUMMARY") }, warnings: ["Missing start date"] };
+  }
+
+  const warnings = [];
+  let endTime = "";
+  if (props.DTEND) {
+    const end = parseDateValue(props.DTEND.value, props.DTEND.params);
+    if (end?.time && end.date === start.date) endTime = end.time;
+  } else if (props.DURATION && start.time) {
+    const minutes = parseDuration(props.DURATION.value);
+    if (minutes) endTime = addMinutes(start.time, minutes);
+  }
+
+  const exceptionDates = exdates.flatMap((prop) =>
+    prop.value
+      .split(",")
+      .map((value) => parseDateValue(value, prop.params)?.date)
+      .filter(Boolean)
+  );
+
+  const event = {
+    title: get("SUMMARY"),
+    description: get("DESCRIPTION") || get("SUMMARY"),
+    date: start.date,
+    time: start.time,
+    endTime,
+    location: get("LOCATION"),
+    category: props.CATEGORIES ? matchCategory(props.CATEGORIES.value) : "",
+    isRecurring: false,
+    recurrenceRule: null,
+    exceptionDates: [...new Set(exceptionDates)].sort(),
+  };
+
+  if (props.RRULE) {
+    const { rule, warnings: ruleWarnings } = parseRRule(props.RRULE.value, start.date);
+    warnings.push(...ruleWarnings);
+    if (rule) {
+      event.isRecurring = true;
+      event.recurrenceRule = rule;
+    }
+  }
+
+  let originalDate = null;
+  if (props["RECURRENCE-ID"]) {
+    originalDate = parseDateValue(props["RECURRENCE-ID"].value, props["RECURRENCE-ID"].params)?.date || null;
+    event.originalDate = originalDate;
+  }
+
+  if (!start.time) warnings.push("All-day event; a start time will be needed");
+  return { event, warnings, originalDate };
+};
+
+// Parses an .ics file into event data ready for eventsAPI.createEvent.
+// Returns [{ event, uid, warnings, errors }]; cancelled events are left out
+// and changed occurrences (RECURRENCE-ID) become exceptions on their series.
+// Events in a time zone that cannot be converted come back with an error.
+export const parseICS = (text) => {
+  const lines = String(text)
+    .replace(/\r\n[ \t]/g, "")
+    .replace(/\n[ \t]/g, "")
+    .split(/\r?\n/);
+
+  const items = [];
+  const overrides = [];
+  let current = null;
+
+  lines.forEach((raw) => {
+    const line = raw.trimEnd();
+    if (line === "BEGIN:VEVENT") {
+      current = { props: {}, exdates: [] };
+      return;
+    }
+    if (line === "END:VEVENT") {
+      if (current) items.push(current);
+      current = null;
+      return;
+    }
+    if (!current) return;
+
+    const prop = parseLine(line);
+    if (!prop) return;
+    if (prop.name === "EXDATE") {
+      current.exdates.push(prop);
+    } else {
+      current.props[prop.name] = prop;
+    }
+  });
+
+  const parsedEvents = [];
+  items.forEach(({ props, exdates }) => {
+    const get = (name) => (props[name] ? unescapeText(props[name].value) : "");
+    if (get("STATUS").toUpperCase() === "CANCELLED") return;
+
+    const uid = get("UID");
+    try {
+      const { event, warnings, originalDate } = parseEvent(props, exdates, get);
+      if (originalDate) overrides.push({ uid, date: originalDate });
+      parsedEvents.push({ uid, event, warnings, errors: [] });
+    } catch (error) {
+      parsedEvents.push({ uid, event: { title: get("SUMMARY") }, warnings: [], errors: [error.message] });
+    }
+  });
+
+  // A changed occurrence replaces that date in its series
+  overrides.forEach(({ uid, date }) => {
+    const series = parsedEvents.find((item) => item.uid === uid && item.event.isRecurring);
+    if (series && !series.event.exceptionDates.includes(date)) {
+      series.event.exceptionDates = [...series.event.exceptionDates, date].sort();
+    }
+  });
+
+  return parsedEvents;
+};
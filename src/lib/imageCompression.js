@@ -0,0 +1,48 @@
+// Shrinks photos in the browser before upload. Phone pictures are often
+// 4-8 MB; resized to fit MAX_DIMENSION and re-encoded as JPEG they are a few
+// hundred KB, which matters on mobile data.
+
+const MAX_DIMENSION = 1600;
+const QUALITY = 0.8;
+// Already small enough to send as they are
+const SKIP_BELOW_BYTES = 300 * 1024;
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name} could not be read as an image`));
+    };
+    image.src = url;
+  });
+
+export const compressImage = async (file, { maxDimension = MAX_DIMENSION, quality = QUALITY } = {}) => {
+  if (file.size < SKIP_BELOW_BYTES || file.type === "image/gif") return file;
+
+  const image = await loadImage(file);
+  const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+
+  const context = canvas.getContext("2d");
+  // JPEG has no transparency; paint PNG backgrounds white rather than black
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", quality));
+  if (!blob || blob.size >= file.size) return file;
+
+  const name = file.name.replace(/\.[^.]+$/, "") + ".jpg";
+  return new File([blob], name, { type: "image/jpeg", lastModified: Date.now() });
+};
+
+export const formatFileSize = (bytes) =>
+  bytes < 1024 * 1024 ? `${Math.round(bytes / 1024)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
@@ -0,0 +1,73 @@
+// Kiosk mode state. The session lives in localStorage so a reload on the
+// entrance tablet stays locked to the kiosk until an admin enters the PIN.
+
+const STORAGE_KEY = "kioskSession";
+
+// Wrong exit PINs allowed before the pad locks. Every wrong PIN after that
+// locks it again for twice as long, so the 10,000 PINs cannot be tried out.
+const FREE_PIN_ATTEMPTS = 3;
+const PIN_LOCK_MS = 30 * 1000;
+const MAX_PIN_LOCK_DOUBLINGS = 6;
+
+const hashPin = async (pin) => {
+  const text = `kiosk:${pin}`;
+  if (window.crypto?.subtle) {
+    const digest = await window.crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+  // crypto.subtle is only available on https/localhost
+  return btoa(text);
+};
+
+export const getKioskSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return session && session.serviceType && session.date ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+export const isKioskActive = () => getKioskSession() !== null;
+
+export const startKioskSession = async ({ date, serviceType, pin }) => {
+  const session = {
+    date,
+    serviceType,
+    pinHash: await hashPin(pin),
+    startedAt: new Date().toISOString(),
+  };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  return session;
+};
+
+// Milliseconds until the exit PIN can be tried again
+export const pinLockRemaining = () => {
+  const session = getKioskSession();
+  return session?.lockedUntil ? Math.max(0, session.lockedUntil - Date.now()) : 0;
+};
+
+// Wrong attempts are counted in the stored session so a reload does not reset them
+export const verifyKioskPin = async (pin) => {
+  const session = getKioskSession();
+  if (!session) return true;
+  if (pinLockRemaining() > 0) return false;
+  if (session.pinHash === (await hashPin(pin))) return true;
+
+  const failedPins = (session.failedPins || 0) + 1;
+  const locks = failedPins - FREE_PIN_ATTEMPTS;
+  const lockedUntil =
+    locks >= 0 ? Date.now() + PIN_LOCK_MS * 2 ** Math.min(locks, MAX_PIN_LOCK_DOUBLINGS) : null;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...session, failedPins, lockedUntil }));
+  return false;
+};
+
+export const endKioskSession = () => localStorage.removeItem(STORAGE_KEY);
+
+// HH:MM for the attendance timeArrived field
+export const currentTimeArrived = () => {
+  const now = new Date();
+  return `${String(now.getHours()).padStart(2, "0")}:${String(now.getMinutes()).padStart(2, "0")}`;
+};
@@ -0,0 +1,112 @@
+// Birthdays and wedding anniversaries worked out from member records, so
+// members are acknowledged without anyone having to send in a request.
+//
+// A generated celebration has the fields of a submitted one (name, type,
+// month, date, year, phone, email, isFromMember) plus memberId, occursOn
+// (the "YYYY-MM-DD" it falls on) and years (age or years married).
+
+import { normalizeName, normalizePhone } from "@/lib/duplicates";
+import { addDays, daysBetween, parseDateKey, toDateKey } from "@/lib/recurrence";
+
+const SOURCES = [
+  { field: "dateOfBirth", type: "Birthday", applies: () => true },
+  { field: "weddingDate", type: "Wedding Anniversary", applies: (member) => member.maritalStatus === "Married" },
+];
+
+// A request sent in more than this long before the day is taken to be for
+// an earlier year
+const SUBMISSION_LEAD_DAYS = 180;
+
+// 29 February is celebrated on the 28th outside leap years
+const occurrenceIn = (year, month, day) =>
+  toDateKey(new Date(year, month - 1, Math.min(day, new Date(year, month, 0).getDate())));
+
+// Each date a month/day anniversary falls on between fromKey and toKey
+export const occurrencesBetween = (month, day, fromKey, toKey) => {
+  const occurrences = [];
+  for (let year = parseDateKey(fromKey).getFullYear(); year <= parseDateKey(toKey).getFullYear(); year++) {
+    const occursOn = occurrenceIn(year, month, day);
+    if (occursOn >= fromKey && occursOn <= toKey) occurrences.push(occursOn);
+  }
+  return occurrences;
+};
+
+// Celebrations falling in the `days` days starting at fromKey, soonest first
+export const upcomingMemberCelebrations = (members, fromKey, days) => {
+  const toKey = addDays(fromKey, days - 1);
+  const celebrations = [];
+
+  members
+    .filter((member) => member.isActive !== false)
+    .forEach((member) => {
+      SOURCES.forEach(({ field, type, applies }) => {
+        if (!member[field] || !applies(member)) return;
+        const [year, month, day] = String(member[field]).slice(0, 10).split("-").map(Number);
+        if (!month || !day) return;
+
+        occurrencesBetween(month, day, fromKey, toKey).forEach((occursOn) => {
+          const y = parseDateKey(occursOn).getFullYear();
+          if (y <= year) return;
+          celebrations.push({
+            key: `${type}-${member.id}-${occursOn}`,
+            memberId: member.id,
+            name: member.name,
+            type,
+            month,
+            date: day,
+            year,
+            phone: member.phone || "",
+            email: member.email || "",
+            isFromMember: true,
+            occursOn,
+            years: y - year,
+          });
+        });
+      });
+    });
+
+  return celebrations.sort((a, b) => a.occursOn.localeCompare(b.occursOn) || a.name.localeCompare(b.name));
+};
+
+// Whether a celebration already in the system is for the same person and day
+export const isSameCelebration = (generated, celebration) => {
+  if (celebration.type !== generated.type) return false;
+  if (Number(celebration.month) !== generated.month || Number(celebration.date) !== generated.date) return false;
+  if (celebration.createdAt && daysBetween(String(celebration.createdAt).slice(0, 10), generated.occursOn) > SUBMISSION_LEAD_DAYS) {
+    return false;
+  }
+
+  if (celebration.memberId) return String(celebration.memberId) === String(generated.memberId);
+  const phone = normalizePhone(celebration.phone);
+  return (phone && phone === normalizePhone(generated.phone)) || normalizeName(celebration.name) === normalizeName(generated.name);
+};
+
+// Generated celebrations split into those still to add and those somebody
+// has already submitted
+export const mergeWithSubmitted = (generated, celebrations) => {
+  const toAdd = [];
+  const submitted = [];
+  generated.forEach((item) => {
+    const match = celebrations.find((celebration) => isSameCelebration(item, celebration));
+    if (match) submitted.push({ ...item, submission: match });
+    else toAdd.push(item);
+  });
+  return { toAdd, submitted };
+};
+
+// Fields for celebrationsAPI.createCelebration
+export const toCelebrationRecord = ({ memberId, name, type, month, date, year, phone, email }) => ({
+  memberId,
+  name,
+  type,
+  month,
+  date,
+  year,
+  phone,
+  email,
+  isFromMember: true,
+  status: "approved",
+});
+
+export const describeYears = ({ type, years }) =>
+  type === "Birthday" ? `Turns ${years}` : `${years} year${years === 1 ? "" : "s"} married`;
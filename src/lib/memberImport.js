@@ -0,0 +1,227 @@
+// Parsing, column mapping and validation for the member import wizard
+import * as XLSX from "xlsx";
+import { normalizeEmail, normalizePhone } from "@/lib/duplicates";
+
+// Member fields a spreadsheet column can be mapped to. `aliases` drive the
+// automatic mapping from common header names.
+export const IMPORT_FIELDS = [
+  { key: "name", label: "Full Name", required: true, aliases: ["name", "full name", "fullname", "member name"] },
+  { key: "email", label: "Email Address", required: true, aliases: ["email", "email address", "e-mail"] },
+  { key: "phone", label: "Phone Number", required: true, aliases: ["phone", "phone number", "mobile", "telephone", "tel", "gsm"] },
+  { key: "dateOfBirth", label: "Date of Birth", aliases: ["date of birth", "dob", "birthday", "birth date"] },
+  { key: "gender", label: "Gender", aliases: ["gender", "sex"] },
+  { key: "maritalStatus", label: "Marital Status", aliases: ["marital status", "marital"] },
+  { key: "weddingDate", label: "Wedding Anniversary", aliases: ["wedding anniversary", "wedding date", "anniversary", "date of marriage"] },
+  { key: "address", label: "Address", aliases: ["address", "home address", "residential address"] },
+  { key: "occupation", label: "Occupation", aliases: ["occupation", "profession", "job"] },
+  { key: "department", label: "Department", aliases: ["department", "unit", "dept"] },
+  { key: "membershipDate", label: "Membership Date", aliases: ["membership date", "date joined", "joined"] },
+  { key: "emergencyContact.name", label: "Emergency Contact Name", aliases: ["emergency contact", "emergency contact name", "next of kin"] },
+  { key: "emergencyContact.phone", label: "Emergency Contact Phone", aliases: ["emergency phone", "emergency contact phone", "next of kin phone"] },
+  { key: "emergencyContact.relationship", label: "Emergency Contact Relationship", aliases: ["relationship", "emergency relationship", "next of kin relationship"] },
+];
+
+const GENDERS = ["Male", "Female"];
+const MARITAL_STATUSES = ["Single", "Married", "Divorced", "Widowed"];
+
+const canonical = (text) => String(text || "").trim().toLowerCase().replace(/[_\-.]+/g, " ").replace(/\s+/g, " ");
+
+const isCSV = (file) => /\.csv$/i.test(file.name || "") || file.type === "text/csv";
+
+// Reads the first sheet of a CSV/XLS/XLSX file into headers + row arrays.
+// CSV cells are kept as the text in the file: left to guess, SheetJS drops
+// the leading 0 and + from phone numbers and reads 03/04/1990 month-first,
+// so dates are left for normalizeImportDate to read day-first.
+export const parseSpreadsheet = async (file) => {
+  const workbook = isCSV(file)
+    ? XLSX.read(await file.text(), { type: "string", raw: true })
+    : XLSX.read(await file.arrayBuffer(), { type: "array", cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    throw new Error("The file does not contain any sheets");
+  }
+
+  const [headerRow = [], ...rows] = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    defval: "",
+    raw: true,
+    blankrows: false,
+  });
+
+  const headers = headerRow.map((header, index) => String(header).trim() || `Column ${index + 1}`);
+  return {
+    headers,
+    rows: rows.filter((row) => row.some((cell) => String(cell).trim() !== "")),
+  };
+};
+
+// Guesses a column for each field from the header names: header -> field key
+export const autoMapColumns = (headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  headers.forEach((header) => {
+    const name = canonical(header);
+    const field = IMPORT_FIELDS.find(
+      (f) => !used.has(f.key) && (f.aliases.includes(name) || canonical(f.label) === name)
+    );
+    if (field) {
+      mapping[header] = field.key;
+      used.add(field.key);
+    }
+  });
+
+  return mapping;
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Accepts Date cells, ISO strings and day-first dates (14/03/1990) and returns
+// YYYY-MM-DD, or null when the value can't be understood
+export const normalizeImportDate = (value) => {
+  if (value === "" || value === null || value === undefined) return "";
+
+  if (value instanceof Date) {
+    return isNaN(value) ? null : `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    const [, y, m, d] = match;
+    return isValidDate(y, m, d) ? `${y}-${pad(m)}-${pad(d)}` : null;
+  }
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (match) {
+    const [, d, m, yy] = match;
+    const y = yy.length === 2 ? (Number(yy) > 30 ? `19${yy}` : `20${yy}`) : yy;
+    return isValidDate(y, m, d) ? `${y}-${pad(m)}-${pad(d)}` : null;
+  }
+
+  return null;
+};
+
+const isValidDate = (y, m, d) => {
+  const date = new Date(Number(y), Number(m) - 1, Number(d));
+  return date.getFullYear() === Number(y) && date.getMonth() === Number(m) - 1 && date.getDate() === Number(d);
+};
+
+const matchOption = (value, options) =>
+  options.find((option) => option.toLowerCase() === String(value).trim().toLowerCase()) ||
+  options.find((option) => option[0].toLowerCase() === String(value).trim().toLowerCase());
+
+// Turns one spreadsheet row into the member shape NewMember submits
+export const buildMemberFromRow = (row, headers, mapping) => {
+  const member = {
+    name: "",
+    email: "",
+    phone: "",
+    address: "",
+    dateOfBirth: "",
+    gender: "",
+    maritalStatus: "",
+    weddingDate: "",
+    occupation: "",
+    department: "",
+    membershipDate: "",
+    isActive: true,
+    emergencyContact: { name: "", phone: "", relationship: "" },
+  };
+
+  headers.forEach((header, index) => {
+    const field = mapping[header];
+    if (!field) return;
+
+    const raw = row[index];
+    const value = raw instanceof Date ? raw : String(raw ?? "").trim();
+
+    if (field.startsWith("emergencyContact.")) {
+      member.emergencyContact[field.split(".")[1]] = value;
+    } else {
+      member[field] = value;
+    }
+  });
+
+  return member;
+};
+
+// Cleans up a built member and returns { member, errors } for the preview
+export const validateImportedMember = (member, { departments = [] } = {}) => {
+  const errors = [];
+  const cleaned = { ...member, emergencyContact: { ...member.emergencyContact } };
+
+  if (!cleaned.name) errors.push("Name is required");
+
+  if (!cleaned.email) {
+    errors.push("Email is required");
+  } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleaned.email)) {
+    errors.push("Email is not valid");
+  }
+
+  if (!cleaned.phone) {
+    errors.push("Phone number is required");
+  } else if (normalizePhone(cleaned.phone).length < 7) {
+    errors.push("Phone number is too short");
+  }
+
+  const dateLabels = { dateOfBirth: "Date of birth", weddingDate: "Wedding anniversary", membershipDate: "Membership date" };
+  Object.keys(dateLabels).forEach((key) => {
+    const date = normalizeImportDate(cleaned[key]);
+    if (date === null) {
+      errors.push(`${dateLabels[key]} is not a valid date`);
+    } else {
+      cleaned[key] = date;
+    }
+  });
+
+  if (cleaned.dateOfBirth && new Date(cleaned.dateOfBirth) > new Date()) {
+    errors.push("Date of birth cannot be in the future");
+  }
+
+  if (!cleaned.membershipDate) {
+    cleaned.membershipDate = new Date().toISOString().split("T")[0];
+  }
+
+  if (cleaned.gender) {
+    const gender = matchOption(cleaned.gender, GENDERS);
+    if (gender) cleaned.gender = gender;
+    else errors.push(`Gender must be one of ${GENDERS.join(", ")}`);
+  }
+
+  if (cleaned.maritalStatus) {
+    const status = matchOption(cleaned.maritalStatus, MARITAL_STATUSES);
+    if (status) cleaned.maritalStatus = status;
+    else errors.push(`Marital status must be one of ${MARITAL_STATUSES.join(", ")}`);
+  }
+
+  if (cleaned.department && departments.length > 0) {
+    const department = departments.find((d) => d.toLowerCase() === cleaned.department.toLowerCase());
+    if (department) cleaned.department = department;
+    else errors.push(`Unknown department "${cleaned.department}"`);
+  }
+
+  cleaned.email = normalizeEmail(cleaned.email);
+
+  return { member: cleaned, errors };
+};
+
+// Flags rows that repeat an earlier row's email or phone within the same file
+export const findRepeatedRows = (members) => {
+  const seen = new Map();
+  const repeats = {};
+
+  members.forEach((member, index) => {
+    [normalizeEmail(member.email), normalizePhone(member.phone)]
+      .filter((key) => key && key.length >= 5)
+      .forEach((key) => {
+        if (seen.has(key) && repeats[index] === undefined) {
+          repeats[index] = seen.get(key);
+        } else if (!seen.has(key)) {
+          seen.set(key, index);
+        }
+      });
+  });
+
+  return repeats;
+};
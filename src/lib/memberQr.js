@@ -0,0 +1,20 @@
+// QR payload printed on membership cards and read by the check-in scanners.
+// The prefix keeps random QR codes (URLs, Wi-Fi cards) from being mistaken
+// for a member.
+
+const PREFIX = "RCCG-MEMBER:";
+
+export const encodeMemberQr = (memberId) => `${PREFIX}${memberId}`;
+
+// Returns the member ID from a scanned payload, or null if it isn't ours.
+// A bare ID is accepted too so keyboard-wedge scanners and typed IDs work.
+export const parseMemberQr = (text) => {
+  const value = String(text || "").trim();
+  if (!value) return null;
+
+  if (value.toUpperCase().startsWith(PREFIX)) {
+    return value.slice(PREFIX.length).trim() || null;
+  }
+
+  return /^[A-Za-z0-9-]{1,64}$/.test(value) ? value : null;
+};
@@ -0,0 +1,100 @@
+// Minimal IndexedDB wrapper for work captured while the device is offline.
+// `syncQueue` holds submissions waiting to be replayed against the API and
+// `cache` keeps the last copy of reference data (members, service types) so
+// forms still work without a connection.
+
+const DB_NAME = "rccg-dashboard-offline";
+const DB_VERSION = 1;
+const QUEUE_STORE = "syncQueue";
+const CACHE_STORE = "cache";
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("Offline storage is not supported in this browser"));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+        db.createObjectStore(QUEUE_STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(CACHE_STORE)) {
+        db.createObjectStore(CACHE_STORE, { keyPath: "key" });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+// Runs a single request against a store and resolves with its result
+const run = async (storeName, mode, operation) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const generateId = () =>
+  `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+export const offlineStore = {
+  // Queue a submission. type: 'attendance' | 'check-in'
+  enqueue: async (type, payload) => {
+    const item = {
+      id: generateId(),
+      type,
+      payload,
+      status: "pending",
+      attempts: 0,
+      lastError: null,
+      conflict: null,
+      createdAt: new Date().toISOString(),
+    };
+    await run(QUEUE_STORE, "readwrite", (store) => store.put(item));
+    return item;
+  },
+
+  // Oldest first so submissions replay in the order they were captured
+  getQueue: async () => {
+    const items = await run(QUEUE_STORE, "readonly", (store) => store.getAll());
+    return items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  },
+
+  updateItem: async (id, changes) => {
+    const item = await run(QUEUE_STORE, "readonly", (store) => store.get(id));
+    if (!item) return null;
+    const updated = { ...item, ...changes };
+    await run(QUEUE_STORE, "readwrite", (store) => store.put(updated));
+    return updated;
+  },
+
+  removeItem: (id) => run(QUEUE_STORE, "readwrite", (store) => store.delete(id)),
+
+  setCache: (key, value) =>
+    run(CACHE_STORE, "readwrite", (store) =>
+      store.put({ key, value, updatedAt: new Date().toISOString() })
+    ),
+
+  getCache: async (key) => {
+    const entry = await run(CACHE_STORE, "readonly", (store) => store.get(key));
+    return entry ? entry.value : null;
+  },
+};
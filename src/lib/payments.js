@@ -0,0 +1,74 @@
+// Event fee ledger maths. Payments and refunds are separate entries with
+// positive amounts; a registrant's balance is eventFee minus what they have
+// paid net of refunds.
+
+import { isActiveRegistration } from "@/lib/registrations";
+
+export const formatNaira = (amount) =>
+  new Intl.NumberFormat("en-NG", { style: "currency", currency: "NGN" }).format(amount || 0);
+
+// Amount with refunds counted as negative
+export const signedAmount = (entry) => (entry.type === "refund" ? -1 : 1) * (parseFloat(entry.amount) || 0);
+
+export const paymentTotals = (entries) =>
+  entries.reduce(
+    (totals, entry) => {
+      const amount = parseFloat(entry.amount) || 0;
+      if (entry.type === "refund") totals.refunded += amount;
+      else totals.paid += amount;
+      totals.net += signedAmount(entry);
+      return totals;
+    },
+    { paid: 0, refunded: 0, net: 0 }
+  );
+
+const paymentStatus = (fee, net) => {
+  if (net <= 0) return fee > 0 ? "unpaid" : "paid";
+  if (net < fee) return "partial";
+  return net > fee ? "overpaid" : "paid";
+};
+
+// One row per registrant who owes or has paid: active registrations plus
+// cancelled ones that still have money on the ledger (e.g. awaiting a refund)
+export const registrantBalances = (event, registrations, payments) => {
+  const fee = parseFloat(event.eventFee) || 0;
+
+  return registrations
+    .map((registration) => {
+      const entries = payments.filter((entry) => String(entry.registrationId) === String(registration.id));
+      const totals = paymentTotals(entries);
+      const due = isActiveRegistration(registration) ? fee : 0;
+      return {
+        registration,
+        entries,
+        ...totals,
+        due,
+        outstanding: Math.max(0, due - totals.net),
+        status: paymentStatus(due, totals.net),
+      };
+    })
+    .filter((row) => isActiveRegistration(row.registration) || row.net !== 0);
+};
+
+// Expected takings (eventFee x registrants) against what has been collected
+export const ledgerSummary = (event, registrations, payments) => {
+  const rows = registrantBalances(event, registrations, payments);
+  const totals = paymentTotals(payments);
+  const expected = (parseFloat(event.eventFee) || 0) * registrations.filter(isActiveRegistration).length;
+
+  return {
+    ...totals,
+    expected,
+    outstanding: rows.reduce((sum, row) => sum + row.outstanding, 0),
+    paidCount: rows.filter((row) => row.status === "paid" || row.status === "overpaid").length,
+    partialCount: rows.filter((row) => row.status === "partial").length,
+    unpaidCount: rows.filter((row) => row.status === "unpaid").length,
+  };
+};
+
+// Net takings per payment method, for matching against the till and bank
+export const totalsByMethod = (payments) =>
+  payments.reduce((totals, entry) => {
+    totals[entry.method] = (totals[entry.method] || 0) + signedAmount(entry);
+    return totals;
+  }, {});
@@ -0,0 +1,273 @@
+// Date helpers and the recurrence engine for recurring events.
+// Dates are handled as local "YYYY-MM-DD" keys so an event never drifts a
+// day because of the browser's time zone.
+//
+// A recurring event stores its rule in `recurrenceRule`:
+//   {
+//     frequency: "daily" | "weekly" | "monthly" | "yearly",
+//     interval: 1,                 // every N days/weeks/months/years
+//     weekdays: [0, 3],            // weekly only, 0 = Sunday
+//     monthlyBy: "day" | "weekday" | "lastWeekday",
+//     ends: "never" | "until" | "count",
+//     until: "YYYY-MM-DD",
+//     count: 12,
+//   }
+// plus `exceptionDates`, the occurrences that have been skipped or replaced.
+// Monthly "weekday" rules take the weekday and week number from the event
+// date, so an event on the first Friday repeats on every first Friday.
+// Events saved before rules existed only have `recurringPattern`; they are
+// read as the default rule for that frequency.
+
+// Safety cap on the number of periods walked for one series
+const MAX_PERIODS = 5000;
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: "daily", label: "Daily", unit: "day" },
+  { value: "weekly", label: "Weekly", unit: "week" },
+  { value: "monthly", label: "Monthly", unit: "month" },
+  { value: "yearly", label: "Yearly", unit: "year" },
+];
+
+export const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+export const ORDINALS = { 1: "first", 2: "second", 3: "third", 4: "fourth", 5: "fifth" };
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const parseDateKey = (key) => {
+  const [y, m, d] = String(key).slice(0, 10).split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+export const eventDateKey = (event) => String(event.date).slice(0, 10);
+
+export const addDays = (key, days) => {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+export const daysBetween = (fromKey, toKey) =>
+  Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / 86400000);
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Which occurrence of its weekday a date is within the month (1-5)
+export const weekOfMonth = (key) => Math.ceil(parseDateKey(key).getDate() / 7);
+
+export const isLastWeekOfMonth = (key) => {
+  const date = parseDateKey(key);
+  return date.getDate() + 7 > daysInMonth(date.getFullYear(), date.getMonth());
+};
+
+// nth weekday of a month (n = -1 for the last), or null when there isn't one
+const nthWeekday = (year, month, weekday, n) => {
+  if (n === -1) {
+    const last = new Date(year, month + 1, 0);
+    last.setDate(last.getDate() - ((last.getDay() - weekday + 7) % 7));
+    return toDateKey(last);
+  }
+  const day = 1 + ((weekday - new Date(year, month, 1).getDay() + 7) % 7) + (n - 1) * 7;
+  return day <= daysInMonth(year, month) ? toDateKey(new Date(year, month, day)) : null;
+};
+
+export const defaultRecurrenceRule = (frequency = "weekly", startKey) => ({
+  frequency,
+  interval: 1,
+  weekdays: [(startKey ? parseDateKey(startKey) : new Date()).getDay()],
+  monthlyBy: "day",
+  ends: "never",
+  until: "",
+  count: "",
+});
+
+// The event's recurrence rule, or null when it does not repeat
+export const getRecurrenceRule = (event) => {
+  if (!event?.isRecurring) return null;
+
+  let rule = event.recurrenceRule;
+  if (typeof rule === "string") {
+    try {
+      rule = JSON.parse(rule);
+    } catch {
+      rule = null;
+    }
+  }
+
+  const start = eventDateKey(event);
+  if (rule?.frequency) {
+    return { ...defaultRecurrenceRule(rule.frequency, start), ...rule };
+  }
+  if (RECURRENCE_FREQUENCIES.some((f) => f.value === event.recurringPattern)) {
+    return defaultRecurrenceRule(event.recurringPattern, start);
+  }
+  return null;
+};
+
+// Candidate dates for the nth period of a series, in ascending order
+const periodDates = (rule, start, period, interval) => {
+  const first = parseDateKey(start);
+  const step = period * interval;
+
+  switch (rule.frequency) {
+    case "daily":
+      return [addDays(start, step)];
+    case "weekly": {
+      const weekStart = addDays(start, -first.getDay() + step * 7);
+      const weekdays = rule.weekdays?.length ? rule.weekdays : [first.getDay()];
+      return [...weekdays].sort((a, b) => a - b).map((weekday) => addDays(weekStart, weekday));
+    }
+    case "monthly": {
+      const month = new Date(first.getFullYear(), first.getMonth() + step, 1);
+      const year = month.getFullYear();
+      const monthIndex = month.getMonth();
+      let key = null;
+      if (rule.monthlyBy === "weekday") {
+        key = nthWeekday(year, monthIndex, first.getDay(), weekOfMonth(start));
+      } else if (rule.monthlyBy === "lastWeekday") {
+        key = nthWeekday(year, monthIndex, first.getDay(), -1);
+      } else if (first.getDate() <= daysInMonth(year, monthIndex)) {
+        // Months without the start day (e.g. the 31st) are skipped
+        key = toDateKey(new Date(year, monthIndex, first.getDate()));
+      }
+      return key ? [key] : [];
+    }
+    case "yearly": {
+      const date = new Date(first.getFullYear() + step, first.getMonth(), first.getDate());
+      return date.getDate() === first.getDate() ? [toDateKey(date)] : [];
+    }
+    default:
+      return [];
+  }
+};
+
+// Every date of a series from its start up to rangeEnd. Exception dates are
+// not removed here; like iCalendar they still use up a count limit.
+const seriesDates = (rule, start, rangeEnd) => {
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  const count = rule.ends === "count" ? Math.max(1, parseInt(rule.count) || 1) : Infinity;
+  const last = rule.ends === "until" && rule.until && rule.until < rangeEnd ? rule.until : rangeEnd;
+  const dates = [];
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const key of periodDates(rule, start, period, interval)) {
+      if (key > last || dates.length >= count) return dates;
+      if (key >= start) dates.push(key);
+    }
+  }
+  return dates;
+};
+
+// Occurrences of one event between rangeStart and rangeEnd (inclusive keys).
+// Each occurrence is a copy of the event with its own date, plus seriesId and
+// seriesStart pointing back at the stored event.
+export const expandEvent = (event, rangeStart, rangeEnd) => {
+  const start = eventDateKey(event);
+  const rule = getRecurrenceRule(event);
+  const exceptions = new Set(event.exceptionDates || []);
+  const dates = rule ? seriesDates(rule, start, rangeEnd) : [start];
+
+  return dates
+    .filter((key) => key >= rangeStart && key <= rangeEnd && !exceptions.has(key))
+    .map((key) => ({
+      ...event,
+      date: key,
+      seriesId: event.id,
+      seriesStart: start,
+      occurrenceDate: key,
+      isOccurrence: key !== start,
+    }));
+};
+
+export const expandEvents = (events, rangeStart, rangeEnd) =>
+  events
+    .flatMap((event) => expandEvent(event, rangeStart, rangeEnd))
+    .sort(
+      (a, b) =>
+        a.occurrenceDate.localeCompare(b.occurrenceDate) ||
+        String(a.time || "").localeCompare(String(b.time || ""))
+    );
+
+// Next `limit` occurrences on or after fromKey, looking up to two years ahead
+export const nextOccurrences = (event, fromKey, limit = 1) =>
+  expandEvent(event, fromKey, addDays(fromKey, 730)).slice(0, limit);
+
+// Rule for the part of a series before `key`, when it is split at that date
+export const endRuleBefore = (rule, key) => ({
+  ...rule,
+  ends: "until",
+  until: addDays(key, -1),
+  count: "",
+});
+
+// Rule for a series continuing from `key`; a count limit keeps only what is
+// left. The dates already held are counted with `previousRule`, the rule the
+// series ran under before `key`, which differs when the frequency changes.
+export const continueRuleFrom = (rule, start, key, previousRule = rule) => {
+  if (rule.ends !== "count") return rule;
+  const used = seriesDates(previousRule, start, addDays(key, -1)).length;
+  return { ...rule, count: Math.max(1, (parseInt(rule.count) || 1) - used) };
+};
+
+export const formatDateKey = (key, options = { month: "short", day: "numeric", year: "numeric" }) =>
+  parseDateKey(key).toLocaleDateString("en-US", options);
+
+// Human readable rule, e.g. "Monthly on the first Friday, 12 times"
+export const describeRecurrence = (rule, startKey) => {
+  if (!rule) return "";
+
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  const frequency = RECURRENCE_FREQUENCIES.find((f) => f.value === rule.frequency);
+  if (!frequency) return "";
+
+  let text =
+    interval === 1
+      ? { daily: "Every day", weekly: "Weekly", monthly: "Monthly", yearly: "Yearly" }[rule.frequency]
+      : `Every ${interval} ${frequency.unit}s`;
+
+  const start = startKey ? parseDateKey(startKey) : null;
+  if (rule.frequency === "weekly") {
+    const weekdays = rule.weekdays?.length ? rule.weekdays : start ? [start.getDay()] : [];
+    if (weekdays.length) {
+      text += ` on ${[...weekdays]
+        .sort((a, b) => a - b)
+        .map((weekday) => WEEKDAY_NAMES[weekday])
+        .join(", ")}`;
+    }
+  } else if (rule.frequency === "monthly" && start) {
+    if (rule.monthlyBy === "weekday") {
+      text += ` on the ${ORDINALS[weekOfMonth(startKey)]} ${WEEKDAY_NAMES[start.getDay()]}`;
+    } else if (rule.monthlyBy === "lastWeekday") {
+      text += ` on the last ${WEEKDAY_NAMES[start.getDay()]}`;
+    } else {
+      text += ` on day ${start.getDate()}`;
+    }
+  } else if (rule.frequency === "yearly" && start) {
+    text += ` on ${formatDateKey(startKey, { month: "long", day: "numeric" })}`;
+  }
+
+  if (rule.ends === "until" && rule.until) {
+    text += `, until ${formatDateKey(rule.until)}`;
+  } else if (rule.ends === "count" && rule.count) {
+    text += `, ${rule.count} time${parseInt(rule.count) === 1 ? "" : "s"}`;
+  }
+  return text;
+};
+
+// First problem with a rule, or null when it is usable
+export const validateRecurrenceRule = (rule, startKey) => {
+  if (!rule?.frequency) return "Please choose how often the event repeats";
+  if (!(parseInt(rule.interval) >= 1)) return "Repeat interval must be at least 1";
+  if (rule.frequency === "weekly" && !rule.weekdays?.length) return "Choose at least one day of the week";
+  if (rule.ends === "until") {
+    if (!rule.until) return "Choose the date the event stops repeating";
+    if (startKey && rule.until < startKey) return "The end date must be after the event date";
+  }
+  if (rule.ends === "count" && !(parseInt(rule.count) >= 1)) {
+    return "Number of occurrences must be at least 1";
+  }
+  return null;
+};
@@ -0,0 +1,63 @@
+// Rules for event registrations, shared by registrationsAPI and the
+// registrations page so the screen and the service agree on what is allowed.
+
+import { normalizeEmail, normalizePhone } from "@/lib/duplicates";
+import { eventDateKey, formatDateKey, toDateKey } from "@/lib/recurrence";
+
+// Once an event with maxAttendees is full, new registrants join the waitlist
+// and are promoted in the order they registered as places free up.
+
+export const isActiveRegistration = (registration) => registration.status === "registered";
+
+export const isWaitlisted = (registration) => registration.status === "waitlisted";
+
+export const countRegistered = (registrations) => registrations.filter(isActiveRegistration).length;
+
+export const countWaitlisted = (registrations) => registrations.filter(isWaitlisted).length;
+
+// Waitlisted registrations, first in line first
+export const getWaitlist = (registrations) =>
+  registrations
+    .filter(isWaitlisted)
+    .sort((a, b) => String(a.registeredAt).localeCompare(String(b.registeredAt)));
+
+// Last day registrations are taken; without a deadline it is the event day
+export const registrationDeadline = (event) =>
+  event.registrationDeadline ? String(event.registrationDeadline).slice(0, 10) : eventDateKey(event);
+
+export const isRegistrationClosed = (event, today = toDateKey(new Date())) => today > registrationDeadline(event);
+
+export const spotsLeft = (event, registrations) =>
+  event.maxAttendees ? Math.max(0, event.maxAttendees - countRegistered(registrations)) : Infinity;
+
+// Why a new registration can't be accepted, or null when it can
+export const registrationBlocker = (event, registrations, today = toDateKey(new Date())) => {
+  if (event.status === "cancelled") return "This event has been cancelled";
+  if (event.status === "completed") return "This event has already taken place";
+  if (isRegistrationClosed(event, today)) {
+    return `Registration closed on ${formatDateKey(registrationDeadline(event))}`;
+  }
+  return null;
+};
+
+// Waitlisted registrations that now have a place, e.g. after a cancellation
+// or when maxAttendees is raised
+export const promotionsDue = (event, registrations) => {
+  const places = spotsLeft(event, registrations);
+  const waitlist = getWaitlist(registrations);
+  return places === Infinity ? waitlist : waitlist.slice(0, places);
+};
+
+// A registered or waitlisted registration for the same member, phone number or email
+export const findDuplicateRegistration = (registrations, registrant) => {
+  const phone = normalizePhone(registrant.phone);
+  const email = normalizeEmail(registrant.email);
+
+  return registrations.find(
+    (registration) =>
+      (isActiveRegistration(registration) || isWaitlisted(registration)) &&
+      ((registrant.memberId && String(registration.memberId) === String(registrant.memberId)) ||
+        (phone && normalizePhone(registration.phone) === phone) ||
+        (email && normalizeEmail(registration.email) === email))
+  );
+};
@@ -0,0 +1,74 @@
+// Clash detection for room and equipment bookings. An event books its
+// `resourceIds` on its date from `time` to `endTime` (an hour when there is
+// no end time), and a recurring event books them on every occurrence.
+
+import { addDays, eventDateKey, expandEvent, formatDateKey, toDateKey } from "@/lib/recurrence";
+
+// How far ahead the occurrences of a repeating event are checked
+const HORIZON_DAYS = 365;
+const DEFAULT_MINUTES = 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const formatMinutes = (minutes) =>
+  new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+// [start, end) in minutes from midnight
+export const bookingWindow = (event) => {
+  if (!event.time) return [0, 24 * 60];
+  const start = toMinutes(event.time);
+  const end = event.endTime && event.endTime > event.time ? toMinutes(event.endTime) : start + DEFAULT_MINUTES;
+  return [start, end];
+};
+
+const overlaps = (a, b) => a[0] < b[1] && b[0] < a[1];
+
+// Bookings by other events that clash with `candidate`, the event being
+// saved. excludeIds are stored events the candidate replaces, i.e. itself
+// (or its series) when editing.
+export const findBookingConflicts = (candidate, events, excludeIds = []) => {
+  const wanted = (candidate.resourceIds || []).map(String);
+  if (!candidate.date || wanted.length === 0) return [];
+
+  const start = eventDateKey(candidate);
+  const today = toDateKey(new Date());
+  const rangeStart = candidate.isRecurring && start < today ? today : start;
+  const rangeEnd = candidate.isRecurring ? addDays(rangeStart, HORIZON_DAYS) : start;
+
+  const dates = new Set(expandEvent(candidate, rangeStart, rangeEnd).map((o) => o.occurrenceDate));
+  const window = bookingWindow(candidate);
+  const excluded = new Set(excludeIds.filter(Boolean).map(String));
+
+  return events
+    .filter(
+      (event) =>
+        event.status !== "cancelled" &&
+        !excluded.has(String(event.id)) &&
+        overlaps(window, bookingWindow(event))
+    )
+    .flatMap((event) => {
+      const shared = (event.resourceIds || []).map(String).filter((id) => wanted.includes(id));
+      if (shared.length === 0) return [];
+      return expandEvent(event, rangeStart, rangeEnd)
+        .filter((occurrence) => dates.has(occurrence.occurrenceDate))
+        .map((occurrence) => ({ date: occurrence.occurrenceDate, event, resourceIds: shared }));
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// e.g. 'Main Auditorium is booked for "Youth Night" on Nov 3, 2026, 6:00 PM - 8:00 PM'
+export const describeConflict = (conflict, resources) => {
+  const names = conflict.resourceIds
+    .map((id) => resources.find((resource) => String(resource.id) === id)?.name || "A resource")
+    .join(", ");
+  const [from, to] = bookingWindow(conflict.event);
+  const when = conflict.event.time ? `, ${formatMinutes(from)} - ${formatMinutes(to)}` : "";
+  const verb = conflict.resourceIds.length === 1 ? "is" : "are";
+  return `${names} ${verb} booked for "${conflict.event.title}" on ${formatDateKey(conflict.date)}${when}`;
+};
@@ -0,0 +1,134 @@
+// Volunteer rota: roles, the dates they are needed on and clash detection.
+//
+// A role belongs to a department (the members' department field) and is
+// needed either at a regular service type or at one event:
+//   { id, name, department, serviceType, eventId, eventTitle, needed }
+// Assignments put one member in a role on one date, and blackouts are the
+// date ranges a member has said they are away:
+//   { id, roleId, memberId, memberName, date }
+//   { id, memberId, memberName, startDate, endDate, reason }
+
+import { WEEKDAY_NAMES, addDays, expandEvent, formatDateKey, parseDateKey, toDateKey } from "@/lib/recurrence";
+
+// "YYYY-MM" for the month a date key falls in
+export const monthKeyOf = (dateKey) => String(dateKey).slice(0, 7);
+
+export const monthRange = (monthKey) => {
+  const [year, month] = monthKey.split("-").map(Number);
+  return {
+    start: toDateKey(new Date(year, month - 1, 1)),
+    end: toDateKey(new Date(year, month, 0)),
+  };
+};
+
+export const shiftMonth = (monthKey, delta) => {
+  const [year, month] = monthKey.split("-").map(Number);
+  return monthKeyOf(toDateKey(new Date(year, month - 1 + delta, 1)));
+};
+
+export const formatMonth = (monthKey) =>
+  formatDateKey(`${monthKey}-01`, { month: "long", year: "numeric" });
+
+// Weekday a service type is held on, read from its name ("Tuesday Bible
+// Study"); the Holy Ghost Service is the first Friday of the month
+const serviceSchedule = (serviceType) => {
+  if (/holy ghost/i.test(serviceType)) return { weekday: 5, firstOnly: true };
+  const weekday = WEEKDAY_NAMES.findIndex((name) => String(serviceType).startsWith(name));
+  return weekday === -1 ? null : { weekday, firstOnly: false };
+};
+
+export const hasServiceSchedule = (serviceType) => serviceSchedule(serviceType) !== null;
+
+// Dates in the month a service type is held; empty for irregular ones such
+// as "Special Program", whose dates come from events instead
+export const serviceTypeDates = (serviceType, monthKey) => {
+  const schedule = serviceSchedule(serviceType);
+  if (!schedule) return [];
+
+  const { start, end } = monthRange(monthKey);
+  let key = addDays(start, (schedule.weekday - parseDateKey(start).getDay() + 7) % 7);
+  const dates = [];
+  while (key <= end) {
+    dates.push(key);
+    if (schedule.firstOnly) break;
+    key = addDays(key, 7);
+  }
+  return dates;
+};
+
+// Where a role serves: the service type or the event title
+export const roleSlot = (role) => role.serviceType || role.eventTitle || "";
+
+// Dates in the month a role needs filling
+export const roleDates = (role, monthKey, events = []) => {
+  if (role.eventId) {
+    const event = events.find((e) => String(e.id) === String(role.eventId));
+    if (!event || event.status === "cancelled") return [];
+    const { start, end } = monthRange(monthKey);
+    return expandEvent(event, start, end).map((occurrence) => occurrence.occurrenceDate);
+  }
+  return serviceTypeDates(role.serviceType, monthKey);
+};
+
+// Blackout covering a member on a date, if any
+export const findBlackout = (memberId, dateKey, blackouts) =>
+  blackouts.find(
+    (blackout) =>
+      String(blackout.memberId) === String(memberId) &&
+      dateKey >= blackout.startDate &&
+      dateKey <= (blackout.endDate || blackout.startDate)
+  );
+
+// Reasons an assignment clashes: the member is away, or already serving
+// somewhere else that day
+export const assignmentConflicts = (assignment, assignments, blackouts, roles) => {
+  const conflicts = [];
+
+  const blackout = findBlackout(assignment.memberId, assignment.date, blackouts);
+  if (blackout) {
+    conflicts.push({
+      type: "unavailable",
+      message: `Unavailable${blackout.reason ? ` (${blackout.reason})` : ""}`,
+    });
+  }
+
+  assignments
+    .filter(
+      (other) =>
+        other.id !== assignment.id &&
+        String(other.memberId) === String(assignment.memberId) &&
+        other.date === assignment.date
+    )
+    .forEach((other) => {
+      const role = roles.find((r) => String(r.id) === String(other.roleId));
+      conflicts.push({
+        type: "double-booked",
+        message: `Also ${role ? `${role.name} at ${roleSlot(role)}` : "serving"} that day`,
+      });
+    });
+
+  return conflicts;
+};
+
+// Every role/date slot in the month with its assignments, by date then slot,
+// for the schedule grid and the printed roster
+export const buildRoster = (roles, assignments, monthKey, events = []) =>
+  roles
+    .flatMap((role) =>
+      roleDates(role, monthKey, events).map((date) => ({
+        key: `${role.id}-${date}`,
+        date,
+        role,
+        slot: roleSlot(role),
+        assignments: assignments.filter(
+          (assignment) => String(assignment.roleId) === String(role.id) && assignment.date === date
+        ),
+      }))
+    )
+    .sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        a.slot.localeCompare(b.slot) ||
+        a.role.department.localeCompare(b.role.department) ||
+        a.role.name.localeCompare(b.role.name)
+    );
@@ -0,0 +1,37 @@
+// Light spam protection for the public forms: a sum to solve, a hidden
+// "website" field only bots fill in, and a minimum time on the form.
+//
+// These checks run in the browser only and stop casual bots, not anyone
+// posting to the API directly. The honeypot and elapsed time are sent along
+// as hints, but elapsedMs is measured by the client and can be faked: the
+// server must enforce its own checks (rate limiting, its own timing) and not
+// trust these values.
+
+// Real people take longer than this to fill in a form
+export const MIN_FILL_MS = 4000;
+
+const randomDigit = () => 1 + Math.floor(Math.random() * 9);
+
+export const makeChallenge = () => {
+  const a = randomDigit();
+  const b = randomDigit();
+  return { question: `${a} + ${b}`, answer: a + b, startedAt: Date.now() };
+};
+
+// Reason the submission looks automated, or null
+export const spamReason = (challenge, answer, honeypot) => {
+  if (honeypot) return "Submission rejected";
+  if (Date.now() - challenge.startedAt < MIN_FILL_MS) return "That was quick! Please check your details and try again";
+  if (parseInt(answer) !== challenge.answer) return "The answer to the sum is not right";
+  return null;
+};
+
+// e.g. CEL-261019-4K7Q, quoted back to the submitter and searchable by staff
+export const makeReference = (prefix = "CEL") => {
+  const now = new Date();
+  const date = [now.getFullYear() % 100, now.getMonth() + 1, now.getDate()]
+    .map((part) => String(part).padStart(2, "0"))
+    .join("");
+  const suffix = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, "0");
+  return `${prefix}-${date}-${suffix}`;
+};
@@ -0,0 +1,444 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { celebrationsAPI, CELEBRATION_TYPES } from '@/Services/celebrationsAPI';
+import { compressImage, formatFileSize } from '@/lib/imageCompression';
+import { makeChallenge, makeReference, spamReason } from '@/lib/spamGuard';
+import { normalizePhone } from '@/lib/duplicates';
+import { toast } from 'react-toastify';
+
+const MAX_PICTURES = 3;
+const MAX_PICTURE_BYTES = 15 * 1024 * 1024;
+const MAX_MESSAGE_LENGTH = 500;
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'Birthday',
+  month: '',
+  day: '',
+  year: '',
+  phone: '',
+  email: '',
+  message: ''
+};
+
+// A leap year so 29 February can be picked
+const daysInMonth = (month) => new Date(2024, month, 0).getDate();
+
+// Public page where members send in birthdays and anniversaries to be
+// acknowledged in church; no sign-in needed
+const CelebrationSubmission = () => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [pictures, setPictures] = useState([]);
+  const [compressing, setCompressing] = useState(false);
+  const [challenge, setChallenge] = useState(makeChallenge);
+  const [answer, setAnswer] = useState('');
+  const [website, setWebsite] = useState('');
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [submitted, setSubmitted] = useState(null);
+
+  const picturesRef = useRef(pictures);
+  picturesRef.current = pictures;
+
+  // Free the preview URLs when leaving the page
+  useEffect(() => () => picturesRef.current.forEach(picture => URL.revokeObjectURL(picture.preview)), []);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handlePicturesChange = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const room = MAX_PICTURES - pictures.length;
+    if (files.length > room) {
+      toast.error(`You can add up to ${MAX_PICTURES} pictures`);
+    }
+
+    setCompressing(true);
+    const added = [];
+    for (const file of files.slice(0, room)) {
+      if (!file.type.startsWith('image/')) {
+        toast.error(`${file.name} is not an image`);
+        continue;
+      }
+      if (file.size > MAX_PICTURE_BYTES) {
+        toast.error(`${file.name} is larger than ${formatFileSize(MAX_PICTURE_BYTES)}`);
+        continue;
+      }
+      // One picture the browser cannot decode (e.g. HEIC) skips only that file
+      try {
+        const compressed = await compressImage(file);
+        added.push({ file: compressed, originalSize: file.size, preview: URL.createObjectURL(compressed) });
+      } catch (error) {
+        console.error('Error compressing picture:', error);
+        toast.error(error.message || `Failed to read ${file.name}`);
+      }
+    }
+    setPictures(prev => [...prev, ...added]);
+    setCompressing(false);
+  };
+
+  const handleRemovePicture = (index) => {
+    URL.revokeObjectURL(pictures[index].preview);
+    setPictures(prev => prev.filter((_, other) => other !== index));
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+    const thisYear = new Date().getFullYear();
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Please enter the name of the person celebrating';
+    }
+    if (!formData.month || !formData.day) {
+      newErrors.date = 'Please choose the month and day';
+    } else if (parseInt(formData.day) > daysInMonth(parseInt(formData.month))) {
+      newErrors.date = `${MONTHS[formData.month - 1]} has only ${daysInMonth(parseInt(formData.month))} days`;
+    }
+    if (formData.year && (parseInt(formData.year) < 1900 || parseInt(formData.year) > thisYear)) {
+      newErrors.year = `Year must be between 1900 and ${thisYear}`;
+    }
+    if (!formData.phone.trim()) {
+      newErrors.phone = 'Phone number is required';
+    } else if (normalizePhone(formData.phone).length < 10) {
+      newErrors.phone = 'Please enter a valid phone number';
+    }
+    if (formData.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+      newErrors.email = 'Please enter a valid email address';
+    }
+    if (formData.message.length > MAX_MESSAGE_LENGTH) {
+      newErrors.message = `Message must be ${MAX_MESSAGE_LENGTH} characters or less`;
+    }
+    if (!answer.trim()) {
+      newErrors.answer = 'Please answer the sum';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    const spam = spamReason(challenge, answer, website);
+    if (spam) {
+      setErrors(prev => ({ ...prev, answer: spam }));
+      setChallenge(makeChallenge());
+      setAnswer('');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setProgress(0);
+      const reference = makeReference();
+      const response = await celebrationsAPI.submitCelebration(
+        {
+          reference,
+          name: formData.name.trim(),
+          type: formData.type,
+          month: parseInt(formData.month),
+          date: parseInt(formData.day),
+          year: formData.year ? parseInt(formData.year) : null,
+          phone: formData.phone.trim(),
+          email: formData.email.trim(),
+          message: formData.message.trim(),
+          isFromMember: false
+        },
+        pictures.map(picture => picture.file),
+        { website, elapsedMs: Date.now() - challenge.startedAt },
+        setProgress
+      );
+
+      if (response.success) {
+        setSubmitted({ reference: response.data?.reference || reference, name: formData.name.trim() });
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error submitting celebration:', error);
+      toast.error('Failed to submit. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmitAnother = () => {
+    pictures.forEach(picture => URL.revokeObjectURL(picture.preview));
+    setPictures([]);
+    setFormData(EMPTY_FORM);
+    setErrors({});
+    setAnswer('');
+    setChallenge(makeChallenge());
+    setSubmitted(null);
+  };
+
+  const inputClass = (field) =>
+    `appearance-none block w-full px-3 py-2 border ${
+      errors[field] ? 'border-red-300' : 'border-gray-300'
+    } rounded-md placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm`;
+
+  const fieldError = (field) =>
+    errors[field] && (
+      <p className="mt-1 text-sm text-red-600 flex items-center">
+        <i className="ri-error-warning-line mr-1"></i>
+        {errors[field]}
+      </p>
+    );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex flex-col py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-lg">
+        <div className="text-center">
+          <img src="/img/favicon.png" alt="RCCG Logo" className="h-16 w-16 mx-auto" />
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">Share a Celebration</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Tell us about a birthday or anniversary and we'll celebrate with you in church
+          </p>
+        </div>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-lg">
+        <div className="bg-white py-8 px-4 shadow-lg sm:rounded-lg sm:px-10 border border-gray-200">
+          {submitted ? (
+            <div className="text-center">
+              <div className="w-20 h-20 mx-auto mb-4 bg-green-100 rounded-full flex items-center justify-center">
+                <i className="ri-check-line text-green-600 text-4xl"></i>
+              </div>
+              <h3 className="text-2xl font-bold text-gray-900">Thank you!</h3>
+              <p className="text-gray-600 mt-2">
+                We've received the celebration for {submitted.name}. It will be reviewed before it is announced.
+              </p>
+              <div className="mt-6 p-4 bg-gray-50 rounded-lg border border-dashed border-gray-300">
+                <p className="text-sm text-gray-600">Your reference number</p>
+                <p className="text-2xl font-mono font-bold text-gray-900 tracking-wider">{submitted.reference}</p>
+                <p className="text-xs text-gray-500 mt-1">Quote this if you contact the church office about it</p>
+              </div>
+              <button
+                onClick={handleSubmitAnother}
+                className="mt-6 px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Submit another
+              </button>
+            </div>
+          ) : (
+            <form className="space-y-5" onSubmit={handleSubmit} noValidate>
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700">
+                  Name of the celebrant *
+                </label>
+                <input
+                  id="name"
+                  name="name"
+                  type="text"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  className={`mt-1 ${inputClass('name')}`}
+                  placeholder="e.g., Bro. & Sis. Adeyemi"
+                />
+                {fieldError('name')}
+              </div>
+
+              <div>
+                <label htmlFor="type" className="block text-sm font-medium text-gray-700">
+                  Celebration *
+                </label>
+                <select
+                  id="type"
+                  name="type"
+                  value={formData.type}
+                  onChange={handleInputChange}
+                  className={`mt-1 ${inputClass('type')}`}
+                >
+                  {CELEBRATION_TYPES.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Date *</label>
+                <div className="mt-1 grid grid-cols-3 gap-3">
+                  <select name="month" value={formData.month} onChange={handleInputChange} className={inputClass('date')}>
+                    <option value="">Month</option>
+                    {MONTHS.map((month, index) => (
+                      <option key={month} value={index + 1}>{month}</option>
+                    ))}
+                  </select>
+                  <select name="day" value={formData.day} onChange={handleInputChange} className={inputClass('date')}>
+                    <option value="">Day</option>
+                    {Array.from({ length: formData.month ? daysInMonth(parseInt(formData.month)) : 31 }, (_, i) => (
+                      <option key={i + 1} value={i + 1}>{i + 1}</option>
+                    ))}
+                  </select>
+                  <input
+                    name="year"
+                    type="number"
+                    inputMode="numeric"
+                    value={formData.year}
+                    onChange={handleInputChange}
+                    className={inputClass('year')}
+                    placeholder="Year (optional)"
+                  />
+                </div>
+                {fieldError('date')}
+                {fieldError('year')}
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="phone" className="block text-sm font-medium text-gray-700">
+                    Phone *
+                  </label>
+                  <input
+                    id="phone"
+                    name="phone"
+                    type="tel"
+                    autoComplete="tel"
+                    value={formData.phone}
+                    onChange={handleInputChange}
+                    className={`mt-1 ${inputClass('phone')}`}
+                    placeholder="080..."
+                  />
+                  {fieldError('phone')}
+                </div>
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                    Email
+                  </label>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    value={formData.email}
+                    onChange={handleInputChange}
+                    className={`mt-1 ${inputClass('email')}`}
+                  />
+                  {fieldError('email')}
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="message" className="block text-sm font-medium text-gray-700">
+                  Message
+                </label>
+                <textarea
+                  id="message"
+                  name="message"
+                  rows={3}
+                  value={formData.message}
+                  onChange={handleInputChange}
+                  className={`mt-1 ${inputClass('message')}`}
+                  placeholder="A prayer point, thanksgiving or a few words for the church"
+                />
+                <p className="mt-1 text-xs text-gray-500 text-right">
+                  {formData.message.length}/{MAX_MESSAGE_LENGTH}
+                </p>
+                {fieldError('message')}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Pictures (up to {MAX_PICTURES})
+                </label>
+                <div className="mt-1 flex flex-wrap gap-3">
+                  {pictures.map((picture, index) => (
+                    <div key={picture.preview} className="relative">
+                      <img src={picture.preview} alt={`Upload ${index + 1}`} className="w-24 h-24 object-cover rounded-lg border border-gray-200" />
+                      <button
+                        type="button"
+                        onClick={() => handleRemovePicture(index)}
+                        className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center hover:bg-red-600 transition-colors"
+                      >
+                        <i className="ri-close-line text-xs"></i>
+                      </button>
+                      <p className="text-xs text-gray-500 text-center mt-1">{formatFileSize(picture.file.size)}</p>
+                    </div>
+                  ))}
+                  {pictures.length < MAX_PICTURES && (
+                    <label className="w-24 h-24 flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:bg-gray-50">
+                      {compressing ? (
+                        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+                      ) : (
+                        <>
+                          <i className="ri-image-add-line text-2xl text-gray-400"></i>
+                          <span className="text-xs text-gray-500 mt-1">Add</span>
+                        </>
+                      )}
+                      <input
+                        type="file"
+                        accept="image/*"
+                        multiple
+                        onChange={handlePicturesChange}
+                        disabled={compressing}
+                        className="hidden"
+                      />
+                    </label>
+                  )}
+                </div>
+              </div>
+
+              {/* Hidden from people; bots fill in every field */}
+              <div className="hidden" aria-hidden="true">
+                <label htmlFor="website">Website</label>
+                <input
+                  id="website"
+                  name="website"
+                  type="text"
+                  tabIndex={-1}
+                  autoComplete="off"
+                  value={website}
+                  onChange={(e) => setWebsite(e.target.value)}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="answer" className="block text-sm font-medium text-gray-700">
+                  Quick check: what is {challenge.question}? *
+                </label>
+                <input
+                  id="answer"
+                  type="number"
+                  inputMode="numeric"
+                  value={answer}
+                  onChange={(e) => {
+                    setAnswer(e.target.value);
+                    if (errors.answer) setErrors(prev => ({ ...prev, answer: '' }));
+                  }}
+                  className={`mt-1 w-32 ${inputClass('answer')}`}
+                />
+                {fieldError('answer')}
+              </div>
+
+              <button
+                type="submit"
+                disabled={submitting || compressing}
+                className="w-full flex justify-center items-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {submitting
+                  ? pictures.length > 0 ? `Uploading... ${progress}%` : 'Submitting...'
+                  : 'Submit Celebration'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CelebrationSubmission;
@@ -0,0 +1,429 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { attendanceAPI } from '@/Services/attendanceAPI';
+import { membersAPI } from '@/Services/membersAPI';
+import { followUpsAPI, FOLLOW_UP_STATUSES } from '@/Services/followUpsAPI';
+import { findAbsentees } from '@/lib/attendanceHistory';
+import { downloadCSV } from '@/lib/csv';
+import { toast } from 'react-toastify';
+
+// How far back to look for the last time an absentee attended
+const LOOKBACK_MONTHS = 12;
+
+const STATUS_STYLES = {
+  'Not Contacted': 'bg-red-100 text-red-800',
+  Contacted: 'bg-yellow-100 text-yellow-800',
+  Visited: 'bg-blue-100 text-blue-800',
+  Returned: 'bg-green-100 text-green-800',
+  Closed: 'bg-gray-100 text-gray-800'
+};
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+      })
+    : 'Never';
+
+const lookbackStart = () => {
+  const date = new Date();
+  date.setMonth(date.getMonth() - LOOKBACK_MONTHS);
+  return date.toISOString().split('T')[0];
+};
+
+const AbsenteeReport = () => {
+  const navigate = useNavigate();
+  const [serviceTypes, setServiceTypes] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [followUps, setFollowUps] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [loadingRecords, setLoadingRecords] = useState(false);
+  const [savingId, setSavingId] = useState(null);
+  const [filters, setFilters] = useState({
+    serviceType: '',
+    minMissed: 3,
+    department: 'all',
+    status: 'all',
+    search: ''
+  });
+
+  useEffect(() => {
+    fetchInitialData();
+  }, []);
+
+  useEffect(() => {
+    if (filters.serviceType) {
+      fetchRecords(filters.serviceType);
+    }
+  }, [filters.serviceType]);
+
+  const fetchInitialData = async () => {
+    try {
+      setLoading(true);
+      const [typesResponse, membersResponse, followUpsResponse] = await Promise.all([
+        attendanceAPI.getServiceTypes(),
+        membersAPI.getMembers(),
+        followUpsAPI.getFollowUps({ type: 'absentee' })
+      ]);
+
+      const types = typesResponse.data || [];
+      setServiceTypes(types);
+      setFilters(prev => ({ ...prev, serviceType: prev.serviceType || types[0] || '' }));
+
+      if (membersResponse.success) {
+        setMembers(membersResponse.data);
+      } else {
+        toast.error(membersResponse.message);
+      }
+
+      if (followUpsResponse.success) {
+        setFollowUps(indexFollowUps(followUpsResponse.data));
+      }
+    } catch (error) {
+      console.error('Error fetching absentee data:', error);
+      toast.error('Failed to load absentee report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchRecords = async (serviceType) => {
+    try {
+      setLoadingRecords(true);
+      const response = await attendanceAPI.getAllAttendanceRecords({
+        serviceType,
+        startDate: lookbackStart()
+      });
+      if (response.success) {
+        setRecords(response.data);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error fetching attendance records:', error);
+      toast.error('Failed to load attendance records');
+    } finally {
+      setLoadingRecords(false);
+    }
+  };
+
+  // memberId + serviceType -> follow-up, keeping the most recent one
+  const indexFollowUps = (list) =>
+    (list || []).reduce((index, followUp) => {
+      const key = `${followUp.memberId}|${followUp.serviceType}`;
+      if (!index[key] || String(followUp.updatedAt) > String(index[key].updatedAt)) {
+        index[key] = followUp;
+      }
+      return index;
+    }, {});
+
+  const followUpFor = (memberId) => followUps[`${memberId}|${filters.serviceType}`];
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleFollowUpChange = async (member, changes) => {
+    const existing = followUpFor(member.id);
+    try {
+      setSavingId(member.id);
+      const response = existing
+        ? await followUpsAPI.updateFollowUp(existing.id, changes)
+        : await followUpsAPI.createFollowUp({
+            memberId: member.id,
+            serviceType: filters.serviceType,
+            ...changes
+          });
+
+      if (response.success) {
+        const saved = { ...existing, ...response.data };
+        setFollowUps(prev => ({ ...prev, [`${member.id}|${filters.serviceType}`]: saved }));
+        toast.success('Follow-up updated');
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error updating follow-up:', error);
+      toast.error('Failed to update follow-up');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleAssign = (member, workerId) => {
+    const worker = members.find(m => String(m.id) === workerId);
+    handleFollowUpChange(member, {
+      assignedToId: worker ? worker.id : null,
+      assignedToName: worker ? worker.name : ''
+    });
+  };
+
+  const handleNotes = (member) => {
+    const notes = prompt('Follow-up notes', followUpFor(member.id)?.notes || '');
+    if (notes !== null) {
+      handleFollowUpChange(member, { notes: notes.trim() });
+    }
+  };
+
+  const absentees = useMemo(
+    () =>
+      filters.serviceType
+        ? findAbsentees(records, members, filters.serviceType, parseInt(filters.minMissed) || 1)
+        : [],
+    [records, members, filters.serviceType, filters.minMissed]
+  );
+
+  const departments = [...new Set(members.map(m => m.department).filter(Boolean))].sort();
+  const workers = members.filter(m => m.isActive).sort((a, b) => a.name.localeCompare(b.name));
+
+  const filteredAbsentees = absentees.filter(({ member }) => {
+    const status = followUpFor(member.id)?.status || FOLLOW_UP_STATUSES[0];
+    const search = filters.search.toLowerCase();
+    return (
+      (filters.department === 'all' || member.department === filters.department) &&
+      (filters.status === 'all' || status === filters.status) &&
+      (!search || member.name.toLowerCase().includes(search) || member.phone?.includes(search))
+    );
+  });
+
+  const handleExport = () => {
+    downloadCSV(
+      filteredAbsentees.map(({ member, missed, lastAttended }) => {
+        const followUp = followUpFor(member.id);
+        return {
+          name: member.name,
+          phone: member.phone,
+          department: member.department || '',
+          missed,
+          lastAttended: lastAttended || 'Never',
+          status: followUp?.status || FOLLOW_UP_STATUSES[0],
+          assignedTo: followUp?.assignedToName || '',
+          notes: followUp?.notes || ''
+        };
+      }),
+      {
+        name: 'Name',
+        phone: 'Phone',
+        department: 'Department',
+        missed: 'Services Missed',
+        lastAttended: 'Last Attended',
+        status: 'Follow-up Status',
+        assignedTo: 'Assigned To',
+        notes: 'Notes'
+      },
+      `absentees_${filters.serviceType.replace(/\s+/g, '_').toLowerCase()}_${new Date().toISOString().split('T')[0]}.csv`
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading absentee report...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-center">
+          <button
+            onClick={() => navigate('/attendance')}
+            className="mr-4 p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-left-line"></i>
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Absentees</h1>
+            <p className="text-gray-600 mt-1">Active members who have stopped attending, for pastoral follow-up</p>
+          </div>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={filteredAbsentees.length === 0}
+          className="inline-flex items-center mt-4 sm:mt-0 px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <i className="ri-download-line mr-2"></i>
+          Export CSV
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white p-6 rounded-lg shadow-sm border">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Service Type</label>
+            <select
+              name="serviceType"
+              value={filters.serviceType}
+              onChange={handleFilterChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {serviceTypes.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Missed in a row</label>
+            <input
+              type="number"
+              name="minMissed"
+              min="1"
+              max="52"
+              value={filters.minMissed}
+              onChange={handleFilterChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Department</label>
+            <select
+              name="department"
+              value={filters.department}
+              onChange={handleFilterChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="all">All Departments</option>
+              {departments.map(dept => (
+                <option key={dept} value={dept}>{dept}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Follow-up Status</label>
+            <select
+              name="status"
+              value={filters.status}
+              onChange={handleFilterChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="all">All Statuses</option>
+              {FOLLOW_UP_STATUSES.map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Search</label>
+            <div className="relative">
+              <input
+                type="text"
+                name="search"
+                placeholder="Name or phone..."
+                value={filters.search}
+                onChange={handleFilterChange}
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <i className="ri-search-line absolute left-3 top-3 text-gray-400"></i>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Absentee list */}
+      <div className="bg-white rounded-lg shadow-sm border">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">
+            Missed {filters.minMissed}+ {filters.serviceType} services in a row ({filteredAbsentees.length})
+          </h3>
+        </div>
+
+        {loadingRecords ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ml-3 text-gray-600">Checking attendance...</span>
+          </div>
+        ) : filteredAbsentees.length === 0 ? (
+          <div className="text-center py-12">
+            <i className="ri-emotion-happy-line text-4xl text-gray-400"></i>
+            <p className="text-gray-500 mt-2">No absentees match these filters</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Member</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Missed</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Attended</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Follow-up</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assigned To</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filteredAbsentees.map(({ member, missed, lastAttended }) => {
+                  const followUp = followUpFor(member.id);
+                  const status = followUp?.status || FOLLOW_UP_STATUSES[0];
+                  return (
+                    <tr key={member.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{member.name}</div>
+                        <a href={`tel:${member.phone}`} className="text-sm text-blue-600 hover:text-blue-800">
+                          <i className="ri-phone-line mr-1"></i>
+                          {member.phone}
+                        </a>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{member.department || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className="text-sm font-semibold text-red-600">{missed}</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(lastAttended)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <select
+                          value={status}
+                          disabled={savingId === member.id}
+                          onChange={(e) => handleFollowUpChange(member, { status: e.target.value })}
+                          className={`text-xs font-semibold rounded-full px-2 py-1 border-0 focus:ring-2 focus:ring-blue-500 ${STATUS_STYLES[status]}`}
+                        >
+                          {FOLLOW_UP_STATUSES.map(option => (
+                            <option key={option} value={option}>{option}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => handleNotes(member)}
+                          disabled={savingId === member.id}
+                          title={followUp?.notes || 'Add notes'}
+                          className={`ml-2 ${followUp?.notes ? 'text-blue-600' : 'text-gray-400'} hover:text-blue-800`}
+                        >
+                          <i className="ri-sticky-note-line"></i>
+                        </button>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <select
+                          value={followUp?.assignedToId ? String(followUp.assignedToId) : ''}
+                          disabled={savingId === member.id}
+                          onChange={(e) => handleAssign(member, e.target.value)}
+                          className="w-44 px-2 py-1 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">Unassigned</option>
+                          {workers
+                            .filter(worker => worker.id !== member.id)
+                            .map(worker => (
+                              <option key={worker.id} value={String(worker.id)}>
+                                {worker.name}
+                                {worker.department ? ` (${worker.department})` : ''}
+                              </option>
+                            ))}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AbsenteeReport;
@@ -269,10 +269,11 @@ const AdminDashboard = () => {
             {upcomingEvents.length > 0 ? (
               <div className="space-y-4">
                 {upcomingEvents.map((event) => (
-                  <div key={event.id} className="border-l-4 border-indigo-500 pl-4">
+                  <div key={`${event.id}-${event.occurrenceDate || event.date}`} className="border-l-4 border-indigo-500 pl-4">
                     <div className="flex items-start justify-between">
                       <div className="flex-1 min-w-0">
                         <h3 className="text-sm font-medium text-gray-900 truncate">
+                          {event.isRecurring && <i className="ri-repeat-line mr-1 text-gray-400"></i>}
                           {event.title}
                         </h3>
                         <p className="text-xs text-gray-500 mt-1">
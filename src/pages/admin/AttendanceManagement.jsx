@@ -40,6 +40,16 @@ const AttendanceManagement = () => {
     fetchAttendanceStats();
   }, [filters]);
 
+  // Reload when offline submissions finish syncing
+  useEffect(() => {
+    const handleRefresh = () => {
+      fetchAttendanceRecords();
+      fetchAttendanceStats();
+    };
+    window.addEventListener('refresh-attendance', handleRefresh);
+    return () => window.removeEventListener('refresh-attendance', handleRefresh);
+  }, [filters]);
+
   const fetchAttendanceRecords = async () => {
     try {
       setLoading(true);
@@ -213,6 +223,27 @@ const AttendanceManagement = () => {
             <i className="ri-download-line mr-2"></i>
             Export CSV
           </button>
+          <Link
+            to="/attendance/absentees"
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-user-unfollow-line mr-2"></i>
+            Absentees
+          </Link>
+          <Link
+            to="/attendance/tally"
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-team-line mr-2"></i>
+            Live Head Count
+          </Link>
+          <Link
+            to="/kiosk"
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-tablet-line mr-2"></i>
+            Kiosk Mode
+          </Link>
           <Link
             to="/attendance/new"
             className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
@@ -0,0 +1,386 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { celebrationsAPI } from '@/Services/celebrationsAPI';
+import {
+  acknowledgementList,
+  celebrationHeading,
+  celebrationIcon,
+  defaultAcknowledgementRange
+} from '@/lib/acknowledgements';
+import { formatDateKey, toDateKey } from '@/lib/recurrence';
+import { toast } from 'react-toastify';
+
+// Enough for every celebration in a few weeks
+const UPCOMING_LIMIT = 200;
+
+const PAGE_STYLE = {
+  width: '210mm',
+  minHeight: '297mm',
+  padding: '14mm'
+};
+
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter'];
+const PREVIOUS_KEYS = ['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace'];
+
+// Approved celebrations for a date range, presented as full-screen slides in
+// service or printed as a bulletin
+const CelebrationAcknowledgements = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const defaults = defaultAcknowledgementRange();
+  const from = searchParams.get('from') || defaults.from;
+  const to = searchParams.get('to') || defaults.to;
+
+  const [celebrations, setCelebrations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [presenting, setPresenting] = useState(false);
+  const [slideIndex, setSlideIndex] = useState(0);
+  const [finishing, setFinishing] = useState(false);
+  const presentationRef = useRef(null);
+
+  useEffect(() => {
+    fetchCelebrations();
+  }, [from, to]);
+
+  const fetchCelebrations = async () => {
+    try {
+      setLoading(true);
+      const response = await celebrationsAPI.getUpcomingCelebrations(UPCOMING_LIMIT, { from, to });
+      if (response.success) {
+        setCelebrations(response.data || []);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error fetching celebrations:', error);
+      toast.error('Failed to load celebrations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const list = useMemo(() => acknowledgementList(celebrations, from, to), [celebrations, from, to]);
+
+  // A welcome slide, one per celebration and a closing slide
+  const slideCount = list.length + 2;
+
+  const handleRangeChange = (field, value) => {
+    if (!value) return;
+    setSearchParams({ from, to, [field]: value });
+  };
+
+  const handleStartPresentation = () => {
+    setSlideIndex(0);
+    setPresenting(true);
+  };
+
+  const handleExitPresentation = () => {
+    setPresenting(false);
+    if (document.fullscreenElement) {
+      document.exitFullscreen?.().catch(() => {});
+    }
+  };
+
+  const handleFinish = async () => {
+    const pending = list.filter(celebration => !celebration.acknowledgedDate);
+    if (pending.length === 0) {
+      handleExitPresentation();
+      return;
+    }
+
+    try {
+      setFinishing(true);
+      const acknowledgedDate = toDateKey(new Date());
+      const results = await Promise.all(
+        pending.map(celebration =>
+          celebrationsAPI.updateCelebrationStatus(celebration.id, {
+            status: celebration.status,
+            acknowledgedDate
+          })
+        )
+      );
+
+      const failed = results.filter(result => !result.success).length;
+      if (failed > 0) {
+        toast.error(`${failed} celebration(s) could not be marked as acknowledged`);
+      } else {
+        toast.success(`${pending.length} celebration(s) marked as acknowledged`);
+      }
+
+      handleExitPresentation();
+      fetchCelebrations();
+    } catch (error) {
+      console.error('Error acknowledging celebrations:', error);
+      toast.error('Failed to mark celebrations as acknowledged');
+    } finally {
+      setFinishing(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!presenting) return;
+
+    presentationRef.current?.requestFullscreen?.().catch(() => {});
+
+    // Leaving full screen with the browser's own Escape ends the presentation
+    const handleFullscreenChange = () => {
+      if (!document.fullscreenElement) setPresenting(false);
+    };
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
+  }, [presenting]);
+
+  useEffect(() => {
+    if (!presenting) return;
+
+    const handleKeyDown = (e) => {
+      if (NEXT_KEYS.includes(e.key)) {
+        e.preventDefault();
+        if (slideIndex === slideCount - 1) {
+          if (!finishing) handleFinish();
+        } else {
+          setSlideIndex(slideIndex + 1);
+        }
+      } else if (PREVIOUS_KEYS.includes(e.key)) {
+        e.preventDefault();
+        setSlideIndex(Math.max(0, slideIndex - 1));
+      } else if (e.key === 'Home') {
+        setSlideIndex(0);
+      } else if (e.key === 'End') {
+        setSlideIndex(slideCount - 1);
+      } else if (e.key === 'Escape') {
+        handleExitPresentation();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [presenting, slideIndex, slideCount, finishing, list]);
+
+  const formatRange = () =>
+    from === to
+      ? formatDateKey(from, { weekday: 'long', month: 'long', day: 'numeric' })
+      : `${formatDateKey(from, { month: 'long', day: 'numeric' })} – ${formatDateKey(to, { month: 'long', day: 'numeric', year: 'numeric' })}`;
+
+  const renderSlide = () => {
+    if (slideIndex === 0) {
+      return (
+        <div className="text-center">
+          <img src="/img/favicon.png" alt="RCCG Logo" className="h-24 w-24 mx-auto mb-8" />
+          <p className="text-2xl uppercase tracking-widest text-purple-200">RCCG LCC</p>
+          <h1 className="text-6xl font-bold mt-4">Celebrating With Us</h1>
+          <p className="text-3xl text-purple-100 mt-6">{formatRange()}</p>
+        </div>
+      );
+    }
+
+    if (slideIndex === slideCount - 1) {
+      return (
+        <div className="text-center">
+          <i className="ri-hand-heart-line text-8xl text-purple-200"></i>
+          <h1 className="text-6xl font-bold mt-6">God Bless You All</h1>
+          <p className="text-2xl text-purple-100 mt-6">
+            "This is the day which the LORD hath made; we will rejoice and be glad in it." — Psalm 118:24
+          </p>
+          <button
+            onClick={handleFinish}
+            disabled={finishing}
+            className="mt-12 inline-flex items-center px-8 py-3 bg-white text-purple-800 text-lg font-semibold rounded-lg hover:bg-purple-50 disabled:opacity-50 transition-colors"
+          >
+            <i className={`${finishing ? 'ri-loader-4-line animate-spin' : 'ri-check-double-line'} mr-2`}></i>
+            Finish
+          </button>
+        </div>
+      );
+    }
+
+    const celebration = list[slideIndex - 1];
+    const pictures = (celebration.pictures || []).slice(0, 3);
+    return (
+      <div className="w-full max-w-6xl flex flex-col items-center text-center">
+        <p className="text-3xl uppercase tracking-widest text-purple-200 flex items-center">
+          <i className={`${celebrationIcon(celebration.type)} mr-3`}></i>
+          {celebrationHeading(celebration.type)}
+        </p>
+        <h1 className="text-7xl font-bold mt-6 leading-tight">{celebration.name}</h1>
+        <p className="text-3xl text-purple-100 mt-4">
+          {formatDateKey(celebration.occursOn, { weekday: 'long', month: 'long', day: 'numeric' })}
+        </p>
+        {pictures.length > 0 && (
+          <div className="flex justify-center gap-6 mt-10">
+            {pictures.map((picture, index) => (
+              <img
+                key={index}
+                src={picture}
+                alt={`${celebration.name} ${index + 1}`}
+                className="max-h-[45vh] max-w-[30vw] object-contain rounded-xl shadow-2xl border-4 border-white"
+              />
+            ))}
+          </div>
+        )}
+        {celebration.message && pictures.length === 0 && (
+          <p className="text-2xl text-purple-50 mt-10 max-w-4xl italic">"{celebration.message}"</p>
+        )}
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading celebrations...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white">
+      <style>{'@page { size: A4; margin: 0; }'}</style>
+
+      {/* Toolbar */}
+      <div className="sticky top-0 z-10 flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4 px-6 py-4 bg-white shadow-sm print:hidden">
+        <div className="flex items-center">
+          <button
+            onClick={() => navigate('/celebrations')}
+            className="mr-4 p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-left-line"></i>
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Sunday Acknowledgements</h1>
+            <p className="text-gray-600 mt-1">
+              {list.length} approved celebration{list.length === 1 ? '' : 's'} •{' '}
+              {list.filter(celebration => celebration.acknowledgedDate).length} already acknowledged
+            </p>
+          </div>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="date"
+            value={from}
+            max={to}
+            onChange={(e) => handleRangeChange('from', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            value={to}
+            min={from}
+            onChange={(e) => handleRangeChange('to', e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <button
+            onClick={() => window.print()}
+            disabled={list.length === 0}
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <i className="ri-printer-line mr-2"></i>
+            Print Bulletin
+          </button>
+          <button
+            onClick={handleStartPresentation}
+            disabled={list.length === 0}
+            className="inline-flex items-center px-6 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <i className="ri-slideshow-line mr-2"></i>
+            Present
+          </button>
+        </div>
+      </div>
+
+      {list.length === 0 ? (
+        <div className="text-center py-12 print:hidden">
+          <i className="ri-cake-3-line text-4xl text-gray-400"></i>
+          <p className="text-gray-500 mt-2">No approved celebrations between these dates</p>
+        </div>
+      ) : (
+        <div className="flex flex-col items-center py-6 print:p-0">
+          {/* Bulletin */}
+          <div style={PAGE_STYLE} className="bg-white shadow print:shadow-none">
+            <div className="text-center mb-8">
+              <p className="text-sm font-semibold text-gray-600 uppercase tracking-wide">RCCG LCC</p>
+              <h2 className="text-3xl font-bold text-gray-900">Celebrating With Us</h2>
+              <p className="text-gray-600">{formatRange()}</p>
+            </div>
+            <div className="space-y-4">
+              {list.map(celebration => (
+                <div key={celebration.id} className="flex items-center border-b border-gray-200 pb-4 break-inside-avoid">
+                  {celebration.pictures?.length > 0 ? (
+                    <img
+                      src={celebration.pictures[0]}
+                      alt={celebration.name}
+                      className="w-20 h-20 object-cover rounded-lg border border-gray-200 mr-4"
+                    />
+                  ) : (
+                    <div className="w-20 h-20 bg-purple-50 rounded-lg flex items-center justify-center mr-4">
+                      <i className={`${celebrationIcon(celebration.type)} text-3xl text-purple-400`}></i>
+                    </div>
+                  )}
+                  <div className="flex-1">
+                    <p className="text-sm font-semibold text-purple-700 uppercase tracking-wide">
+                      {celebrationHeading(celebration.type)}
+                    </p>
+                    <p className="text-xl font-bold text-gray-900">{celebration.name}</p>
+                    {celebration.message && (
+                      <p className="text-sm text-gray-600 italic mt-1">"{celebration.message}"</p>
+                    )}
+                  </div>
+                  <p className="text-gray-700 font-medium whitespace-nowrap ml-4">
+                    {formatDateKey(celebration.occursOn, { weekday: 'short', month: 'short', day: 'numeric' })}
+                  </p>
+                </div>
+              ))}
+            </div>
+            <p className="text-sm text-gray-500 text-center mt-8">
+              Send in your celebrations at least a week ahead to be acknowledged in service.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Presentation */}
+      {presenting && (
+        <div
+          ref={presentationRef}
+          className="fixed inset-0 z-50 bg-gradient-to-br from-purple-900 via-indigo-900 to-blue-900 text-white flex items-center justify-center p-12 print:hidden"
+        >
+          {renderSlide()}
+
+          <div className="absolute bottom-6 left-0 right-0 flex items-center justify-between px-8 text-purple-200">
+            <button
+              onClick={handleExitPresentation}
+              className="p-2 rounded-lg hover:bg-white hover:bg-opacity-10 transition-colors"
+              title="Exit (Esc)"
+            >
+              <i className="ri-close-line text-2xl"></i>
+            </button>
+            <div className="flex items-center space-x-4">
+              <button
+                onClick={() => setSlideIndex(Math.max(0, slideIndex - 1))}
+                disabled={slideIndex === 0}
+                className="p-2 rounded-lg hover:bg-white hover:bg-opacity-10 disabled:opacity-30 transition-colors"
+              >
+                <i className="ri-arrow-left-s-line text-2xl"></i>
+              </button>
+              <span className="text-lg">
+                {slideIndex + 1} / {slideCount}
+              </span>
+              <button
+                onClick={() => setSlideIndex(Math.min(slideCount - 1, slideIndex + 1))}
+                disabled={slideIndex === slideCount - 1}
+                className="p-2 rounded-lg hover:bg-white hover:bg-opacity-10 disabled:opacity-30 transition-colors"
+              >
+                <i className="ri-arrow-right-s-line text-2xl"></i>
+              </button>
+            </div>
+            <span className="text-sm">← → to move • Esc to exit</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CelebrationAcknowledgements;
@@ -1,9 +1,36 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { Link } from "react-router-dom";
 import { celebrationsAPI } from "@/Services/celebrationsAPI";
+import { membersAPI } from "@/Services/membersAPI";
+import {
+  upcomingMemberCelebrations,
+  mergeWithSubmitted,
+  toCelebrationRecord,
+  describeYears,
+} from "@/lib/memberCelebrations";
+import { celebrationIcon } from "@/lib/acknowledgements";
+import { runInBatches, UNDO_SECONDS } from "@/lib/bulkActions";
+import { formatDateKey, toDateKey } from "@/lib/recurrence";
 import { useAuth } from "@/contexts/AuthContext";
 import { useWebSocket, useRealtimeData } from "@/contexts/WebSocketContext";
 import { toast } from "react-toastify";
 
+const UPCOMING_WINDOWS = [
+  { days: 7, label: "Next 7 days" },
+  { days: 14, label: "Next 2 weeks" },
+  { days: 30, label: "Next 30 days" },
+];
+
+// Wording for each bulk action while it runs and once it is done
+const BULK_ACTIONS = {
+  approve: { verb: "Approving", done: "approved" },
+  reject: { verb: "Rejecting", done: "rejected" },
+  acknowledge: { verb: "Acknowledging", done: "acknowledged" },
+  delete: { verb: "Deleting", done: "deleted" },
+};
+
+const DEFAULT_REJECTION_REASON = "Not suitable for church acknowledgment";
+
 const CelebrationsManagement = () => {
   const { admin } = useAuth();
   const { isConnected } = useWebSocket();
@@ -22,22 +49,59 @@ const CelebrationsManagement = () => {
   const [selectedImage, setSelectedImage] = useState("");
   const [stats, setStats] = useState({});
   const [selectedCelebrations, setSelectedCelebrations] = useState([]);
-  const [bulkLoading, setBulkLoading] = useState(false);
+  const [bulkPending, setBulkPending] = useState(null);
+  const [bulkProgress, setBulkProgress] = useState(null);
+  const [bulkFailures, setBulkFailures] = useState([]);
+  const [bulkRejecting, setBulkRejecting] = useState(false);
   const [showConfirmDelete, setShowConfirmDelete] = useState(false);
   const [celebrationToDelete, setCelebrationToDelete] = useState(null);
   const [showRejectionModal, setShowRejectionModal] = useState(false);
   const [celebrationToReject, setCelebrationToReject] = useState(null);
   const [rejectionReason, setRejectionReason] = useState("");
+  const [members, setMembers] = useState([]);
+  const [allCelebrations, setAllCelebrations] = useState([]);
+  const [upcomingWindow, setUpcomingWindow] = useState(7);
+  const [skippedKeys, setSkippedKeys] = useState([]);
+  const [approvingUpcoming, setApprovingUpcoming] = useState(false);
+
+  // The bulk action waiting out its undo period
+  const pendingBulkRef = useRef(null);
+  // The latest commitBulkAction, for timers and listeners set up on an
+  // earlier render
+  const commitBulkRef = useRef(null);
 
   const celebrationsPerPage = 12;
 
-  // Reload data when realtime update occurs
+  // Reload data when realtime update occurs, unless a bulk action is still
+  // showing its changes ahead of the server
   useEffect(() => {
-    if (lastUpdate) {
+    if (lastUpdate && !pendingBulkRef.current) {
       fetchCelebrations();
+      fetchMemberRecords();
     }
   }, [lastUpdate]);
 
+  useEffect(() => {
+    fetchMemberRecords();
+  }, []);
+
+  // Leaving the page sends a waiting bulk action rather than dropping it.
+  // Reloading or closing the tab sends it straight away and asks the browser
+  // to confirm, since the page may be gone before the requests finish.
+  useEffect(() => {
+    const handleBeforeUnload = (event) => {
+      if (!pendingBulkRef.current) return;
+      commitBulkRef.current();
+      event.preventDefault();
+      event.returnValue = "";
+    };
+    window.addEventListener("beforeunload", handleBeforeUnload);
+    return () => {
+      window.removeEventListener("beforeunload", handleBeforeUnload);
+      commitBulkRef.current();
+    };
+  }, []);
+
   useEffect(() => {
     fetchCelebrations();
     fetchStats();
@@ -70,6 +134,25 @@ const CelebrationsManagement = () => {
     }
   };
 
+  // Members and every celebration on file, for working out birthdays and
+  // anniversaries nobody has submitted yet
+  const fetchMemberRecords = async () => {
+    try {
+      const [membersResponse, celebrationsResponse] = await Promise.all([
+        membersAPI.getMembers(),
+        celebrationsAPI.getAllCelebrations(),
+      ]);
+      if (membersResponse.success) {
+        setMembers(membersResponse.data || []);
+      }
+      if (celebrationsResponse.success) {
+        setAllCelebrations(celebrationsResponse.data || []);
+      }
+    } catch (error) {
+      console.error("Error fetching member records:", error);
+    }
+  };
+
   const fetchStats = async () => {
     try {
       const response = await celebrationsAPI.getCelebrationsStats();
@@ -185,13 +268,29 @@ const CelebrationsManagement = () => {
   };
 
   const confirmReject = () => {
+    if (bulkRejecting) {
+      startBulkAction("reject", selectedCelebrations, {
+        status: "rejected",
+        rejectionReason: rejectionReason || DEFAULT_REJECTION_REASON,
+      });
+      closeRejectionModal();
+      return;
+    }
+
     handleStatusChange(
       celebrationToReject,
       "rejected",
-      rejectionReason || "Not suitable for church acknowledgment"
+      rejectionReason || DEFAULT_REJECTION_REASON
     );
   };
 
+  const closeRejectionModal = () => {
+    setShowRejectionModal(false);
+    setCelebrationToReject(null);
+    setBulkRejecting(false);
+    setRejectionReason("");
+  };
+
   const handleSelectCelebration = (celebrationId) => {
     setSelectedCelebrations((prev) => {
       if (prev.includes(celebrationId)) {
@@ -202,38 +301,200 @@ const CelebrationsManagement = () => {
     });
   };
 
-  const handleSelectAll = () => {
-    const pendingCelebrations = celebrations
-      .filter((c) => c.status === "pending")
+  const handleSelectAll = (onlyPending) => {
+    const ids = filteredCelebrations
+      .filter((c) => !onlyPending || c.status === "pending")
       .map((c) => c.id);
 
-    if (selectedCelebrations.length === pendingCelebrations.length) {
+    if (ids.length > 0 && ids.every((id) => selectedCelebrations.includes(id))) {
       setSelectedCelebrations([]);
     } else {
-      setSelectedCelebrations(pendingCelebrations);
+      setSelectedCelebrations(ids);
     }
   };
 
-  // Fixed bulk approve function
-  const handleBulkApprove = async () => {
-    if (selectedCelebrations.length === 0) return;
+  // Bulk actions show their result straight away, wait UNDO_SECONDS so they
+  // can be undone, then go to the server in batches
+  const startBulkAction = (action, ids, changes = {}) => {
+    if (ids.length === 0) return;
+    if (pendingBulkRef.current) commitBulkAction();
+
+    const pending = { action, ids, changes, snapshot: celebrations };
+    let secondsLeft = UNDO_SECONDS;
+    pending.intervalId = setInterval(() => {
+      secondsLeft -= 1;
+      if (secondsLeft <= 0) {
+        commitBulkRef.current();
+      } else {
+        setBulkPending({ action, count: ids.length, secondsLeft });
+      }
+    }, 1000);
+    pendingBulkRef.current = pending;
+
+    setCelebrations((prev) =>
+      action === "delete"
+        ? prev.filter((c) => !ids.includes(c.id))
+        : prev.map((c) => (ids.includes(c.id) ? { ...c, ...changes } : c))
+    );
+    setSelectedCelebrations([]);
+    setBulkFailures([]);
+    setBulkPending({ action, count: ids.length, secondsLeft });
+  };
+
+  const handleUndoBulkAction = () => {
+    const pending = pendingBulkRef.current;
+    if (!pending) return;
+
+    clearInterval(pending.intervalId);
+    pendingBulkRef.current = null;
+    setBulkPending(null);
+    setCelebrations(pending.snapshot);
+    setSelectedCelebrations(pending.ids);
+  };
+
+  const commitBulkAction = async () => {
+    const pending = pendingBulkRef.current;
+    if (!pending) return;
 
-    setBulkLoading(true);
+    clearInterval(pending.intervalId);
+    pendingBulkRef.current = null;
+    setBulkPending(null);
+
+    const { action, ids, changes, snapshot } = pending;
+    const { verb, done } = BULK_ACTIONS[action];
+    setBulkProgress({ verb, done: 0, total: ids.length });
     try {
-      // Since there's no bulk approve in the API, approve one by one
-      for (const celebrationId of selectedCelebrations) {
-        await handleStatusChange(celebrationId, "approved");
+      const result = await runInBatches(
+        ids,
+        (batch) =>
+          action === "delete"
+            ? celebrationsAPI.bulkDeleteCelebrations(batch)
+            : celebrationsAPI.bulkUpdateCelebrations(batch, changes),
+        (count) => setBulkProgress({ verb, done: count, total: ids.length })
+      );
+
+      if (result.succeeded.length > 0) {
+        toast.success(`${result.succeeded.length} celebration(s) ${done}`);
+      }
+      if (result.failed.length > 0) {
+        toast.error(`${result.failed.length} celebration(s) could not be ${done}`);
+        setBulkFailures(
+          result.failed.map((failure) => ({
+            ...failure,
+            done,
+            name:
+              snapshot.find((c) => String(c.id) === String(failure.id))?.name ||
+              `#${failure.id}`,
+          }))
+        );
       }
+    } catch (error) {
+      console.error("Error running bulk action:", error);
+      toast.error(`Failed to finish: celebrations may not all be ${done}`);
+    } finally {
+      setBulkProgress(null);
+      fetchCelebrations();
+      fetchStats();
+    }
+  };
+  commitBulkRef.current = commitBulkAction;
 
-      setSelectedCelebrations([]);
-      toast.success(
-        `${selectedCelebrations.length} celebrations approved successfully`
-      );
+  const handleBulkApprove = () => {
+    startBulkAction("approve", selectedCelebrations, {
+      status: "approved",
+      rejectionReason: null,
+    });
+  };
+
+  const handleBulkReject = () => {
+    setBulkRejecting(true);
+    setShowRejectionModal(true);
+  };
+
+  // Only approved celebrations are read out, so only they can be acknowledged
+  const handleBulkAcknowledge = () => {
+    const approvedIds = celebrations
+      .filter((c) => selectedCelebrations.includes(c.id) && c.status === "approved")
+      .map((c) => c.id);
+    const skipped = selectedCelebrations.length - approvedIds.length;
+    if (skipped > 0) {
+      toast.warning(`${skipped} selected celebration(s) are not approved and were left out`);
+    }
+    startBulkAction("acknowledge", approvedIds, {
+      acknowledgedDate: toDateKey(new Date()),
+    });
+  };
+
+  const handleBulkDelete = () => {
+    if (
+      !confirm(
+        `Delete ${selectedCelebrations.length} celebration(s)? You can undo for ${UNDO_SECONDS} seconds afterwards.`
+      )
+    ) {
+      return;
+    }
+    startBulkAction("delete", selectedCelebrations);
+  };
+
+  const upcoming = useMemo(
+    () =>
+      mergeWithSubmitted(
+        upcomingMemberCelebrations(members, toDateKey(new Date()), upcomingWindow),
+        allCelebrations
+      ),
+    [members, allCelebrations, upcomingWindow]
+  );
+
+  const upcomingToApprove = upcoming.toAdd.filter(
+    (item) => !skippedKeys.includes(item.key)
+  );
+
+  const handleToggleUpcoming = (key) => {
+    setSkippedKeys((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+  };
+
+  // Adds the ticked birthdays and anniversaries to this week's
+  // acknowledgement list in one go
+  const handleApproveUpcoming = async () => {
+    if (upcomingToApprove.length === 0) return;
+
+    setApprovingUpcoming(true);
+    let failed = 0;
+    try {
+      for (const item of upcomingToApprove) {
+        const response = await celebrationsAPI.createCelebration(
+          toCelebrationRecord(item)
+        );
+        if (!response.success) {
+          failed++;
+        } else if (response.data?.id && response.data.status !== "approved") {
+          const statusResponse = await celebrationsAPI.updateCelebrationStatus(
+            response.data.id,
+            { status: "approved", rejectionReason: null }
+          );
+          if (!statusResponse.success) failed++;
+        }
+      }
+
+      const added = upcomingToApprove.length - failed;
+      if (added > 0) {
+        toast.success(`${added} celebration(s) approved for acknowledgement`);
+      }
+      if (failed > 0) {
+        toast.error(`${failed} celebration(s) could not be added`);
+      }
+
+      setSkippedKeys([]);
+      fetchCelebrations();
+      fetchStats();
+      fetchMemberRecords();
     } catch (error) {
-      console.error("Error bulk approving celebrations:", error);
+      console.error("Error approving member celebrations:", error);
       toast.error("Failed to approve celebrations");
     } finally {
-      setBulkLoading(false);
+      setApprovingUpcoming(false);
     }
   };
 
@@ -359,7 +620,23 @@ const CelebrationsManagement = () => {
         </div>
 
         {/* Export Button */}
-        <div className="mt-4 sm:mt-0">
+        <div className="mt-4 sm:mt-0 flex gap-3">
+          <a
+            href="/celebrate"
+            target="_blank"
+            rel="noopener noreferrer"
+            className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors flex items-center"
+          >
+            <i className="ri-external-link-line mr-2"></i>
+            Public Form
+          </a>
+          <Link
+            to="/celebrations/acknowledge"
+            className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition-colors flex items-center"
+          >
+            <i className="ri-slideshow-line mr-2"></i>
+            Slides & Bulletin
+          </Link>
           <button
             onClick={() => celebrationsAPI.exportCelebrations("csv")}
             className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition-colors flex items-center"
@@ -475,6 +752,88 @@ const CelebrationsManagement = () => {
         </div>
       </div>
 
+      {/* Upcoming from Member Records */}
+      <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+              <i className="ri-calendar-event-line text-purple-600 mr-2"></i>
+              Upcoming from Member Records
+            </h2>
+            <p className="text-sm text-gray-600">
+              Birthdays and wedding anniversaries from member profiles
+              {upcoming.submitted.length > 0 &&
+                ` • ${upcoming.submitted.length} already in the list`}
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <select
+              value={upcomingWindow}
+              onChange={(e) => {
+                setUpcomingWindow(parseInt(e.target.value));
+                setSkippedKeys([]);
+              }}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {UPCOMING_WINDOWS.map(({ days, label }) => (
+                <option key={days} value={days}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleApproveUpcoming}
+              disabled={approvingUpcoming || upcomingToApprove.length === 0}
+              className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 flex items-center"
+            >
+              {approvingUpcoming ? (
+                <i className="ri-loader-4-line animate-spin mr-2"></i>
+              ) : (
+                <i className="ri-check-double-line mr-2"></i>
+              )}
+              Approve {upcomingToApprove.length} for Acknowledgement
+            </button>
+          </div>
+        </div>
+
+        {upcoming.toAdd.length === 0 ? (
+          <p className="px-6 py-6 text-sm text-gray-500 text-center">
+            No member birthdays or anniversaries left to add for this period.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {upcoming.toAdd.map((item) => (
+              <li key={item.key} className="px-6 py-3 flex items-center">
+                <input
+                  type="checkbox"
+                  checked={!skippedKeys.includes(item.key)}
+                  onChange={() => handleToggleUpcoming(item.key)}
+                  className="mr-3 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <div className="h-8 w-8 bg-purple-100 rounded-full flex items-center justify-center mr-3">
+                  <i
+                    className={`${celebrationIcon(item.type)} text-purple-600`}
+                  ></i>
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900">{item.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {item.type} • {describeYears(item)}
+                  </p>
+                </div>
+                <span className="text-sm text-gray-600">
+                  {formatDateKey(item.occursOn, {
+                    weekday: "short",
+                    month: "short",
+                    day: "numeric",
+                  })}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
       {/* Filters and Search */}
       <div className="bg-white p-6 rounded-lg shadow-sm border">
         <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
@@ -563,25 +922,45 @@ const CelebrationsManagement = () => {
       {/* Bulk Actions */}
       {selectedCelebrations.length > 0 && (
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-          <div className="flex items-center justify-between">
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
             <div className="flex items-center">
               <i className="ri-checkbox-multiple-line text-blue-600 mr-2"></i>
               <span className="text-blue-800 font-medium">
                 {selectedCelebrations.length} celebration(s) selected
               </span>
             </div>
-            <div className="flex space-x-2">
+            <div className="flex flex-wrap gap-2">
               <button
                 onClick={handleBulkApprove}
-                disabled={bulkLoading}
+                disabled={!!bulkProgress}
                 className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 flex items-center"
               >
-                {bulkLoading ? (
-                  <i className="ri-loader-4-line animate-spin mr-2"></i>
-                ) : (
-                  <i className="ri-check-line mr-2"></i>
-                )}
-                Bulk Approve
+                <i className="ri-check-line mr-2"></i>
+                Approve
+              </button>
+              <button
+                onClick={handleBulkReject}
+                disabled={!!bulkProgress}
+                className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50 flex items-center"
+              >
+                <i className="ri-close-line mr-2"></i>
+                Reject
+              </button>
+              <button
+                onClick={handleBulkAcknowledge}
+                disabled={!!bulkProgress}
+                className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50 flex items-center"
+              >
+                <i className="ri-megaphone-line mr-2"></i>
+                Mark Acknowledged
+              </button>
+              <button
+                onClick={handleBulkDelete}
+                disabled={!!bulkProgress}
+                className="bg-white border border-red-300 text-red-700 px-4 py-2 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50 flex items-center"
+              >
+                <i className="ri-delete-bin-line mr-2"></i>
+                Delete
               </button>
               <button
                 onClick={() => setSelectedCelebrations([])}
@@ -594,6 +973,82 @@ const CelebrationsManagement = () => {
         </div>
       )}
 
+      {/* Undo */}
+      {bulkPending && (
+        <div className="bg-gray-800 text-white rounded-lg p-4 flex items-center justify-between">
+          <span>
+            {bulkPending.count} celebration(s){" "}
+            {BULK_ACTIONS[bulkPending.action].done} • saving in{" "}
+            {bulkPending.secondsLeft}s
+          </span>
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={handleUndoBulkAction}
+              className="font-semibold text-yellow-300 hover:text-yellow-200"
+            >
+              <i className="ri-arrow-go-back-line mr-1"></i>
+              Undo
+            </button>
+            <button
+              onClick={commitBulkAction}
+              className="text-sm text-gray-300 hover:text-white"
+            >
+              Save now
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Bulk Progress */}
+      {bulkProgress && (
+        <div className="bg-white p-4 rounded-lg shadow-sm border">
+          <div className="flex items-center justify-between text-sm text-gray-700 mb-2">
+            <span className="flex items-center">
+              <i className="ri-loader-4-line animate-spin mr-2"></i>
+              {bulkProgress.verb} celebrations...
+            </span>
+            <span>
+              {bulkProgress.done} of {bulkProgress.total}
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-blue-600 h-2 rounded-full transition-all"
+              style={{
+                width: `${(bulkProgress.done / bulkProgress.total) * 100}%`,
+              }}
+            ></div>
+          </div>
+        </div>
+      )}
+
+      {/* Bulk Failures */}
+      {bulkFailures.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-2">
+            <p className="font-medium text-red-800 flex items-center">
+              <i className="ri-error-warning-line mr-2"></i>
+              {bulkFailures.length} celebration(s) could not be{" "}
+              {bulkFailures[0].done}
+            </p>
+            <button
+              onClick={() => setBulkFailures([])}
+              className="text-red-400 hover:text-red-600"
+            >
+              <i className="ri-close-line text-xl"></i>
+            </button>
+          </div>
+          <ul className="text-sm text-red-700 space-y-1">
+            {bulkFailures.map((failure) => (
+              <li key={failure.id}>
+                <span className="font-medium">{failure.name}</span>
+                {failure.message && ` — ${failure.message}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Celebrations Grid */}
       <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
         <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
@@ -601,17 +1056,27 @@ const CelebrationsManagement = () => {
             Celebration Requests ({filteredCelebrations.length})
           </h2>
 
-          {pendingCount > 0 && (
+          {filteredCelebrations.length > 0 && (
             <div className="flex items-center space-x-4">
+              {pendingCount > 0 && (
+                <button
+                  onClick={() => handleSelectAll(true)}
+                  className="text-sm text-blue-600 hover:text-blue-800 flex items-center"
+                >
+                  <i className="ri-checkbox-multiple-line mr-1"></i>
+                  Select All Pending
+                </button>
+              )}
               <button
-                onClick={handleSelectAll}
+                onClick={() => handleSelectAll(false)}
                 className="text-sm text-blue-600 hover:text-blue-800 flex items-center"
               >
                 <i className="ri-checkbox-multiple-line mr-1"></i>
-                {selectedCelebrations.length ===
-                celebrations.filter((c) => c.status === "pending").length
+                {filteredCelebrations.every((c) =>
+                  selectedCelebrations.includes(c.id)
+                )
                   ? "Deselect All"
-                  : "Select All Pending"}
+                  : "Select All"}
               </button>
             </div>
           )}
@@ -638,14 +1103,12 @@ const CelebrationsManagement = () => {
               >
                 <div className="flex items-start justify-between mb-3">
                   <div className="flex items-center">
-                    {celebration.status === "pending" && (
-                      <input
-                        type="checkbox"
-                        checked={selectedCelebrations.includes(celebration.id)}
-                        onChange={() => handleSelectCelebration(celebration.id)}
-                        className="mr-3 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                      />
-                    )}
+                    <input
+                      type="checkbox"
+                      checked={selectedCelebrations.includes(celebration.id)}
+                      onChange={() => handleSelectCelebration(celebration.id)}
+                      className="mr-3 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
                     <div className="flex-shrink-0 h-10 w-10">
                       <div className="h-10 w-10 bg-purple-100 rounded-full flex items-center justify-center">
                         <i className="ri-cake-3-line text-purple-600"></i>
@@ -728,6 +1191,15 @@ const CelebrationsManagement = () => {
                     >
                       <i className="ri-eye-line"></i>
                     </button>
+                    {celebration.status === "approved" && (
+                      <Link
+                        to={`/celebrations/${celebration.id}/greeting`}
+                        className="text-purple-600 hover:text-purple-800 p-1"
+                        title="Greeting Card"
+                      >
+                        <i className="ri-image-edit-line"></i>
+                      </Link>
+                    )}
                     {celebration.status === "pending" && (
                       <>
                         <button
@@ -1069,20 +1541,18 @@ const CelebrationsManagement = () => {
       )}
 
       {/* Rejection Modal */}
-      {showRejectionModal && celebrationToReject && (
+      {showRejectionModal && (celebrationToReject || bulkRejecting) && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
           <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
             <div className="mt-3">
               <div className="flex items-center justify-between mb-4">
                 <h3 className="text-lg font-medium text-gray-900">
-                  Reject Celebration
+                  {bulkRejecting
+                    ? `Reject ${selectedCelebrations.length} Celebration(s)`
+                    : "Reject Celebration"}
                 </h3>
                 <button
-                  onClick={() => {
-                    setShowRejectionModal(false);
-                    setCelebrationToReject(null);
-                    setRejectionReason("");
-                  }}
+                  onClick={closeRejectionModal}
                   className="text-gray-400 hover:text-gray-600"
                 >
                   <i className="ri-close-line text-xl"></i>
@@ -1091,7 +1561,9 @@ const CelebrationsManagement = () => {
 
               <div className="mb-4">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Reason for rejection (optional):
+                  {bulkRejecting
+                    ? "Reason for rejection, shared by all (optional):"
+                    : "Reason for rejection (optional):"}
                 </label>
                 <textarea
                   value={rejectionReason}
@@ -1104,11 +1576,7 @@ const CelebrationsManagement = () => {
 
               <div className="flex gap-4">
                 <button
-                  onClick={() => {
-                    setShowRejectionModal(false);
-                    setCelebrationToReject(null);
-                    setRejectionReason("");
-                  }}
+                  onClick={closeRejectionModal}
                   className="flex-1 px-4 py-2 bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 transition-colors"
                 >
                   Cancel
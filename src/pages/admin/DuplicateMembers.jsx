@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { membersAPI } from '@/Services/membersAPI';
+import { findDuplicatePairs } from '@/lib/duplicates';
+import { toast } from 'react-toastify';
+
+const DuplicateMembers = () => {
+  const navigate = useNavigate();
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [minScore, setMinScore] = useState(40);
+  const [searchTerm, setSearchTerm] = useState('');
+
+  useEffect(() => {
+    fetchMembers();
+  }, []);
+
+  const fetchMembers = async () => {
+    try {
+      setLoading(true);
+      const response = await membersAPI.getMembers();
+
+      if (response.success) {
+        setMembers(response.data);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error fetching members:', error);
+      toast.error('Failed to load members');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const pairs = useMemo(() => findDuplicatePairs(members, minScore), [members, minScore]);
+
+  const filteredPairs = pairs.filter(({ first, second }) => {
+    const term = searchTerm.toLowerCase();
+    return !term ||
+      first.name?.toLowerCase().includes(term) ||
+      second.name?.toLowerCase().includes(term);
+  });
+
+  const renderMember = (member) => (
+    <div>
+      <div className="text-sm font-medium text-gray-900">{member.name}</div>
+      <div className="text-xs text-gray-500">{member.phone}</div>
+      <div className="text-xs text-gray-500">{member.email}</div>
+      {!member.isActive && (
+        <span className="inline-flex mt-1 px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+          Inactive
+        </span>
+      )}
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Scanning members for duplicates...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Possible Duplicates</h1>
+          <p className="text-gray-600 mt-1">
+            Members whose name, phone or email closely match another record
+          </p>
+        </div>
+        <button
+          onClick={() => navigate('/members')}
+          className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          <i className="ri-arrow-left-line mr-2"></i>
+          Back to Members
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white p-6 rounded-lg shadow-sm border">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Search</label>
+            <div className="relative">
+              <input
+                type="text"
+                placeholder="Search by name..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <i className="ri-search-line absolute left-3 top-3 text-gray-400"></i>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Minimum Match</label>
+            <select
+              value={minScore}
+              onChange={(e) => setMinScore(parseInt(e.target.value))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value={40}>40% (broad)</option>
+              <option value={60}>60%</option>
+              <option value={80}>80% (very likely)</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Pairs Table */}
+      <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">
+            Possible Duplicates ({filteredPairs.length})
+          </h2>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Record A
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Record B
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Why
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Match
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {filteredPairs.map(({ first, second, score, reasons }) => (
+                <tr key={`${first.id}-${second.id}`} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">{renderMember(first)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">{renderMember(second)}</td>
+                  <td className="px-6 py-4">
+                    <div className="flex flex-wrap gap-1">
+                      {reasons.map(reason => (
+                        <span
+                          key={reason}
+                          className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800"
+                        >
+                          {reason}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`text-sm font-semibold ${
+                      score >= 80 ? 'text-red-600' : score >= 60 ? 'text-yellow-600' : 'text-gray-600'
+                    }`}>
+                      {score}%
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    <Link
+                      to={`/members/merge/${first.id}/${second.id}`}
+                      className="inline-flex items-center px-3 py-1 bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100"
+                    >
+                      <i className="ri-git-merge-line mr-1"></i>
+                      Review &amp; Merge
+                    </Link>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Empty State */}
+        {filteredPairs.length === 0 && (
+          <div className="text-center py-12">
+            <i className="ri-checkbox-circle-line text-green-500 text-4xl mb-4"></i>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No duplicates found</h3>
+            <p className="text-gray-500">No member records match each other at this level.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateMembers;
@@ -1,11 +1,25 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { eventsAPI } from '@/Services/eventsAPI';
+import { resourcesAPI } from '@/Services/resourcesAPI';
+import {
+  eventDateKey,
+  formatDateKey,
+  defaultRecurrenceRule,
+  getRecurrenceRule,
+  validateRecurrenceRule
+} from '@/lib/recurrence';
+import { findBookingConflicts, describeConflict } from '@/lib/resourceBookings';
+import RecurrenceFields from '@/components/events/RecurrenceFields';
+import ResourceBookingFields from '@/components/events/ResourceBookingFields';
+import EventChecklistFields from '@/components/events/EventChecklistFields';
 import { toast } from 'react-toastify';
 
 const EditEvent = () => {
   const navigate = useNavigate();
   const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const occurrenceDate = searchParams.get('occurrence');
   
   const [formData, setFormData] = useState({
     title: '',
@@ -17,9 +31,12 @@ const EditEvent = () => {
     category: '',
     maxAttendees: '',
     isRecurring: false,
-    recurringPattern: '',
+    recurrenceRule: null,
+    exceptionDates: [],
     status: 'upcoming',
-    image: null
+    image: null,
+    resourceIds: [],
+    checklist: []
   });
 
   const [originalData, setOriginalData] = useState(null);
@@ -28,6 +45,10 @@ const EditEvent = () => {
   const [errors, setErrors] = useState({});
   const [imagePreview, setImagePreview] = useState(null);
   const [existingImage, setExistingImage] = useState(null);
+  // Which occurrences of a recurring event the changes apply to: this, following or all
+  const [editScope, setEditScope] = useState('all');
+  const [resources, setResources] = useState([]);
+  const [existingEvents, setExistingEvents] = useState([]);
 
   const eventCategories = [
     'Service',
@@ -43,13 +64,6 @@ const EditEvent = () => {
     'Other'
   ];
 
-  const recurringPatterns = [
-    { value: 'daily', label: 'Daily' },
-    { value: 'weekly', label: 'Weekly' },
-    { value: 'monthly', label: 'Monthly' },
-    { value: 'yearly', label: 'Yearly' }
-  ];
-
   const statusOptions = [
     { value: 'upcoming', label: 'Upcoming' },
     { value: 'ongoing', label: 'Ongoing' },
@@ -59,7 +73,21 @@ const EditEvent = () => {
 
   useEffect(() => {
     fetchEvent();
-  }, [id]);
+  }, [id, occurrenceDate]);
+
+  useEffect(() => {
+    fetchBookingData();
+  }, []);
+
+  // Rooms/equipment and the events already booking them
+  const fetchBookingData = async () => {
+    const [resourcesResponse, eventsResponse] = await Promise.all([
+      resourcesAPI.getResources(),
+      eventsAPI.getAllEvents()
+    ]);
+    if (resourcesResponse.success) setResources(resourcesResponse.data);
+    if (eventsResponse.success) setExistingEvents(eventsResponse.data);
+  };
 
   const fetchEvent = async () => {
     try {
@@ -68,20 +96,26 @@ const EditEvent = () => {
       
       if (response.success) {
         const event = response.data;
+        const seriesStart = event.date ? eventDateKey(event) : '';
+        const scope = event.isRecurring && occurrenceDate ? 'this' : 'all';
         setOriginalData(event);
+        setEditScope(scope);
         setFormData({
           title: event.title || '',
           description: event.description || '',
-          date: event.date || '',
+          date: scope === 'this' ? occurrenceDate : seriesStart,
           time: event.time || '',
           endTime: event.endTime || '',
           location: event.location || '',
           category: event.category || '',
           maxAttendees: event.maxAttendees ? event.maxAttendees.toString() : '',
           isRecurring: event.isRecurring || false,
-          recurringPattern: event.recurringPattern || '',
+          recurrenceRule: getRecurrenceRule(event),
+          exceptionDates: event.exceptionDates || [],
           status: event.status || 'upcoming',
-          image: null // New image will be handled separately
+          image: null, // New image will be handled separately
+          resourceIds: event.resourceIds || [],
+          checklist: event.checklist || []
         });
         
         // Set existing image for preview
@@ -117,6 +151,45 @@ const EditEvent = () => {
     }
   };
 
+  // Picking a room fills in an empty location
+  const handleResourcesChange = (resourceIds, resource) => {
+    setFormData(prev => ({
+      ...prev,
+      resourceIds,
+      location: !prev.location.trim() && resource.type === 'Room' && resourceIds.includes(resource.id)
+        ? resource.name
+        : prev.location
+    }));
+  };
+
+  const handleRecurringChange = (e) => {
+    const { checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      isRecurring: checked,
+      recurrenceRule: checked && !prev.recurrenceRule
+        ? defaultRecurrenceRule('weekly', prev.date)
+        : prev.recurrenceRule
+    }));
+  };
+
+  const handleRecurrenceRuleChange = (recurrenceRule) => {
+    setFormData(prev => ({ ...prev, recurrenceRule }));
+    if (errors.recurrenceRule) {
+      setErrors(prev => ({ ...prev, recurrenceRule: '' }));
+    }
+  };
+
+  // Editing the whole series works on the series start; the other scopes
+  // start from the occurrence that was opened
+  const handleScopeChange = (scope) => {
+    setEditScope(scope);
+    setFormData(prev => ({
+      ...prev,
+      date: scope === 'all' ? eventDateKey(originalData) : occurrenceDate
+    }));
+  };
+
   const handleImageChange = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -191,9 +264,12 @@ const EditEvent = () => {
       newErrors.maxAttendees = 'Max attendees must be between 1 and 10,000';
     }
 
-    // Recurring pattern validation
-    if (formData.isRecurring && !formData.recurringPattern) {
-      newErrors.recurringPattern = 'Please select a recurring pattern';
+    // Recurrence rule validation
+    if (formData.isRecurring && editScope !== 'this') {
+      const ruleError = validateRecurrenceRule(formData.recurrenceRule, formData.date);
+      if (ruleError) {
+        newErrors.recurrenceRule = ruleError;
+      }
     }
 
     setErrors(newErrors);
@@ -208,12 +284,18 @@ const EditEvent = () => {
       return;
     }
 
+    if (bookingConflicts.length > 0) {
+      const more = bookingConflicts.length > 1 ? ` (and ${bookingConflicts.length - 1} more)` : '';
+      if (!confirm(`${describeConflict(bookingConflicts[0], resources)}${more}. Save anyway?`)) return;
+    }
+
     try {
       setSaving(true);
 
       const eventData = {
         ...formData,
-        maxAttendees: formData.maxAttendees ? parseInt(formData.maxAttendees) : null
+        maxAttendees: formData.maxAttendees ? parseInt(formData.maxAttendees) : null,
+        recurrenceRule: formData.isRecurring ? formData.recurrenceRule : null
       };
 
       // Handle image update
@@ -226,10 +308,17 @@ const EditEvent = () => {
         eventData.image = existingImage;
       }
 
-      const response = await eventsAPI.updateEvent(id, eventData);
+      let response;
+      if (isSeriesOccurrence && editScope === 'this') {
+        response = await eventsAPI.updateOccurrence(originalData, occurrenceDate, eventData);
+      } else if (isSeriesOccurrence && editScope === 'following') {
+        response = await eventsAPI.updateFollowingOccurrences(originalData, occurrenceDate, eventData);
+      } else {
+        response = await eventsAPI.updateEvent(id, eventData);
+      }
 
       if (response.success) {
-        toast.success('Event updated successfully!');
+        toast.success(response.message || 'Event updated successfully!');
         navigate('/events');
       } else {
         toast.error(response.message);
@@ -243,16 +332,28 @@ const EditEvent = () => {
   };
 
   const handleDelete = async () => {
-    if (!confirm(`Are you sure you want to delete "${originalData?.title}"? This action cannot be undone.`)) {
+    const message = !isSeriesOccurrence || editScope === 'all'
+      ? `Are you sure you want to delete "${originalData?.title}"? This action cannot be undone.`
+      : editScope === 'this'
+        ? `Remove the ${formatDateKey(occurrenceDate)} occurrence of "${originalData?.title}"?`
+        : `Remove "${originalData?.title}" from ${formatDateKey(occurrenceDate)} onwards?`;
+    if (!confirm(message)) {
       return;
     }
 
     try {
       setSaving(true);
-      const response = await eventsAPI.deleteEvent(id);
+      let response;
+      if (isSeriesOccurrence && editScope === 'this') {
+        response = await eventsAPI.cancelOccurrence(originalData, occurrenceDate);
+      } else if (isSeriesOccurrence && editScope === 'following') {
+        response = await eventsAPI.cancelFollowingOccurrences(originalData, occurrenceDate);
+      } else {
+        response = await eventsAPI.deleteEvent(id);
+      }
 
       if (response.success) {
-        toast.success('Event deleted successfully!');
+        toast.success(editScope === 'all' ? 'Event deleted successfully!' : 'Occurrences removed');
         navigate('/events');
       } else {
         toast.error(response.message);
@@ -265,6 +366,17 @@ const EditEvent = () => {
     }
   };
 
+  const isSeriesOccurrence = Boolean(originalData?.isRecurring && occurrenceDate);
+
+  // Checked against every event but this one (or its series); a single
+  // occurrence only books its own date
+  const bookingConflicts = useMemo(() => {
+    const candidate = isSeriesOccurrence && editScope === 'this'
+      ? { ...formData, isRecurring: false }
+      : formData;
+    return findBookingConflicts(candidate, existingEvents, [id]);
+  }, [formData, existingEvents, isSeriesOccurrence, editScope, id]);
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -282,6 +394,7 @@ const EditEvent = () => {
           <h1 className="text-2xl font-bold text-gray-900">Edit Event</h1>
           <p className="text-gray-600 mt-1">
             Editing: {originalData?.title}
+            {isSeriesOccurrence && ` • ${formatDateKey(occurrenceDate)} occurrence`}
           </p>
         </div>
         <div className="flex space-x-2">
@@ -291,7 +404,7 @@ const EditEvent = () => {
             className="inline-flex items-center px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
           >
             <i className="ri-delete-bin-line mr-2"></i>
-            Delete Event
+            {isSeriesOccurrence && editScope !== 'all' ? 'Remove Occurrences' : 'Delete Event'}
           </button>
           <button
             onClick={() => navigate('/events')}
@@ -304,6 +417,44 @@ const EditEvent = () => {
       </div>
 
       <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Recurring edit scope */}
+        {isSeriesOccurrence && (
+          <div className="bg-purple-50 p-6 rounded-lg border border-purple-200">
+            <h2 className="text-lg font-semibold text-purple-900 mb-1">
+              <i className="ri-repeat-line mr-2"></i>
+              Recurring Event
+            </h2>
+            <p className="text-sm text-purple-700 mb-4">
+              You opened the {formatDateKey(occurrenceDate)} occurrence. Apply changes to:
+            </p>
+            <div className="space-y-2">
+              {[
+                { value: 'this', label: 'This occurrence only' },
+                { value: 'following', label: 'This and following occurrences' },
+                { value: 'all', label: 'All occurrences in the series' }
+              ].map(option => (
+                <label key={option.value} className="flex items-center text-sm text-gray-900">
+                  <input
+                    type="radio"
+                    name="editScope"
+                    checked={editScope === option.value}
+                    onChange={() => handleScopeChange(option.value)}
+                    className="h-4 w-4 text-purple-600 focus:ring-purple-500 border-gray-300 mr-2"
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {originalData?.recurrenceParentId && originalData?.originalDate && (
+          <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+            <i className="ri-information-line mr-2"></i>
+            This is a changed occurrence of a recurring event, originally on {formatDateKey(originalData.originalDate)}.
+          </div>
+        )}
+
         {/* Basic Information */}
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Event Information</h2>
@@ -425,7 +576,7 @@ const EditEvent = () => {
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Event Date *
+                {isSeriesOccurrence && editScope === 'following' ? 'Continue From *' : 'Event Date *'}
               </label>
               <input
                 type="date"
@@ -488,6 +639,13 @@ const EditEvent = () => {
           </div>
         </div>
 
+        <ResourceBookingFields
+          resources={resources}
+          selectedIds={formData.resourceIds}
+          conflicts={bookingConflicts}
+          onChange={handleResourcesChange}
+        />
+
         {/* Additional Settings */}
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Additional Settings</h2>
@@ -516,50 +674,44 @@ const EditEvent = () => {
               )}
             </div>
 
-            <div className="flex items-center">
-              <input
-                type="checkbox"
-                name="isRecurring"
-                checked={formData.isRecurring}
-                onChange={handleInputChange}
-                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-              />
-              <label className="ml-2 block text-sm text-gray-900">
-                This is a recurring event
-              </label>
-            </div>
-
-            {formData.isRecurring && (
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Recurring Pattern *
+            {editScope !== 'this' && (
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  name="isRecurring"
+                  checked={formData.isRecurring}
+                  onChange={handleRecurringChange}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label className="ml-2 block text-sm text-gray-900">
+                  This is a recurring event
                 </label>
-                <select
-                  name="recurringPattern"
-                  value={formData.recurringPattern}
-                  onChange={handleInputChange}
-                  className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
-                    errors.recurringPattern ? 'border-red-300' : 'border-gray-300'
-                  }`}
-                >
-                  <option value="">Select Pattern</option>
-                  {recurringPatterns.map(pattern => (
-                    <option key={pattern.value} value={pattern.value}>
-                      {pattern.label}
-                    </option>
-                  ))}
-                </select>
-                {errors.recurringPattern && (
-                  <p className="mt-1 text-sm text-red-600 flex items-center">
-                    <i className="ri-error-warning-line mr-1"></i>
-                    {errors.recurringPattern}
-                  </p>
-                )}
               </div>
             )}
+
+            {formData.isRecurring && editScope !== 'this' && (
+              <RecurrenceFields
+                date={formData.date}
+                rule={formData.recurrenceRule}
+                exceptionDates={formData.exceptionDates}
+                error={errors.recurrenceRule}
+                onRuleChange={handleRecurrenceRuleChange}
+                onExceptionDatesChange={(exceptionDates) => setFormData(prev => ({ ...prev, exceptionDates }))}
+              />
+            )}
           </div>
         </div>
 
+        {/* Checklist */}
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Checklist</h2>
+          <EventChecklistFields
+            items={formData.checklist}
+            showDone
+            onChange={(checklist) => setFormData(prev => ({ ...prev, checklist }))}
+          />
+        </div>
+
         {/* Event Image */}
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Event Image</h2>
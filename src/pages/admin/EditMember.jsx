@@ -1,6 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { membersAPI } from '@/Services/membersAPI';
+import { householdsAPI } from '@/Services/householdsAPI';
+import {
+  emptyHouseholdSelection,
+  householdSelectionFromMember,
+  applyHouseholdSelection,
+  syncHeadOfHousehold,
+  usesSharedPhone
+} from '@/lib/households';
+import HouseholdSection from '@/components/members/HouseholdSection';
 import { toast } from 'react-toastify';
 
 const EditMember = () => {
@@ -15,6 +24,7 @@ const EditMember = () => {
     dateOfBirth: '',
     gender: '',
     maritalStatus: '',
+    weddingDate: '',
     occupation: '',
     department: '',
     membershipDate: '',
@@ -28,6 +38,8 @@ const EditMember = () => {
 
   const [originalData, setOriginalData] = useState(null);
   const [departments, setDepartments] = useState([]);
+  const [households, setHouseholds] = useState([]);
+  const [household, setHousehold] = useState(emptyHouseholdSelection);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [errors, setErrors] = useState({});
@@ -35,6 +47,7 @@ const EditMember = () => {
   useEffect(() => {
     fetchMember();
     fetchDepartments();
+    fetchHouseholds();
   }, [id]);
 
   const fetchMember = async () => {
@@ -53,6 +66,7 @@ const EditMember = () => {
           dateOfBirth: member.dateOfBirth || '',
           gender: member.gender || '',
           maritalStatus: member.maritalStatus || '',
+          weddingDate: member.weddingDate || '',
           occupation: member.occupation || '',
           department: member.department || '',
           membershipDate: member.membershipDate || '',
@@ -63,6 +77,7 @@ const EditMember = () => {
             relationship: member.emergencyContact?.relationship || ''
           }
         });
+        setHousehold(householdSelectionFromMember(member));
       } else {
         toast.error(response.message);
         navigate('/members');
@@ -87,6 +102,27 @@ const EditMember = () => {
     }
   };
 
+  const fetchHouseholds = async () => {
+    try {
+      const response = await householdsAPI.getHouseholds();
+      if (response.success) {
+        setHouseholds(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching households:', error);
+    }
+  };
+
+  const handleHouseholdChange = (nextHousehold) => {
+    setHousehold(nextHousehold);
+    if (errors.household) {
+      setErrors(prev => ({
+        ...prev,
+        household: ''
+      }));
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     
@@ -129,7 +165,7 @@ const EditMember = () => {
       newErrors.email = 'Please enter a valid email address';
     }
 
-    if (!formData.phone.trim()) {
+    if (!formData.phone.trim() && !usesSharedPhone(household, households)) {
       newErrors.phone = 'Phone number is required';
     }
 
@@ -137,6 +173,10 @@ const EditMember = () => {
       newErrors.membershipDate = 'Membership date is required';
     }
 
+    if (household.householdId === 'new' && !household.name.trim()) {
+      newErrors.household = 'Household name is required';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -152,9 +192,19 @@ const EditMember = () => {
     try {
       setSaving(true);
 
-      const response = await membersAPI.updateMember(id, formData);
+      const memberData = await applyHouseholdSelection(formData, household, households);
+      if (!memberData.success) {
+        toast.error(memberData.message);
+        return;
+      }
+
+      const response = await membersAPI.updateMember(id, memberData.data);
 
       if (response.success) {
+        const headResult = await syncHeadOfHousehold({ id, ...response.data }, household);
+        if (!headResult.success) {
+          toast.warning(headResult.message);
+        }
         toast.success('Member updated successfully!');
         navigate('/members');
       } else {
@@ -345,6 +395,21 @@ const EditMember = () => {
               </select>
             </div>
 
+            {formData.maritalStatus === 'Married' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Wedding Anniversary
+                </label>
+                <input
+                  type="date"
+                  name="weddingDate"
+                  value={formData.weddingDate}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Occupation
@@ -437,6 +502,14 @@ const EditMember = () => {
           </div>
         </div>
 
+        {/* Household */}
+        <HouseholdSection
+          value={household}
+          households={households}
+          onChange={handleHouseholdChange}
+          error={errors.household}
+        />
+
         {/* Emergency Contact */}
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Emergency Contact</h2>
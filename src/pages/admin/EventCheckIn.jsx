@@ -0,0 +1,514 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { eventsAPI } from '@/Services/eventsAPI';
+import { registrationsAPI } from '@/Services/registrationsAPI';
+import { membersAPI } from '@/Services/membersAPI';
+import { attendanceAPI } from '@/Services/attendanceAPI';
+import { isActiveRegistration, isWaitlisted } from '@/lib/registrations';
+import { eventDateKey, expandEvent, formatDateKey, nextOccurrences, toDateKey } from '@/lib/recurrence';
+import { TALLY_CATEGORIES } from '@/lib/headcount';
+import { parseMemberQr } from '@/lib/memberQr';
+import { currentTimeArrived } from '@/lib/kiosk';
+import {
+  CHECK_IN_SERVICE_TYPE,
+  ageGroup,
+  checkInKey,
+  loadCheckInSession,
+  saveCheckInSession,
+  clearCheckInSession,
+  checkInCounts,
+  buildAttendanceRecord,
+  sessionFromRecord
+} from '@/lib/eventCheckIn';
+import QrScanner from '@/components/attendance/QrScanner';
+import { toast } from 'react-toastify';
+
+const EMPTY_GUEST = { name: '', group: 'visitors' };
+
+// Waitlisted registrants who turn up are let in too
+const isExpected = (registration) => isActiveRegistration(registration) || isWaitlisted(registration);
+
+// The occurrence being checked in: the one asked for, today's, or the next one
+const checkInDate = (event, occurrence) => {
+  if (occurrence) return occurrence;
+  if (!event.isRecurring) return eventDateKey(event);
+  const today = toDateKey(new Date());
+  if (expandEvent(event, today, today).length > 0) return today;
+  return nextOccurrences(event, today)[0]?.occurrenceDate || eventDateKey(event);
+};
+
+const EventCheckIn = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  const [event, setEvent] = useState(null);
+  const [dateKey, setDateKey] = useState('');
+  const [registrations, setRegistrations] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [closing, setClosing] = useState(false);
+
+  const [checkIns, setCheckIns] = useState([]);
+  const [extraCounts, setExtraCounts] = useState({});
+  const [mode, setMode] = useState('search');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [guest, setGuest] = useState(EMPTY_GUEST);
+
+  useEffect(() => {
+    fetchData();
+  }, [id]);
+
+  // Save after every change so a reload at the door loses nothing
+  useEffect(() => {
+    if (event && dateKey) {
+      saveCheckInSession(event.id, dateKey, { checkIns, extraCounts });
+    }
+  }, [checkIns, extraCounts]);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [eventResponse, registrationsResponse, membersResponse] = await Promise.all([
+        eventsAPI.getEventById(id),
+        registrationsAPI.getRegistrations(id),
+        membersAPI.getMembers()
+      ]);
+
+      if (!eventResponse.success) {
+        toast.error(eventResponse.message || 'Event not found');
+        navigate('/events');
+        return;
+      }
+
+      const loadedEvent = eventResponse.data;
+      const loadedMembers = membersResponse.success ? membersResponse.data || [] : [];
+      const date = checkInDate(loadedEvent, searchParams.get('occurrence'));
+      let session = loadCheckInSession(loadedEvent.id, date);
+
+      const recordId = loadedEvent.attendanceRecords?.[date];
+      if (recordId && session.checkIns.length === 0 && checkInCounts([], session.extraCounts).totalAttendance === 0) {
+        const recordResponse = await attendanceAPI.getAttendanceById(recordId);
+        if (recordResponse.success) {
+          session = sessionFromRecord(recordResponse.data, loadedMembers, date);
+        }
+      }
+
+      setEvent(loadedEvent);
+      setDateKey(date);
+      setCheckIns(session.checkIns);
+      setExtraCounts(session.extraCounts);
+      setRegistrations((registrationsResponse.data || []).filter(isExpected));
+      setMembers(loadedMembers);
+    } catch (error) {
+      console.error('Error fetching check-in data:', error);
+      toast.error('Failed to load check-in');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const checkedInKeys = useMemo(() => new Set(checkIns.map(checkIn => checkIn.key)), [checkIns]);
+  const counts = useMemo(() => checkInCounts(checkIns, extraCounts), [checkIns, extraCounts]);
+
+  const personFor = (registration) => ({
+    memberId: registration.memberId || null,
+    registrationId: registration.memberId ? null : registration.id,
+    name: registration.name
+  });
+
+  const isCheckedIn = (person) => checkedInKeys.has(checkInKey(person));
+
+  const expected = registrations.filter(registration => !isCheckedIn(personFor(registration)));
+
+  // Registrants first, then any other member as a walk-in
+  const matches = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (term.length < 2) return [];
+
+    const registeredIds = new Set(registrations.filter(r => r.memberId).map(r => String(r.memberId)));
+    return [
+      ...registrations
+        .filter(registration => registration.name?.toLowerCase().includes(term))
+        .map(registration => ({ person: personFor(registration), registration })),
+      ...members
+        .filter(member => !registeredIds.has(String(member.id)) && member.name?.toLowerCase().includes(term))
+        .map(member => ({ person: { memberId: member.id, registrationId: null, name: member.name }, registration: null }))
+    ].slice(0, 10);
+  }, [registrations, members, searchTerm]);
+
+  const handleCheckIn = (person) => {
+    if (isCheckedIn(person)) return;
+
+    const member = person.memberId && members.find(m => String(m.id) === String(person.memberId));
+    setCheckIns(prev => [
+      {
+        ...person,
+        key: checkInKey(person),
+        group: person.memberId ? ageGroup(member, dateKey) : 'visitors',
+        timeArrived: currentTimeArrived()
+      },
+      ...prev
+    ]);
+  };
+
+  const handleUndo = (checkIn) => {
+    setCheckIns(prev => prev.filter(other => other.key !== checkIn.key));
+  };
+
+  const handleScan = (text) => {
+    const memberId = parseMemberQr(text);
+    const member = memberId && members.find(m => String(m.id) === memberId);
+    if (!member) {
+      toast.error('Card not recognised. Search for the name instead.');
+      return;
+    }
+
+    const person = { memberId: member.id, registrationId: null, name: member.name };
+    if (isCheckedIn(person)) {
+      toast.info(`${member.name} is already checked in`);
+      return;
+    }
+    handleCheckIn(person);
+    toast.success(`${member.name} checked in`);
+  };
+
+  const handleAddGuest = (e) => {
+    e.preventDefault();
+    if (!guest.name.trim()) return;
+
+    setCheckIns(prev => [
+      {
+        key: checkInKey({ name: guest.name.trim() }),
+        memberId: null,
+        registrationId: null,
+        name: guest.name.trim(),
+        group: guest.group,
+        timeArrived: currentTimeArrived()
+      },
+      ...prev
+    ]);
+    setGuest(prev => ({ ...EMPTY_GUEST, group: prev.group }));
+  };
+
+  const changeExtraCount = (key, delta) => {
+    setExtraCounts(prev => ({ ...prev, [key]: Math.max(0, (parseInt(prev[key]) || 0) + delta) }));
+  };
+
+  // Record the attendance and link it to the event; closing again updates it
+  const handleClose = async () => {
+    if (counts.totalAttendance === 0) {
+      toast.error('Nobody has been checked in yet');
+      return;
+    }
+    if (!confirm(`Close check-in and record ${counts.totalAttendance} present as ${CHECK_IN_SERVICE_TYPE} attendance for ${formatDateKey(dateKey)}?`)) {
+      return;
+    }
+
+    try {
+      setClosing(true);
+      const record = buildAttendanceRecord(event, dateKey, checkIns, extraCounts);
+      const existingId = event.attendanceRecords?.[dateKey];
+      let response = existingId
+        ? await attendanceAPI.updateAttendance(existingId, record)
+        : await attendanceAPI.createAttendance(record);
+
+      if (!existingId && response.status === 409) {
+        // Another event that day already has the date's Special Program
+        // record; add this check-in to it
+        const found = await attendanceAPI.findAttendanceRecord(dateKey, CHECK_IN_SERVICE_TYPE);
+        if (found.success && found.data) {
+          response = await attendanceAPI.addToAttendance(found.data.id, {
+            members: record.members,
+            counts: Object.fromEntries(TALLY_CATEGORIES.map(({ key }) => [key, record[key]])),
+            notes: record.notes
+          });
+        }
+      }
+
+      if (!response.success) {
+        toast.error(response.message);
+        return;
+      }
+
+      const attendanceRecords = { ...event.attendanceRecords, [dateKey]: response.data?.id || existingId };
+      const linked = await eventsAPI.updateEvent(event.id, { attendanceRecords });
+      if (!linked.success) {
+        toast.warning(`Attendance recorded, but it couldn't be linked to the event: ${linked.message}`);
+      }
+
+      clearCheckInSession(event.id, dateKey);
+      toast.success(`Attendance of ${counts.totalAttendance} recorded`);
+      navigate('/attendance');
+    } catch (error) {
+      console.error('Error closing check-in:', error);
+      toast.error('Failed to record attendance');
+    } finally {
+      setClosing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading check-in...</span>
+      </div>
+    );
+  }
+
+  if (!event) return null;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Check-in</h1>
+          <p className="text-gray-600 mt-1">
+            {event.title} • {formatDateKey(dateKey)}{event.time && ` at ${event.time}`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={handleClose}
+            disabled={closing}
+            className="inline-flex items-center px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors"
+          >
+            <i className="ri-checkbox-circle-line mr-2"></i>
+            {closing ? 'Recording...' : 'Close Check-in'}
+          </button>
+          <button
+            onClick={() => navigate('/events')}
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-left-line mr-2"></i>
+            Back to Events
+          </button>
+        </div>
+      </div>
+
+      {event.attendanceRecords?.[dateKey] && (
+        <div className="p-3 bg-blue-50 rounded-lg">
+          <p className="text-sm text-blue-700">
+            <i className="ri-information-line mr-2"></i>
+            Attendance has already been recorded for this date and is shown below. Closing again will update that record.
+          </p>
+        </div>
+      )}
+
+      {/* Stats */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        <div className="bg-white p-4 rounded-lg shadow-sm border">
+          <p className="text-sm font-medium text-gray-600">Present</p>
+          <p className="text-2xl font-bold text-green-600">{counts.totalAttendance}</p>
+        </div>
+        {TALLY_CATEGORIES.map(({ key, label }) => (
+          <div key={key} className="bg-white p-4 rounded-lg shadow-sm border">
+            <p className="text-sm font-medium text-gray-600">{label}</p>
+            <p className="text-2xl font-bold text-gray-900">{counts[key]}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="space-y-6">
+          {/* Find */}
+          <div className="bg-white p-6 rounded-lg shadow-sm border">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Check Someone In</h2>
+              <div className="flex bg-gray-100 rounded-lg p-1">
+                <button
+                  type="button"
+                  onClick={() => setMode('search')}
+                  className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                    mode === 'search' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  <i className="ri-search-line mr-1"></i>
+                  Name
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setMode('scan')}
+                  className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                    mode === 'scan' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  <i className="ri-qr-scan-2-line mr-1"></i>
+                  QR Code
+                </button>
+              </div>
+            </div>
+
+            {mode === 'search' ? (
+              <>
+                <input
+                  type="text"
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  placeholder="Search registrants and members..."
+                  autoFocus
+                  autoComplete="off"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <ul className="mt-3 divide-y divide-gray-100">
+                  {searchTerm.trim().length >= 2 && matches.length === 0 && (
+                    <li className="py-4 text-center text-sm text-gray-500">No one found. Add them as a guest below.</li>
+                  )}
+                  {matches.map(({ person, registration }) => (
+                    <li key={checkInKey(person)} className="flex items-center justify-between py-2">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{person.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {registration
+                            ? isWaitlisted(registration) ? 'Waitlisted' : 'Registered'
+                            : 'Walk-in member'}
+                        </p>
+                      </div>
+                      {isCheckedIn(person) ? (
+                        <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                          Checked in
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => handleCheckIn(person)}
+                          className="px-3 py-1 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition-colors"
+                        >
+                          Check in
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            ) : (
+              <QrScanner onScan={handleScan} className="h-64" />
+            )}
+          </div>
+
+          {/* Guests */}
+          <div className="bg-white p-6 rounded-lg shadow-sm border">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Guest Walk-in</h2>
+            <form onSubmit={handleAddGuest} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={guest.name}
+                onChange={(e) => setGuest(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Guest name"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <select
+                value={guest.group}
+                onChange={(e) => setGuest(prev => ({ ...prev, group: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {TALLY_CATEGORIES.map(({ key, label }) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={!guest.name.trim()}
+                className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                Add
+              </button>
+            </form>
+          </div>
+
+          {/* Unnamed headcount */}
+          <div className="bg-white p-6 rounded-lg shadow-sm border">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Counted at the Door</h2>
+            <p className="text-sm text-gray-600 mb-4">People present who weren't checked in by name, such as children with their parents.</p>
+            <div className="grid grid-cols-2 gap-4">
+              {TALLY_CATEGORIES.map(({ key, label }) => (
+                <div key={key} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <span className="text-sm font-medium text-gray-700">{label}</span>
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={() => changeExtraCount(key, -1)}
+                      className="w-8 h-8 bg-white border border-gray-300 rounded-full hover:bg-gray-100"
+                    >
+                      <i className="ri-subtract-line"></i>
+                    </button>
+                    <span className="w-6 text-center font-semibold text-gray-900">{extraCounts[key] || 0}</span>
+                    <button
+                      onClick={() => changeExtraCount(key, 1)}
+                      className="w-8 h-8 bg-white border border-gray-300 rounded-full hover:bg-gray-100"
+                    >
+                      <i className="ri-add-line"></i>
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          {/* Checked in */}
+          <div className="bg-white p-6 rounded-lg shadow-sm border">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Checked In ({checkIns.length})</h2>
+            {checkIns.length === 0 ? (
+              <p className="text-sm text-gray-500">Nobody yet</p>
+            ) : (
+              <ul className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+                {checkIns.map(checkIn => (
+                  <li key={checkIn.key} className="flex items-center justify-between py-2">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{checkIn.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {checkIn.timeArrived} • {TALLY_CATEGORIES.find(c => c.key === checkIn.group)?.label}
+                        {!checkIn.memberId && ' • Guest'}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleUndo(checkIn)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Undo check-in"
+                    >
+                      <i className="ri-arrow-go-back-line"></i>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {/* Expected */}
+          {registrations.length > 0 && (
+            <div className="bg-white p-6 rounded-lg shadow-sm border">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Not Yet Arrived ({expected.length})</h2>
+              {expected.length === 0 ? (
+                <p className="text-sm text-gray-500">Every registrant is here</p>
+              ) : (
+                <ul className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+                  {expected.map(registration => (
+                    <li key={registration.id} className="flex items-center justify-between py-2">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{registration.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {isWaitlisted(registration) ? 'Waitlisted' : 'Registered'}
+                          {!registration.memberId && ' • Guest'}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => handleCheckIn(personFor(registration))}
+                        className="px-3 py-1 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 transition-colors"
+                      >
+                        Check in
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EventCheckIn;
@@ -0,0 +1,518 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { eventsAPI } from '@/Services/eventsAPI';
+import { registrationsAPI } from '@/Services/registrationsAPI';
+import { paymentsAPI, PAYMENT_METHODS } from '@/Services/paymentsAPI';
+import { useAuth } from '@/contexts/AuthContext';
+import {
+  formatNaira,
+  ledgerSummary,
+  registrantBalances,
+  signedAmount,
+  totalsByMethod
+} from '@/lib/payments';
+import { downloadCSV } from '@/lib/csv';
+import { eventDateKey, formatDateKey, toDateKey } from '@/lib/recurrence';
+import { toast } from 'react-toastify';
+
+const STATUS_STYLES = {
+  paid: 'bg-green-100 text-green-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  unpaid: 'bg-red-100 text-red-800',
+  overpaid: 'bg-purple-100 text-purple-800'
+};
+
+const EventPayments = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { admin } = useAuth();
+
+  const [event, setEvent] = useState(null);
+  const [registrations, setRegistrations] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [entryForm, setEntryForm] = useState(null);
+
+  useEffect(() => {
+    fetchData();
+  }, [id]);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [eventResponse, registrationsResponse, paymentsResponse] = await Promise.all([
+        eventsAPI.getEventById(id),
+        registrationsAPI.getRegistrations(id),
+        paymentsAPI.getPayments(id)
+      ]);
+
+      if (!eventResponse.success) {
+        toast.error(eventResponse.message || 'Event not found');
+        navigate('/events');
+        return;
+      }
+      if (!registrationsResponse.success) toast.error(registrationsResponse.message);
+      if (!paymentsResponse.success) toast.error(paymentsResponse.message);
+
+      setEvent(eventResponse.data);
+      setRegistrations(registrationsResponse.data || []);
+      setPayments(paymentsResponse.data || []);
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+      toast.error('Failed to load payments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const rows = useMemo(
+    () => (event ? registrantBalances(event, registrations, payments) : []),
+    [event, registrations, payments]
+  );
+  const summary = useMemo(
+    () => (event ? ledgerSummary(event, registrations, payments) : null),
+    [event, registrations, payments]
+  );
+  const methodTotals = useMemo(() => totalsByMethod(payments), [payments]);
+
+  const filteredRows = rows
+    .filter(row => statusFilter === 'all' || row.status === statusFilter)
+    .sort((a, b) => a.registration.name.localeCompare(b.registration.name));
+
+  const ledger = [...payments].sort(
+    (a, b) =>
+      String(b.paidOn).localeCompare(String(a.paidOn)) ||
+      String(b.createdAt).localeCompare(String(a.createdAt))
+  );
+
+  const openEntryForm = (row, type) => {
+    // Refunds default to any overpayment, or everything paid once cancelled
+    const refundable = row.net > row.due ? row.net - row.due : row.net;
+    setEntryForm({
+      row,
+      type,
+      amount: type === 'refund' ? refundable : row.outstanding || '',
+      method: type === 'refund' ? 'Transfer' : 'Cash',
+      reference: '',
+      paidOn: toDateKey(new Date()),
+      notes: ''
+    });
+  };
+
+  const handleEntryChange = (e) => {
+    const { name, value } = e.target;
+    setEntryForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaveEntry = async (e) => {
+    e.preventDefault();
+    const { row, type } = entryForm;
+    const amount = parseFloat(entryForm.amount);
+
+    if (type === 'refund' && amount > row.net) {
+      toast.error(`You can refund at most ${formatNaira(row.net)}`);
+      return;
+    }
+    if (type === 'payment' && row.due > 0 && amount > row.outstanding) {
+      if (!confirm(`This is more than the ${formatNaira(row.outstanding)} outstanding. Record it anyway?`)) return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await paymentsAPI.recordPayment(id, {
+        registrationId: row.registration.id,
+        registrantName: row.registration.name,
+        type,
+        amount,
+        method: entryForm.method,
+        reference: entryForm.reference.trim(),
+        paidOn: entryForm.paidOn,
+        notes: entryForm.notes.trim(),
+        recordedBy: admin?.name || '',
+        recordedById: admin?.id || null
+      });
+
+      if (response.success) {
+        toast.success(response.message);
+        setPayments(prev => [...prev, response.data]);
+        setEntryForm(null);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      toast.error('Failed to record payment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Ledger entries grouped by method, then the net per method, so the
+  // treasurer can tick them off against the cash count and bank statement
+  const handleExport = () => {
+    if (payments.length === 0) {
+      toast.info('There are no payments to export');
+      return;
+    }
+
+    const entries = [...payments].sort(
+      (a, b) =>
+        String(a.method).localeCompare(String(b.method)) ||
+        String(a.paidOn).localeCompare(String(b.paidOn))
+    );
+    const methodRows = Object.entries(methodTotals).map(([method, total]) => ({
+      registrantName: `Net ${method}`,
+      signed: total
+    }));
+
+    const slug = event.title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    downloadCSV(
+      [
+        ...entries.map(entry => ({ ...entry, signed: signedAmount(entry) })),
+        {},
+        ...methodRows,
+        { registrantName: 'Net collected', signed: summary.net },
+        { registrantName: 'Expected', signed: summary.expected },
+        { registrantName: 'Outstanding', signed: summary.outstanding }
+      ],
+      [
+        { key: 'paidOn', label: 'Date' },
+        { key: 'registrantName', label: 'Registrant' },
+        { key: 'type', label: 'Type' },
+        { key: 'method', label: 'Method' },
+        { key: 'reference', label: 'Reference' },
+        { key: 'signed', label: 'Amount' },
+        { key: 'recordedBy', label: 'Recorded By' },
+        { key: 'notes', label: 'Notes' }
+      ],
+      `${slug}_payments_${toDateKey(new Date())}.csv`
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!event) return null;
+
+  const collectedPercent = summary.expected > 0 ? Math.min(100, (summary.net / summary.expected) * 100) : 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Payments</h1>
+          <p className="text-gray-600 mt-1">
+            {event.title} • {formatDateKey(eventDateKey(event))} • Fee {formatNaira(event.eventFee)}
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={handleExport}
+            className="inline-flex items-center px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors"
+          >
+            <i className="ri-download-line mr-2"></i>
+            Reconciliation CSV
+          </button>
+          <button
+            onClick={() => navigate('/events')}
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-left-line mr-2"></i>
+            Back to Events
+          </button>
+        </div>
+      </div>
+
+      {!(event.eventFee > 0) && (
+        <div className="p-3 bg-blue-50 rounded-lg">
+          <p className="text-sm text-blue-700">
+            <i className="ri-information-line mr-2"></i>
+            This event has no fee set. Payments can still be recorded, but nothing is counted as outstanding.
+          </p>
+        </div>
+      )}
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <p className="text-sm font-medium text-gray-600">Expected</p>
+          <p className="text-2xl font-bold text-gray-900">{formatNaira(summary.expected)}</p>
+          <p className="text-xs text-gray-500">
+            {formatNaira(event.eventFee)} × {rows.filter(row => row.due > 0).length} registrants
+          </p>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <p className="text-sm font-medium text-gray-600">Collected</p>
+          <p className="text-2xl font-bold text-green-600">{formatNaira(summary.net)}</p>
+          <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+            <div className="bg-green-600 h-2 rounded-full" style={{ width: `${collectedPercent}%` }}></div>
+          </div>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <p className="text-sm font-medium text-gray-600">Outstanding</p>
+          <p className="text-2xl font-bold text-red-600">{formatNaira(summary.outstanding)}</p>
+          <p className="text-xs text-gray-500">
+            {summary.unpaidCount} unpaid • {summary.partialCount} part paid
+          </p>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <p className="text-sm font-medium text-gray-600">Refunded</p>
+          <p className="text-2xl font-bold text-purple-600">{formatNaira(summary.refunded)}</p>
+          <p className="text-xs text-gray-500">
+            {Object.entries(methodTotals).map(([method, total]) => `${method} ${formatNaira(total)}`).join(' • ') || 'No payments yet'}
+          </p>
+        </div>
+      </div>
+
+      {/* Registrants */}
+      <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Registrants ({filteredRows.length})</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All</option>
+            <option value="unpaid">Unpaid</option>
+            <option value="partial">Part paid</option>
+            <option value="paid">Paid</option>
+            <option value="overpaid">Overpaid</option>
+          </select>
+        </div>
+
+        {filteredRows.length === 0 ? (
+          <div className="p-12 text-center">
+            <i className="ri-wallet-3-line text-4xl text-gray-400"></i>
+            <p className="mt-2 text-sm text-gray-600">
+              No registrants found.{' '}
+              <Link to={`/events/${id}/registrations`} className="text-blue-600 hover:text-blue-900">
+                Manage registrations
+              </Link>
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Registrant</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Due</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Paid</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Refunded</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Outstanding</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filteredRows.map(row => (
+                  <tr key={row.registration.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">{row.registration.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {row.registration.phone}
+                        {row.registration.status !== 'registered' && ` • ${row.registration.status}`}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{formatNaira(row.due)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{formatNaira(row.paid)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">
+                      {row.refunded > 0 ? formatNaira(row.refunded) : '—'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium text-gray-900">
+                      {formatNaira(row.outstanding)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[row.status]}`}>
+                        {row.status === 'partial' ? 'Part paid' : row.status === 'overpaid' && row.due === 0 ? 'Refund due' : row.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <div className="flex items-center justify-end space-x-2">
+                        {row.registration.status === 'registered' && (
+                          <button
+                            onClick={() => openEntryForm(row, 'payment')}
+                            className="text-green-600 hover:text-green-900"
+                            title="Record Payment"
+                          >
+                            <i className="ri-add-circle-line text-lg"></i>
+                          </button>
+                        )}
+                        {row.net > 0 && (
+                          <button
+                            onClick={() => openEntryForm(row, 'refund')}
+                            className="text-purple-600 hover:text-purple-900"
+                            title="Record Refund"
+                          >
+                            <i className="ri-refund-2-line text-lg"></i>
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Ledger */}
+      <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Ledger ({ledger.length})</h2>
+        </div>
+        {ledger.length === 0 ? (
+          <div className="p-8 text-center text-sm text-gray-600">No payments recorded yet</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Registrant</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recorded By</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {ledger.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{formatDateKey(entry.paidOn)}</td>
+                    <td className="px-6 py-3 text-sm text-gray-900">
+                      {entry.registrantName}
+                      {entry.notes && <div className="text-xs text-gray-500">{entry.notes}</div>}
+                    </td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{entry.method}</td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{entry.reference || '—'}</td>
+                    <td className={`px-6 py-3 whitespace-nowrap text-right text-sm font-medium ${entry.type === 'refund' ? 'text-purple-600' : 'text-green-600'}`}>
+                      {entry.type === 'refund' ? '−' : ''}{formatNaira(entry.amount)}
+                    </td>
+                    <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-500">{entry.recordedBy}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Payment / refund form */}
+      {entryForm && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-md shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">
+                {entryForm.type === 'refund' ? 'Record Refund' : 'Record Payment'}
+              </h3>
+              <button onClick={() => setEntryForm(null)} className="text-gray-400 hover:text-gray-600">
+                <i className="ri-close-line text-xl"></i>
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              {entryForm.row.registration.name} • Paid {formatNaira(entryForm.row.net)}
+              {entryForm.row.outstanding > 0 && ` • ${formatNaira(entryForm.row.outstanding)} outstanding`}
+            </p>
+
+            <form onSubmit={handleSaveEntry} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Amount *</label>
+                  <div className="relative">
+                    <span className="absolute left-3 top-2 text-gray-500">₦</span>
+                    <input
+                      type="number"
+                      name="amount"
+                      min="0"
+                      step="0.01"
+                      value={entryForm.amount}
+                      onChange={handleEntryChange}
+                      className="w-full pl-8 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Date *</label>
+                  <input
+                    type="date"
+                    name="paidOn"
+                    value={entryForm.paidOn}
+                    onChange={handleEntryChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Method *</label>
+                  <select
+                    name="method"
+                    value={entryForm.method}
+                    onChange={handleEntryChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {PAYMENT_METHODS.map(method => (
+                      <option key={method} value={method}>{method}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Reference {entryForm.method !== 'Cash' && '*'}
+                  </label>
+                  <input
+                    type="text"
+                    name="reference"
+                    value={entryForm.reference}
+                    onChange={handleEntryChange}
+                    placeholder={entryForm.method === 'Cash' ? 'Receipt number' : 'Transaction ID'}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+                <input
+                  type="text"
+                  name="notes"
+                  value={entryForm.notes}
+                  onChange={handleEntryChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div className="flex justify-end space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setEntryForm(null)}
+                  className="bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventPayments;
@@ -0,0 +1,687 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { eventsAPI } from '@/Services/eventsAPI';
+import { registrationsAPI } from '@/Services/registrationsAPI';
+import { membersAPI } from '@/Services/membersAPI';
+import { useAuth } from '@/contexts/AuthContext';
+import { useWebSocket } from '@/contexts/WebSocketContext';
+import {
+  countRegistered,
+  countWaitlisted,
+  findDuplicateRegistration,
+  getWaitlist,
+  promotionsDue,
+  registrationBlocker,
+  registrationDeadline,
+  spotsLeft
+} from '@/lib/registrations';
+import { downloadCSV } from '@/lib/csv';
+import { eventDateKey, formatDateKey, toDateKey } from '@/lib/recurrence';
+import { toast } from 'react-toastify';
+
+const EMPTY_GUEST = { name: '', phone: '', email: '' };
+
+const STATUS_STYLES = {
+  registered: 'bg-green-100 text-green-800',
+  waitlisted: 'bg-yellow-100 text-yellow-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const EventRegistrations = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { admin } = useAuth();
+  const { addNotification, emitEvent } = useWebSocket();
+
+  const [event, setEvent] = useState(null);
+  const [registrations, setRegistrations] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const [registrantType, setRegistrantType] = useState('member');
+  const [memberSearchTerm, setMemberSearchTerm] = useState('');
+  const [selectedMember, setSelectedMember] = useState(null);
+  const [guest, setGuest] = useState(EMPTY_GUEST);
+  const [notes, setNotes] = useState('');
+
+  const [statusFilter, setStatusFilter] = useState('registered');
+  const [searchTerm, setSearchTerm] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, [id]);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [eventResponse, registrationsResponse, membersResponse] = await Promise.all([
+        eventsAPI.getEventById(id),
+        registrationsAPI.getRegistrations(id),
+        membersAPI.getMembers()
+      ]);
+
+      if (!eventResponse.success) {
+        toast.error(eventResponse.message || 'Event not found');
+        navigate('/events');
+        return;
+      }
+      if (!registrationsResponse.success) {
+        toast.error(registrationsResponse.message);
+      }
+
+      let loadedEvent = eventResponse.data;
+      let loaded = registrationsResponse.data || [];
+
+      if (registrationsResponse.success && promotionsDue(loadedEvent, loaded).length > 0) {
+        // Places opened up since the last visit, e.g. maxAttendees was raised
+        const promotion = await registrationsAPI.promoteFromWaitlist(loadedEvent);
+        if (promotion.success) {
+          notifyPromotions(loadedEvent, promotion.data);
+          const reloaded = await registrationsAPI.getRegistrations(id);
+          if (reloaded.success) loaded = reloaded.data;
+          loadedEvent = {
+            ...loadedEvent,
+            currentAttendees: countRegistered(loaded),
+            waitlistCount: countWaitlisted(loaded)
+          };
+        } else {
+          toast.error(promotion.message);
+        }
+      } else if (
+        registrationsResponse.success &&
+        ((loadedEvent.currentAttendees || 0) !== countRegistered(loaded) ||
+          (loadedEvent.waitlistCount || 0) !== countWaitlisted(loaded))
+      ) {
+        // Keep the stored counts in line with the registrations
+        const syncResponse = await registrationsAPI.syncAttendeeCount(id, loaded);
+        if (syncResponse.success) {
+          loadedEvent = {
+            ...loadedEvent,
+            currentAttendees: countRegistered(loaded),
+            waitlistCount: countWaitlisted(loaded)
+          };
+        }
+      }
+
+      setEvent(loadedEvent);
+      setRegistrations(loaded);
+      setMembers(membersResponse.success ? membersResponse.data || [] : []);
+    } catch (error) {
+      console.error('Error fetching registrations:', error);
+      toast.error('Failed to load registrations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const refreshRegistrations = async () => {
+    const response = await registrationsAPI.getRegistrations(id);
+    if (response.success) {
+      setRegistrations(response.data);
+      setEvent(prev => ({
+        ...prev,
+        currentAttendees: countRegistered(response.data),
+        waitlistCount: countWaitlisted(response.data)
+      }));
+    }
+  };
+
+  // Tell this admin, and through the socket the others, who got a place
+  const notifyPromotions = (promotedEvent, promoted) => {
+    promoted.forEach(registration => {
+      const data = {
+        eventId: promotedEvent.id,
+        eventTitle: promotedEvent.title,
+        registrantName: registration.name,
+        promotedBy: admin?.name,
+        timestamp: new Date().toISOString()
+      };
+      addNotification({
+        id: `${Date.now()}-${registration.id}`,
+        type: 'waitlist-promoted',
+        title: 'Waitlist Promotion',
+        message: `${registration.name} moved off the waitlist for ${promotedEvent.title}`,
+        timestamp: data.timestamp,
+        icon: 'ri-user-star-line',
+        color: 'green'
+      });
+      emitEvent('waitlist-promoted', data);
+      toast.info(`${registration.name} has been promoted from the waitlist`);
+    });
+  };
+
+  const blocker = event ? registrationBlocker(event, registrations) : null;
+  const registeredCount = countRegistered(registrations);
+  const waitlist = getWaitlist(registrations);
+  const remaining = event ? spotsLeft(event, registrations) : Infinity;
+  const isFull = remaining === 0;
+
+  const memberResults = useMemo(() => {
+    const term = memberSearchTerm.trim().toLowerCase();
+    if (term.length < 2) return [];
+    return members
+      .filter(member =>
+        member.name?.toLowerCase().includes(term) ||
+        String(member.phone || '').includes(term)
+      )
+      .slice(0, 8);
+  }, [members, memberSearchTerm]);
+
+  const filteredRegistrations = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    return registrations
+      .filter(registration => statusFilter === 'all' || registration.status === statusFilter)
+      .filter(registration =>
+        !term ||
+        registration.name?.toLowerCase().includes(term) ||
+        String(registration.phone || '').includes(term) ||
+        registration.email?.toLowerCase().includes(term)
+      )
+      .sort((a, b) => String(a.registeredAt).localeCompare(String(b.registeredAt)));
+  }, [registrations, statusFilter, searchTerm]);
+
+  const handleSelectMember = (member) => {
+    const duplicate = findDuplicateRegistration(registrations, { memberId: member.id });
+    if (duplicate) {
+      toast.info(`${member.name} is already registered`);
+      return;
+    }
+    setSelectedMember(member);
+    setMemberSearchTerm('');
+  };
+
+  const handleGuestChange = (e) => {
+    const { name, value } = e.target;
+    setGuest(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddRegistration = async (e) => {
+    e.preventDefault();
+
+    let registrant;
+    if (registrantType === 'member') {
+      if (!selectedMember) {
+        toast.error('Please choose a member');
+        return;
+      }
+      registrant = {
+        type: 'member',
+        memberId: selectedMember.id,
+        name: selectedMember.name,
+        phone: selectedMember.phone || '',
+        email: selectedMember.email || ''
+      };
+    } else {
+      if (!guest.name.trim()) {
+        toast.error('Guest name is required');
+        return;
+      }
+      if (!guest.phone.trim() && !guest.email.trim()) {
+        toast.error('Please enter a phone number or email for the guest');
+        return;
+      }
+      registrant = { type: 'guest', memberId: null, ...guest };
+    }
+
+    try {
+      setSaving(true);
+      const response = await registrationsAPI.addRegistration(event, { ...registrant, notes: notes.trim() });
+      if (response.success) {
+        if (response.data?.status === 'waitlisted') {
+          toast.info(`Event is full, ${registrant.name} added to the waitlist`);
+        } else {
+          toast.success(`${registrant.name} registered`);
+        }
+        setSelectedMember(null);
+        setGuest(EMPTY_GUEST);
+        setNotes('');
+        await refreshRegistrations();
+        window.dispatchEvent(new CustomEvent('refresh-events'));
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error adding registration:', error);
+      toast.error('Failed to add registration');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (registration) => {
+    const reason = prompt(`Cancel the registration for ${registration.name}? Enter a reason (optional):`);
+    if (reason === null) return;
+
+    try {
+      const response = await registrationsAPI.cancelRegistration(event, registration.id, reason.trim());
+      if (response.success) {
+        toast.success('Registration cancelled');
+        notifyPromotions(event, response.data.promoted);
+        await refreshRegistrations();
+        window.dispatchEvent(new CustomEvent('refresh-events'));
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error cancelling registration:', error);
+      toast.error('Failed to cancel registration');
+    }
+  };
+
+  const handleExport = () => {
+    if (filteredRegistrations.length === 0) {
+      toast.info('There are no registrations to export');
+      return;
+    }
+
+    const slug = event.title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    downloadCSV(
+      filteredRegistrations,
+      [
+        { key: 'name', label: 'Name' },
+        { key: 'type', label: 'Type' },
+        { key: 'phone', label: 'Phone' },
+        { key: 'email', label: 'Email' },
+        { key: 'status', label: 'Status' },
+        { label: 'Waitlist Position', value: row => waitlistPosition(row) || '' },
+        { label: 'Registered', value: row => formatDate(row.registeredAt) },
+        { label: 'Cancelled', value: row => formatDate(row.cancelledAt) },
+        { key: 'cancelReason', label: 'Cancel Reason' },
+        { key: 'notes', label: 'Notes' }
+      ],
+      `${slug}_registrations_${toDateKey(new Date())}.csv`
+    );
+  };
+
+  const waitlistPosition = (registration) =>
+    waitlist.findIndex(entry => entry.id === registration.id) + 1;
+
+  const formatDate = (value) => {
+    if (!value) return '';
+    return new Date(value).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!event) return null;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Registrations</h1>
+          <p className="text-gray-600 mt-1">
+            {event.title} • {formatDateKey(eventDateKey(event))}{event.time && ` at ${event.time}`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <Link
+            to={`/events/${id}/check-in`}
+            className="inline-flex items-center px-4 py-2 bg-purple-600 text-white text-sm font-medium rounded-lg hover:bg-purple-700 transition-colors"
+          >
+            <i className="ri-qr-scan-2-line mr-2"></i>
+            Check-in
+          </Link>
+          {event.eventFee > 0 && (
+            <Link
+              to={`/events/${id}/payments`}
+              className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              <i className="ri-wallet-3-line mr-2"></i>
+              Payments
+            </Link>
+          )}
+          <button
+            onClick={handleExport}
+            className="inline-flex items-center px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors"
+          >
+            <i className="ri-download-line mr-2"></i>
+            Export CSV
+          </button>
+          <button
+            onClick={() => navigate('/events')}
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-left-line mr-2"></i>
+            Back to Events
+          </button>
+        </div>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-6">
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <p className="text-sm font-medium text-gray-600">Registered</p>
+          <p className="text-2xl font-bold text-blue-600">{registeredCount}</p>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <p className="text-sm font-medium text-gray-600">Capacity</p>
+          <p className="text-2xl font-bold text-gray-900">{event.maxAttendees || '∞'}</p>
+          {event.maxAttendees && (
+            <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+              <div
+                className="bg-blue-600 h-2 rounded-full"
+                style={{ width: `${Math.min(100, (registeredCount / event.maxAttendees) * 100)}%` }}
+              ></div>
+            </div>
+          )}
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <p className="text-sm font-medium text-gray-600">Spots Left</p>
+          <p className={`text-2xl font-bold ${remaining === 0 ? 'text-red-600' : 'text-green-600'}`}>
+            {remaining === Infinity ? '∞' : remaining}
+          </p>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <p className="text-sm font-medium text-gray-600">Waitlisted</p>
+          <p className="text-2xl font-bold text-yellow-600">{waitlist.length}</p>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <p className="text-sm font-medium text-gray-600">Registration Closes</p>
+          <p className="text-lg font-bold text-gray-900">{formatDateKey(registrationDeadline(event))}</p>
+          {!event.registrationDeadline && <p className="text-xs text-gray-500">Event day (no deadline set)</p>}
+        </div>
+      </div>
+
+      {!event.registrationRequired && (
+        <div className="p-3 bg-blue-50 rounded-lg">
+          <p className="text-sm text-blue-700">
+            <i className="ri-information-line mr-2"></i>
+            Registration isn't required for this event, but you can still record who is coming.
+          </p>
+        </div>
+      )}
+
+      {/* Add registration */}
+      <div className="bg-white p-6 rounded-lg shadow-sm border">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">Add Registration</h2>
+          <div className="flex bg-gray-100 rounded-lg p-1">
+            <button
+              type="button"
+              onClick={() => setRegistrantType('member')}
+              className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                registrantType === 'member' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              Member
+            </button>
+            <button
+              type="button"
+              onClick={() => setRegistrantType('guest')}
+              className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                registrantType === 'guest' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              Guest
+            </button>
+          </div>
+        </div>
+
+        {blocker ? (
+          <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-700">
+              <i className="ri-error-warning-line mr-2"></i>
+              {blocker}
+            </p>
+          </div>
+        ) : (
+          <form onSubmit={handleAddRegistration} className="space-y-4">
+            {isFull && (
+              <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <p className="text-sm text-yellow-800">
+                  <i className="ri-time-line mr-2"></i>
+                  This event is full. New registrants join the waitlist and get a place, in order, when someone cancels.
+                </p>
+              </div>
+            )}
+            {registrantType === 'member' ? (
+              selectedMember ? (
+                <div className="flex items-center justify-between p-3 bg-blue-50 rounded-lg">
+                  <div>
+                    <p className="text-sm font-medium text-blue-900">{selectedMember.name}</p>
+                    <p className="text-xs text-blue-700">
+                      {[selectedMember.phone, selectedMember.department].filter(Boolean).join(' • ')}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setSelectedMember(null)}
+                    className="text-blue-600 hover:text-blue-900 text-sm"
+                  >
+                    Change
+                  </button>
+                </div>
+              ) : (
+                <div className="relative">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Find Member</label>
+                  <input
+                    type="text"
+                    value={memberSearchTerm}
+                    onChange={(e) => setMemberSearchTerm(e.target.value)}
+                    placeholder="Search by name or phone..."
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  {memberSearchTerm.trim().length >= 2 && (
+                    <ul className="absolute z-10 mt-1 w-full bg-white border rounded-lg shadow-lg max-h-64 overflow-y-auto">
+                      {memberResults.length === 0 ? (
+                        <li className="px-3 py-2 text-sm text-gray-500">
+                          No members found.{' '}
+                          <button
+                            type="button"
+                            onClick={() => {
+                              setRegistrantType('guest');
+                              setGuest(prev => ({ ...prev, name: memberSearchTerm.trim() }));
+                              setMemberSearchTerm('');
+                            }}
+                            className="text-blue-600 hover:text-blue-900"
+                          >
+                            Register as a guest
+                          </button>
+                        </li>
+                      ) : (
+                        memberResults.map(member => (
+                          <li key={member.id}>
+                            <button
+                              type="button"
+                              onClick={() => handleSelectMember(member)}
+                              className="w-full text-left px-3 py-2 hover:bg-gray-50"
+                            >
+                              <span className="text-sm font-medium text-gray-900">{member.name}</span>
+                              <span className="text-xs text-gray-500 ml-2">{member.phone}</span>
+                            </button>
+                          </li>
+                        ))
+                      )}
+                    </ul>
+                  )}
+                </div>
+              )
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={guest.name}
+                    onChange={handleGuestChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Phone</label>
+                  <input
+                    type="tel"
+                    name="phone"
+                    value={guest.phone}
+                    onChange={handleGuestChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+                  <input
+                    type="email"
+                    name="email"
+                    value={guest.email}
+                    onChange={handleGuestChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+              <input
+                type="text"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="e.g., Dietary needs, bringing a child"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={saving}
+                className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                {saving ? (
+                  <>
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                    Registering...
+                  </>
+                ) : (
+                  <>
+                    <i className={`${isFull ? 'ri-time-line' : 'ri-user-add-line'} mr-2`}></i>
+                    {isFull ? 'Add to Waitlist' : 'Register'}
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      {/* Registrations */}
+      <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+          <h2 className="text-lg font-semibold text-gray-900">
+            Registrants ({filteredRegistrations.length})
+          </h2>
+          <div className="flex items-center gap-3">
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search registrants..."
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="registered">Registered</option>
+              <option value="waitlisted">Waitlisted</option>
+              <option value="cancelled">Cancelled</option>
+              <option value="all">All</option>
+            </select>
+          </div>
+        </div>
+
+        {filteredRegistrations.length === 0 ? (
+          <div className="p-12 text-center">
+            <i className="ri-user-search-line text-4xl text-gray-400"></i>
+            <p className="mt-2 text-sm text-gray-600">No registrations found</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contact</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Registered</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filteredRegistrations.map(registration => (
+                  <tr key={registration.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="flex items-center">
+                        <span className="text-sm font-medium text-gray-900">{registration.name}</span>
+                        <span className={`ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${
+                          registration.type === 'member' ? 'bg-blue-100 text-blue-800' : 'bg-purple-100 text-purple-800'
+                        }`}>
+                          {registration.type === 'member' ? 'Member' : 'Guest'}
+                        </span>
+                      </div>
+                      {registration.notes && <div className="text-xs text-gray-500">{registration.notes}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      <div>{registration.phone}</div>
+                      <div className="text-xs text-gray-500">{registration.email}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {formatDate(registration.registeredAt)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[registration.status] || STATUS_STYLES.cancelled}`}>
+                        {registration.status}
+                      </span>
+                      {registration.status === 'waitlisted' && (
+                        <div className="text-xs text-yellow-700 mt-1">#{waitlistPosition(registration)} in line</div>
+                      )}
+                      {registration.promotedAt && registration.status === 'registered' && (
+                        <div className="text-xs text-green-700 mt-1">From waitlist</div>
+                      )}
+                      {registration.status === 'cancelled' && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          {formatDate(registration.cancelledAt)}
+                          {registration.cancelReason && ` • ${registration.cancelReason}`}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {registration.status !== 'cancelled' && (
+                        <button
+                          onClick={() => handleCancel(registration)}
+                          className="text-red-600 hover:text-red-900"
+                          title="Cancel Registration"
+                        >
+                          <i className="ri-close-circle-line text-lg"></i>
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EventRegistrations;
@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { eventTemplatesAPI } from '@/Services/eventTemplatesAPI';
+import { rotaAPI } from '@/Services/rotaAPI';
+import { checklistFromTexts } from '@/lib/eventTemplates';
+import { formatNaira } from '@/lib/payments';
+import EventChecklistFields from '@/components/events/EventChecklistFields';
+import EventRolesFields from '@/components/events/EventRolesFields';
+import { toast } from 'react-toastify';
+
+const EventTemplates = () => {
+  const navigate = useNavigate();
+  const [templates, setTemplates] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [templatesResponse, rolesResponse] = await Promise.all([
+        eventTemplatesAPI.getTemplates(),
+        rotaAPI.getRoles()
+      ]);
+
+      if (templatesResponse.success) {
+        setTemplates(templatesResponse.data);
+      } else {
+        toast.error(templatesResponse.message);
+      }
+      if (rolesResponse.success) {
+        setDepartments([...new Set(rolesResponse.data.map(role => role.department))].filter(Boolean).sort());
+      }
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+      toast.error('Failed to load templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openEditor = (template) => {
+    setEditing({
+      id: template.id,
+      name: template.name,
+      roles: template.roles || [],
+      checklist: checklistFromTexts(template.checklist)
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await eventTemplatesAPI.updateTemplate(editing.id, {
+        name: editing.name.trim(),
+        roles: editing.roles,
+        checklist: editing.checklist.map(item => item.text)
+      });
+
+      if (response.success) {
+        toast.success('Template updated');
+        setTemplates(prev => prev.map(t => (t.id === editing.id ? { ...t, ...response.data } : t)));
+        setEditing(null);
+      } else {
+        toast.error(response.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete the "${template.name}" template? Events created from it are not affected.`)) return;
+
+    const response = await eventTemplatesAPI.deleteTemplate(template.id);
+    if (response.success) {
+      toast.success('Template deleted');
+      setTemplates(prev => prev.filter(t => t.id !== template.id));
+    } else {
+      toast.error(response.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading templates...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Event Templates</h1>
+          <p className="text-gray-600 mt-1">Events we hold again and again, ready to prefill a new one</p>
+        </div>
+        <button
+          onClick={() => navigate('/events')}
+          className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          <i className="ri-arrow-left-line mr-2"></i>
+          Back to Events
+        </button>
+      </div>
+
+      {templates.length === 0 ? (
+        <div className="bg-white p-12 rounded-lg shadow-sm border text-center">
+          <i className="ri-file-list-3-line text-4xl text-gray-400"></i>
+          <p className="text-gray-900 font-medium mt-2">No templates yet</p>
+          <p className="text-sm text-gray-600 mt-1">
+            Open an event in the events list and choose "Save as Template".
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {[...templates]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(template => (
+              <div key={template.id} className="bg-white p-6 rounded-lg shadow-sm border flex flex-col">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900">{template.name}</h3>
+                    <p className="text-sm text-gray-600">{template.category || 'No category'}</p>
+                  </div>
+                  {template.isRecurring && (
+                    <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-purple-100 text-purple-800">
+                      Recurring
+                    </span>
+                  )}
+                </div>
+
+                <div className="mt-4 space-y-1 text-sm text-gray-700 flex-1">
+                  {template.time && (
+                    <p>
+                      <i className="ri-time-line mr-2 text-gray-400"></i>
+                      {template.time}{template.endTime && ` - ${template.endTime}`}
+                    </p>
+                  )}
+                  {template.location && (
+                    <p>
+                      <i className="ri-map-pin-line mr-2 text-gray-400"></i>
+                      {template.location}
+                    </p>
+                  )}
+                  <p>
+                    <i className="ri-money-dollar-circle-line mr-2 text-gray-400"></i>
+                    {template.eventFee > 0 ? formatNaira(template.eventFee) : 'Free'}
+                  </p>
+                  <p>
+                    <i className="ri-team-line mr-2 text-gray-400"></i>
+                    {template.roles?.length || 0} volunteer role{template.roles?.length === 1 ? '' : 's'}
+                    {' • '}
+                    {template.checklist?.length || 0} checklist item{template.checklist?.length === 1 ? '' : 's'}
+                  </p>
+                </div>
+
+                <div className="flex items-center justify-between mt-4 pt-4 border-t">
+                  <Link
+                    to={`/events/new?template=${template.id}`}
+                    className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+                  >
+                    <i className="ri-add-line mr-2"></i>
+                    Create Event
+                  </Link>
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={() => openEditor(template)}
+                      className="text-blue-600 hover:text-blue-900"
+                      title="Edit Template"
+                    >
+                      <i className="ri-edit-line text-lg"></i>
+                    </button>
+                    <button
+                      onClick={() => handleDelete(template)}
+                      className="text-red-600 hover:text-red-900"
+                      title="Delete Template"
+                    >
+                      <i className="ri-delete-bin-line text-lg"></i>
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+        </div>
+      )}
+
+      {/* Edit Modal */}
+      {editing && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-2xl shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Edit Template</h3>
+              <button onClick={() => setEditing(null)} className="text-gray-400 hover:text-gray-600">
+                <i className="ri-close-line text-xl"></i>
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              The event details come from the event the template was saved from. To change them, save an updated event as a new template.
+            </p>
+
+            <form onSubmit={handleSave} className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Template Name *</label>
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Volunteer Roles</p>
+                <EventRolesFields
+                  roles={editing.roles}
+                  departments={departments}
+                  onChange={(roles) => setEditing(prev => ({ ...prev, roles }))}
+                />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Checklist</p>
+                <EventChecklistFields
+                  items={editing.checklist}
+                  onChange={(checklist) => setEditing(prev => ({ ...prev, checklist }))}
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4 border-t">
+                <button
+                  type="button"
+                  onClick={() => setEditing(null)}
+                  className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving || !editing.name.trim()}
+                  className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {saving ? 'Saving...' : 'Save Template'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventTemplates;
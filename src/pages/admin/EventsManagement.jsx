@@ -1,6 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { eventsAPI } from '@/Services/eventsAPI';
+import { registrationsAPI } from '@/Services/registrationsAPI';
+import { paymentsAPI } from '@/Services/paymentsAPI';
+import { eventTemplatesAPI } from '@/Services/eventTemplatesAPI';
+import { rotaAPI } from '@/Services/rotaAPI';
+import { templateFromEvent } from '@/lib/eventTemplates';
+import { formatNaira, ledgerSummary } from '@/lib/payments';
+import { EVENT_CATEGORIES } from '@/lib/eventCategories';
+import {
+  toDateKey,
+  eventDateKey,
+  formatDateKey,
+  getRecurrenceRule,
+  describeRecurrence,
+  nextOccurrences
+} from '@/lib/recurrence';
+import EventsCalendar from '@/components/events/EventsCalendar';
+import CalendarFeedsModal from '@/components/events/CalendarFeedsModal';
+import { downloadCalendar } from '@/lib/ics';
 import { toast } from 'react-toastify';
 
 const EventsManagement = () => {
@@ -8,6 +26,11 @@ const EventsManagement = () => {
   const [loading, setLoading] = useState(true);
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [showEventDetails, setShowEventDetails] = useState(false);
+  const [selectedOccurrence, setSelectedOccurrence] = useState(null);
+  const [paymentSummary, setPaymentSummary] = useState(null);
+  const [expandedSeriesId, setExpandedSeriesId] = useState(null);
+  const [showCalendarFeeds, setShowCalendarFeeds] = useState(false);
+  const [viewMode, setViewMode] = useState(() => localStorage.getItem('eventsViewMode') || 'list');
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -79,13 +102,18 @@ const EventsManagement = () => {
     }
   };
 
-  const handleEventClick = async (eventId) => {
+  const handleEventClick = async (eventId, occurrenceDate = null) => {
     try {
       const response = await eventsAPI.getEventById(eventId);
       
       if (response.success) {
         setSelectedEvent(response.data);
+        setSelectedOccurrence(response.data.isRecurring ? occurrenceDate : null);
+        setPaymentSummary(null);
         setShowEventDetails(true);
+        if (response.data.eventFee > 0) {
+          fetchPaymentSummary(response.data);
+        }
       } else {
         toast.error(response.message);
       }
@@ -95,6 +123,20 @@ const EventsManagement = () => {
     }
   };
 
+  const fetchPaymentSummary = async (event) => {
+    try {
+      const [registrationsResponse, paymentsResponse] = await Promise.all([
+        registrationsAPI.getRegistrations(event.id),
+        paymentsAPI.getPayments(event.id)
+      ]);
+      if (registrationsResponse.success && paymentsResponse.success) {
+        setPaymentSummary(ledgerSummary(event, registrationsResponse.data, paymentsResponse.data));
+      }
+    } catch (error) {
+      console.error('Error fetching payment summary:', error);
+    }
+  };
+
   const handleStatusChange = async (eventId, newStatus) => {
     try {
       const response = await eventsAPI.updateEvent(eventId, { status: newStatus });
@@ -156,6 +198,40 @@ const EventsManagement = () => {
     }
   };
 
+  // Save the event, with its volunteer roles and checklist, for reuse from NewEvent
+  const handleSaveAsTemplate = async (event) => {
+    const name = prompt('Template name:', event.title);
+    if (!name?.trim()) return;
+
+    try {
+      const rolesResponse = await rotaAPI.getRoles({ eventId: event.id });
+      const response = await eventTemplatesAPI.createTemplate(
+        templateFromEvent(event, name, rolesResponse.success ? rolesResponse.data : [])
+      );
+
+      if (response.success) {
+        toast.success(`Saved as the "${response.data.name}" template`);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error saving template:', error);
+      toast.error('Failed to save template');
+    }
+  };
+
+  const handleChecklistToggle = async (item) => {
+    const checklist = selectedEvent.checklist.map(other =>
+      other.id === item.id ? { ...other, done: !other.done } : other
+    );
+    const response = await eventsAPI.updateEvent(selectedEvent.id, { checklist });
+    if (response.success) {
+      setSelectedEvent(prev => ({ ...prev, checklist }));
+    } else {
+      toast.error(response.message);
+    }
+  };
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
@@ -174,6 +250,11 @@ const EventsManagement = () => {
     }));
   };
 
+  const handleViewModeChange = (mode) => {
+    setViewMode(mode);
+    localStorage.setItem('eventsViewMode', mode);
+  };
+
   const handlePageChange = (newPage) => {
     if (newPage >= 1 && newPage <= pagination.totalPages) {
       handleFilterChange('page', newPage);
@@ -219,6 +300,9 @@ const EventsManagement = () => {
     });
   };
 
+  const isEventFull = (event) =>
+    Boolean(event.maxAttendees) && (event.currentAttendees || 0) >= event.maxAttendees;
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'upcoming':
@@ -234,6 +318,8 @@ const EventsManagement = () => {
     }
   };
 
+  const today = toDateKey(new Date());
+
   // Get unique categories from events for filter
   const categories = [...new Set(events.map(event => event.category))].filter(Boolean);
 
@@ -255,6 +341,26 @@ const EventsManagement = () => {
           <p className="text-gray-600 mt-1">Manage church events and activities</p>
         </div>
         <div className="flex items-center space-x-3 mt-4 sm:mt-0">
+          <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+            <button
+              onClick={() => handleViewModeChange('list')}
+              className={`inline-flex items-center px-3 py-2 text-sm font-medium transition-colors ${
+                viewMode === 'list' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <i className="ri-list-check mr-1"></i>
+              List
+            </button>
+            <button
+              onClick={() => handleViewModeChange('calendar')}
+              className={`inline-flex items-center px-3 py-2 text-sm font-medium transition-colors ${
+                viewMode === 'calendar' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              <i className="ri-calendar-2-line mr-1"></i>
+              Calendar
+            </button>
+          </div>
           <button
             onClick={handleExport}
             className="inline-flex items-center px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors"
@@ -262,6 +368,27 @@ const EventsManagement = () => {
             <i className="ri-download-line mr-2"></i>
             Export CSV
           </button>
+          <button
+            onClick={() => setShowCalendarFeeds(true)}
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-calendar-2-line mr-2"></i>
+            Calendar (.ics)
+          </button>
+          <Link
+            to="/events/templates"
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-file-list-3-line mr-2"></i>
+            Templates
+          </Link>
+          <Link
+            to="/events/resources"
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-door-open-line mr-2"></i>
+            Rooms & Equipment
+          </Link>
           <Link
             to="/events/new"
             className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
@@ -358,17 +485,9 @@ const EventsManagement = () => {
               className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
             >
               <option value="all">All Categories</option>
-              <option value="Service">Service</option>
-              <option value="Conference">Conference</option>
-              <option value="Seminar">Seminar</option>
-              <option value="Workshop">Workshop</option>
-              <option value="Outreach">Outreach</option>
-              <option value="Fellowship">Fellowship</option>
-              <option value="Youth Event">Youth Event</option>
-              <option value="Children Event">Children Event</option>
-              <option value="Prayer Meeting">Prayer Meeting</option>
-              <option value="Special Program">Special Program</option>
-              <option value="Other">Other</option>
+              {EVENT_CATEGORIES.map(category => (
+                <option key={category} value={category}>{category}</option>
+              ))}
             </select>
           </div>
           <div>
@@ -396,262 +515,324 @@ const EventsManagement = () => {
         </div>
       </div>
 
+      {/* Events Calendar */}
+      {viewMode === 'calendar' && (
+        <EventsCalendar category={filters.category} onEventClick={handleEventClick} />
+      )}
+
       {/* Events Table */}
-      <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
-        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
-          <h2 className="text-lg font-semibold text-gray-900">
-            Events ({pagination.totalRecords})
-          </h2>
-          <div className="flex items-center space-x-2">
-            <select
-              value={filters.limit}
-              onChange={(e) => handleFilterChange('limit', parseInt(e.target.value))}
-              className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-            >
-              <option value={5}>5 per page</option>
-              <option value={10}>10 per page</option>
-              <option value={25}>25 per page</option>
-              <option value={50}>50 per page</option>
-            </select>
+      {viewMode === 'list' && (
+        <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">
+              Events ({pagination.totalRecords})
+            </h2>
+            <div className="flex items-center space-x-2">
+              <select
+                value={filters.limit}
+                onChange={(e) => handleFilterChange('limit', parseInt(e.target.value))}
+                className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value={5}>5 per page</option>
+                <option value={10}>10 per page</option>
+                <option value={25}>25 per page</option>
+                <option value={50}>50 per page</option>
+              </select>
+            </div>
           </div>
-        </div>
         
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Event Details
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Date & Time
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Location
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Attendees
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Status
-                </th>
-                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {events.map((event) => (
-                <tr key={event.id} className="hover:bg-gray-50">
-                  <td className="px-6 py-4">
-                    <div className="flex items-center">
-                      <div className="flex-shrink-0 h-12 w-12">
-                        {event.image ? (
-                          <img 
-                            src={event.image} 
-                            alt={event.title} 
-                            className="h-12 w-12 rounded-lg object-cover" 
-                          />
-                        ) : (
-                          <div className="h-12 w-12 bg-gray-200 rounded-lg flex items-center justify-center">
-                            <i className="ri-calendar-event-line text-gray-500"></i>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Event Details
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Date & Time
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Location
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Attendees
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {events.map((event) => (
+                  <React.Fragment key={event.id}>
+                    <tr className="hover:bg-gray-50">
+                      <td className="px-6 py-4">
+                        <div className="flex items-center">
+                          <div className="flex-shrink-0 h-12 w-12">
+                            {event.image ? (
+                              <img 
+                                src={event.image} 
+                                alt={event.title} 
+                                className="h-12 w-12 rounded-lg object-cover" 
+                              />
+                            ) : (
+                              <div className="h-12 w-12 bg-gray-200 rounded-lg flex items-center justify-center">
+                                <i className="ri-calendar-event-line text-gray-500"></i>
+                              </div>
+                            )}
                           </div>
+                          <div className="ml-4">
+                            <div className="text-sm font-medium text-gray-900 truncate max-w-xs">
+                              {event.title}
+                            </div>
+                            <div className="text-sm text-gray-500">{event.category}</div>
+                          </div>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{formatDate(event.date)}</div>
+                        <div className="text-sm text-gray-500">
+                          {formatTime(event.time)}
+                          {event.endTime && ` - ${formatTime(event.endTime)}`}
+                        </div>
+                        {event.isRecurring && (
+                          <button
+                            onClick={() => setExpandedSeriesId(expandedSeriesId === event.id ? null : event.id)}
+                            className="mt-1 inline-flex items-center text-xs text-purple-700 hover:text-purple-900"
+                            title="Show upcoming occurrences"
+                          >
+                            <i className="ri-repeat-line mr-1"></i>
+                            {describeRecurrence(getRecurrenceRule(event), eventDateKey(event))}
+                            <i className={`${expandedSeriesId === event.id ? 'ri-arrow-up-s-line' : 'ri-arrow-down-s-line'} ml-1`}></i>
+                          </button>
                         )}
-                      </div>
-                      <div className="ml-4">
-                        <div className="text-sm font-medium text-gray-900 truncate max-w-xs">
-                          {event.title}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900 truncate max-w-xs">{event.location}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">
+                          {event.currentAttendees || 0}
+                          {event.maxAttendees && ` / ${event.maxAttendees}`}
                         </div>
-                        <div className="text-sm text-gray-500">{event.category}</div>
-                      </div>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm text-gray-900">{formatDate(event.date)}</div>
-                    <div className="text-sm text-gray-500">
-                      {formatTime(event.time)}
-                      {event.endTime && ` - ${formatTime(event.endTime)}`}
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm text-gray-900 truncate max-w-xs">{event.location}</div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm text-gray-900">
-                      {event.currentAttendees || 0}
-                      {event.maxAttendees && ` / ${event.maxAttendees}`}
-                    </div>
-                    {event.maxAttendees && (
-                      <div className="w-full bg-gray-200 rounded-full h-1.5 mt-1">
-                        <div 
-                          className="bg-blue-600 h-1.5 rounded-full" 
-                          style={{
-                            width: `${Math.min(100, ((event.currentAttendees || 0) / event.maxAttendees) * 100)}%`
-                          }}
-                        ></div>
-                      </div>
-                    )}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(event.status)}`}>
-                      {event.status}
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                    <div className="flex items-center justify-end space-x-2">
-                      <button
-                        onClick={() => handleEventClick(event.id)}
-                        className="text-blue-600 hover:text-blue-900"
-                        title="View Details"
-                      >
-                        <i className="ri-eye-line text-lg"></i>
-                      </button>
-                      <Link
-                        to={`/events/${event.id}/edit`}
-                        className="text-yellow-600 hover:text-yellow-900"
-                        title="Edit Event"
-                      >
-                        <i className="ri-edit-line text-lg"></i>
-                      </Link>
-                      <button
-                        onClick={() => handleDuplicate(event.id)}
-                        className="text-green-600 hover:text-green-900"
-                        title="Duplicate Event"
-                      >
-                        <i className="ri-file-copy-line text-lg"></i>
-                      </button>
-                      <div className="relative group">
-                        <button
-                          className="text-gray-600 hover:text-gray-900"
-                          title="Change Status"
-                        >
-                          <i className="ri-more-line text-lg"></i>
-                        </button>
-                        <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg z-10 hidden group-hover:block">
-                          <div className="py-1">
-                            {['upcoming', 'ongoing', 'completed', 'cancelled'].map(status => (
-                              <button
-                                key={status}
-                                onClick={() => handleStatusChange(event.id, status)}
-                                disabled={event.status === status}
-                                className={`block px-4 py-2 text-sm w-full text-left capitalize transition-colors ${
-                                  event.status === status 
-                                    ? 'text-gray-400 cursor-not-allowed' 
-                                    : 'text-gray-700 hover:bg-gray-100'
-                                }`}
+                        {event.maxAttendees && (
+                          <div className="w-full bg-gray-200 rounded-full h-1.5 mt-1">
+                            <div 
+                              className="bg-blue-600 h-1.5 rounded-full" 
+                              style={{
+                                width: `${Math.min(100, ((event.currentAttendees || 0) / event.maxAttendees) * 100)}%`
+                              }}
+                            ></div>
+                          </div>
+                        )}
+                        {(isEventFull(event) || event.waitlistCount > 0) && (
+                          <div className="flex items-center gap-1 mt-1">
+                            {isEventFull(event) && (
+                              <span className="inline-flex px-1.5 py-0.5 text-xs font-medium rounded bg-red-100 text-red-800">Full</span>
+                            )}
+                            {event.waitlistCount > 0 && (
+                              <span className="inline-flex px-1.5 py-0.5 text-xs font-medium rounded bg-yellow-100 text-yellow-800">
+                                {event.waitlistCount} waitlisted
+                              </span>
+                            )}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(event.status)}`}>
+                          {event.status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <div className="flex items-center justify-end space-x-2">
+                          <button
+                            onClick={() => handleEventClick(event.id)}
+                            className="text-blue-600 hover:text-blue-900"
+                            title="View Details"
+                          >
+                            <i className="ri-eye-line text-lg"></i>
+                          </button>
+                          <Link
+                            to={`/events/${event.id}/edit`}
+                            className="text-yellow-600 hover:text-yellow-900"
+                            title="Edit Event"
+                          >
+                            <i className="ri-edit-line text-lg"></i>
+                          </Link>
+                          <Link
+                            to={`/events/${event.id}/registrations`}
+                            className="text-purple-600 hover:text-purple-900"
+                            title="Registrations"
+                          >
+                            <i className="ri-user-follow-line text-lg"></i>
+                          </Link>
+                          <button
+                            onClick={() => handleDuplicate(event.id)}
+                            className="text-green-600 hover:text-green-900"
+                            title="Duplicate Event"
+                          >
+                            <i className="ri-file-copy-line text-lg"></i>
+                          </button>
+                          <div className="relative group">
+                            <button
+                              className="text-gray-600 hover:text-gray-900"
+                              title="Change Status"
+                            >
+                              <i className="ri-more-line text-lg"></i>
+                            </button>
+                            <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg z-10 hidden group-hover:block">
+                              <div className="py-1">
+                                {['upcoming', 'ongoing', 'completed', 'cancelled'].map(status => (
+                                  <button
+                                    key={status}
+                                    onClick={() => handleStatusChange(event.id, status)}
+                                    disabled={event.status === status}
+                                    className={`block px-4 py-2 text-sm w-full text-left capitalize transition-colors ${
+                                      event.status === status 
+                                        ? 'text-gray-400 cursor-not-allowed' 
+                                        : 'text-gray-700 hover:bg-gray-100'
+                                    }`}
+                                  >
+                                    Mark as {status}
+                                  </button>
+                                ))}
+                              </div>
+                            </div>
+                          </div>
+                          <button
+                            onClick={() => handleDelete(event.id, event.title)}
+                            className="text-red-600 hover:text-red-900"
+                            title="Delete Event"
+                          >
+                            <i className="ri-delete-bin-line text-lg"></i>
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                    {expandedSeriesId === event.id && (
+                      <tr className="bg-purple-50">
+                        <td colSpan={6} className="px-6 py-3">
+                          <div className="flex flex-wrap items-center gap-2">
+                            <span className="text-xs font-medium text-purple-900 mr-2">Upcoming occurrences:</span>
+                            {nextOccurrences(event, today, 8).map(occurrence => (
+                              <Link
+                                key={occurrence.occurrenceDate}
+                                to={`/events/${event.id}/edit?occurrence=${occurrence.occurrenceDate}`}
+                                className="inline-flex items-center px-2 py-1 text-xs font-medium bg-white text-purple-800 border border-purple-200 rounded-full hover:bg-purple-100"
+                                title="Edit this occurrence"
                               >
-                                Mark as {status}
-                              </button>
+                                {formatDateKey(occurrence.occurrenceDate, { weekday: 'short', month: 'short', day: 'numeric' })}
+                                <i className="ri-edit-line ml-1"></i>
+                              </Link>
                             ))}
+                            {nextOccurrences(event, today).length === 0 && (
+                              <span className="text-xs text-purple-700">No more occurrences</span>
+                            )}
                           </div>
-                        </div>
-                      </div>
-                      <button
-                        onClick={() => handleDelete(event.id, event.title)}
-                        className="text-red-600 hover:text-red-900"
-                        title="Delete Event"
-                      >
-                        <i className="ri-delete-bin-line text-lg"></i>
-                      </button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
-
-        {/* Loading State for pagination */}
-        {loading && filters.page > 1 && (
-          <div className="flex items-center justify-center py-4">
-            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
-            <span className="ml-2 text-gray-600">Loading...</span>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
           </div>
-        )}
-
-        {/* Pagination */}
-        {pagination.totalPages > 1 && (
-          <div className="px-6 py-4 border-t border-gray-200">
-            <div className="flex items-center justify-between">
-              <div className="text-sm text-gray-700">
-                Showing {((pagination.currentPage - 1) * pagination.limit) + 1} to{' '}
-                {Math.min(pagination.currentPage * pagination.limit, pagination.totalRecords)} of{' '}
-                {pagination.totalRecords} results
-              </div>
-              <div className="flex items-center space-x-2">
-                <button
-                  onClick={() => handlePageChange(pagination.currentPage - 1)}
-                  disabled={!pagination.hasPrevPage || loading}
-                  className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  Previous
-                </button>
+
+          {/* Loading State for pagination */}
+          {loading && filters.page > 1 && (
+            <div className="flex items-center justify-center py-4">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+              <span className="ml-2 text-gray-600">Loading...</span>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="px-6 py-4 border-t border-gray-200">
+              <div className="flex items-center justify-between">
+                <div className="text-sm text-gray-700">
+                  Showing {((pagination.currentPage - 1) * pagination.limit) + 1} to{' '}
+                  {Math.min(pagination.currentPage * pagination.limit, pagination.totalRecords)} of{' '}
+                  {pagination.totalRecords} results
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => handlePageChange(pagination.currentPage - 1)}
+                    disabled={!pagination.hasPrevPage || loading}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
                 
-                {/* Page Numbers */}
-                <div className="flex items-center space-x-1">
-                  {Array.from({ length: Math.min(5, pagination.totalPages) }, (_, i) => {
-                    let pageNum;
-                    if (pagination.totalPages <= 5) {
-                      pageNum = i + 1;
-                    } else {
-                      const start = Math.max(1, pagination.currentPage - 2);
-                      const end = Math.min(pagination.totalPages, start + 4);
-                      pageNum = start + i;
-                      if (pageNum > end) return null;
-                    }
+                  {/* Page Numbers */}
+                  <div className="flex items-center space-x-1">
+                    {Array.from({ length: Math.min(5, pagination.totalPages) }, (_, i) => {
+                      let pageNum;
+                      if (pagination.totalPages <= 5) {
+                        pageNum = i + 1;
+                      } else {
+                        const start = Math.max(1, pagination.currentPage - 2);
+                        const end = Math.min(pagination.totalPages, start + 4);
+                        pageNum = start + i;
+                        if (pageNum > end) return null;
+                      }
                     
-                    return (
-                      <button
-                        key={pageNum}
-                        onClick={() => handlePageChange(pageNum)}
-                        disabled={loading}
-                        className={`px-3 py-2 text-sm font-medium rounded-md ${
-                          pageNum === pagination.currentPage
-                            ? 'bg-blue-600 text-white'
-                            : 'text-gray-700 bg-white border border-gray-300 hover:bg-gray-50'
-                        } disabled:opacity-50 disabled:cursor-not-allowed`}
-                      >
-                        {pageNum}
-                      </button>
-                    );
-                  })}
-                </div>
+                      return (
+                        <button
+                          key={pageNum}
+                          onClick={() => handlePageChange(pageNum)}
+                          disabled={loading}
+                          className={`px-3 py-2 text-sm font-medium rounded-md ${
+                            pageNum === pagination.currentPage
+                              ? 'bg-blue-600 text-white'
+                              : 'text-gray-700 bg-white border border-gray-300 hover:bg-gray-50'
+                          } disabled:opacity-50 disabled:cursor-not-allowed`}
+                        >
+                          {pageNum}
+                        </button>
+                      );
+                    })}
+                  </div>
                 
-                <button
-                  onClick={() => handlePageChange(pagination.currentPage + 1)}
-                  disabled={!pagination.hasNextPage || loading}
-                  className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  Next
-                </button>
+                  <button
+                    onClick={() => handlePageChange(pagination.currentPage + 1)}
+                    disabled={!pagination.hasNextPage || loading}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </div>
               </div>
             </div>
-          </div>
-        )}
-
-        {/* Empty State */}
-        {!loading && events.length === 0 && (
-          <div className="text-center py-12">
-            <i className="ri-calendar-event-line text-gray-400 text-4xl mb-4"></i>
-            <h3 className="text-lg font-medium text-gray-900 mb-2">No events found</h3>
-            <p className="text-gray-500 mb-4">
-              {filters.search || filters.status !== 'all' || filters.category !== 'all'
-                ? "No events match your current filters. Try adjusting your search criteria."
-                : "Start by creating your first event."
-              }
-            </p>
-            {!filters.search && filters.status === 'all' && filters.category === 'all' && (
-              <Link
-                to="/events/new"
-                className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
-              >
-                <i className="ri-add-line mr-2"></i>
-                Create First Event
-              </Link>
-            )}
-          </div>
-        )}
-      </div>
+          )}
+
+          {/* Empty State */}
+          {!loading && events.length === 0 && (
+            <div className="text-center py-12">
+              <i className="ri-calendar-event-line text-gray-400 text-4xl mb-4"></i>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No events found</h3>
+              <p className="text-gray-500 mb-4">
+                {filters.search || filters.status !== 'all' || filters.category !== 'all'
+                  ? "No events match your current filters. Try adjusting your search criteria."
+                  : "Start by creating your first event."
+                }
+              </p>
+              {!filters.search && filters.status === 'all' && filters.category === 'all' && (
+                <Link
+                  to="/events/new"
+                  className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  <i className="ri-add-line mr-2"></i>
+                  Create First Event
+                </Link>
+              )}
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Event Details Modal */}
       {showEventDetails && selectedEvent && (
@@ -790,6 +971,47 @@ const EventsManagement = () => {
                         </div>
                       </div>
                     )}
+
+                    {paymentSummary && (
+                      <div className="mt-4 pt-4 border-t border-gray-200">
+                        <div className="flex justify-between items-center mb-1">
+                          <span className="text-sm font-medium text-gray-700">Fees Collected</span>
+                          <Link
+                            to={`/events/${selectedEvent.id}/payments`}
+                            className="text-xs text-blue-600 hover:text-blue-900"
+                            onClick={() => setShowEventDetails(false)}
+                          >
+                            Open ledger
+                          </Link>
+                        </div>
+                        <div className="text-sm text-gray-900">
+                          <span className="font-semibold text-green-600">{formatNaira(paymentSummary.net)}</span>
+                          {' of '}
+                          {formatNaira(paymentSummary.expected)} expected
+                        </div>
+                        <div className="text-xs text-gray-500 mb-1">
+                          {formatNaira(selectedEvent.eventFee)} × {selectedEvent.currentAttendees || 0} registrants
+                          {paymentSummary.outstanding > 0 && ` • ${formatNaira(paymentSummary.outstanding)} outstanding`}
+                        </div>
+                        {paymentSummary.expected > 0 && (
+                          <div className="w-full bg-gray-200 rounded-full h-2">
+                            <div
+                              className="bg-green-600 h-2 rounded-full"
+                              style={{ width: `${Math.min(100, (paymentSummary.net / paymentSummary.expected) * 100)}%` }}
+                            ></div>
+                          </div>
+                        )}
+                      </div>
+                    )}
+
+                    {(isEventFull(selectedEvent) || selectedEvent.waitlistCount > 0) && (
+                      <div className="flex justify-between items-center mt-4 p-2 bg-yellow-50 rounded-lg text-sm">
+                        <span className="text-yellow-800 font-medium">
+                          {isEventFull(selectedEvent) ? 'Full' : 'Places available'}
+                        </span>
+                        <span className="text-yellow-700">{selectedEvent.waitlistCount || 0} on the waitlist</span>
+                      </div>
+                    )}
                   </div>
 
                   {selectedEvent.isRecurring && (
@@ -799,8 +1021,18 @@ const EventsManagement = () => {
                         Recurring Event
                       </h4>
                       <p className="text-purple-700 text-sm">
-                        This event repeats {selectedEvent.recurringPattern}
+                        {describeRecurrence(getRecurrenceRule(selectedEvent), eventDateKey(selectedEvent))}
                       </p>
+                      {selectedOccurrence && (
+                        <p className="text-purple-700 text-sm mt-1">
+                          Selected occurrence: {formatDateKey(selectedOccurrence)}
+                        </p>
+                      )}
+                      {selectedEvent.exceptionDates?.length > 0 && (
+                        <p className="text-purple-600 text-xs mt-1">
+                          Skipped: {selectedEvent.exceptionDates.map(date => formatDateKey(date)).join(', ')}
+                        </p>
+                      )}
                     </div>
                   )}
 
@@ -821,6 +1053,30 @@ const EventsManagement = () => {
                     </div>
                   )}
 
+                  {selectedEvent.checklist?.length > 0 && (
+                    <div className="bg-gray-50 p-4 rounded-lg">
+                      <h4 className="font-semibold text-gray-900 mb-2">
+                        <i className="ri-list-check-2 mr-2"></i>
+                        Checklist ({selectedEvent.checklist.filter(item => item.done).length}/{selectedEvent.checklist.length})
+                      </h4>
+                      <ul className="space-y-1">
+                        {selectedEvent.checklist.map(item => (
+                          <li key={item.id}>
+                            <label className="flex items-center text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={item.done}
+                                onChange={() => handleChecklistToggle(item)}
+                                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                              />
+                              <span className={item.done ? 'line-through text-gray-500' : ''}>{item.text}</span>
+                            </label>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
                   {selectedEvent.eventFee === 0 && (
                     <div className="bg-green-50 p-4 rounded-lg">
                       <h4 className="font-semibold text-green-900 mb-2">
@@ -841,8 +1097,14 @@ const EventsManagement = () => {
                     <div className="text-sm text-blue-700 space-y-1">
                       <p>Created: {formatDate(selectedEvent.createdAt)}</p>
                       <p>Last Updated: {formatDate(selectedEvent.updatedAt)}</p>
+                      {Object.keys(selectedEvent.attendanceRecords || {}).length > 0 && (
+                        <p>
+                          Attendance recorded:{' '}
+                          {Object.keys(selectedEvent.attendanceRecords).sort().map(date => formatDateKey(date)).join(', ')}
+                        </p>
+                      )}
                       {selectedEvent.isRecurring && (
-                        <p className="font-medium">Recurring: {selectedEvent.recurringPattern}</p>
+                        <p className="font-medium">Recurring: {getRecurrenceRule(selectedEvent)?.frequency}</p>
                       )}
                     </div>
                   </div>
@@ -850,6 +1112,36 @@ const EventsManagement = () => {
               </div>
               
               <div className="flex justify-end space-x-3 pt-6 mt-6 border-t">
+                <button
+                  onClick={() => downloadCalendar([selectedEvent], { name: selectedEvent.title })}
+                  className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+                >
+                  <i className="ri-calendar-check-line mr-2"></i>
+                  Add to Calendar
+                </button>
+                <Link
+                  to={`/events/${selectedEvent.id}/check-in${selectedOccurrence ? `?occurrence=${selectedOccurrence}` : ''}`}
+                  className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+                  onClick={() => setShowEventDetails(false)}
+                >
+                  <i className="ri-qr-scan-2-line mr-2"></i>
+                  Check-in
+                </Link>
+                <Link
+                  to={`/events/${selectedEvent.id}/registrations`}
+                  className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+                  onClick={() => setShowEventDetails(false)}
+                >
+                  <i className="ri-user-follow-line mr-2"></i>
+                  Registrations
+                </Link>
+                <button
+                  onClick={() => handleSaveAsTemplate(selectedEvent)}
+                  className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+                >
+                  <i className="ri-file-list-3-line mr-2"></i>
+                  Save as Template
+                </button>
                 <button
                   onClick={() => handleDuplicate(selectedEvent.id)}
                   className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors"
@@ -857,13 +1149,23 @@ const EventsManagement = () => {
                   <i className="ri-file-copy-line mr-2"></i>
                   Duplicate
                 </button>
+                {selectedOccurrence && (
+                  <Link
+                    to={`/events/${selectedEvent.id}/edit?occurrence=${selectedOccurrence}`}
+                    className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition-colors"
+                    onClick={() => setShowEventDetails(false)}
+                  >
+                    <i className="ri-calendar-event-line mr-2"></i>
+                    Edit This Occurrence
+                  </Link>
+                )}
                 <Link
                   to={`/events/${selectedEvent.id}/edit`}
                   className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
                   onClick={() => setShowEventDetails(false)}
                 >
                   <i className="ri-edit-line mr-2"></i>
-                  Edit Event
+                  {selectedEvent.isRecurring ? 'Edit Series' : 'Edit Event'}
                 </Link>
                 <button
                   onClick={() => setShowEventDetails(false)}
@@ -876,6 +1178,10 @@ const EventsManagement = () => {
           </div>
         </div>
       )}
+
+      {showCalendarFeeds && (
+        <CalendarFeedsModal filters={filters} onClose={() => setShowCalendarFeeds(false)} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,301 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { celebrationsAPI } from '@/Services/celebrationsAPI';
+import { greetingTemplatesAPI } from '@/Services/greetingTemplatesAPI';
+import {
+  BUILT_IN_TEMPLATES,
+  CARD_SIZES,
+  canvasToPng,
+  cardFilename,
+  drawGreetingCard,
+  fillPlaceholders,
+  loadCardImage,
+  loadLogo,
+  templatesFor
+} from '@/lib/greetingCards';
+import { downloadBlob } from '@/lib/csv';
+import { toast } from 'react-toastify';
+
+// Builds a shareable greeting image for one approved celebration
+const GreetingCard = () => {
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const canvasRef = useRef(null);
+
+  const [celebration, setCelebration] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [sizeKey, setSizeKey] = useState(CARD_SIZES[0].key);
+  const [pictureIndex, setPictureIndex] = useState(0);
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState('');
+  const [logo, setLogo] = useState(null);
+  const [images, setImages] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    fetchData();
+    loadLogo().then(setLogo);
+  }, [id]);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [celebrationResponse, templatesResponse] = await Promise.all([
+        celebrationsAPI.getCelebrationById(id),
+        greetingTemplatesAPI.getTemplates()
+      ]);
+
+      if (!celebrationResponse.success) {
+        toast.error(celebrationResponse.message);
+        navigate('/celebrations');
+        return;
+      }
+
+      const record = celebrationResponse.data;
+      const saved = templatesResponse.success ? templatesResponse.data : [];
+      const available = templatesFor(saved.length > 0 ? saved : BUILT_IN_TEMPLATES, record.type);
+      setCelebration(record);
+      setTemplates(available);
+      setName(record.name);
+      if (available.length > 0) {
+        // Kept as a string to match the <select> value, whatever type the ids are
+        setTemplateId(String(available[0].id));
+        setMessage(fillPlaceholders(available[0].message, record));
+      }
+    } catch (error) {
+      console.error('Error fetching celebration:', error);
+      toast.error('Failed to load celebration');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const template = templates.find(t => String(t.id) === templateId);
+  const size = CARD_SIZES.find(s => s.key === sizeKey);
+  const pictureUrl = celebration?.pictures?.[pictureIndex] || '';
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([loadCardImage(pictureUrl), loadCardImage(template?.backgroundImage)]).then(([photo, background]) => {
+      if (!cancelled) setImages({ photo, background });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [pictureUrl, template?.backgroundImage]);
+
+  useEffect(() => {
+    if (!canvasRef.current || !template) return;
+    drawGreetingCard(canvasRef.current, { ...template, heading: fillPlaceholders(template.heading, celebration) }, {
+      name,
+      message,
+      size,
+      images: { ...images, logo }
+    });
+  }, [template, celebration, size, name, message, images, logo]);
+
+  const handleTemplateChange = (nextId) => {
+    const next = templates.find(t => String(t.id) === nextId);
+    const edited = message !== fillPlaceholders(template?.message, celebration);
+    if (!next || (edited && !confirm('Replace your edited message with the one from this template?'))) {
+      setTemplateId(nextId);
+      return;
+    }
+    setTemplateId(nextId);
+    setMessage(fillPlaceholders(next.message, celebration));
+  };
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      const blob = await canvasToPng(canvasRef.current);
+      downloadBlob(blob, cardFilename(name, size), 'image/png');
+    } catch (error) {
+      console.error('Error saving greeting card:', error);
+      toast.error(
+        error.name === 'SecurityError'
+          ? 'The picture or background is stored on a server that does not allow it in downloads. Choose another picture or template.'
+          : 'Failed to save the greeting card'
+      );
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading celebration...</span>
+      </div>
+    );
+  }
+
+  if (!celebration) return null;
+
+  const isApproved = celebration.status === 'approved';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Greeting Card</h1>
+          <p className="text-gray-600 mt-1">
+            {celebration.type} for {celebration.name}
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <Link
+            to="/celebrations/greeting-templates"
+            className="inline-flex items-center px-4 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <i className="ri-palette-line mr-2"></i>
+            Manage Templates
+          </Link>
+          <button
+            onClick={() => navigate('/celebrations')}
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-left-line mr-2"></i>
+            Back to Celebrations
+          </button>
+        </div>
+      </div>
+
+      {!isApproved && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-center">
+          <i className="ri-error-warning-line text-yellow-600 mr-2"></i>
+          <p className="text-sm text-yellow-800">
+            This celebration is {celebration.status}. Approve it before sharing a greeting card.
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Options */}
+        <div className="bg-white p-6 rounded-lg shadow-sm border space-y-5">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Template</label>
+            {templates.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No template is set up for {celebration.type}.{' '}
+                <Link to="/celebrations/greeting-templates" className="text-blue-600 hover:text-blue-800">
+                  Add one
+                </Link>
+              </p>
+            ) : (
+              <select
+                value={templateId}
+                onChange={(e) => handleTemplateChange(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {templates.map(t => (
+                  <option key={t.id} value={t.id}>{t.name}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Size</label>
+            <select
+              value={sizeKey}
+              onChange={(e) => setSizeKey(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {CARD_SIZES.map(s => (
+                <option key={s.key} value={s.key}>
+                  {s.label} ({s.width}×{s.height})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Picture</label>
+            {celebration.pictures?.length > 0 ? (
+              <div className="flex flex-wrap gap-2">
+                {celebration.pictures.map((picture, index) => (
+                  <button
+                    key={index}
+                    type="button"
+                    onClick={() => setPictureIndex(index)}
+                    className={`w-16 h-16 rounded-lg overflow-hidden border-2 ${
+                      pictureIndex === index ? 'border-blue-600' : 'border-transparent'
+                    }`}
+                  >
+                    <img src={picture} alt={`Picture ${index + 1}`} className="w-full h-full object-cover" />
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setPictureIndex(-1)}
+                  className={`w-16 h-16 rounded-lg border-2 bg-gray-50 text-xs text-gray-500 ${
+                    pictureIndex === -1 ? 'border-blue-600' : 'border-dashed border-gray-300'
+                  }`}
+                >
+                  None
+                </button>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No pictures were sent with this celebration.</p>
+            )}
+            {pictureUrl && !images.photo && (
+              <p className="mt-2 text-xs text-yellow-700">This picture could not be loaded onto the card.</p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name on Card</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Message</label>
+            <textarea
+              rows={5}
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+
+          <button
+            onClick={handleDownload}
+            disabled={!isApproved || !template || downloading}
+            className="w-full inline-flex items-center justify-center px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <i className="ri-download-line mr-2"></i>
+            {downloading ? 'Saving...' : 'Download PNG'}
+          </button>
+        </div>
+
+        {/* Preview */}
+        <div className="lg:col-span-2 bg-white p-6 rounded-lg shadow-sm border flex justify-center">
+          {template ? (
+            <canvas
+              ref={canvasRef}
+              className="h-auto rounded-lg shadow"
+              style={{ width: '100%', maxWidth: size.width > size.height ? '100%' : `${(540 * size.width) / size.height}px` }}
+            />
+          ) : (
+            <div className="text-center py-12">
+              <i className="ri-image-line text-4xl text-gray-400"></i>
+              <p className="text-gray-500 mt-2">Choose a template to preview the card</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GreetingCard;
@@ -0,0 +1,390 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { greetingTemplatesAPI } from '@/Services/greetingTemplatesAPI';
+import { CELEBRATION_TYPES } from '@/Services/celebrationsAPI';
+import {
+  BUILT_IN_TEMPLATES,
+  CARD_SIZES,
+  DEFAULT_TEMPLATE,
+  PHOTO_SHAPES,
+  PLACEHOLDERS,
+  drawGreetingCard,
+  fillPlaceholders,
+  loadCardImage,
+  loadLogo
+} from '@/lib/greetingCards';
+import { toast } from 'react-toastify';
+
+const SAMPLE_CELEBRATION = { name: 'Grace Adeyemi', month: 10, date: 21, year: 1986 };
+
+const PREVIEW_SIZE = CARD_SIZES.find(size => size.key === 'portrait');
+
+const TEMPLATE_FIELDS = Object.keys(DEFAULT_TEMPLATE);
+
+// Card drawn with sample details so admins can see a template as they edit it
+const TemplatePreview = ({ template, logo }) => {
+  const canvasRef = useRef(null);
+  const [background, setBackground] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadCardImage(template.backgroundImage).then(image => {
+      if (!cancelled) setBackground(image);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [template.backgroundImage]);
+
+  useEffect(() => {
+    drawGreetingCard(
+      canvasRef.current,
+      { ...template, heading: fillPlaceholders(template.heading, SAMPLE_CELEBRATION) },
+      {
+        name: SAMPLE_CELEBRATION.name,
+        message: fillPlaceholders(template.message, SAMPLE_CELEBRATION),
+        size: PREVIEW_SIZE,
+        images: { logo, background }
+      }
+    );
+  }, [template, logo, background]);
+
+  return <canvas ref={canvasRef} className="w-full h-auto rounded-lg shadow-sm" />;
+};
+
+const GreetingTemplates = () => {
+  const navigate = useNavigate();
+  const messageRef = useRef(null);
+  const [templates, setTemplates] = useState([]);
+  const [logo, setLogo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchTemplates();
+    loadLogo().then(setLogo);
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await greetingTemplatesAPI.getTemplates();
+      if (response.success) {
+        setTemplates(response.data);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error fetching greeting templates:', error);
+      toast.error('Failed to load greeting templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Built-in designs are copied into a new template rather than edited
+  const openEditor = (template, isNew = false) => {
+    const fields = Object.fromEntries(TEMPLATE_FIELDS.map(key => [key, template[key] ?? DEFAULT_TEMPLATE[key]]));
+    setEditing({ ...fields, id: isNew ? null : template.id });
+  };
+
+  const handleFieldChange = (field, value) => {
+    setEditing(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleInsertPlaceholder = (token) => {
+    const textarea = messageRef.current;
+    const start = textarea?.selectionStart ?? editing.message.length;
+    const end = textarea?.selectionEnd ?? editing.message.length;
+    handleFieldChange('message', editing.message.slice(0, start) + token + editing.message.slice(end));
+    textarea?.focus();
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const { id, ...templateData } = editing;
+      const response = id
+        ? await greetingTemplatesAPI.updateTemplate(id, templateData)
+        : await greetingTemplatesAPI.createTemplate(templateData);
+
+      if (response.success) {
+        toast.success(id ? 'Template updated' : 'Template created');
+        setTemplates(prev =>
+          id ? prev.map(t => (t.id === id ? { ...t, ...response.data } : t)) : [...prev, response.data]
+        );
+        setEditing(null);
+      } else {
+        toast.error(response.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete the "${template.name}" greeting template?`)) return;
+
+    const response = await greetingTemplatesAPI.deleteTemplate(template.id);
+    if (response.success) {
+      toast.success('Template deleted');
+      setTemplates(prev => prev.filter(t => t.id !== template.id));
+    } else {
+      toast.error(response.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading templates...</span>
+      </div>
+    );
+  }
+
+  const isBuiltIn = templates.length === 0;
+  const shown = isBuiltIn ? BUILT_IN_TEMPLATES : [...templates].sort((a, b) => a.name.localeCompare(b.name));
+
+  const colorFields = [
+    { key: 'backgroundFrom', label: 'Background (top)' },
+    { key: 'backgroundTo', label: 'Background (bottom)' },
+    { key: 'textColor', label: 'Text' },
+    { key: 'accentColor', label: 'Heading & Frame' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Greeting Card Templates</h1>
+          <p className="text-gray-600 mt-1">Church-branded designs for celebrant greeting cards</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={() => openEditor(DEFAULT_TEMPLATE, true)}
+            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <i className="ri-add-line mr-2"></i>
+            New Template
+          </button>
+          <button
+            onClick={() => navigate('/celebrations')}
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-left-line mr-2"></i>
+            Back to Celebrations
+          </button>
+        </div>
+      </div>
+
+      {isBuiltIn && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 flex items-center">
+          <i className="ri-information-line text-blue-600 mr-2"></i>
+          <p className="text-sm text-blue-800">
+            These built-in designs are used until you save your own. Choose "Customise" to start from one.
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        {shown.map(template => (
+          <div key={template.id} className="bg-white p-4 rounded-lg shadow-sm border flex flex-col">
+            <TemplatePreview template={template} logo={logo} />
+            <div className="mt-4 flex-1">
+              <h3 className="text-lg font-semibold text-gray-900">{template.name}</h3>
+              <p className="text-sm text-gray-600">
+                {!template.type || template.type === 'Any' ? 'All celebrations' : template.type}
+              </p>
+            </div>
+            <div className="flex items-center justify-end mt-4 pt-4 border-t space-x-3">
+              {isBuiltIn ? (
+                <button
+                  onClick={() => openEditor({ ...template, name: `${template.name} (copy)` }, true)}
+                  className="text-blue-600 hover:text-blue-900 text-sm font-medium"
+                >
+                  <i className="ri-edit-line mr-1"></i>
+                  Customise
+                </button>
+              ) : (
+                <>
+                  <button
+                    onClick={() => openEditor(template)}
+                    className="text-blue-600 hover:text-blue-900"
+                    title="Edit Template"
+                  >
+                    <i className="ri-edit-line text-lg"></i>
+                  </button>
+                  <button
+                    onClick={() => openEditor({ ...template, name: `${template.name} (copy)` }, true)}
+                    className="text-gray-600 hover:text-gray-900"
+                    title="Duplicate Template"
+                  >
+                    <i className="ri-file-copy-line text-lg"></i>
+                  </button>
+                  <button
+                    onClick={() => handleDelete(template)}
+                    className="text-red-600 hover:text-red-900"
+                    title="Delete Template"
+                  >
+                    <i className="ri-delete-bin-line text-lg"></i>
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Edit Modal */}
+      {editing && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-5xl shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">
+                {editing.id ? 'Edit Template' : 'New Template'}
+              </h3>
+              <button onClick={() => setEditing(null)} className="text-gray-400 hover:text-gray-600">
+                <i className="ri-close-line text-xl"></i>
+              </button>
+            </div>
+
+            <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <div className="md:col-span-2 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Template Name *</label>
+                    <input
+                      type="text"
+                      value={editing.name}
+                      onChange={(e) => handleFieldChange('name', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Used For</label>
+                    <select
+                      value={editing.type}
+                      onChange={(e) => handleFieldChange('type', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="Any">All celebrations</option>
+                      {CELEBRATION_TYPES.map(type => (
+                        <option key={type} value={type}>{type}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Heading</label>
+                  <input
+                    type="text"
+                    value={editing.heading}
+                    onChange={(e) => handleFieldChange('heading', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="e.g., Happy {ordinal} Birthday"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Message</label>
+                  <textarea
+                    ref={messageRef}
+                    rows={4}
+                    value={editing.message}
+                    onChange={(e) => handleFieldChange('message', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {PLACEHOLDERS.map(({ token, description }) => (
+                      <button
+                        key={token}
+                        type="button"
+                        onClick={() => handleInsertPlaceholder(token)}
+                        className="px-2 py-1 text-xs font-mono bg-gray-100 text-gray-700 rounded hover:bg-gray-200 transition-colors"
+                        title={description}
+                      >
+                        {token}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Placeholders are filled in from the celebration. The message can still be edited on each card.
+                  </p>
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  {colorFields.map(({ key, label }) => (
+                    <div key={key}>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                      <input
+                        type="color"
+                        value={editing[key]}
+                        onChange={(e) => handleFieldChange(key, e.target.value)}
+                        className="w-full h-10 border border-gray-300 rounded-lg cursor-pointer"
+                      />
+                    </div>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Background Image URL</label>
+                    <input
+                      type="url"
+                      value={editing.backgroundImage}
+                      onChange={(e) => handleFieldChange('backgroundImage', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="Optional"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Picture Shape</label>
+                    <select
+                      value={editing.photoShape}
+                      onChange={(e) => handleFieldChange('photoShape', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {PHOTO_SHAPES.map(shape => (
+                        <option key={shape.value} value={shape.value}>{shape.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Preview</p>
+                <TemplatePreview template={editing} logo={logo} />
+              </div>
+
+              <div className="md:col-span-3 flex justify-end space-x-3 pt-4 border-t">
+                <button
+                  type="button"
+                  onClick={() => setEditing(null)}
+                  className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving || !editing.name.trim()}
+                  className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {saving ? 'Saving...' : 'Save Template'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GreetingTemplates;
@@ -0,0 +1,334 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { attendanceAPI } from "@/Services/attendanceAPI";
+import { useHeadcountTally } from "@/contexts/WebSocketContext";
+import { TALLY_CATEGORIES, makeTallyId, countTotal } from "@/lib/headcount";
+import { toast } from "react-toastify";
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+// Counter screen for one usher; mounted once the service and section are chosen
+const TallyBoard = ({ session, onLeave }) => {
+  const navigate = useNavigate();
+  const {
+    isConnected,
+    myCounts,
+    adjustCount,
+    resetCounts,
+    tallies,
+    totals,
+    finalized,
+    finalize,
+  } = useHeadcountTally(makeTallyId(session.date, session.serviceType), session.section);
+
+  const offlineUshers = tallies.filter((tally) => !tally.online).length;
+
+  const handleReset = () => {
+    if (confirm("Reset your counts for this section to zero?")) {
+      resetCounts();
+    }
+  };
+
+  const handleUseTotals = () => {
+    if (
+      offlineUshers > 0 &&
+      !confirm(`${offlineUshers} usher(s) are disconnected. Their last counts will be included. Continue?`)
+    ) {
+      return;
+    }
+
+    finalize(totals);
+    navigate("/attendance/new", {
+      state: {
+        headcount: {
+          date: session.date,
+          serviceType: session.serviceType,
+          ...totals,
+          ushers: tallies.length,
+        },
+      },
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-center">
+          <button
+            onClick={onLeave}
+            className="mr-4 p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-left-line"></i>
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Live Head Count</h1>
+            <p className="text-gray-600 mt-1">
+              {session.serviceType} • {formatDate(session.date)} • Counting: {session.section}
+            </p>
+          </div>
+        </div>
+        <span
+          className={`inline-flex items-center mt-4 sm:mt-0 px-3 py-1 rounded-full text-sm ${
+            isConnected ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+          }`}
+        >
+          <i className={`${isConnected ? "ri-wifi-line" : "ri-wifi-off-line"} mr-1`}></i>
+          {isConnected ? "Live" : "Not connected"}
+        </span>
+      </div>
+
+      {!isConnected && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <i className="ri-error-warning-line mr-2"></i>
+          Real-time updates are unavailable. Keep counting; your numbers are saved on this device and will be
+          shared as soon as the connection returns.
+        </div>
+      )}
+
+      {finalized && (
+        <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+          <i className="ri-checkbox-circle-line mr-2"></i>
+          {finalized.by || "An admin"} has recorded the totals for this service ({finalized.totals.totalAttendance}{" "}
+          people).
+        </div>
+      )}
+
+      {/* My counters */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {TALLY_CATEGORIES.map(({ key, label }) => (
+          <div key={key} className="bg-white p-6 rounded-lg shadow-sm border">
+            <p className="text-sm font-medium text-gray-600 text-center">{label}</p>
+            <div className="flex items-center justify-between mt-3">
+              <button
+                onClick={() => adjustCount(key, -1)}
+                disabled={!myCounts[key]}
+                className="w-20 h-20 rounded-full bg-gray-100 text-gray-700 text-4xl hover:bg-gray-200 active:bg-gray-300 disabled:opacity-40 transition-colors"
+              >
+                <i className="ri-subtract-line"></i>
+              </button>
+              <span className="text-5xl font-bold text-gray-900 tabular-nums">{myCounts[key]}</span>
+              <button
+                onClick={() => adjustCount(key, 1)}
+                className="w-20 h-20 rounded-full bg-blue-600 text-white text-4xl hover:bg-blue-700 active:bg-blue-800 transition-colors"
+              >
+                <i className="ri-add-line"></i>
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <p className="text-gray-600">
+          Your section: <span className="font-semibold text-gray-900">{countTotal(myCounts)}</span>
+        </p>
+        <button onClick={handleReset} className="text-sm text-red-600 hover:text-red-800">
+          <i className="ri-restart-line mr-1"></i>
+          Reset my counts
+        </button>
+      </div>
+
+      {/* Combined tally */}
+      <div className="bg-white rounded-lg shadow-sm border">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">All Sections ({tallies.length})</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Usher / Section
+                </th>
+                {TALLY_CATEGORIES.map(({ key, label }) => (
+                  <th key={key} className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {label}
+                  </th>
+                ))}
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Total
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {tallies.map((tally) => (
+                <tr key={tally.usherId} className={tally.isMe ? "bg-blue-50" : ""}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex items-center">
+                      <span
+                        className={`w-2 h-2 rounded-full mr-2 ${tally.online ? "bg-green-500" : "bg-gray-300"}`}
+                      ></span>
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {tally.usherName}
+                          {tally.isMe && " (you)"}
+                        </p>
+                        <p className="text-xs text-gray-500">{tally.section}</p>
+                      </div>
+                    </div>
+                  </td>
+                  {TALLY_CATEGORIES.map(({ key }) => (
+                    <td key={key} className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">
+                      {tally.counts?.[key] || 0}
+                    </td>
+                  ))}
+                  <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-semibold text-gray-900">
+                    {countTotal(tally.counts)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className="bg-gray-50">
+              <tr>
+                <td className="px-6 py-4 text-sm font-semibold text-gray-900">Total</td>
+                {TALLY_CATEGORIES.map(({ key }) => (
+                  <td key={key} className="px-6 py-4 text-right text-sm font-semibold text-gray-900">
+                    {totals[key]}
+                  </td>
+                ))}
+                <td className="px-6 py-4 text-right text-lg font-bold text-blue-600">{totals.totalAttendance}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleUseTotals}
+          disabled={totals.totalAttendance === 0}
+          className="inline-flex items-center px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <i className="ri-file-list-3-line mr-2"></i>
+          Record Attendance with These Totals
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const HeadcountTally = () => {
+  const navigate = useNavigate();
+  const [serviceTypes, setServiceTypes] = useState([]);
+  const [session, setSession] = useState(null);
+  const [formData, setFormData] = useState({
+    date: new Date().toISOString().split("T")[0],
+    serviceType: "",
+    section: localStorage.getItem("tallySection") || "",
+  });
+
+  useEffect(() => {
+    fetchServiceTypes();
+  }, []);
+
+  const fetchServiceTypes = async () => {
+    try {
+      const response = await attendanceAPI.getServiceTypes();
+      setServiceTypes(response.data || []);
+    } catch (error) {
+      console.error("Error fetching service types:", error);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleStart = (e) => {
+    e.preventDefault();
+    if (!formData.date || !formData.serviceType || !formData.section.trim()) {
+      toast.error("Please choose the date, service and the section you are counting");
+      return;
+    }
+    localStorage.setItem("tallySection", formData.section.trim());
+    setSession({ ...formData, section: formData.section.trim() });
+  };
+
+  if (session) {
+    return (
+      <TallyBoard
+        key={makeTallyId(session.date, session.serviceType)}
+        session={session}
+        onLeave={() => setSession(null)}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center">
+        <button
+          onClick={() => navigate("/attendance")}
+          className="mr-4 p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          <i className="ri-arrow-left-line"></i>
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Live Head Count</h1>
+          <p className="text-gray-600 mt-1">
+            Each usher counts a section; totals add up across every device in real time
+          </p>
+        </div>
+      </div>
+
+      <form onSubmit={handleStart} className="bg-white p-6 rounded-lg shadow-sm border max-w-xl space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Date *</label>
+          <input
+            type="date"
+            name="date"
+            value={formData.date}
+            onChange={handleInputChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Service Type *</label>
+          <select
+            name="serviceType"
+            value={formData.serviceType}
+            onChange={handleInputChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Select service type</option>
+            {serviceTypes.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Section you are counting *</label>
+          <input
+            type="text"
+            name="section"
+            value={formData.section}
+            onChange={handleInputChange}
+            placeholder="e.g. Main hall left, Gallery, Overflow"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <i className="ri-play-line mr-2"></i>
+            Start Counting
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default HeadcountTally;
@@ -0,0 +1,415 @@
+import React, { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { eventsAPI } from '@/Services/eventsAPI';
+import { EVENT_CATEGORIES } from '@/lib/eventCategories';
+import { parseICS } from '@/lib/ics';
+import { toDateKey, eventDateKey, formatDateKey, describeRecurrence } from '@/lib/recurrence';
+import { toast } from 'react-toastify';
+
+const STATUS_STYLES = {
+  created: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const ImportEvents = () => {
+  const navigate = useNavigate();
+
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [items, setItems] = useState([]);
+  const [selected, setSelected] = useState({});
+  const [existingEvents, setExistingEvents] = useState([]);
+  const [defaults, setDefaults] = useState({ category: 'Other', location: '', time: '09:00' });
+  const [parsing, setParsing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    if (!/\.(ics|ical|ifb)$/i.test(file.name)) {
+      toast.error('Please choose an iCalendar (.ics) file');
+      return;
+    }
+
+    try {
+      setParsing(true);
+      const [text, existingResponse] = await Promise.all([file.text(), eventsAPI.getAllEvents()]);
+      const parsed = parseICS(text);
+
+      if (parsed.length === 0) {
+        toast.error('No events were found in the file');
+        return;
+      }
+
+      const existing = existingResponse.success ? existingResponse.data : [];
+      const today = toDateKey(new Date());
+      // Past one-off events and events already in the dashboard start unticked
+      const initial = {};
+      parsed.forEach(({ event }, index) => {
+        const isPast = !event.isRecurring && event.date < today;
+        initial[index] = !isPast && !findExisting(event, existing);
+      });
+
+      setFileName(file.name);
+      setItems(parsed);
+      setExistingEvents(existing);
+      setSelected(initial);
+      setStep('preview');
+    } catch (error) {
+      console.error('Error reading calendar file:', error);
+      toast.error('Could not read the calendar file');
+    } finally {
+      setParsing(false);
+      e.target.value = '';
+    }
+  };
+
+  const findExisting = (event, existing) =>
+    existing.find(other =>
+      other.title?.trim().toLowerCase() === event.title?.trim().toLowerCase() &&
+      eventDateKey(other) === event.date
+    );
+
+  // Apply the defaults and check each event
+  const rows = useMemo(() => items.map((item, index) => {
+    const event = {
+      ...item.event,
+      category: item.event.category || defaults.category,
+      location: item.event.location || defaults.location.trim(),
+      time: item.event.time || defaults.time
+    };
+
+    const errors = [...item.errors];
+    if (!event.title?.trim()) errors.push('Missing title');
+    if (!event.date) errors.push('Missing date');
+    if (!event.location) errors.push('Missing location');
+    if (!event.time) errors.push('Missing start time');
+    if (event.time && event.endTime && event.endTime <= event.time) event.endTime = '';
+
+    const warnings = [...item.warnings];
+    if (findExisting(event, existingEvents)) warnings.push('An event with this title and date already exists');
+    if (!event.isRecurring && event.date && event.date < toDateKey(new Date())) warnings.push('Already happened');
+
+    return { index, event, errors, warnings };
+  }), [items, defaults, existingEvents]);
+
+  const importable = rows.filter(row => selected[row.index] && row.errors.length === 0);
+
+  const handleDefaultChange = (e) => {
+    const { name, value } = e.target;
+    setDefaults(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleToggleAll = (checked) => {
+    const next = {};
+    rows.forEach(row => {
+      next[row.index] = checked && row.errors.length === 0;
+    });
+    setSelected(next);
+  };
+
+  const handleImport = async () => {
+    if (importable.length === 0) {
+      toast.error('Select at least one valid event to import');
+      return;
+    }
+
+    try {
+      setImporting(true);
+      const response = await eventsAPI.bulkCreateEvents(importable.map(row => row.event));
+
+      if (!response.data) {
+        toast.error(response.message);
+        return;
+      }
+
+      const results = response.data.results.map((result, i) => {
+        const ok = result.status === 'fulfilled' && result.value.success;
+        return {
+          title: importable[i].event.title,
+          date: importable[i].event.date,
+          status: ok ? 'created' : 'failed',
+          message: ok
+            ? ''
+            : result.value?.message || result.reason?.message || 'Failed to create event'
+        };
+      });
+
+      setImportResult({ ...response.data, results });
+      setStep('results');
+      window.dispatchEvent(new CustomEvent('refresh-events'));
+
+      if (response.success) {
+        toast.success(response.message);
+      } else {
+        toast.warning(response.message);
+      }
+    } catch (error) {
+      console.error('Error importing events:', error);
+      toast.error('Failed to import events');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const resetImport = () => {
+    setStep('upload');
+    setFileName('');
+    setItems([]);
+    setSelected({});
+    setImportResult(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Import Events</h1>
+          <p className="text-gray-600 mt-1">Bring events in from Google, Apple or Outlook calendar files</p>
+        </div>
+        <button
+          onClick={() => navigate('/events')}
+          className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          <i className="ri-arrow-left-line mr-2"></i>
+          Back to Events
+        </button>
+      </div>
+
+      {/* Upload */}
+      {step === 'upload' && (
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <label className="flex flex-col items-center justify-center w-full h-56 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:bg-gray-50">
+            {parsing ? (
+              <>
+                <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+                <p className="mt-3 text-sm text-gray-600">Reading calendar...</p>
+              </>
+            ) : (
+              <>
+                <i className="ri-calendar-2-line text-4xl text-blue-600"></i>
+                <p className="mt-3 text-sm font-medium text-gray-900">Click to choose an .ics file</p>
+                <p className="text-xs text-gray-500 mt-1">Repeating events keep their repeat rules and skipped dates.</p>
+              </>
+            )}
+            <input
+              type="file"
+              accept=".ics,.ical,.ifb,text/calendar"
+              onChange={handleFileChange}
+              disabled={parsing}
+              className="hidden"
+            />
+          </label>
+          <div className="mt-4 p-3 bg-blue-50 rounded-lg">
+            <p className="text-sm text-blue-700">
+              <i className="ri-information-line mr-2"></i>
+              The file is read in your browser. Nothing is saved until you confirm the import.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Preview */}
+      {step === 'preview' && (
+        <>
+          <div className="bg-white p-6 rounded-lg shadow-sm border">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Defaults</h2>
+            <p className="text-sm text-gray-600 mb-4">Used for events in {fileName} that don't have these details.</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Category</label>
+                <select
+                  name="category"
+                  value={defaults.category}
+                  onChange={handleDefaultChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {EVENT_CATEGORIES.map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Location</label>
+                <input
+                  type="text"
+                  name="location"
+                  value={defaults.location}
+                  onChange={handleDefaultChange}
+                  placeholder="e.g., Main Auditorium"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Start time for all-day events</label>
+                <input
+                  type="time"
+                  name="time"
+                  value={defaults.time}
+                  onChange={handleDefaultChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">
+                Events ({importable.length} of {rows.length} selected)
+              </h2>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={importable.length > 0 && importable.length === rows.filter(r => r.errors.length === 0).length}
+                  onChange={(e) => handleToggleAll(e.target.checked)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                />
+                Select all valid
+              </label>
+            </div>
+            <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-4 py-3"></th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date & Time</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Notes</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rows.map(row => (
+                    <tr key={row.index} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                      <td className="px-4 py-3">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(selected[row.index]) && row.errors.length === 0}
+                          disabled={row.errors.length > 0}
+                          onChange={(e) => setSelected(prev => ({ ...prev, [row.index]: e.target.checked }))}
+                          className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                        />
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="text-sm font-medium text-gray-900">{row.event.title || '—'}</div>
+                        <div className="text-xs text-gray-500">{row.event.category}</div>
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{row.event.date ? formatDateKey(row.event.date) : '—'}</div>
+                        <div className="text-xs text-gray-500">
+                          {row.event.time}{row.event.endTime && ` - ${row.event.endTime}`}
+                        </div>
+                        {row.event.isRecurring && (
+                          <div className="text-xs text-purple-700">
+                            <i className="ri-repeat-line mr-1"></i>
+                            {describeRecurrence(row.event.recurrenceRule, row.event.date)}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{row.event.location || '—'}</td>
+                      <td className="px-4 py-3">
+                        <ul className="text-xs space-y-0.5">
+                          {row.errors.map(err => (
+                            <li key={err} className="text-red-700"><i className="ri-error-warning-line mr-1"></i>{err}</li>
+                          ))}
+                          {row.warnings.map(warning => (
+                            <li key={warning} className="text-yellow-700"><i className="ri-alert-line mr-1"></i>{warning}</li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={resetImport}
+              disabled={importing}
+              className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              Choose Another File
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={importing || importable.length === 0}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center"
+            >
+              <i className="ri-upload-2-line mr-2"></i>
+              {importing ? 'Importing...' : `Import ${importable.length} Event${importable.length === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </>
+      )}
+
+      {/* Results */}
+      {step === 'results' && importResult && (
+        <>
+          <div className="grid grid-cols-3 gap-4">
+            {['total', 'successful', 'failed'].map(key => (
+              <div key={key} className="bg-white p-4 rounded-lg shadow-sm border">
+                <p className="text-sm text-gray-600 capitalize">{key}</p>
+                <p className="text-lg font-semibold text-gray-900">{importResult[key]}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Results</h2>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {importResult.results.map((result, index) => (
+                    <tr key={index}>
+                      <td className="px-4 py-3 text-sm font-medium text-gray-900">{result.title}</td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{formatDateKey(result.date)}</td>
+                      <td className="px-4 py-3">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[result.status]}`}>
+                          {result.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{result.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={resetImport}
+              className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Import Another File
+            </button>
+            <button
+              onClick={() => navigate('/events')}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Done
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportEvents;
@@ -0,0 +1,592 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { membersAPI } from '@/Services/membersAPI';
+import {
+  IMPORT_FIELDS,
+  parseSpreadsheet,
+  autoMapColumns,
+  buildMemberFromRow,
+  validateImportedMember,
+  findRepeatedRows
+} from '@/lib/memberImport';
+import { findExistingMember } from '@/lib/duplicates';
+import { downloadCSV } from '@/lib/csv';
+import { toast } from 'react-toastify';
+
+const STEPS = [
+  { key: 'upload', label: 'Upload File' },
+  { key: 'map', label: 'Map Columns' },
+  { key: 'preview', label: 'Preview & Validate' },
+  { key: 'results', label: 'Results' }
+];
+
+const STATUS_STYLES = {
+  created: 'bg-green-100 text-green-800',
+  updated: 'bg-blue-100 text-blue-800',
+  skipped: 'bg-gray-100 text-gray-700',
+  failed: 'bg-red-100 text-red-800',
+  invalid: 'bg-red-100 text-red-800'
+};
+
+const ImportMembers = () => {
+  const navigate = useNavigate();
+
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [departments, setDepartments] = useState([]);
+  const [existingMembers, setExistingMembers] = useState([]);
+  const [onExisting, setOnExisting] = useState('skip');
+  const [previewFilter, setPreviewFilter] = useState('all');
+  const [parsing, setParsing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [importResult, setImportResult] = useState(null);
+
+  useEffect(() => {
+    fetchReferenceData();
+  }, []);
+
+  const fetchReferenceData = async () => {
+    try {
+      const [departmentsResponse, membersResponse] = await Promise.all([
+        membersAPI.getDepartments(),
+        membersAPI.getMembers()
+      ]);
+      if (departmentsResponse.success) {
+        setDepartments(departmentsResponse.data);
+      }
+      if (membersResponse.success) {
+        setExistingMembers(membersResponse.data);
+      }
+    } catch (error) {
+      console.error('Error fetching import reference data:', error);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    if (!/\.(csv|xlsx|xls)$/i.test(file.name)) {
+      toast.error('Please choose a CSV or Excel file');
+      return;
+    }
+
+    try {
+      setParsing(true);
+      const parsed = await parseSpreadsheet(file);
+
+      if (parsed.rows.length === 0) {
+        toast.error('The file has no data rows');
+        return;
+      }
+
+      setFileName(file.name);
+      setHeaders(parsed.headers);
+      setRows(parsed.rows);
+      setMapping(autoMapColumns(parsed.headers));
+      setStep('map');
+    } catch (error) {
+      console.error('Error parsing import file:', error);
+      toast.error(error.message || 'Could not read the file');
+    } finally {
+      setParsing(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleMappingChange = (header, fieldKey) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      // A field can only come from one column
+      Object.keys(next).forEach(h => {
+        if (fieldKey && next[h] === fieldKey) delete next[h];
+      });
+      if (fieldKey) next[header] = fieldKey;
+      else delete next[header];
+      return next;
+    });
+  };
+
+  const mappedFields = Object.values(mapping);
+  const missingRequired = IMPORT_FIELDS.filter(f => f.required && !mappedFields.includes(f.key));
+
+  // Build, validate and match every row against existing members
+  const previewRows = useMemo(() => {
+    if (step !== 'preview' && step !== 'results') return [];
+
+    const built = rows.map(row =>
+      validateImportedMember(buildMemberFromRow(row, headers, mapping), { departments })
+    );
+    const repeats = findRepeatedRows(built.map(b => b.member));
+
+    return built.map(({ member, errors }, index) => {
+      const rowErrors = [...errors];
+      if (repeats[index] !== undefined) {
+        rowErrors.push(`Same person as row ${repeats[index] + 2}`);
+      }
+      return {
+        // +2: spreadsheet rows are 1-based and row 1 is the header
+        rowNumber: index + 2,
+        member,
+        errors: rowErrors,
+        existingMember: findExistingMember(member, existingMembers)
+      };
+    });
+  }, [step, rows, headers, mapping, departments, existingMembers]);
+
+  const validRows = previewRows.filter(r => r.errors.length === 0);
+  const invalidRows = previewRows.filter(r => r.errors.length > 0);
+  const existingRows = validRows.filter(r => r.existingMember);
+
+  const filteredPreview = previewRows.filter(r => {
+    if (previewFilter === 'errors') return r.errors.length > 0;
+    if (previewFilter === 'valid') return r.errors.length === 0;
+    if (previewFilter === 'existing') return r.errors.length === 0 && r.existingMember;
+    return true;
+  });
+
+  const handleImport = async () => {
+    if (validRows.length === 0) {
+      toast.error('There are no valid rows to import');
+      return;
+    }
+
+    try {
+      setImporting(true);
+      setProgress(0);
+
+      const response = await membersAPI.importMemberRows(validRows, {
+        onExisting,
+        onProgress: setProgress
+      });
+
+      // Rows that never left the browser still belong in the report
+      const results = [
+        ...response.data.results,
+        ...invalidRows.map(r => ({
+          rowNumber: r.rowNumber,
+          name: r.member.name,
+          status: 'invalid',
+          message: r.errors.join('; ')
+        }))
+      ].sort((a, b) => a.rowNumber - b.rowNumber);
+
+      setImportResult({ ...response.data, invalid: invalidRows.length, results });
+      setStep('results');
+
+      if (response.success) {
+        toast.success(response.message);
+      } else {
+        toast.warning(response.message);
+      }
+    } catch (error) {
+      console.error('Error importing members:', error);
+      toast.error('Failed to import members');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDownloadReport = () => {
+    const base = fileName.replace(/\.[^.]+$/, '');
+    downloadCSV(
+      importResult.results,
+      [
+        { key: 'rowNumber', label: 'Row' },
+        { key: 'name', label: 'Name' },
+        { key: 'status', label: 'Result' },
+        { key: 'message', label: 'Details' },
+        { key: 'memberId', label: 'Member ID' }
+      ],
+      `${base}_import_report_${new Date().toISOString().split('T')[0]}.csv`
+    );
+  };
+
+  const resetWizard = () => {
+    setStep('upload');
+    setFileName('');
+    setHeaders([]);
+    setRows([]);
+    setMapping({});
+    setImportResult(null);
+    setPreviewFilter('all');
+    fetchReferenceData();
+  };
+
+  const currentStepIndex = STEPS.findIndex(s => s.key === step);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Import Members</h1>
+          <p className="text-gray-600 mt-1">Bring members in from a CSV or Excel spreadsheet</p>
+        </div>
+        <button
+          onClick={() => navigate('/members')}
+          className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          <i className="ri-arrow-left-line mr-2"></i>
+          Back to Members
+        </button>
+      </div>
+
+      {/* Steps */}
+      <div className="bg-white p-4 rounded-lg shadow-sm border">
+        <ol className="flex items-center justify-between">
+          {STEPS.map((s, index) => (
+            <li key={s.key} className="flex items-center flex-1">
+              <span className={`flex items-center justify-center h-8 w-8 rounded-full text-sm font-semibold ${
+                index < currentStepIndex
+                  ? 'bg-green-600 text-white'
+                  : index === currentStepIndex
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-200 text-gray-600'
+              }`}>
+                {index < currentStepIndex ? <i className="ri-check-line"></i> : index + 1}
+              </span>
+              <span className={`ml-2 text-sm font-medium ${index === currentStepIndex ? 'text-gray-900' : 'text-gray-500'}`}>
+                {s.label}
+              </span>
+              {index < STEPS.length - 1 && <div className="flex-1 h-px bg-gray-200 mx-4"></div>}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      {/* Step 1: Upload */}
+      {step === 'upload' && (
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <label className="flex flex-col items-center justify-center w-full h-56 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:bg-gray-50">
+            {parsing ? (
+              <>
+                <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+                <p className="mt-3 text-sm text-gray-600">Reading file...</p>
+              </>
+            ) : (
+              <>
+                <i className="ri-file-excel-2-line text-4xl text-green-600"></i>
+                <p className="mt-3 text-sm font-medium text-gray-900">Click to choose a spreadsheet</p>
+                <p className="text-xs text-gray-500 mt-1">CSV, XLS or XLSX. The first row must contain column headings.</p>
+              </>
+            )}
+            <input
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              onChange={handleFileChange}
+              disabled={parsing}
+              className="hidden"
+            />
+          </label>
+          <div className="mt-4 p-3 bg-blue-50 rounded-lg">
+            <p className="text-sm text-blue-700">
+              <i className="ri-information-line mr-2"></i>
+              The file is read in your browser. Nothing is uploaded until you confirm the import.
+              Dates such as 14/03/1990 are read day first.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Step 2: Map columns */}
+      {step === 'map' && (
+        <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Map Columns</h2>
+            <p className="text-sm text-gray-600">
+              {fileName} • {rows.length} rows. Choose which member field each column fills.
+            </p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Spreadsheet Column
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Sample Values
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Member Field
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {headers.map((header, index) => (
+                  <tr key={header}>
+                    <td className="px-6 py-3 text-sm font-medium text-gray-900">{header}</td>
+                    <td className="px-6 py-3 text-xs text-gray-500">
+                      {rows.slice(0, 3).map(row => {
+                        const cell = row[index];
+                        return cell instanceof Date ? cell.toLocaleDateString() : String(cell ?? '');
+                      }).filter(Boolean).join(' • ') || '—'}
+                    </td>
+                    <td className="px-6 py-3">
+                      <select
+                        value={mapping[header] || ''}
+                        onChange={(e) => handleMappingChange(header, e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="">Don't import</option>
+                        {IMPORT_FIELDS.map(field => (
+                          <option key={field.key} value={field.key}>
+                            {field.label}{field.required ? ' *' : ''}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {missingRequired.length > 0 && (
+            <div className="mx-6 mt-4 p-3 bg-yellow-50 rounded-lg">
+              <p className="text-sm text-yellow-800">
+                <i className="ri-error-warning-line mr-2"></i>
+                Map a column to: {missingRequired.map(f => f.label).join(', ')}
+              </p>
+            </div>
+          )}
+          <div className="flex justify-end space-x-3 p-6">
+            <button
+              onClick={resetWizard}
+              className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Choose Another File
+            </button>
+            <button
+              onClick={() => setStep('preview')}
+              disabled={missingRequired.length > 0}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Preview Rows
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Step 3: Preview */}
+      {step === 'preview' && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            {[
+              { key: 'all', label: 'Total Rows', value: previewRows.length, icon: 'ri-file-list-line text-blue-600', bg: 'bg-blue-100' },
+              { key: 'valid', label: 'Ready to Import', value: validRows.length, icon: 'ri-checkbox-circle-line text-green-600', bg: 'bg-green-100' },
+              { key: 'errors', label: 'With Errors', value: invalidRows.length, icon: 'ri-error-warning-line text-red-600', bg: 'bg-red-100' },
+              { key: 'existing', label: 'Already Members', value: existingRows.length, icon: 'ri-user-shared-line text-yellow-600', bg: 'bg-yellow-100' }
+            ].map(card => (
+              <button
+                key={card.key}
+                onClick={() => setPreviewFilter(card.key)}
+                className={`bg-white p-4 rounded-lg shadow-sm border text-left ${
+                  previewFilter === card.key ? 'ring-2 ring-blue-500' : ''
+                }`}
+              >
+                <div className="flex items-center">
+                  <div className={`p-2 ${card.bg} rounded-lg`}>
+                    <i className={card.icon}></i>
+                  </div>
+                  <div className="ml-3">
+                    <p className="text-sm text-gray-600">{card.label}</p>
+                    <p className="text-lg font-semibold text-gray-900">{card.value}</p>
+                  </div>
+                </div>
+              </button>
+            ))}
+          </div>
+
+          <div className="bg-white p-6 rounded-lg shadow-sm border">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Existing Members</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              {existingRows.length} row{existingRows.length === 1 ? '' : 's'} match a member already on file by email or phone.
+            </p>
+            <div className="flex flex-col sm:flex-row sm:space-x-6 space-y-2 sm:space-y-0">
+              <label className="inline-flex items-center">
+                <input
+                  type="radio"
+                  name="onExisting"
+                  value="skip"
+                  checked={onExisting === 'skip'}
+                  onChange={(e) => setOnExisting(e.target.value)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                />
+                <span className="ml-2 text-sm text-gray-700">Skip them and leave the existing record unchanged</span>
+              </label>
+              <label className="inline-flex items-center">
+                <input
+                  type="radio"
+                  name="onExisting"
+                  value="update"
+                  checked={onExisting === 'update'}
+                  onChange={(e) => setOnExisting(e.target.value)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                />
+                <span className="ml-2 text-sm text-gray-700">Update the existing record with filled-in columns</span>
+              </label>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+            <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contact</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date of Birth</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {filteredPreview.map(row => (
+                    <tr key={row.rowNumber} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                      <td className="px-4 py-3 text-sm text-gray-500">{row.rowNumber}</td>
+                      <td className="px-4 py-3 text-sm font-medium text-gray-900">{row.member.name || '—'}</td>
+                      <td className="px-4 py-3">
+                        <div className="text-sm text-gray-900">{row.member.email}</div>
+                        <div className="text-xs text-gray-500">{row.member.phone}</div>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{row.member.department}</td>
+                      <td className="px-4 py-3 text-sm text-gray-900">{row.member.dateOfBirth}</td>
+                      <td className="px-4 py-3">
+                        {row.errors.length > 0 ? (
+                          <ul className="text-xs text-red-700 space-y-0.5">
+                            {row.errors.map(err => (
+                              <li key={err}><i className="ri-error-warning-line mr-1"></i>{err}</li>
+                            ))}
+                          </ul>
+                        ) : row.existingMember ? (
+                          <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                            {onExisting === 'skip' ? 'Will skip' : 'Will update'} {row.existingMember.name}
+                          </span>
+                        ) : (
+                          <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                            New member
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {filteredPreview.length === 0 && (
+              <div className="text-center py-12">
+                <p className="text-gray-500">No rows in this view.</p>
+              </div>
+            )}
+          </div>
+
+          {importing && (
+            <div className="bg-white p-4 rounded-lg shadow-sm border">
+              <div className="flex justify-between text-sm text-gray-700 mb-2">
+                <span>Importing members...</span>
+                <span>{progress}%</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div className="bg-blue-600 h-2 rounded-full transition-all" style={{ width: `${progress}%` }}></div>
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={() => setStep('map')}
+              disabled={importing}
+              className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              Back to Mapping
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={importing || validRows.length === 0}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center"
+            >
+              <i className="ri-upload-2-line mr-2"></i>
+              {importing ? 'Importing...' : `Import ${validRows.length} Row${validRows.length === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </>
+      )}
+
+      {/* Step 4: Results */}
+      {step === 'results' && importResult && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {['created', 'updated', 'skipped', 'failed', 'invalid'].map(status => (
+              <div key={status} className="bg-white p-4 rounded-lg shadow-sm border">
+                <p className="text-sm text-gray-600 capitalize">{status}</p>
+                <p className="text-lg font-semibold text-gray-900">{importResult[status]}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">Row Results</h2>
+              <button
+                onClick={handleDownloadReport}
+                className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+              >
+                <i className="ri-download-line mr-2"></i>
+                Download Report
+              </button>
+            </div>
+            <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {importResult.results.map(result => (
+                    <tr key={result.rowNumber}>
+                      <td className="px-4 py-3 text-sm text-gray-500">{result.rowNumber}</td>
+                      <td className="px-4 py-3 text-sm font-medium text-gray-900">{result.name || '—'}</td>
+                      <td className="px-4 py-3">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[result.status]}`}>
+                          {result.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{result.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={resetWizard}
+              className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Import Another File
+            </button>
+            <button
+              onClick={() => navigate('/members')}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Done
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportMembers;
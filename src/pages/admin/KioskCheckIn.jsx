@@ -0,0 +1,623 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import { attendanceAPI } from "@/Services/attendanceAPI";
+import { useOfflineSync } from "@/contexts/OfflineSyncContext";
+import { offlineStore } from "@/lib/offlineStore";
+import { parseMemberQr } from "@/lib/memberQr";
+import {
+  getKioskSession,
+  startKioskSession,
+  endKioskSession,
+  verifyKioskPin,
+  pinLockRemaining,
+  currentTimeArrived,
+} from "@/lib/kiosk";
+import QrScanner from "@/components/attendance/QrScanner";
+
+const RESET_DELAY = 4000;
+const PIN_LENGTH = 4;
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+  });
+
+const KioskCheckIn = () => {
+  const navigate = useNavigate();
+  const { isOnline, queueCheckIn } = useOfflineSync();
+  const [session, setSession] = useState(getKioskSession);
+
+  // Setup
+  const [serviceTypes, setServiceTypes] = useState([]);
+  const [setupData, setSetupData] = useState({
+    date: new Date().toISOString().split("T")[0],
+    serviceType: "",
+    pin: "",
+    confirmPin: "",
+  });
+  const [setupErrors, setSetupErrors] = useState({});
+
+  // Check-in
+  const [members, setMembers] = useState([]);
+  const [loadingMembers, setLoadingMembers] = useState(false);
+  const [mode, setMode] = useState("search");
+  const [searchTerm, setSearchTerm] = useState("");
+  const [scanInput, setScanInput] = useState("");
+  const [scanMessage, setScanMessage] = useState("");
+  const [selectedMember, setSelectedMember] = useState(null);
+  const [checkingIn, setCheckingIn] = useState(false);
+  const [result, setResult] = useState(null);
+  const [checkedInIds, setCheckedInIds] = useState(new Set());
+
+  // Exit
+  const [showExit, setShowExit] = useState(false);
+  const [pin, setPin] = useState("");
+  const [pinError, setPinError] = useState("");
+
+  const resetTimer = useRef(null);
+  const scanInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!session) {
+      fetchServiceTypes();
+      return;
+    }
+
+    fetchMembers();
+    fetchCheckedIn();
+
+    // Keep the back button and swipe gestures on the kiosk screen
+    window.history.pushState(null, "", window.location.href);
+    const handlePopState = () => {
+      window.history.pushState(null, "", window.location.href);
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [session]);
+
+  useEffect(() => () => clearTimeout(resetTimer.current), []);
+
+  useEffect(() => {
+    if (session && mode === "scan" && !selectedMember && !result) {
+      scanInputRef.current?.focus();
+    }
+  }, [session, mode, selectedMember, result]);
+
+  const fetchServiceTypes = async () => {
+    try {
+      const response = await attendanceAPI.getServiceTypes();
+      setServiceTypes(response.data || []);
+    } catch (error) {
+      console.error("Error fetching service types:", error);
+    }
+  };
+
+  const fetchMembers = async () => {
+    try {
+      setLoadingMembers(true);
+      const response = await attendanceAPI.getMembersForAttendance();
+      let list = response.success ? response.data : null;
+
+      if (list) {
+        offlineStore.setCache("attendance-members", list).catch(() => {});
+      } else {
+        list = await offlineStore.getCache("attendance-members").catch(() => null);
+      }
+
+      if (list) {
+        setMembers(list);
+      } else {
+        toast.error("Failed to load members");
+      }
+    } catch (error) {
+      console.error("Error fetching members:", error);
+      toast.error("Failed to load members");
+    } finally {
+      setLoadingMembers(false);
+    }
+  };
+
+  // Members already on the record shouldn't be told they checked in twice
+  const fetchCheckedIn = async () => {
+    try {
+      const response = await attendanceAPI.findAttendanceRecord(session.date, session.serviceType);
+      if (response.success && response.data) {
+        setCheckedInIds(
+          new Set(
+            (response.data.members || [])
+              .filter((m) => m.present !== false)
+              .map((m) => String(m.memberId))
+          )
+        );
+      }
+    } catch (error) {
+      console.error("Error fetching attendance record:", error);
+    }
+  };
+
+  const handleSetupChange = (e) => {
+    const { name, value } = e.target;
+    setSetupData((prev) => ({ ...prev, [name]: value }));
+    if (setupErrors[name]) {
+      setSetupErrors((prev) => ({ ...prev, [name]: "" }));
+    }
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+
+    const errors = {};
+    if (!setupData.date) errors.date = "Date is required";
+    if (!setupData.serviceType) errors.serviceType = "Service type is required";
+    if (!new RegExp(`^\\d{${PIN_LENGTH}}$`).test(setupData.pin)) {
+      errors.pin = `PIN must be ${PIN_LENGTH} digits`;
+    } else if (setupData.pin !== setupData.confirmPin) {
+      errors.confirmPin = "PINs do not match";
+    }
+    setSetupErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const started = await startKioskSession(setupData);
+    document.documentElement.requestFullscreen?.().catch(() => {});
+    setSession(started);
+  };
+
+  const resetScreen = () => {
+    clearTimeout(resetTimer.current);
+    setSelectedMember(null);
+    setResult(null);
+    setSearchTerm("");
+    setScanInput("");
+    setScanMessage("");
+  };
+
+  const showResult = (outcome) => {
+    setResult(outcome);
+    clearTimeout(resetTimer.current);
+    resetTimer.current = setTimeout(resetScreen, RESET_DELAY);
+  };
+
+  const matches = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (term.length < 2) return [];
+    return members
+      .filter((member) => member.name?.toLowerCase().includes(term))
+      .slice(0, 8);
+  }, [members, searchTerm]);
+
+  const handleScan = (text) => {
+    if (selectedMember || result || checkingIn) return;
+
+    const memberId = parseMemberQr(text);
+    const member = memberId && members.find((m) => String(m.id) === memberId);
+    if (!member) {
+      setScanMessage("Card not recognised. Please search for your name instead.");
+      return;
+    }
+    setScanMessage("");
+    setSelectedMember(member);
+  };
+
+  // Keyboard-wedge scanners type the payload and press Enter
+  const handleScanSubmit = (e) => {
+    e.preventDefault();
+    handleScan(scanInput);
+    setScanInput("");
+  };
+
+  const handleConfirm = async () => {
+    const member = selectedMember;
+    if (checkedInIds.has(String(member.id))) {
+      showResult({ type: "already", member });
+      return;
+    }
+
+    const checkIn = [{ memberId: member.id, timeArrived: currentTimeArrived() }];
+
+    try {
+      setCheckingIn(true);
+
+      let saved = false;
+      if (navigator.onLine) {
+        const response = await attendanceAPI.checkInMembers(session.date, session.serviceType, checkIn);
+        if (response.success) {
+          saved = true;
+        } else if (!response.offline) {
+          showResult({ type: "error", member, message: response.message });
+          return;
+        }
+      }
+
+      if (!saved) {
+        await queueCheckIn(session.date, session.serviceType, checkIn);
+      }
+
+      setCheckedInIds((prev) => new Set(prev).add(String(member.id)));
+      showResult({ type: "success", member });
+    } catch (error) {
+      console.error("Error checking in:", error);
+      showResult({ type: "error", member, message: "Check-in failed. Please see an usher." });
+    } finally {
+      setCheckingIn(false);
+    }
+  };
+
+  const handlePinDigit = (digit) => {
+    setPinError("");
+    setPin((prev) => (prev.length < PIN_LENGTH ? prev + digit : prev));
+  };
+
+  const handleExit = async () => {
+    if (!(await verifyKioskPin(pin))) {
+      const wait = pinLockRemaining();
+      setPinError(
+        wait > 0 ? `Too many incorrect PINs. Try again in ${Math.ceil(wait / 1000)} seconds.` : "Incorrect PIN"
+      );
+      setPin("");
+      return;
+    }
+
+    endKioskSession();
+    if (document.fullscreenElement) {
+      document.exitFullscreen?.().catch(() => {});
+    }
+    navigate("/attendance", { replace: true });
+  };
+
+  // Setup screen
+  if (!session) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <form onSubmit={handleStart} className="bg-white p-6 rounded-lg shadow-sm border w-full max-w-md space-y-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Start Kiosk Mode</h1>
+            <p className="text-gray-600 mt-1">
+              Members will check themselves in to this service. An admin PIN is needed to leave the kiosk.
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Date *</label>
+            <input
+              type="date"
+              name="date"
+              value={setupData.date}
+              onChange={handleSetupChange}
+              className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                setupErrors.date ? "border-red-500" : "border-gray-300"
+              }`}
+            />
+            {setupErrors.date && <p className="mt-1 text-sm text-red-600">{setupErrors.date}</p>}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Service Type *</label>
+            <select
+              name="serviceType"
+              value={setupData.serviceType}
+              onChange={handleSetupChange}
+              className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                setupErrors.serviceType ? "border-red-500" : "border-gray-300"
+              }`}
+            >
+              <option value="">Select service type</option>
+              {serviceTypes.map((type) => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+            {setupErrors.serviceType && <p className="mt-1 text-sm text-red-600">{setupErrors.serviceType}</p>}
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Exit PIN *</label>
+              <input
+                type="password"
+                name="pin"
+                inputMode="numeric"
+                maxLength={PIN_LENGTH}
+                value={setupData.pin}
+                onChange={handleSetupChange}
+                className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  setupErrors.pin ? "border-red-500" : "border-gray-300"
+                }`}
+              />
+              {setupErrors.pin && <p className="mt-1 text-sm text-red-600">{setupErrors.pin}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Confirm PIN *</label>
+              <input
+                type="password"
+                name="confirmPin"
+                inputMode="numeric"
+                maxLength={PIN_LENGTH}
+                value={setupData.confirmPin}
+                onChange={handleSetupChange}
+                className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  setupErrors.confirmPin ? "border-red-500" : "border-gray-300"
+                }`}
+              />
+              {setupErrors.confirmPin && <p className="mt-1 text-sm text-red-600">{setupErrors.confirmPin}</p>}
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={() => navigate("/attendance")}
+              className="px-6 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              <i className="ri-lock-line mr-2"></i>
+              Start Kiosk
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex flex-col select-none">
+      {/* Header */}
+      <div className="flex items-center justify-between px-6 py-4 bg-white shadow-sm">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Welcome! Please check in</h1>
+          <p className="text-gray-600">
+            {session.serviceType} • {formatDate(session.date)}
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          {!isOnline && (
+            <span className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-yellow-100 text-yellow-800">
+              <i className="ri-wifi-off-line mr-1"></i>
+              Offline
+            </span>
+          )}
+          <button
+            onClick={() => {
+              setPin("");
+              setPinError("");
+              setShowExit(true);
+            }}
+            className="p-2 text-gray-400 hover:text-gray-600"
+            title="Exit kiosk"
+          >
+            <i className="ri-lock-line text-xl"></i>
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 flex items-start justify-center p-6">
+        <div className="w-full max-w-2xl">
+          {result ? (
+            <div className="bg-white p-10 rounded-lg shadow-sm border text-center">
+              {result.type === "success" && (
+                <>
+                  <div className="w-24 h-24 mx-auto mb-4 bg-green-100 rounded-full flex items-center justify-center">
+                    <i className="ri-check-line text-green-600 text-5xl"></i>
+                  </div>
+                  <h2 className="text-3xl font-bold text-gray-900">Welcome, {result.member.name}!</h2>
+                  <p className="text-gray-600 mt-2">You are checked in. Enjoy the service.</p>
+                </>
+              )}
+              {result.type === "already" && (
+                <>
+                  <div className="w-24 h-24 mx-auto mb-4 bg-blue-100 rounded-full flex items-center justify-center">
+                    <i className="ri-user-follow-line text-blue-600 text-5xl"></i>
+                  </div>
+                  <h2 className="text-3xl font-bold text-gray-900">Hi {result.member.name}</h2>
+                  <p className="text-gray-600 mt-2">You are already checked in for this service.</p>
+                </>
+              )}
+              {result.type === "error" && (
+                <>
+                  <div className="w-24 h-24 mx-auto mb-4 bg-red-100 rounded-full flex items-center justify-center">
+                    <i className="ri-error-warning-line text-red-600 text-5xl"></i>
+                  </div>
+                  <h2 className="text-3xl font-bold text-gray-900">Something went wrong</h2>
+                  <p className="text-gray-600 mt-2">{result.message}</p>
+                </>
+              )}
+              <button
+                onClick={resetScreen}
+                className="mt-8 px-8 py-3 bg-blue-600 text-white text-lg rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Done
+              </button>
+            </div>
+          ) : selectedMember ? (
+            <div className="bg-white p-10 rounded-lg shadow-sm border text-center">
+              <div className="w-24 h-24 mx-auto mb-4 bg-blue-100 rounded-full flex items-center justify-center">
+                {selectedMember.avatar ? (
+                  <img src={selectedMember.avatar} alt={selectedMember.name} className="w-24 h-24 rounded-full" />
+                ) : (
+                  <span className="text-4xl font-bold text-blue-600">
+                    {selectedMember.name?.charAt(0).toUpperCase()}
+                  </span>
+                )}
+              </div>
+              <h2 className="text-3xl font-bold text-gray-900">Are you {selectedMember.name}?</h2>
+              {selectedMember.department && (
+                <p className="text-gray-600 mt-2">{selectedMember.department}</p>
+              )}
+              <div className="flex justify-center space-x-4 mt-8">
+                <button
+                  onClick={resetScreen}
+                  disabled={checkingIn}
+                  className="px-8 py-3 bg-gray-100 text-gray-700 text-lg rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50"
+                >
+                  No, go back
+                </button>
+                <button
+                  onClick={handleConfirm}
+                  disabled={checkingIn}
+                  className="px-8 py-3 bg-green-600 text-white text-lg rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+                >
+                  {checkingIn ? "Checking in..." : "Yes, check me in"}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="bg-white p-6 rounded-lg shadow-sm border">
+              <div className="grid grid-cols-2 gap-2 p-1 bg-gray-100 rounded-lg mb-6">
+                <button
+                  onClick={() => setMode("search")}
+                  className={`py-3 rounded-lg text-lg font-medium transition-colors ${
+                    mode === "search" ? "bg-white text-blue-600 shadow-sm" : "text-gray-600"
+                  }`}
+                >
+                  <i className="ri-search-line mr-2"></i>
+                  Find my name
+                </button>
+                <button
+                  onClick={() => setMode("scan")}
+                  className={`py-3 rounded-lg text-lg font-medium transition-colors ${
+                    mode === "scan" ? "bg-white text-blue-600 shadow-sm" : "text-gray-600"
+                  }`}
+                >
+                  <i className="ri-qr-scan-2-line mr-2"></i>
+                  Scan my card
+                </button>
+              </div>
+
+              {loadingMembers ? (
+                <div className="flex items-center justify-center h-40">
+                  <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+                </div>
+              ) : mode === "search" ? (
+                <div>
+                  <input
+                    type="text"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    placeholder="Type your name..."
+                    autoFocus
+                    autoComplete="off"
+                    className="w-full px-4 py-4 text-xl border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <div className="mt-4 space-y-2">
+                    {searchTerm.trim().length >= 2 && matches.length === 0 && (
+                      <p className="text-center text-gray-500 py-6">
+                        No member found. Please see an usher.
+                      </p>
+                    )}
+                    {matches.map((member) => (
+                      <button
+                        key={member.id}
+                        onClick={() => setSelectedMember(member)}
+                        className="w-full flex items-center p-4 border border-gray-200 rounded-lg hover:bg-blue-50 text-left transition-colors"
+                      >
+                        <div className="w-12 h-12 bg-blue-100 rounded-full flex items-center justify-center mr-4">
+                          <span className="text-lg font-semibold text-blue-600">
+                            {member.name?.charAt(0).toUpperCase()}
+                          </span>
+                        </div>
+                        <div className="flex-1">
+                          <p className="text-lg font-medium text-gray-900">{member.name}</p>
+                          {member.department && (
+                            <p className="text-sm text-gray-500">{member.department}</p>
+                          )}
+                        </div>
+                        {checkedInIds.has(String(member.id)) && (
+                          <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                            Checked in
+                          </span>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ) : (
+                <div>
+                  <QrScanner onScan={handleScan} paused={Boolean(selectedMember)} facingMode="user" className="h-80" />
+                  <form onSubmit={handleScanSubmit} className="mt-4">
+                    <input
+                      ref={scanInputRef}
+                      type="text"
+                      value={scanInput}
+                      onChange={(e) => setScanInput(e.target.value)}
+                      placeholder="Hold your card up to the camera or scanner"
+                      autoComplete="off"
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg text-center focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </form>
+                  {scanMessage && (
+                    <p className="mt-3 text-center text-red-600">{scanMessage}</p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Exit PIN pad */}
+      {showExit && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-xs">
+            <h3 className="text-lg font-semibold text-gray-900 text-center">Admin PIN</h3>
+            <div className="flex justify-center space-x-3 my-4">
+              {Array.from({ length: PIN_LENGTH }).map((_, index) => (
+                <span
+                  key={index}
+                  className={`w-4 h-4 rounded-full ${index < pin.length ? "bg-blue-600" : "bg-gray-200"}`}
+                ></span>
+              ))}
+            </div>
+            {pinError && <p className="text-center text-sm text-red-600 mb-2">{pinError}</p>}
+            <div className="grid grid-cols-3 gap-2">
+              {["1", "2", "3", "4", "5", "6", "7", "8", "9"].map((digit) => (
+                <button
+                  key={digit}
+                  onClick={() => handlePinDigit(digit)}
+                  className="py-3 text-xl font-medium bg-gray-100 rounded-lg hover:bg-gray-200"
+                >
+                  {digit}
+                </button>
+              ))}
+              <button
+                onClick={() => setShowExit(false)}
+                className="py-3 text-sm bg-gray-100 rounded-lg hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => handlePinDigit("0")}
+                className="py-3 text-xl font-medium bg-gray-100 rounded-lg hover:bg-gray-200"
+              >
+                0
+              </button>
+              <button
+                onClick={() => setPin((prev) => prev.slice(0, -1))}
+                className="py-3 bg-gray-100 rounded-lg hover:bg-gray-200"
+              >
+                <i className="ri-delete-back-2-line text-xl"></i>
+              </button>
+            </div>
+            <button
+              onClick={handleExit}
+              disabled={pin.length !== PIN_LENGTH}
+              className="w-full mt-4 px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Exit Kiosk
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KioskCheckIn;
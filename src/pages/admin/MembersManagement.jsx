@@ -1,9 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { membersAPI } from '@/Services/membersAPI';
+import { householdsAPI } from '@/Services/householdsAPI';
 import { toast } from 'react-toastify';
+import MembershipCard from '@/components/members/MembershipCard';
+import MemberAttendanceHistory from '@/components/members/MemberAttendanceHistory';
 
 const MembersManagement = () => {
+  const navigate = useNavigate();
   const [members, setMembers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -12,6 +16,11 @@ const MembersManagement = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const [selectedMember, setSelectedMember] = useState(null);
   const [showMemberDetails, setShowMemberDetails] = useState(false);
+  const [selectedHousehold, setSelectedHousehold] = useState(null);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [showCard, setShowCard] = useState(false);
+  const [detailTab, setDetailTab] = useState('details');
 
   const membersPerPage = 10;
 
@@ -43,7 +52,16 @@ const MembersManagement = () => {
       
       if (response.success) {
         setSelectedMember(response.data);
+        setSelectedHousehold(null);
+        setDetailTab('details');
         setShowMemberDetails(true);
+
+        if (response.data.householdId) {
+          const householdResponse = await householdsAPI.getHouseholdById(response.data.householdId);
+          if (householdResponse.success) {
+            setSelectedHousehold(householdResponse.data);
+          }
+        }
       } else {
         toast.error(response.message);
       }
@@ -53,6 +71,29 @@ const MembersManagement = () => {
     }
   };
 
+  const handleExport = async (groupByHousehold) => {
+    try {
+      setExporting(true);
+      setShowExportMenu(false);
+      const response = await membersAPI.exportMembers('csv', {
+        ...(filterStatus !== 'all' && { status: filterStatus }),
+        ...(filterDepartment !== 'all' && { department: filterDepartment }),
+        groupByHousehold
+      });
+
+      if (response.success) {
+        toast.success(response.message);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error exporting members:', error);
+      toast.error('Failed to export members');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const handleStatusChange = async (memberId, newStatus) => {
     try {
       const response = await membersAPI.updateMemberStatus(memberId, newStatus);
@@ -121,13 +162,68 @@ const MembersManagement = () => {
           <h1 className="text-2xl font-bold text-gray-900">Members Management</h1>
           <p className="text-gray-600 mt-1">Manage church members and their information</p>
         </div>
-        <Link
-          to="/members/new"
-          className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
-        >
-          <i className="ri-add-line mr-2"></i>
-          Add New Member
-        </Link>
+        <div className="flex items-center space-x-2 mt-4 sm:mt-0">
+          <Link
+            to="/members/import"
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-upload-2-line mr-2"></i>
+            Import
+          </Link>
+          <Link
+            to="/members/duplicates"
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-git-merge-line mr-2"></i>
+            Duplicates
+          </Link>
+          <div className="relative">
+            <button
+              onClick={() => setShowExportMenu(!showExportMenu)}
+              disabled={exporting}
+              className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <i className="ri-download-line mr-2"></i>
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+            {showExportMenu && (
+              <div className="origin-top-right absolute right-0 mt-2 w-56 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-20">
+                <div className="py-1">
+                  <button
+                    onClick={() => handleExport(false)}
+                    className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    <i className="ri-user-line mr-3"></i>
+                    One row per member
+                  </button>
+                  <button
+                    onClick={() => handleExport(true)}
+                    className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    <i className="ri-home-heart-line mr-3"></i>
+                    One row per household
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+          <button
+            onClick={() => navigate('/members/cards', { state: { memberIds: filteredMembers.map(m => m.id) } })}
+            disabled={filteredMembers.length === 0}
+            title="Print membership cards for the members matching the current filters"
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <i className="ri-bank-card-line mr-2"></i>
+            Print Cards
+          </button>
+          <Link
+            to="/members/new"
+            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <i className="ri-add-line mr-2"></i>
+            Add New Member
+          </Link>
+        </div>
       </div>
 
       {/* Stats Cards */}
@@ -418,7 +514,11 @@ const MembersManagement = () => {
       {/* Member Details Modal */}
       {showMemberDetails && selectedMember && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
-          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+          <div
+            className={`relative top-20 mx-auto p-5 border shadow-lg rounded-md bg-white ${
+              detailTab === 'attendance' ? 'w-full max-w-lg' : 'w-96'
+            }`}
+          >
             <div className="mt-3">
               <div className="flex items-center justify-between mb-4">
                 <h3 className="text-lg font-medium text-gray-900">Member Details</h3>
@@ -429,71 +529,167 @@ const MembersManagement = () => {
                   <i className="ri-close-line text-xl"></i>
                 </button>
               </div>
+
+              <div className="flex border-b border-gray-200 mb-4">
+                {[
+                  { key: 'details', label: 'Details', icon: 'ri-user-line' },
+                  { key: 'attendance', label: 'Attendance', icon: 'ri-calendar-check-line' }
+                ].map(tab => (
+                  <button
+                    key={tab.key}
+                    onClick={() => setDetailTab(tab.key)}
+                    className={`flex-1 py-2 text-sm font-medium border-b-2 transition-colors ${
+                      detailTab === tab.key
+                        ? 'border-blue-600 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700'
+                    }`}
+                  >
+                    <i className={`${tab.icon} mr-1`}></i>
+                    {tab.label}
+                  </button>
+                ))}
+              </div>
               
-              <div className="space-y-4">
-                <div className="text-center">
-                  {selectedMember.avatar ? (
-                    <img src={selectedMember.avatar} alt={selectedMember.name} className="h-20 w-20 rounded-full mx-auto" />
-                  ) : (
-                    <div className="h-20 w-20 bg-gray-200 rounded-full flex items-center justify-center mx-auto">
-                      <i className="ri-user-line text-gray-500 text-2xl"></i>
-                    </div>
-                  )}
-                  <h4 className="mt-2 text-lg font-semibold text-gray-900">{selectedMember.name}</h4>
-                  <p className="text-sm text-gray-500">{selectedMember.position || selectedMember.occupation}</p>
-                </div>
-                
-                <div className="grid grid-cols-1 gap-3">
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Email</label>
-                    <p className="text-sm text-gray-900">{selectedMember.email}</p>
-                  </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Phone</label>
-                    <p className="text-sm text-gray-900">{selectedMember.phone}</p>
-                  </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Department</label>
-                    <p className="text-sm text-gray-900">{selectedMember.department}</p>
-                  </div>
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Membership Date</label>
-                    <p className="text-sm text-gray-900">{formatDate(selectedMember.membershipDate)}</p>
+              {detailTab === 'attendance' ? (
+                <MemberAttendanceHistory member={selectedMember} />
+              ) : (
+                <div className="space-y-4">
+                  <div className="text-center">
+                    {selectedMember.avatar ? (
+                      <img src={selectedMember.avatar} alt={selectedMember.name} className="h-20 w-20 rounded-full mx-auto" />
+                    ) : (
+                      <div className="h-20 w-20 bg-gray-200 rounded-full flex items-center justify-center mx-auto">
+                        <i className="ri-user-line text-gray-500 text-2xl"></i>
+                      </div>
+                    )}
+                    <h4 className="mt-2 text-lg font-semibold text-gray-900">{selectedMember.name}</h4>
+                    <p className="text-sm text-gray-500">{selectedMember.position || selectedMember.occupation}</p>
                   </div>
-                  {selectedMember.address && (
+                
+                  <div className="grid grid-cols-1 gap-3">
                     <div>
-                      <label className="text-sm font-medium text-gray-500">Address</label>
-                      <p className="text-sm text-gray-900">{selectedMember.address}</p>
+                      <label className="text-sm font-medium text-gray-500">Email</label>
+                      <p className="text-sm text-gray-900">{selectedMember.email}</p>
+                    </div>
+                    <div>
+                      <label className="text-sm font-medium text-gray-500">Phone</label>
+                      <p className="text-sm text-gray-900">{selectedMember.phone}</p>
+                    </div>
+                    <div>
+                      <label className="text-sm font-medium text-gray-500">Department</label>
+                      <p className="text-sm text-gray-900">{selectedMember.department}</p>
+                    </div>
+                    <div>
+                      <label className="text-sm font-medium text-gray-500">Membership Date</label>
+                      <p className="text-sm text-gray-900">{formatDate(selectedMember.membershipDate)}</p>
+                    </div>
+                    {selectedMember.address && (
+                      <div>
+                        <label className="text-sm font-medium text-gray-500">Address</label>
+                        <p className="text-sm text-gray-900">{selectedMember.address}</p>
+                      </div>
+                    )}
+                    <div>
+                      <label className="text-sm font-medium text-gray-500">Status</label>
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                        selectedMember.isActive 
+                          ? 'bg-green-100 text-green-800' 
+                          : 'bg-red-100 text-red-800'
+                      }`}>
+                        {selectedMember.isActive ? 'Active' : 'Inactive'}
+                      </span>
                     </div>
-                  )}
-                  <div>
-                    <label className="text-sm font-medium text-gray-500">Status</label>
-                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                      selectedMember.isActive 
-                        ? 'bg-green-100 text-green-800' 
-                        : 'bg-red-100 text-red-800'
-                    }`}>
-                      {selectedMember.isActive ? 'Active' : 'Inactive'}
-                    </span>
                   </div>
-                </div>
+
+                  {/* Family */}
+                  {selectedHousehold && (
+                    <div className="border-t border-gray-200 pt-4">
+                      <div className="flex items-center justify-between mb-2">
+                        <h5 className="text-sm font-semibold text-gray-900">
+                          <i className="ri-home-heart-line mr-1 text-blue-600"></i>
+                          {selectedHousehold.name}
+                        </h5>
+                        <span className="text-xs text-gray-500">
+                          {selectedHousehold.members?.length || 0} in family
+                        </span>
+                      </div>
+                      {(selectedHousehold.address || selectedHousehold.phone) && (
+                        <div className="text-xs text-gray-600 mb-2 space-y-1">
+                          {selectedHousehold.address && (
+                            <p><i className="ri-map-pin-line mr-1"></i>{selectedHousehold.address}</p>
+                          )}
+                          {selectedHousehold.phone && (
+                            <p><i className="ri-phone-line mr-1"></i>{selectedHousehold.phone}</p>
+                          )}
+                        </div>
+                      )}
+                      <div className="space-y-1">
+                        {selectedHousehold.members?.map(familyMember => (
+                          <button
+                            key={familyMember.id}
+                            onClick={() => handleMemberClick(familyMember.id)}
+                            disabled={familyMember.id === selectedMember.id}
+                            className="w-full flex items-center justify-between p-2 rounded-lg text-left hover:bg-gray-50 disabled:bg-blue-50 disabled:cursor-default"
+                          >
+                            <span className="text-sm text-gray-900">{familyMember.name}</span>
+                            <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${
+                              familyMember.id === selectedHousehold.headOfHouseholdId
+                                ? 'bg-purple-100 text-purple-800'
+                                : 'bg-gray-100 text-gray-700'
+                            }`}>
+                              {familyMember.id === selectedHousehold.headOfHouseholdId
+                                ? 'Head'
+                                : familyMember.householdRole || 'Member'}
+                            </span>
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 
-                <div className="flex space-x-3 pt-4">
-                  <Link
-                    to={`/members/${selectedMember.id}/edit`}
-                    className="flex-1 bg-blue-600 text-white px-4 py-2 rounded-lg text-center hover:bg-blue-700 transition-colors"
-                    onClick={() => setShowMemberDetails(false)}
-                  >
-                    Edit Member
-                  </Link>
-                  <button
-                    onClick={() => setShowMemberDetails(false)}
-                    className="flex-1 bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400 transition-colors"
-                  >
-                    Close
-                  </button>
+                  <div className="border-t pt-4">
+                    <div className="flex items-center justify-between">
+                      <label className="text-sm font-medium text-gray-500">Membership Card</label>
+                      <div className="flex items-center space-x-3">
+                        <button
+                          onClick={() => setShowCard(!showCard)}
+                          className="text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          {showCard ? 'Hide' : 'Preview'}
+                        </button>
+                        <Link
+                          to={`/members/cards?ids=${selectedMember.id}`}
+                          className="text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          <i className="ri-printer-line mr-1"></i>
+                          Print
+                        </Link>
+                      </div>
+                    </div>
+                    {showCard && (
+                      <div className="flex justify-center mt-3">
+                        <MembershipCard member={selectedMember} />
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="flex space-x-3 pt-4">
+                    <Link
+                      to={`/members/${selectedMember.id}/edit`}
+                      className="flex-1 bg-blue-600 text-white px-4 py-2 rounded-lg text-center hover:bg-blue-700 transition-colors"
+                      onClick={() => setShowMemberDetails(false)}
+                    >
+                      Edit Member
+                    </Link>
+                    <button
+                      onClick={() => setShowMemberDetails(false)}
+                      className="flex-1 bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400 transition-colors"
+                    >
+                      Close
+                    </button>
+                  </div>
                 </div>
-              </div>
+              )}
             </div>
           </div>
         </div>
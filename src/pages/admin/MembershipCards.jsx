@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { membersAPI } from '@/Services/membersAPI';
+import { toast } from 'react-toastify';
+import MembershipCard from '@/components/members/MembershipCard';
+
+// 2 x 5 cards fill an A4 sheet with 8mm margins
+const CARDS_PER_PAGE = 10;
+
+const PAGE_STYLE = {
+  width: '210mm',
+  height: '297mm',
+  padding: '8mm',
+  display: 'grid',
+  gridTemplateColumns: 'repeat(2, 85.6mm)',
+  gridAutoRows: '54mm',
+  columnGap: '6mm',
+  rowGap: '2mm',
+  justifyContent: 'center',
+  alignContent: 'start',
+  breakAfter: 'page'
+};
+
+const MembershipCards = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchMembers();
+  }, []);
+
+  // Members come from ?ids=1,2 (single card links) or router state (bulk
+  // print from the members list). With neither, every active member is printed.
+  const fetchMembers = async () => {
+    try {
+      setLoading(true);
+      const queryIds = new URLSearchParams(location.search).get('ids');
+      const ids = location.state?.memberIds || (queryIds ? queryIds.split(',') : null);
+
+      const response = await membersAPI.getMembers();
+      if (response.success) {
+        const wanted = ids ? new Set(ids.map(String)) : null;
+        setMembers(
+          response.data
+            .filter(member => (wanted ? wanted.has(String(member.id)) : member.isActive))
+            .sort((a, b) => a.name.localeCompare(b.name))
+        );
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error fetching members:', error);
+      toast.error('Failed to load members');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const pages = [];
+  for (let i = 0; i < members.length; i += CARDS_PER_PAGE) {
+    pages.push(members.slice(i, i + CARDS_PER_PAGE));
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading members...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white">
+      <style>{'@page { size: A4; margin: 0; }'}</style>
+
+      {/* Toolbar */}
+      <div className="sticky top-0 z-10 flex items-center justify-between px-6 py-4 bg-white shadow-sm print:hidden">
+        <div className="flex items-center">
+          <button
+            onClick={() => navigate('/members')}
+            className="mr-4 p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-left-line"></i>
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Membership Cards</h1>
+            <p className="text-gray-600 mt-1">
+              {members.length} card{members.length === 1 ? '' : 's'} on {pages.length} A4 page{pages.length === 1 ? '' : 's'}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={() => window.print()}
+          disabled={members.length === 0}
+          className="inline-flex items-center px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <i className="ri-printer-line mr-2"></i>
+          Print
+        </button>
+      </div>
+
+      {members.length === 0 ? (
+        <div className="text-center py-12 print:hidden">
+          <i className="ri-bank-card-line text-4xl text-gray-400"></i>
+          <p className="text-gray-500 mt-2">No members to print cards for</p>
+        </div>
+      ) : (
+        <div className="flex flex-col items-center py-6 space-y-6 print:p-0 print:space-y-0">
+          {pages.map((page, index) => (
+            <div key={index} style={PAGE_STYLE} className="bg-white shadow print:shadow-none">
+              {page.map(member => (
+                <MembershipCard key={member.id} member={member} />
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MembershipCards;
@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { membersAPI } from '@/Services/membersAPI';
+import { toast } from 'react-toastify';
+
+// Fields the admin can pick between when merging two records
+const MERGE_FIELDS = [
+  { key: 'name', label: 'Full Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'address', label: 'Address' },
+  { key: 'dateOfBirth', label: 'Date of Birth' },
+  { key: 'gender', label: 'Gender' },
+  { key: 'maritalStatus', label: 'Marital Status' },
+  { key: 'weddingDate', label: 'Wedding Anniversary' },
+  { key: 'occupation', label: 'Occupation' },
+  { key: 'department', label: 'Department' },
+  { key: 'membershipDate', label: 'Membership Date' },
+  { key: 'householdId', label: 'Household' },
+  { key: 'emergencyContact', label: 'Emergency Contact' }
+];
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' ||
+  (typeof value === 'object' && Object.values(value).every(v => !v));
+
+const formatValue = (key, value) => {
+  if (isEmpty(value)) return '—';
+  if (key === 'emergencyContact') {
+    return [value.name, value.phone, value.relationship].filter(Boolean).join(' • ');
+  }
+  if (key === 'dateOfBirth' || key === 'weddingDate' || key === 'membershipDate') {
+    return new Date(value).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  }
+  return String(value);
+};
+
+const MergeMembers = () => {
+  const navigate = useNavigate();
+  const { firstId, secondId } = useParams();
+
+  const [records, setRecords] = useState([]);
+  const [survivorId, setSurvivorId] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [merging, setMerging] = useState(false);
+
+  useEffect(() => {
+    fetchRecords();
+  }, [firstId, secondId]);
+
+  const fetchRecords = async () => {
+    // e.g. /members/merge/5/5 typed into the address bar
+    if (String(firstId) === String(secondId)) {
+      toast.error('Choose two different members to merge');
+      navigate('/members/duplicates');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const responses = await Promise.all([
+        membersAPI.getMemberById(firstId),
+        membersAPI.getMemberById(secondId)
+      ]);
+
+      const failed = responses.find(response => !response.success);
+      if (failed) {
+        toast.error(failed.message);
+        navigate('/members/duplicates');
+        return;
+      }
+
+      const loaded = responses.map(response => response.data);
+      // Keep the longest-standing record by default
+      const survivor = [...loaded].sort(
+        (a, b) => new Date(a.membershipDate || 0) - new Date(b.membershipDate || 0)
+      )[0];
+
+      setRecords(loaded);
+      selectSurvivor(survivor.id, loaded);
+    } catch (error) {
+      console.error('Error fetching members to merge:', error);
+      toast.error('Failed to load members');
+      navigate('/members/duplicates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Default every field to the survivor's value, falling back to the other
+  // record where the survivor has nothing
+  const selectSurvivor = (id, list = records) => {
+    const survivor = list.find(record => record.id === id);
+    const other = list.find(record => record.id !== id);
+
+    setSurvivorId(id);
+    setChoices(
+      MERGE_FIELDS.reduce((acc, { key }) => ({
+        ...acc,
+        [key]: isEmpty(survivor[key]) && !isEmpty(other[key]) ? other.id : survivor.id
+      }), {})
+    );
+  };
+
+  const handleMerge = async () => {
+    const survivor = records.find(record => record.id === survivorId);
+    const duplicate = records.find(record => record.id !== survivorId);
+
+    if (!confirm(`Merge ${duplicate.name} into ${survivor.name}? Attendance and celebrations will move to the surviving record and the duplicate will be removed.`)) {
+      return;
+    }
+
+    const fields = MERGE_FIELDS.reduce((acc, { key }) => {
+      const source = records.find(record => record.id === choices[key]);
+      return { ...acc, [key]: source[key] ?? null };
+    }, {});
+
+    try {
+      setMerging(true);
+      const response = await membersAPI.mergeMembers(survivor.id, duplicate.id, fields);
+
+      if (response.success) {
+        const moved = response.data || {};
+        toast.success(
+          `Members merged. Moved ${moved.attendanceRecords ?? 0} attendance records and ${moved.celebrations ?? 0} celebrations.`
+        );
+        navigate('/members/duplicates');
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error merging members:', error);
+      toast.error('Failed to merge members');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading members...</span>
+      </div>
+    );
+  }
+
+  if (records.length !== 2) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Merge Members</h1>
+          <p className="text-gray-600 mt-1">
+            Pick the record to keep and the value to keep for each field
+          </p>
+        </div>
+        <button
+          onClick={() => navigate('/members/duplicates')}
+          className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          <i className="ri-arrow-left-line mr-2"></i>
+          Back to Duplicates
+        </button>
+      </div>
+
+      {/* Side by side comparison */}
+      <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-48">
+                  Field
+                </th>
+                {records.map(record => (
+                  <th key={record.id} className="px-6 py-3 text-left">
+                    <label className="inline-flex items-center cursor-pointer">
+                      <input
+                        type="radio"
+                        name="survivor"
+                        checked={survivorId === record.id}
+                        onChange={() => selectSurvivor(record.id)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                      />
+                      <span className="ml-2 text-sm font-semibold text-gray-900 normal-case">
+                        Keep this record
+                      </span>
+                    </label>
+                    <p className="text-xs text-gray-500 normal-case mt-1">
+                      {survivorId === record.id ? 'Surviving member' : 'Will be merged and removed'}
+                    </p>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {MERGE_FIELDS.map(({ key, label }) => {
+                const differs = formatValue(key, records[0][key]) !== formatValue(key, records[1][key]);
+                return (
+                  <tr key={key} className={differs ? 'bg-yellow-50' : ''}>
+                    <td className="px-6 py-3 text-sm font-medium text-gray-700">{label}</td>
+                    {records.map(record => (
+                      <td key={record.id} className="px-6 py-3">
+                        <label className="inline-flex items-center cursor-pointer">
+                          <input
+                            type="radio"
+                            name={`field-${key}`}
+                            checked={choices[key] === record.id}
+                            onChange={() => setChoices(prev => ({ ...prev, [key]: record.id }))}
+                            disabled={!differs}
+                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+                          />
+                          <span className="ml-2 text-sm text-gray-900">
+                            {key === 'householdId' && record.householdName
+                              ? record.householdName
+                              : formatValue(key, record[key])}
+                          </span>
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="p-3 bg-blue-50 rounded-lg">
+        <p className="text-sm text-blue-700">
+          <i className="ri-information-line mr-2"></i>
+          Attendance records and celebrations linked to the removed record will be re-pointed to the surviving member.
+        </p>
+      </div>
+
+      {/* Action Buttons */}
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={() => navigate('/members/duplicates')}
+          className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleMerge}
+          disabled={merging}
+          className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center"
+        >
+          <i className="ri-git-merge-line mr-2"></i>
+          {merging ? 'Merging...' : 'Merge Members'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MergeMembers;
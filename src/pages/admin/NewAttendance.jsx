@@ -1,28 +1,43 @@
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate, useLocation } from "react-router-dom";
 import { attendanceAPI } from "@/Services/attendanceAPI";
 import { useAuth } from "@/contexts/AuthContext";
+import { useOfflineSync } from "@/contexts/OfflineSyncContext";
+import { offlineStore } from "@/lib/offlineStore";
+import { groupByHousehold } from "@/lib/households";
+import { parseMemberQr } from "@/lib/memberQr";
+import { currentTimeArrived } from "@/lib/kiosk";
+import QrScanner from "@/components/attendance/QrScanner";
 import { toast } from "react-toastify";
 
 const NewAttendance = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const { admin } = useAuth();
+  const { isOnline, queueAttendance } = useOfflineSync();
+
+  // Totals handed over from the live head count screen
+  const headcount = location.state?.headcount;
 
   const [formData, setFormData] = useState({
-    date: new Date().toISOString().split("T")[0],
-    serviceType: "",
-    totalAttendance: "",
-    adults: "",
-    youth: "",
-    children: "",
-    visitors: "",
-    notes: "",
+    date: headcount?.date || new Date().toISOString().split("T")[0],
+    serviceType: headcount?.serviceType || "",
+    totalAttendance: headcount ? String(headcount.totalAttendance) : "",
+    adults: headcount ? String(headcount.adults) : "",
+    youth: headcount ? String(headcount.youth) : "",
+    children: headcount ? String(headcount.children) : "",
+    visitors: headcount ? String(headcount.visitors) : "",
+    notes: headcount
+      ? `Counted live by ${headcount.ushers} usher${headcount.ushers === 1 ? "" : "s"}`
+      : "",
     members: [],
   });
 
   const [serviceTypes, setServiceTypes] = useState([]);
   const [availableMembers, setAvailableMembers] = useState([]);
   const [memberSearchTerm, setMemberSearchTerm] = useState("");
+  const [showScanner, setShowScanner] = useState(false);
+  const [lastScanned, setLastScanned] = useState(null);
   const [selectedMembers, setSelectedMembers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [loadingMembers, setLoadingMembers] = useState(false);
@@ -53,9 +68,8 @@ const NewAttendance = () => {
   const fetchServiceTypes = async () => {
     try {
       const response = await attendanceAPI.getServiceTypes();
-      if (response.success) {
-        setServiceTypes(response.data);
-      }
+      // The API falls back to the default list when the request fails
+      setServiceTypes(response.data || []);
     } catch (error) {
       console.error("Error fetching service types:", error);
     }
@@ -65,10 +79,22 @@ const NewAttendance = () => {
     try {
       setLoadingMembers(true);
       const response = await attendanceAPI.getMembersForAttendance();
-      if (response.success) {
-        setAvailableMembers(response.data);
+      let members = response.success ? response.data : null;
+
+      if (members) {
+        // Keep a copy so members can still be ticked without a connection
+        offlineStore.setCache("attendance-members", members).catch(() => {});
+      } else {
+        members = await offlineStore.getCache("attendance-members").catch(() => null);
+        if (members) {
+          toast.info("Showing the member list saved on this device");
+        }
+      }
+
+      if (members) {
+        setAvailableMembers(members);
         // Initialize member attendance tracking
-        const memberAttendance = response.data.map((member) => ({
+        const memberAttendance = members.map((member) => ({
           memberId: member.id,
           name: member.name,
           department: member.department,
@@ -101,6 +127,53 @@ const NewAttendance = () => {
     );
   };
 
+  // Tick (or untick) every member of the same household in one go
+  const handleFamilyAttendanceChange = (householdId, present) => {
+    const familyIds = households[householdId] || [];
+    setSelectedMembers((prev) =>
+      prev.map((member) =>
+        familyIds.includes(member.memberId) ? { ...member, present } : member
+      )
+    );
+  };
+
+  // Membership card QR codes mark the member present as they arrive
+  const handleCardScan = (text) => {
+    const memberId = parseMemberQr(text);
+    const member = selectedMembers.find((m) => String(m.memberId) === memberId);
+    if (!member) {
+      setLastScanned({ error: "Card not recognised" });
+      return;
+    }
+    if (member.present) {
+      setLastScanned({ name: member.name, already: true });
+      return;
+    }
+
+    setSelectedMembers((prev) =>
+      prev.map((m) =>
+        m.memberId === member.memberId
+          ? { ...m, present: true, timeArrived: m.timeArrived || currentTimeArrived() }
+          : m
+      )
+    );
+    setLastScanned({ name: member.name });
+  };
+
+  // Keep the submission on this device until the connection returns
+  const saveOffline = async (attendanceData) => {
+    try {
+      await queueAttendance(attendanceData);
+      toast.info(
+        "You're offline. Attendance was saved on this device and will sync automatically."
+      );
+      navigate("/attendance");
+    } catch (error) {
+      console.error("Error saving attendance offline:", error);
+      toast.error("Could not save attendance on this device");
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -164,8 +237,18 @@ const NewAttendance = () => {
 
       console.log("✅ Submitting attendance data:", attendanceData);
 
+      if (!navigator.onLine) {
+        await saveOffline(attendanceData);
+        return;
+      }
+
       const response = await attendanceAPI.createAttendance(attendanceData);
 
+      if (!response.success && response.offline) {
+        await saveOffline(attendanceData);
+        return;
+      }
+
       if (response.success) {
         toast.success("Attendance recorded successfully!");
         navigate("/attendance");
@@ -193,6 +276,14 @@ const NewAttendance = () => {
     member.name.toLowerCase().includes(memberSearchTerm.toLowerCase())
   );
 
+  const households = groupByHousehold(availableMembers);
+
+  const isFamilyPresent = (householdId) =>
+    (households[householdId] || []).every(
+      (memberId) =>
+        selectedMembers.find((m) => m.memberId === memberId)?.present
+    );
+
   const presentCount = selectedMembers.filter((m) => m.present).length;
   const absentCount = selectedMembers.length - presentCount;
 
@@ -217,6 +308,26 @@ const NewAttendance = () => {
         </button>
       </div>
 
+      {!isOnline && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-sm text-yellow-800">
+            <i className="ri-wifi-off-line mr-2"></i>
+            You're offline. Attendance will be saved on this device and synced
+            when the connection returns.
+          </p>
+        </div>
+      )}
+
+      {headcount && (
+        <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg">
+          <p className="text-sm text-blue-800">
+            <i className="ri-team-line mr-2"></i>
+            Pre-filled from the live head count ({headcount.totalAttendance}{" "}
+            people). Check the numbers before recording.
+          </p>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="space-y-6">
         {/* Basic Information */}
         <div className="bg-white p-6 rounded-lg shadow-sm border">
@@ -320,6 +431,14 @@ const NewAttendance = () => {
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 placeholder="0"
               />
+              <Link
+                to="/visitors/new"
+                target="_blank"
+                className="inline-block mt-1 text-xs text-blue-600 hover:text-blue-800"
+              >
+                <i className="ri-user-star-line mr-1"></i>
+                Register first-timers
+              </Link>
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -393,15 +512,28 @@ const NewAttendance = () => {
           {showMemberSelection && (
             <div className="space-y-4">
               {/* Member Search */}
-              <div className="relative">
-                <input
-                  type="text"
-                  placeholder="Search members..."
-                  value={memberSearchTerm}
-                  onChange={(e) => setMemberSearchTerm(e.target.value)}
-                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                />
-                <i className="ri-search-line absolute left-3 top-3 text-gray-400"></i>
+              <div className="flex space-x-2">
+                <div className="relative flex-1">
+                  <input
+                    type="text"
+                    placeholder="Search members..."
+                    value={memberSearchTerm}
+                    onChange={(e) => setMemberSearchTerm(e.target.value)}
+                    className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <i className="ri-search-line absolute left-3 top-3 text-gray-400"></i>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setLastScanned(null);
+                    setShowScanner(true);
+                  }}
+                  className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+                >
+                  <i className="ri-qr-scan-2-line mr-2"></i>
+                  Scan Cards
+                </button>
               </div>
 
               {/* Attendance Summary */}
@@ -455,6 +587,27 @@ const NewAttendance = () => {
                                 {member.department}
                               </p>
                             </div>
+                            {member.householdId &&
+                              households[member.householdId]?.length > 1 && (
+                                <button
+                                  type="button"
+                                  onClick={() =>
+                                    handleFamilyAttendanceChange(
+                                      member.householdId,
+                                      !isFamilyPresent(member.householdId)
+                                    )
+                                  }
+                                  className="ml-3 inline-flex items-center px-2 py-1 text-xs font-medium rounded-full bg-purple-50 text-purple-700 hover:bg-purple-100"
+                                  title={member.householdName || "Household"}
+                                >
+                                  <i className="ri-home-heart-line mr-1"></i>
+                                  {isFamilyPresent(member.householdId)
+                                    ? "Untick family"
+                                    : `Tick family (${
+                                        households[member.householdId].length
+                                      })`}
+                                </button>
+                              )}
                           </div>
                           {memberAttendance?.present && (
                             <div className="flex items-center ml-4">
@@ -529,10 +682,58 @@ const NewAttendance = () => {
                 ></path>
               </svg>
             )}
-            {loading ? "Recording..." : "Record Attendance"}
+            {loading
+              ? "Recording..."
+              : isOnline
+              ? "Record Attendance"
+              : "Save Offline"}
           </button>
         </div>
       </form>
+
+      {/* Membership card scanner */}
+      {showScanner && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-full max-w-md shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Scan Membership Cards</h3>
+              <button
+                type="button"
+                onClick={() => setShowScanner(false)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <i className="ri-close-line text-xl"></i>
+              </button>
+            </div>
+            <QrScanner onScan={handleCardScan} className="h-72" />
+            <div className="mt-4 min-h-[2.5rem] text-center text-sm">
+              {!lastScanned && (
+                <p className="text-gray-500">Hold a membership card up to the camera</p>
+              )}
+              {lastScanned?.error && (
+                <p className="text-red-600">{lastScanned.error}</p>
+              )}
+              {lastScanned?.name && (
+                <p className={lastScanned.already ? "text-gray-600" : "text-green-700 font-medium"}>
+                  <i className={`${lastScanned.already ? "ri-information-line" : "ri-check-line"} mr-1`}></i>
+                  {lastScanned.name}{" "}
+                  {lastScanned.already ? "is already marked present" : "marked present"}
+                </p>
+              )}
+              <p className="mt-2 text-gray-500">Present: {presentCount}</p>
+            </div>
+            <div className="flex justify-end pt-4">
+              <button
+                type="button"
+                onClick={() => setShowScanner(false)}
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
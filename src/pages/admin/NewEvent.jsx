@@ -1,35 +1,112 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { eventsAPI } from '@/Services/eventsAPI';
+import { resourcesAPI } from '@/Services/resourcesAPI';
+import { eventTemplatesAPI } from '@/Services/eventTemplatesAPI';
+import { rotaAPI } from '@/Services/rotaAPI';
 import { useAuth } from '@/contexts/AuthContext';
+import { defaultRecurrenceRule, validateRecurrenceRule } from '@/lib/recurrence';
+import { findBookingConflicts, describeConflict } from '@/lib/resourceBookings';
+import { formFromTemplate, deadlineFor } from '@/lib/eventTemplates';
+import RecurrenceFields from '@/components/events/RecurrenceFields';
+import ResourceBookingFields from '@/components/events/ResourceBookingFields';
+import EventChecklistFields from '@/components/events/EventChecklistFields';
+import EventRolesFields from '@/components/events/EventRolesFields';
 import { toast } from 'react-toastify';
 
 const NewEvent = () => {
   const navigate = useNavigate();
   const { admin } = useAuth();
+  const [searchParams] = useSearchParams();
   
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    date: '',
+    date: searchParams.get('date') || '', // Prefilled when a calendar day is clicked
     time: '',
     endTime: '',
     location: '',
     category: '',
     maxAttendees: '',
     isRecurring: false,
-    recurringPattern: '',
+    recurrenceRule: null,
+    exceptionDates: [],
     registrationRequired: false, // ✅ ADDED
     registrationDeadline: '', // ✅ ADDED
     eventFee: '', // ✅ ADDED
     tags: [], // ✅ ADDED
-    image: null
+    image: null,
+    resourceIds: [],
+    checklist: []
   });
 
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
   const [imagePreview, setImagePreview] = useState(null);
   const [tagInput, setTagInput] = useState(''); // ✅ ADDED for tag management
+  const [resources, setResources] = useState([]);
+  const [existingEvents, setExistingEvents] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  // Image and deadline offset carried over from the chosen template
+  const [templateImage, setTemplateImage] = useState(null);
+  const [deadlineDaysBefore, setDeadlineDaysBefore] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [departments, setDepartments] = useState([]);
+
+  useEffect(() => {
+    fetchBookingData();
+    fetchTemplates();
+  }, []);
+
+  const fetchTemplates = async () => {
+    const [templatesResponse, rolesResponse] = await Promise.all([
+      eventTemplatesAPI.getTemplates(),
+      rotaAPI.getRoles()
+    ]);
+    if (templatesResponse.success) {
+      setTemplates(templatesResponse.data);
+      const requested = templatesResponse.data.find(t => String(t.id) === searchParams.get('template'));
+      if (requested) applyTemplate(requested);
+    }
+    if (rolesResponse.success) {
+      setDepartments([...new Set(rolesResponse.data.map(role => role.department))].filter(Boolean).sort());
+    }
+  };
+
+  // Prefill every field from a template; the date stays as chosen
+  const applyTemplate = (template) => {
+    setTemplateId(template?.id ? String(template.id) : '');
+    setFormData(prev => ({ ...prev, ...formFromTemplate(template || {}, prev.date), image: null }));
+    setImagePreview(template?.image || null);
+    setTemplateImage(template?.image || null);
+    setDeadlineDaysBefore(template?.deadlineDaysBefore ?? null);
+    setRoles(template?.roles || []);
+    setErrors({});
+  };
+
+  const handleTemplateChange = (e) => {
+    const template = templates.find(t => String(t.id) === e.target.value);
+    if (formData.title.trim() && !confirm(`Replace what you've entered with ${template ? `the "${template.name}" template` : 'a blank event'}?`)) {
+      return;
+    }
+    applyTemplate(template);
+  };
+
+  // Rooms/equipment and the events already booking them
+  const fetchBookingData = async () => {
+    const [resourcesResponse, eventsResponse] = await Promise.all([
+      resourcesAPI.getResources(),
+      eventsAPI.getAllEvents()
+    ]);
+    if (resourcesResponse.success) setResources(resourcesResponse.data);
+    if (eventsResponse.success) setExistingEvents(eventsResponse.data);
+  };
+
+  const bookingConflicts = useMemo(
+    () => findBookingConflicts(formData, existingEvents),
+    [formData, existingEvents]
+  );
 
   const eventCategories = [
     'Service',
@@ -45,19 +122,19 @@ const NewEvent = () => {
     'Other'
   ];
 
-  const recurringPatterns = [
-    { value: 'daily', label: 'Daily' },
-    { value: 'weekly', label: 'Weekly' },
-    { value: 'monthly', label: 'Monthly' },
-    { value: 'yearly', label: 'Yearly' }
-  ];
-
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: type === 'checkbox' ? checked : value
+      [name]: type === 'checkbox' ? checked : value,
+      // A template's deadline follows the date until it is set by hand
+      ...(name === 'date' && deadlineDaysBefore !== null && {
+        registrationDeadline: deadlineFor(value, deadlineDaysBefore)
+      })
     }));
+    if (name === 'registrationDeadline') {
+      setDeadlineDaysBefore(null);
+    }
 
     // Clear error when user starts typing
     if (errors[name]) {
@@ -99,6 +176,35 @@ const NewEvent = () => {
     }
   };
 
+  const handleRecurringChange = (e) => {
+    const { checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      isRecurring: checked,
+      recurrenceRule: checked && !prev.recurrenceRule
+        ? defaultRecurrenceRule('weekly', prev.date)
+        : prev.recurrenceRule
+    }));
+  };
+
+  const handleRecurrenceRuleChange = (recurrenceRule) => {
+    setFormData(prev => ({ ...prev, recurrenceRule }));
+    if (errors.recurrenceRule) {
+      setErrors(prev => ({ ...prev, recurrenceRule: '' }));
+    }
+  };
+
+  // Picking a room fills in an empty location
+  const handleResourcesChange = (resourceIds, resource) => {
+    setFormData(prev => ({
+      ...prev,
+      resourceIds,
+      location: !prev.location.trim() && resource.type === 'Room' && resourceIds.includes(resource.id)
+        ? resource.name
+        : prev.location
+    }));
+  };
+
   // ✅ ADDED: Tag management functions
   const handleAddTag = () => {
     if (tagInput.trim() && !formData.tags.includes(tagInput.trim())) {
@@ -192,9 +298,12 @@ const NewEvent = () => {
       }
     }
 
-    // Recurring pattern validation
-    if (formData.isRecurring && !formData.recurringPattern) {
-      newErrors.recurringPattern = 'Please select a recurring pattern';
+    // Recurrence rule validation
+    if (formData.isRecurring) {
+      const ruleError = validateRecurrenceRule(formData.recurrenceRule, formData.date);
+      if (ruleError) {
+        newErrors.recurrenceRule = ruleError;
+      }
     }
 
     // Registration deadline validation
@@ -224,6 +333,11 @@ const NewEvent = () => {
       return;
     }
 
+    if (bookingConflicts.length > 0) {
+      const more = bookingConflicts.length > 1 ? ` (and ${bookingConflicts.length - 1} more)` : '';
+      if (!confirm(`${describeConflict(bookingConflicts[0], resources)}${more}. Save anyway?`)) return;
+    }
+
     try {
       setLoading(true);
 
@@ -238,12 +352,15 @@ const NewEvent = () => {
         category: formData.category,
         maxAttendees: formData.maxAttendees ? parseInt(formData.maxAttendees) : null,
         isRecurring: Boolean(formData.isRecurring),
-        recurringPattern: formData.isRecurring ? formData.recurringPattern : null,
+        recurrenceRule: formData.isRecurring ? formData.recurrenceRule : null,
+        exceptionDates: formData.isRecurring ? formData.exceptionDates : [],
         registrationRequired: Boolean(formData.registrationRequired),
         registrationDeadline: formData.registrationDeadline || null,
         eventFee: formData.eventFee ? parseFloat(formData.eventFee) : 0,
         tags: formData.tags,
-        image: null // Will be handled separately in production
+        image: templateImage, // Will be handled separately in production
+        resourceIds: formData.resourceIds,
+        checklist: formData.checklist
       };
 
       // Handle image - in production, you would upload to cloud storage
@@ -258,6 +375,7 @@ const NewEvent = () => {
 
       if (response.success) {
         toast.success('Event created successfully!');
+        await addRotaRoles(response.data);
         navigate('/events');
       } else {
         // ✅ IMPROVED: Show detailed error message
@@ -280,6 +398,19 @@ const NewEvent = () => {
     }
   };
 
+  // Put the event's volunteer roles on the rota
+  const addRotaRoles = async (event) => {
+    if (roles.length === 0 || !event?.id) return;
+
+    const results = await Promise.all(
+      roles.map(role => rotaAPI.createRole({ ...role, eventId: event.id, eventTitle: event.title }))
+    );
+    const failed = results.filter(result => !result.success).length;
+    if (failed > 0) {
+      toast.warning(`${failed} of ${roles.length} volunteer roles couldn't be added to the rota`);
+    }
+  };
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -298,6 +429,32 @@ const NewEvent = () => {
       </div>
 
       <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Template */}
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-lg font-semibold text-gray-900">Start from a Template</h2>
+            <Link to="/events/templates" className="text-sm text-blue-600 hover:text-blue-900">
+              Manage
+            </Link>
+          </div>
+          {templates.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              No templates yet. Open an event in the events list and choose "Save as Template" to reuse it here.
+            </p>
+          ) : (
+            <select
+              value={templateId}
+              onChange={handleTemplateChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">Blank event</option>
+              {templates.map(template => (
+                <option key={template.id} value={template.id}>{template.name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
         {/* Basic Information */}
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Event Information</h2>
@@ -467,6 +624,13 @@ const NewEvent = () => {
           </div>
         </div>
 
+        <ResourceBookingFields
+          resources={resources}
+          selectedIds={formData.resourceIds}
+          conflicts={bookingConflicts}
+          onChange={handleResourcesChange}
+        />
+
         {/* Additional Settings */}
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Additional Settings</h2>
@@ -530,7 +694,7 @@ const NewEvent = () => {
                   type="checkbox"
                   name="isRecurring"
                   checked={formData.isRecurring}
-                  onChange={handleInputChange}
+                  onChange={handleRecurringChange}
                   className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                 />
                 <label className="ml-2 block text-sm text-gray-900">
@@ -553,32 +717,14 @@ const NewEvent = () => {
             </div>
 
             {formData.isRecurring && (
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Recurring Pattern *
-                </label>
-                <select
-                  name="recurringPattern"
-                  value={formData.recurringPattern}
-                  onChange={handleInputChange}
-                  className={`w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
-                    errors.recurringPattern ? 'border-red-300' : 'border-gray-300'
-                  }`}
-                >
-                  <option value="">Select Pattern</option>
-                  {recurringPatterns.map(pattern => (
-                    <option key={pattern.value} value={pattern.value}>
-                      {pattern.label}
-                    </option>
-                  ))}
-                </select>
-                {errors.recurringPattern && (
-                  <p className="mt-1 text-sm text-red-600 flex items-center">
-                    <i className="ri-error-warning-line mr-1"></i>
-                    {errors.recurringPattern}
-                  </p>
-                )}
-              </div>
+              <RecurrenceFields
+                date={formData.date}
+                rule={formData.recurrenceRule}
+                exceptionDates={formData.exceptionDates}
+                error={errors.recurrenceRule}
+                onRuleChange={handleRecurrenceRuleChange}
+                onExceptionDatesChange={(exceptionDates) => setFormData(prev => ({ ...prev, exceptionDates }))}
+              />
             )}
 
             {formData.registrationRequired && (
@@ -650,6 +796,24 @@ const NewEvent = () => {
           </div>
         </div>
 
+        {/* Preparation */}
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Volunteers & Checklist</h2>
+          <div className="space-y-6">
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Volunteer Roles</p>
+              <EventRolesFields roles={roles} departments={departments} onChange={setRoles} />
+            </div>
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Checklist</p>
+              <EventChecklistFields
+                items={formData.checklist}
+                onChange={(checklist) => setFormData(prev => ({ ...prev, checklist }))}
+              />
+            </div>
+          </div>
+        </div>
+
         {/* Event Image */}
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Event Image</h2>
@@ -682,6 +846,7 @@ const NewEvent = () => {
                     type="button"
                     onClick={() => {
                       setImagePreview(null);
+                      setTemplateImage(null);
                       setFormData(prev => ({ ...prev, image: null }));
                       const fileInput = document.querySelector('input[type="file"]');
                       if (fileInput) fileInput.value = '';
@@ -1,6 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { membersAPI } from '@/Services/membersAPI';
+import { householdsAPI } from '@/Services/householdsAPI';
+import {
+  emptyHouseholdSelection,
+  applyHouseholdSelection,
+  syncHeadOfHousehold,
+  usesSharedPhone
+} from '@/lib/households';
+import { findPossibleDuplicates } from '@/lib/duplicates';
+import HouseholdSection from '@/components/members/HouseholdSection';
+import PossibleDuplicatesNotice from '@/components/members/PossibleDuplicatesNotice';
 import { toast } from 'react-toastify';
 
 const NewMember = () => {
@@ -14,6 +24,7 @@ const NewMember = () => {
     dateOfBirth: '',
     gender: '',
     maritalStatus: '',
+    weddingDate: '',
     occupation: '',
     department: '',
     membershipDate: new Date().toISOString().split('T')[0],
@@ -26,11 +37,15 @@ const NewMember = () => {
   });
 
   const [departments, setDepartments] = useState([]);
+  const [households, setHouseholds] = useState([]);
+  const [household, setHousehold] = useState(emptyHouseholdSelection);
+  const [possibleDuplicates, setPossibleDuplicates] = useState([]);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
   useEffect(() => {
     fetchDepartments();
+    fetchHouseholds();
   }, []);
 
   const fetchDepartments = async () => {
@@ -44,6 +59,27 @@ const NewMember = () => {
     }
   };
 
+  const fetchHouseholds = async () => {
+    try {
+      const response = await householdsAPI.getHouseholds();
+      if (response.success) {
+        setHouseholds(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching households:', error);
+    }
+  };
+
+  const handleHouseholdChange = (nextHousehold) => {
+    setHousehold(nextHousehold);
+    if (errors.household) {
+      setErrors(prev => ({
+        ...prev,
+        household: ''
+      }));
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     
@@ -63,6 +99,11 @@ const NewMember = () => {
       }));
     }
 
+    // Identity changed, so any earlier duplicate warning no longer applies
+    if (['name', 'email', 'phone', 'dateOfBirth'].includes(name)) {
+      setPossibleDuplicates([]);
+    }
+
     // Clear error when user starts typing
     if (errors[name]) {
       setErrors(prev => ({
@@ -86,7 +127,7 @@ const NewMember = () => {
       newErrors.email = 'Please enter a valid email address';
     }
 
-    if (!formData.phone.trim()) {
+    if (!formData.phone.trim() && !usesSharedPhone(household, households)) {
       newErrors.phone = 'Phone number is required';
     }
 
@@ -94,10 +135,24 @@ const NewMember = () => {
       newErrors.membershipDate = 'Membership date is required';
     }
 
+    if (household.householdId === 'new' && !household.name.trim()) {
+      newErrors.household = 'Household name is required';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  // Looks for existing members with the same phone, email or a similar name
+  const checkForDuplicates = async () => {
+    const response = await membersAPI.getMembers();
+    if (!response.success) {
+      // Don't block adding a member because the check itself failed
+      return [];
+    }
+    return findPossibleDuplicates(formData, response.data);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -108,10 +163,39 @@ const NewMember = () => {
 
     try {
       setLoading(true);
+      const matches = await checkForDuplicates();
+
+      if (matches.length > 0) {
+        setPossibleDuplicates(matches);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        return;
+      }
+    } catch (error) {
+      console.error('Error checking for duplicates:', error);
+    } finally {
+      setLoading(false);
+    }
 
-      const response = await membersAPI.addMember(formData);
+    await saveMember();
+  };
+
+  const saveMember = async () => {
+    try {
+      setLoading(true);
+
+      const memberData = await applyHouseholdSelection(formData, household, households);
+      if (!memberData.success) {
+        toast.error(memberData.message);
+        return;
+      }
+
+      const response = await membersAPI.addMember(memberData.data);
 
       if (response.success) {
+        const headResult = await syncHeadOfHousehold(response.data, household);
+        if (!headResult.success) {
+          toast.warning(headResult.message);
+        }
         toast.success('Member added successfully!');
         navigate('/members');
       } else {
@@ -142,6 +226,15 @@ const NewMember = () => {
         </button>
       </div>
 
+      {possibleDuplicates.length > 0 && (
+        <PossibleDuplicatesNotice
+          matches={possibleDuplicates}
+          saving={loading}
+          onSaveAnyway={saveMember}
+          onDismiss={() => setPossibleDuplicates([])}
+        />
+      )}
+
       <form onSubmit={handleSubmit} className="space-y-6">
         {/* Personal Information */}
         <div className="bg-white p-6 rounded-lg shadow-sm border">
@@ -260,6 +353,21 @@ const NewMember = () => {
               </select>
             </div>
 
+            {formData.maritalStatus === 'Married' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Wedding Anniversary
+                </label>
+                <input
+                  type="date"
+                  name="weddingDate"
+                  value={formData.weddingDate}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            )}
+
             <div className="md:col-span-2">
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Address
@@ -347,6 +455,14 @@ const NewMember = () => {
           </div>
         </div>
 
+        {/* Household */}
+        <HouseholdSection
+          value={household}
+          households={households}
+          onChange={handleHouseholdChange}
+          error={errors.household}
+        />
+
         {/* Emergency Contact */}
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Emergency Contact</h2>
@@ -0,0 +1,336 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { visitorsAPI, HEARD_ABOUT_OPTIONS } from '@/Services/visitorsAPI';
+import { membersAPI } from '@/Services/membersAPI';
+import { attendanceAPI } from '@/Services/attendanceAPI';
+import { toast } from 'react-toastify';
+
+const NewVisitor = () => {
+  const navigate = useNavigate();
+
+  const [formData, setFormData] = useState({
+    name: '',
+    phone: '',
+    email: '',
+    address: '',
+    gender: '',
+    firstVisitDate: new Date().toISOString().split('T')[0],
+    serviceType: '',
+    invitedBy: '',
+    howHeard: '',
+    prayerPoint: ''
+  });
+  const [members, setMembers] = useState([]);
+  const [serviceTypes, setServiceTypes] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchOptions();
+  }, []);
+
+  const fetchOptions = async () => {
+    try {
+      const [membersResponse, typesResponse] = await Promise.all([
+        membersAPI.getMembers(),
+        attendanceAPI.getServiceTypes()
+      ]);
+      if (membersResponse.success) {
+        setMembers(membersResponse.data);
+      }
+      setServiceTypes(typesResponse.data || []);
+    } catch (error) {
+      console.error('Error fetching form options:', error);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.name.trim()) {
+      newErrors.name = 'Name is required';
+    }
+
+    if (!formData.phone.trim()) {
+      newErrors.phone = 'Phone number is required';
+    }
+
+    if (formData.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+      newErrors.email = 'Please enter a valid email address';
+    }
+
+    if (!formData.firstVisitDate) {
+      newErrors.firstVisitDate = 'Date of visit is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e, addAnother = false) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      toast.error('Please fix the errors below');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const inviter = members.find(
+        m => m.name.toLowerCase() === formData.invitedBy.trim().toLowerCase()
+      );
+      const response = await visitorsAPI.addVisitor({
+        ...formData,
+        name: formData.name.trim(),
+        invitedBy: formData.invitedBy.trim(),
+        invitedById: inviter ? inviter.id : null
+      });
+
+      if (response.success) {
+        toast.success(`${formData.name} registered as a first-timer`);
+        if (addAnother) {
+          // Keep the service details so a stack of cards can be entered quickly
+          setFormData(prev => ({
+            ...prev,
+            name: '',
+            phone: '',
+            email: '',
+            address: '',
+            gender: '',
+            invitedBy: '',
+            howHeard: '',
+            prayerPoint: ''
+          }));
+        } else {
+          navigate('/visitors');
+        }
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error registering visitor:', error);
+      toast.error('Failed to register visitor');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = (field) =>
+    `w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${
+      errors[field] ? 'border-red-300' : 'border-gray-300'
+    }`;
+
+  const renderError = (field) =>
+    errors[field] && (
+      <p className="mt-1 text-sm text-red-600 flex items-center">
+        <i className="ri-error-warning-line mr-1"></i>
+        {errors[field]}
+      </p>
+    );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">First-Timer Card</h1>
+          <p className="text-gray-600 mt-1">Register a visitor so they can be followed up</p>
+        </div>
+        <button
+          onClick={() => navigate('/visitors')}
+          className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          <i className="ri-arrow-left-line mr-2"></i>
+          Back to Visitors
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Visitor Details */}
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Visitor Details</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Full Name *</label>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleInputChange}
+                className={inputClass('name')}
+                placeholder="Enter full name"
+              />
+              {renderError('name')}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Phone Number *</label>
+              <input
+                type="tel"
+                name="phone"
+                value={formData.phone}
+                onChange={handleInputChange}
+                className={inputClass('phone')}
+                placeholder="Enter phone number"
+              />
+              {renderError('phone')}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Email Address</label>
+              <input
+                type="email"
+                name="email"
+                value={formData.email}
+                onChange={handleInputChange}
+                className={inputClass('email')}
+                placeholder="Optional"
+              />
+              {renderError('email')}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Gender</label>
+              <select
+                name="gender"
+                value={formData.gender}
+                onChange={handleInputChange}
+                className={inputClass('gender')}
+              >
+                <option value="">Select gender</option>
+                <option value="Male">Male</option>
+                <option value="Female">Female</option>
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Address</label>
+              <input
+                type="text"
+                name="address"
+                value={formData.address}
+                onChange={handleInputChange}
+                className={inputClass('address')}
+                placeholder="Where they live (for home visits)"
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Visit Details */}
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Visit Details</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Date of Visit *</label>
+              <input
+                type="date"
+                name="firstVisitDate"
+                value={formData.firstVisitDate}
+                onChange={handleInputChange}
+                className={inputClass('firstVisitDate')}
+              />
+              {renderError('firstVisitDate')}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Service</label>
+              <select
+                name="serviceType"
+                value={formData.serviceType}
+                onChange={handleInputChange}
+                className={inputClass('serviceType')}
+              >
+                <option value="">Select service</option>
+                {serviceTypes.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Invited By</label>
+              <input
+                type="text"
+                name="invitedBy"
+                list="visitor-inviters"
+                value={formData.invitedBy}
+                onChange={handleInputChange}
+                className={inputClass('invitedBy')}
+                placeholder="Member or person who invited them"
+              />
+              <datalist id="visitor-inviters">
+                {members.map(member => (
+                  <option key={member.id} value={member.name} />
+                ))}
+              </datalist>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">How did they hear about us?</label>
+              <select
+                name="howHeard"
+                value={formData.howHeard}
+                onChange={handleInputChange}
+                className={inputClass('howHeard')}
+              >
+                <option value="">Select an option</option>
+                {HEARD_ABOUT_OPTIONS.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Prayer Point</label>
+              <textarea
+                name="prayerPoint"
+                value={formData.prayerPoint}
+                onChange={handleInputChange}
+                rows={3}
+                className={inputClass('prayerPoint')}
+                placeholder="Anything they would like the church to pray about"
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Submit Buttons */}
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={() => navigate('/visitors')}
+            className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            disabled={loading}
+            onClick={(e) => handleSubmit(e, true)}
+            className="px-6 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Save & Add Another
+          </button>
+          <button
+            type="submit"
+            disabled={loading}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {loading ? 'Saving...' : 'Save Visitor'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default NewVisitor;
@@ -0,0 +1,308 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { resourcesAPI, RESOURCE_TYPES } from '@/Services/resourcesAPI';
+import { eventsAPI } from '@/Services/eventsAPI';
+import { expandEvent, formatDateKey, toDateKey, addDays } from '@/lib/recurrence';
+import { toast } from 'react-toastify';
+
+const EMPTY_RESOURCE = {
+  name: '',
+  type: 'Room',
+  capacity: '',
+  notes: ''
+};
+
+const ResourcesManagement = () => {
+  const navigate = useNavigate();
+  const [resources, setResources] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_RESOURCE);
+  const [showRetired, setShowRetired] = useState(false);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [resourcesResponse, eventsResponse] = await Promise.all([
+        resourcesAPI.getResources(),
+        eventsAPI.getAllEvents()
+      ]);
+
+      if (resourcesResponse.success) {
+        setResources(resourcesResponse.data);
+      } else {
+        toast.error(resourcesResponse.message);
+      }
+      setEvents(eventsResponse.success ? eventsResponse.data : []);
+    } catch (error) {
+      console.error('Error fetching resources:', error);
+      toast.error('Failed to load rooms and equipment');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Next booking and number of events booking each resource
+  const bookings = useMemo(() => {
+    const today = toDateKey(new Date());
+    const horizon = addDays(today, 365);
+    const byResource = {};
+    events
+      .filter(event => event.status !== 'cancelled')
+      .forEach(event => {
+        const next = expandEvent(event, today, horizon)[0];
+        (event.resourceIds || []).map(String).forEach(id => {
+          const entry = byResource[id] = byResource[id] || { events: 0, next: null };
+          entry.events += 1;
+          if (next && (!entry.next || next.occurrenceDate < entry.next.date)) {
+            entry.next = { date: next.occurrenceDate, title: event.title };
+          }
+        });
+      });
+    return byResource;
+  }, [events]);
+
+  const visibleResources = resources
+    .filter(resource => showRetired || resource.isActive !== false)
+    .sort((a, b) =>
+      RESOURCE_TYPES.indexOf(a.type) - RESOURCE_TYPES.indexOf(b.type) || a.name.localeCompare(b.name)
+    );
+  const retiredCount = resources.filter(resource => resource.isActive === false).length;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await resourcesAPI.createResource({
+        name: form.name,
+        type: form.type,
+        capacity: form.capacity ? parseInt(form.capacity) : null,
+        notes: form.notes.trim()
+      });
+
+      if (response.success) {
+        toast.success(`${response.data.name} added`);
+        setResources(prev => [...prev, response.data]);
+        setForm(prev => ({ ...EMPTY_RESOURCE, type: prev.type }));
+      } else {
+        toast.error(response.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (resource) => {
+    const isActive = resource.isActive === false;
+    const response = await resourcesAPI.updateResource(resource.id, { isActive });
+    if (response.success) {
+      toast.success(isActive ? `${resource.name} reactivated` : `${resource.name} retired`);
+      setResources(prev => prev.map(r => (r.id === resource.id ? { ...r, isActive } : r)));
+    } else {
+      toast.error(response.message);
+    }
+  };
+
+  const handleDelete = async (resource) => {
+    const booked = bookings[String(resource.id)]?.events || 0;
+    if (booked > 0) {
+      toast.error(`${resource.name} is booked by ${booked} event${booked === 1 ? '' : 's'}. Retire it instead.`);
+      return;
+    }
+    if (!confirm(`Delete ${resource.name}? This action cannot be undone.`)) return;
+
+    const response = await resourcesAPI.deleteResource(resource.id);
+    if (response.success) {
+      toast.success('Resource deleted');
+      setResources(prev => prev.filter(r => r.id !== resource.id));
+    } else {
+      toast.error(response.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading rooms and equipment...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Rooms & Equipment</h1>
+          <p className="text-gray-600 mt-1">What events can book, and when it is next in use</p>
+        </div>
+        <button
+          onClick={() => navigate('/events')}
+          className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          <i className="ri-arrow-left-line mr-2"></i>
+          Back to Events
+        </button>
+      </div>
+
+      {/* Add */}
+      <div className="bg-white p-6 rounded-lg shadow-sm border">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Add Room or Equipment</h2>
+        <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={form.name}
+              onChange={handleChange}
+              placeholder="e.g., Main Auditorium"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Type *</label>
+            <select
+              name="type"
+              value={form.type}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {RESOURCE_TYPES.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Capacity</label>
+            <input
+              type="number"
+              name="capacity"
+              min="1"
+              value={form.capacity}
+              onChange={handleChange}
+              placeholder={form.type === 'Room' ? 'Seats' : 'Optional'}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+            <input
+              type="text"
+              name="notes"
+              value={form.notes}
+              onChange={handleChange}
+              placeholder="e.g., Ground floor"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center justify-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            <i className="ri-add-line mr-2"></i>
+            Add
+          </button>
+        </form>
+      </div>
+
+      {/* List */}
+      <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+        {retiredCount > 0 && (
+          <div className="px-6 py-3 border-b bg-gray-50">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={showRetired}
+                onChange={(e) => setShowRetired(e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+              />
+              Show retired ({retiredCount})
+            </label>
+          </div>
+        )}
+        {visibleResources.length === 0 ? (
+          <div className="p-12 text-center text-sm text-gray-600">No rooms or equipment added yet</div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Capacity</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Next Booking</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {visibleResources.map(resource => {
+                const next = bookings[String(resource.id)]?.next;
+                const retired = resource.isActive === false;
+                return (
+                  <tr key={resource.id} className={retired ? 'bg-gray-50' : 'hover:bg-gray-50'}>
+                    <td className="px-6 py-4">
+                      <div className={`text-sm font-medium ${retired ? 'text-gray-500' : 'text-gray-900'}`}>
+                        {resource.name}
+                        {retired && (
+                          <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-200 text-gray-700">
+                            Retired
+                          </span>
+                        )}
+                      </div>
+                      {resource.notes && <div className="text-xs text-gray-500">{resource.notes}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{resource.type}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{resource.capacity || '—'}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {next ? (
+                        <>
+                          <div>{formatDateKey(next.date)}</div>
+                          <div className="text-xs text-gray-500">{next.title}</div>
+                        </>
+                      ) : (
+                        <span className="text-gray-400">Free</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-right">
+                      <div className="flex items-center justify-end space-x-3">
+                        <button
+                          onClick={() => handleToggleActive(resource)}
+                          className={retired ? 'text-green-600 hover:text-green-900' : 'text-yellow-600 hover:text-yellow-900'}
+                          title={retired ? 'Reactivate' : 'Retire'}
+                        >
+                          <i className={`${retired ? 'ri-refresh-line' : 'ri-archive-line'} text-lg`}></i>
+                        </button>
+                        <button
+                          onClick={() => handleDelete(resource)}
+                          className="text-red-600 hover:text-red-900"
+                          title="Delete"
+                        >
+                          <i className="ri-delete-bin-line text-lg"></i>
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResourcesManagement;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { rotaAPI } from '@/Services/rotaAPI';
+import { eventsAPI } from '@/Services/eventsAPI';
+import { buildRoster, formatMonth, monthKeyOf, monthRange } from '@/lib/rota';
+import { formatDateKey, toDateKey } from '@/lib/recurrence';
+import { toast } from 'react-toastify';
+
+const PAGE_STYLE = {
+  width: '210mm',
+  minHeight: '297mm',
+  padding: '14mm',
+  breakAfter: 'page'
+};
+
+// One A4 roster per department for a month, to print or pin up
+const RotaPrint = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const month = searchParams.get('month') || monthKeyOf(toDateKey(new Date()));
+  const department = searchParams.get('department');
+
+  const [roles, setRoles] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchRoster();
+  }, [month, department]);
+
+  const fetchRoster = async () => {
+    try {
+      setLoading(true);
+      const { start, end } = monthRange(month);
+      const [rolesResponse, assignmentsResponse, eventsResponse] = await Promise.all([
+        rotaAPI.getRoles(department ? { department } : {}),
+        rotaAPI.getAssignments({ from: start, to: end }),
+        eventsAPI.getEventsByDateRange(start, end)
+      ]);
+
+      if (!rolesResponse.success || !assignmentsResponse.success) {
+        toast.error(rolesResponse.message || assignmentsResponse.message);
+      }
+      setRoles(rolesResponse.data || []);
+      setAssignments(assignmentsResponse.data || []);
+      setEvents(eventsResponse.success ? eventsResponse.data : []);
+    } catch (error) {
+      console.error('Error fetching roster:', error);
+      toast.error('Failed to load the roster');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const sheets = useMemo(() => {
+    const roster = buildRoster(
+      roles.filter(role => !department || role.department === department),
+      assignments,
+      month,
+      events
+    );
+    const byDepartment = {};
+    roster.forEach(slot => {
+      (byDepartment[slot.role.department] = byDepartment[slot.role.department] || []).push(slot);
+    });
+    return Object.entries(byDepartment).sort(([a], [b]) => a.localeCompare(b));
+  }, [roles, assignments, events, month, department]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading roster...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white">
+      <style>{'@page { size: A4; margin: 0; }'}</style>
+
+      {/* Toolbar */}
+      <div className="sticky top-0 z-10 flex items-center justify-between px-6 py-4 bg-white shadow-sm print:hidden">
+        <div className="flex items-center">
+          <button
+            onClick={() => navigate(`/rota?month=${month}`)}
+            className="mr-4 p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-arrow-left-line"></i>
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Monthly Roster</h1>
+            <p className="text-gray-600 mt-1">
+              {formatMonth(month)} • {sheets.length} department{sheets.length === 1 ? '' : 's'}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={() => window.print()}
+          disabled={sheets.length === 0}
+          className="inline-flex items-center px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <i className="ri-printer-line mr-2"></i>
+          Print
+        </button>
+      </div>
+
+      {sheets.length === 0 ? (
+        <div className="text-center py-12 print:hidden">
+          <i className="ri-team-line text-4xl text-gray-400"></i>
+          <p className="text-gray-500 mt-2">Nothing is on the rota for {formatMonth(month)}</p>
+        </div>
+      ) : (
+        <div className="flex flex-col items-center py-6 space-y-6 print:p-0 print:space-y-0">
+          {sheets.map(([name, slots]) => (
+            <div key={name} style={PAGE_STYLE} className="bg-white shadow print:shadow-none">
+              <div className="text-center mb-6">
+                <p className="text-sm font-semibold text-gray-600 uppercase tracking-wide">RCCG LCC</p>
+                <h2 className="text-2xl font-bold text-gray-900">{name} Roster</h2>
+                <p className="text-gray-600">{formatMonth(month)}</p>
+              </div>
+              <table className="w-full text-sm border border-gray-300">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-3 py-2 text-left border border-gray-300">Date</th>
+                    <th className="px-3 py-2 text-left border border-gray-300">Service</th>
+                    <th className="px-3 py-2 text-left border border-gray-300">Role</th>
+                    <th className="px-3 py-2 text-left border border-gray-300">Serving</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {slots.map((slot, index) => (
+                    <tr key={slot.key}>
+                      <td className="px-3 py-2 border border-gray-300 whitespace-nowrap">
+                        {index === 0 || slots[index - 1].date !== slot.date
+                          ? formatDateKey(slot.date, { weekday: 'short', month: 'short', day: 'numeric' })
+                          : ''}
+                      </td>
+                      <td className="px-3 py-2 border border-gray-300">{slot.slot}</td>
+                      <td className="px-3 py-2 border border-gray-300">{slot.role.name}</td>
+                      <td className="px-3 py-2 border border-gray-300">
+                        {slot.assignments.length > 0
+                          ? slot.assignments.map(assignment => assignment.memberName).join(', ')
+                          : <span className="text-gray-400">—</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mt-4">
+                Can't make your date? Arrange a swap and let your head of department know.
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RotaPrint;
@@ -0,0 +1,491 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { visitorsAPI, VISITOR_STAGES } from '@/Services/visitorsAPI';
+import { toast } from 'react-toastify';
+
+const MEMBER_STAGE = VISITOR_STAGES[VISITOR_STAGES.length - 1];
+
+const STAGE_STYLES = {
+  'First Visit': 'border-t-blue-500',
+  Called: 'border-t-yellow-500',
+  Visited: 'border-t-orange-500',
+  'Second Visit': 'border-t-purple-500',
+  "Believers' Class": 'border-t-indigo-500',
+  'Became Member': 'border-t-green-500'
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+
+const VisitorsManagement = () => {
+  const navigate = useNavigate();
+  const [visitors, setVisitors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropStage, setDropStage] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+  const [selectedVisitor, setSelectedVisitor] = useState(null);
+  const [note, setNote] = useState('');
+
+  useEffect(() => {
+    fetchVisitors();
+  }, []);
+
+  const fetchVisitors = async () => {
+    try {
+      setLoading(true);
+      const response = await visitorsAPI.getVisitors();
+
+      if (response.success) {
+        setVisitors(response.data);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error fetching visitors:', error);
+      toast.error('Failed to load visitors');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceVisitor = (updated) => {
+    setVisitors(prev => prev.map(v => (v.id === updated.id ? { ...v, ...updated } : v)));
+    setSelectedVisitor(prev => (prev && prev.id === updated.id ? { ...prev, ...updated } : prev));
+  };
+
+  const handleConvert = async (visitor) => {
+    if (visitor.memberId) {
+      toast.info(`${visitor.name} is already a member`);
+      return;
+    }
+    if (!confirm(`Create a member record for ${visitor.name}? Their visitor history will be carried over.`)) {
+      return;
+    }
+
+    try {
+      setSavingId(visitor.id);
+      const response = await visitorsAPI.convertToMember(visitor);
+
+      if (response.success) {
+        toast.success(response.message);
+        replaceVisitor({
+          ...visitor,
+          ...response.data.visitor,
+          stage: MEMBER_STAGE,
+          memberId: response.data.member.id
+        });
+        // Members need more details (email, department, ...) than a first-timer card has
+        navigate(`/members/${response.data.member.id}/edit`);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error converting visitor:', error);
+      toast.error('Failed to convert visitor');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleStageChange = async (visitor, stage) => {
+    if (stage === visitor.stage) return;
+    if (stage === MEMBER_STAGE) {
+      handleConvert(visitor);
+      return;
+    }
+
+    try {
+      setSavingId(visitor.id);
+      const response = await visitorsAPI.updateVisitorStage(visitor, stage);
+
+      if (response.success) {
+        replaceVisitor({ ...visitor, ...response.data, stage });
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error updating visitor stage:', error);
+      toast.error('Failed to update visitor');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleAddNote = async () => {
+    if (!note.trim()) return;
+
+    try {
+      setSavingId(selectedVisitor.id);
+      const response = await visitorsAPI.addVisitorNote(selectedVisitor, note.trim());
+
+      if (response.success) {
+        replaceVisitor({ ...selectedVisitor, ...response.data });
+        setNote('');
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error adding note:', error);
+      toast.error('Failed to add note');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleDelete = async (visitor) => {
+    if (!confirm(`Delete ${visitor.name}'s first-timer card?`)) {
+      return;
+    }
+
+    try {
+      const response = await visitorsAPI.deleteVisitor(visitor.id);
+
+      if (response.success) {
+        toast.success('Visitor deleted successfully');
+        setVisitors(prev => prev.filter(v => v.id !== visitor.id));
+        setSelectedVisitor(null);
+      } else {
+        toast.error(response.message);
+      }
+    } catch (error) {
+      console.error('Error deleting visitor:', error);
+      toast.error('Failed to delete visitor');
+    }
+  };
+
+  const handleDrop = (e, stage) => {
+    e.preventDefault();
+    const visitor = visitors.find(v => String(v.id) === e.dataTransfer.getData('text/plain'));
+    setDraggingId(null);
+    setDropStage(null);
+    if (visitor) {
+      handleStageChange(visitor, stage);
+    }
+  };
+
+  const filteredVisitors = visitors.filter(visitor => {
+    const term = searchTerm.toLowerCase();
+    return (
+      !term ||
+      visitor.name.toLowerCase().includes(term) ||
+      visitor.phone?.includes(term) ||
+      visitor.invitedBy?.toLowerCase().includes(term)
+    );
+  });
+
+  const thisMonth = new Date().toISOString().slice(0, 7);
+  const converted = visitors.filter(v => v.stage === MEMBER_STAGE).length;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading visitors...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Visitors</h1>
+          <p className="text-gray-600 mt-1">Follow up first-timers until they become members</p>
+        </div>
+        <Link
+          to="/visitors/new"
+          className="inline-flex items-center mt-4 sm:mt-0 px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <i className="ri-add-line mr-2"></i>
+          New First-Timer
+        </Link>
+      </div>
+
+      {/* Stats Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="bg-white p-4 rounded-lg shadow-sm border">
+          <div className="flex items-center">
+            <div className="p-2 bg-blue-100 rounded-lg">
+              <i className="ri-user-star-line text-blue-600"></i>
+            </div>
+            <div className="ml-3">
+              <p className="text-sm text-gray-600">Total Visitors</p>
+              <p className="text-lg font-semibold text-gray-900">{visitors.length}</p>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white p-4 rounded-lg shadow-sm border">
+          <div className="flex items-center">
+            <div className="p-2 bg-purple-100 rounded-lg">
+              <i className="ri-calendar-line text-purple-600"></i>
+            </div>
+            <div className="ml-3">
+              <p className="text-sm text-gray-600">First Visit This Month</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {visitors.filter(v => String(v.firstVisitDate).startsWith(thisMonth)).length}
+              </p>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white p-4 rounded-lg shadow-sm border">
+          <div className="flex items-center">
+            <div className="p-2 bg-yellow-100 rounded-lg">
+              <i className="ri-phone-line text-yellow-600"></i>
+            </div>
+            <div className="ml-3">
+              <p className="text-sm text-gray-600">Awaiting First Call</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {visitors.filter(v => v.stage === VISITOR_STAGES[0]).length}
+              </p>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white p-4 rounded-lg shadow-sm border">
+          <div className="flex items-center">
+            <div className="p-2 bg-green-100 rounded-lg">
+              <i className="ri-user-follow-line text-green-600"></i>
+            </div>
+            <div className="ml-3">
+              <p className="text-sm text-gray-600">Became Members</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {converted}
+                {visitors.length > 0 && (
+                  <span className="ml-1 text-sm font-normal text-gray-500">
+                    ({Math.round((converted / visitors.length) * 100)}%)
+                  </span>
+                )}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Search */}
+      <div className="relative max-w-md">
+        <input
+          type="text"
+          placeholder="Search by name, phone or inviter..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <i className="ri-search-line absolute left-3 top-3 text-gray-400"></i>
+      </div>
+
+      {/* Pipeline board */}
+      <div className="flex space-x-4 overflow-x-auto pb-4">
+        {VISITOR_STAGES.map(stage => {
+          const stageVisitors = filteredVisitors.filter(v => (v.stage || VISITOR_STAGES[0]) === stage);
+          return (
+            <div
+              key={stage}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDropStage(stage);
+              }}
+              onDragLeave={() => setDropStage(null)}
+              onDrop={(e) => handleDrop(e, stage)}
+              className={`flex-shrink-0 w-72 rounded-lg border-t-4 ${STAGE_STYLES[stage]} ${
+                dropStage === stage ? 'bg-blue-50' : 'bg-gray-100'
+              }`}
+            >
+              <div className="flex items-center justify-between px-3 py-2">
+                <h3 className="text-sm font-semibold text-gray-900">{stage}</h3>
+                <span className="text-xs font-medium text-gray-500 bg-white rounded-full px-2 py-0.5">
+                  {stageVisitors.length}
+                </span>
+              </div>
+              <div className="px-3 pb-3 space-y-2 min-h-[6rem]">
+                {stageVisitors.map(visitor => (
+                  <div
+                    key={visitor.id}
+                    draggable={stage !== MEMBER_STAGE}
+                    onDragStart={(e) => {
+                      e.dataTransfer.setData('text/plain', String(visitor.id));
+                      setDraggingId(visitor.id);
+                    }}
+                    onDragEnd={() => setDraggingId(null)}
+                    onClick={() => {
+                      setNote('');
+                      setSelectedVisitor(visitor);
+                    }}
+                    className={`bg-white p-3 rounded-lg shadow-sm border cursor-pointer hover:shadow-md transition-shadow ${
+                      draggingId === visitor.id || savingId === visitor.id ? 'opacity-50' : ''
+                    }`}
+                  >
+                    <p className="text-sm font-medium text-gray-900">{visitor.name}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      <i className="ri-phone-line mr-1"></i>
+                      {visitor.phone}
+                    </p>
+                    <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+                      <span>{formatDate(visitor.firstVisitDate)}</span>
+                      {visitor.invitedBy && <span className="truncate ml-2">via {visitor.invitedBy}</span>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Visitor Details Modal */}
+      {selectedVisitor && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">{selectedVisitor.name}</h3>
+              <button
+                onClick={() => setSelectedVisitor(null)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <i className="ri-close-line text-xl"></i>
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Phone</label>
+                  <p className="text-sm text-gray-900">
+                    <a href={`tel:${selectedVisitor.phone}`} className="text-blue-600 hover:text-blue-800">
+                      {selectedVisitor.phone}
+                    </a>
+                  </p>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-500">First Visit</label>
+                  <p className="text-sm text-gray-900">
+                    {formatDate(selectedVisitor.firstVisitDate)}
+                    {selectedVisitor.serviceType && ` • ${selectedVisitor.serviceType}`}
+                  </p>
+                </div>
+                {selectedVisitor.email && (
+                  <div>
+                    <label className="text-sm font-medium text-gray-500">Email</label>
+                    <p className="text-sm text-gray-900">{selectedVisitor.email}</p>
+                  </div>
+                )}
+                {selectedVisitor.address && (
+                  <div>
+                    <label className="text-sm font-medium text-gray-500">Address</label>
+                    <p className="text-sm text-gray-900">{selectedVisitor.address}</p>
+                  </div>
+                )}
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Invited By</label>
+                  <p className="text-sm text-gray-900">{selectedVisitor.invitedBy || '—'}</p>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Heard About Us</label>
+                  <p className="text-sm text-gray-900">{selectedVisitor.howHeard || '—'}</p>
+                </div>
+              </div>
+
+              {selectedVisitor.prayerPoint && (
+                <div className="p-3 bg-purple-50 rounded-lg">
+                  <label className="text-sm font-medium text-purple-800">
+                    <i className="ri-hand-heart-line mr-1"></i>
+                    Prayer Point
+                  </label>
+                  <p className="text-sm text-purple-900 mt-1">{selectedVisitor.prayerPoint}</p>
+                </div>
+              )}
+
+              <div>
+                <label className="text-sm font-medium text-gray-500">Stage</label>
+                <select
+                  value={selectedVisitor.stage || VISITOR_STAGES[0]}
+                  disabled={savingId === selectedVisitor.id || Boolean(selectedVisitor.memberId)}
+                  onChange={(e) => handleStageChange(selectedVisitor, e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+                >
+                  {VISITOR_STAGES.map(stage => (
+                    <option key={stage} value={stage}>{stage}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="text-sm font-medium text-gray-500">Follow-up History</label>
+                <div className="mt-2 space-y-3 max-h-48 overflow-y-auto">
+                  {[...(selectedVisitor.history || [])].reverse().map((entry, index) => (
+                    <div key={index} className="flex">
+                      <div className="w-2 h-2 mt-1.5 bg-blue-500 rounded-full flex-shrink-0"></div>
+                      <div className="ml-3">
+                        <p className="text-sm text-gray-900">
+                          {entry.stage}
+                          <span className="ml-2 text-xs text-gray-500">{formatDate(entry.date)}</span>
+                        </p>
+                        {entry.note && <p className="text-xs text-gray-600">{entry.note}</p>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex space-x-2 mt-3">
+                  <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleAddNote()}
+                    placeholder="Add a follow-up note..."
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    onClick={handleAddNote}
+                    disabled={!note.trim() || savingId === selectedVisitor.id}
+                    className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    Add
+                  </button>
+                </div>
+              </div>
+
+              <div className="flex space-x-3 pt-4">
+                {selectedVisitor.memberId ? (
+                  <Link
+                    to={`/members/${selectedVisitor.memberId}/edit`}
+                    className="flex-1 bg-green-600 text-white px-4 py-2 rounded-lg text-center hover:bg-green-700 transition-colors"
+                  >
+                    View Member Record
+                  </Link>
+                ) : (
+                  <button
+                    onClick={() => handleConvert(selectedVisitor)}
+                    disabled={savingId === selectedVisitor.id}
+                    className="flex-1 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors"
+                  >
+                    <i className="ri-user-add-line mr-2"></i>
+                    Convert to Member
+                  </button>
+                )}
+                <button
+                  onClick={() => handleDelete(selectedVisitor)}
+                  className="px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors"
+                >
+                  <i className="ri-delete-bin-line"></i>
+                </button>
+                <button
+                  onClick={() => setSelectedVisitor(null)}
+                  className="flex-1 bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400 transition-colors"
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VisitorsManagement;
@@ -0,0 +1,698 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { rotaAPI } from '@/Services/rotaAPI';
+import { membersAPI } from '@/Services/membersAPI';
+import { attendanceAPI } from '@/Services/attendanceAPI';
+import { eventsAPI } from '@/Services/eventsAPI';
+import {
+  assignmentConflicts,
+  buildRoster,
+  formatMonth,
+  hasServiceSchedule,
+  monthKeyOf,
+  monthRange,
+  roleSlot,
+  shiftMonth
+} from '@/lib/rota';
+import { formatDateKey, toDateKey } from '@/lib/recurrence';
+import AssignVolunteerModal from '@/components/rota/AssignVolunteerModal';
+import { toast } from 'react-toastify';
+
+const EMPTY_ROLE = { name: '', department: '', servesAt: 'service', serviceType: '', eventId: '', needed: 1 };
+const EMPTY_BLACKOUT = { memberId: '', startDate: '', endDate: '', reason: '' };
+
+const VolunteerRota = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const month = searchParams.get('month') || monthKeyOf(toDateKey(new Date()));
+
+  const [tab, setTab] = useState('schedule');
+  const [department, setDepartment] = useState('all');
+  const [roles, setRoles] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [blackouts, setBlackouts] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [serviceTypes, setServiceTypes] = useState([]);
+  const [monthEvents, setMonthEvents] = useState([]);
+  const [upcomingEvents, setUpcomingEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const [assignSlot, setAssignSlot] = useState(null);
+  const [roleForm, setRoleForm] = useState(EMPTY_ROLE);
+  const [blackoutForm, setBlackoutForm] = useState(EMPTY_BLACKOUT);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSetup();
+  }, []);
+
+  useEffect(() => {
+    fetchMonth();
+  }, [month]);
+
+  // Members, roles and the things roles can serve at
+  const fetchSetup = async () => {
+    try {
+      const [rolesResponse, membersResponse, serviceTypesResponse, eventsResponse] = await Promise.all([
+        rotaAPI.getRoles(),
+        membersAPI.getMembers(),
+        attendanceAPI.getServiceTypes(),
+        eventsAPI.getAllEvents({ status: 'upcoming' })
+      ]);
+
+      if (rolesResponse.success) {
+        setRoles(rolesResponse.data);
+      } else {
+        toast.error(rolesResponse.message);
+      }
+      if (membersResponse.success) {
+        setMembers(membersResponse.data.sort((a, b) => a.name.localeCompare(b.name)));
+      }
+      // Falls back to the standard list when the request fails
+      setServiceTypes(serviceTypesResponse.data || []);
+      if (eventsResponse.success) {
+        setUpcomingEvents(eventsResponse.data);
+      }
+    } catch (error) {
+      console.error('Error fetching rota setup:', error);
+      toast.error('Failed to load the rota');
+    }
+  };
+
+  const fetchMonth = async () => {
+    try {
+      setLoading(true);
+      const { start, end } = monthRange(month);
+      const [assignmentsResponse, blackoutsResponse, eventsResponse] = await Promise.all([
+        rotaAPI.getAssignments({ from: start, to: end }),
+        rotaAPI.getBlackouts({ from: start, to: end }),
+        eventsAPI.getEventsByDateRange(start, end)
+      ]);
+
+      if (assignmentsResponse.success) {
+        setAssignments(assignmentsResponse.data);
+      } else {
+        toast.error(assignmentsResponse.message);
+      }
+      if (blackoutsResponse.success) {
+        setBlackouts(blackoutsResponse.data);
+      }
+      if (eventsResponse.success) {
+        setMonthEvents(eventsResponse.data);
+      }
+    } catch (error) {
+      console.error('Error fetching rota:', error);
+      toast.error('Failed to load the rota');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const departments = useMemo(
+    () =>
+      [...new Set([...members.map(m => m.department), ...roles.map(r => r.department)])]
+        .filter(Boolean)
+        .sort(),
+    [members, roles]
+  );
+
+  const visibleRoles = useMemo(
+    () => roles.filter(role => department === 'all' || role.department === department),
+    [roles, department]
+  );
+
+  const roster = useMemo(
+    () => buildRoster(visibleRoles, assignments, month, monthEvents),
+    [visibleRoles, assignments, month, monthEvents]
+  );
+
+  const rosterByDate = roster.reduce((groups, slot) => {
+    (groups[slot.date] = groups[slot.date] || []).push(slot);
+    return groups;
+  }, {});
+
+  const conflictsFor = (assignment) => assignmentConflicts(assignment, assignments, blackouts, roles);
+
+  const totalNeeded = roster.reduce((sum, slot) => sum + (parseInt(slot.role.needed) || 1), 0);
+  const totalFilled = roster.reduce(
+    (sum, slot) => sum + Math.min(slot.assignments.length, parseInt(slot.role.needed) || 1),
+    0
+  );
+  const conflictCount = roster
+    .flatMap(slot => slot.assignments)
+    .filter(assignment => conflictsFor(assignment).length > 0).length;
+
+  const handleMonthChange = (delta) => {
+    setSearchParams({ month: shiftMonth(month, delta) });
+  };
+
+  const handleAssign = async (member) => {
+    const response = await rotaAPI.assignMember({
+      roleId: assignSlot.role.id,
+      memberId: member.id,
+      memberName: member.name,
+      date: assignSlot.date
+    });
+
+    if (response.success) {
+      toast.success(`${member.name} assigned`);
+      setAssignments(prev => [...prev, response.data]);
+      setAssignSlot(null);
+    } else {
+      toast.error(response.message);
+    }
+  };
+
+  const handleRemoveAssignment = async (assignment) => {
+    if (!confirm(`Take ${assignment.memberName} off the rota for this date?`)) return;
+
+    const response = await rotaAPI.removeAssignment(assignment.id);
+    if (response.success) {
+      setAssignments(prev => prev.filter(a => a.id !== assignment.id));
+    } else {
+      toast.error(response.message);
+    }
+  };
+
+  const handleRoleChange = (e) => {
+    const { name, value } = e.target;
+    setRoleForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreateRole = async (e) => {
+    e.preventDefault();
+    const event = upcomingEvents.find(ev => String(ev.id) === String(roleForm.eventId));
+
+    try {
+      setSaving(true);
+      const response = await rotaAPI.createRole({
+        name: roleForm.name.trim(),
+        department: roleForm.department,
+        serviceType: roleForm.servesAt === 'service' ? roleForm.serviceType : null,
+        eventId: roleForm.servesAt === 'event' && event ? event.id : null,
+        eventTitle: roleForm.servesAt === 'event' && event ? event.title : '',
+        needed: Math.max(1, parseInt(roleForm.needed) || 1)
+      });
+
+      if (response.success) {
+        toast.success('Role added');
+        setRoles(prev => [...prev, response.data]);
+        setRoleForm(prev => ({ ...EMPTY_ROLE, department: prev.department, servesAt: prev.servesAt }));
+      } else {
+        toast.error(response.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRole = async (role) => {
+    if (!confirm(`Delete the ${role.name} role at ${roleSlot(role)}? Its assignments will be removed too.`)) return;
+
+    const response = await rotaAPI.deleteRole(role.id);
+    if (response.success) {
+      toast.success('Role deleted');
+      setRoles(prev => prev.filter(r => r.id !== role.id));
+      setAssignments(prev => prev.filter(a => String(a.roleId) !== String(role.id)));
+    } else {
+      toast.error(response.message);
+    }
+  };
+
+  const handleBlackoutChange = (e) => {
+    const { name, value } = e.target;
+    setBlackoutForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddBlackout = async (e) => {
+    e.preventDefault();
+    const member = members.find(m => String(m.id) === String(blackoutForm.memberId));
+
+    try {
+      setSaving(true);
+      const response = await rotaAPI.addBlackout({
+        memberId: member?.id,
+        memberName: member?.name || '',
+        startDate: blackoutForm.startDate,
+        endDate: blackoutForm.endDate,
+        reason: blackoutForm.reason.trim()
+      });
+
+      if (response.success) {
+        toast.success('Blackout dates saved');
+        setBlackouts(prev => [...prev, response.data]);
+        setBlackoutForm(EMPTY_BLACKOUT);
+
+        const clashes = assignments.filter(
+          assignment =>
+            String(assignment.memberId) === String(member.id) &&
+            assignment.date >= response.data.startDate &&
+            assignment.date <= response.data.endDate
+        );
+        if (clashes.length > 0) {
+          toast.warning(`${member.name} is already on the rota for ${clashes.length} of those dates`);
+        }
+      } else {
+        toast.error(response.message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemoveBlackout = async (blackout) => {
+    const response = await rotaAPI.removeBlackout(blackout.id);
+    if (response.success) {
+      setBlackouts(prev => prev.filter(b => b.id !== blackout.id));
+    } else {
+      toast.error(response.message);
+    }
+  };
+
+  const formatRange = (blackout) =>
+    blackout.endDate && blackout.endDate !== blackout.startDate
+      ? `${formatDateKey(blackout.startDate)} - ${formatDateKey(blackout.endDate)}`
+      : formatDateKey(blackout.startDate);
+
+  const tabs = [
+    { id: 'schedule', label: 'Schedule', icon: 'ri-calendar-todo-line' },
+    { id: 'roles', label: `Roles (${visibleRoles.length})`, icon: 'ri-team-line' },
+    { id: 'availability', label: `Availability (${blackouts.length})`, icon: 'ri-calendar-close-line' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Volunteer Rota</h1>
+          <p className="text-gray-600 mt-1">Schedule ushers, choir, technical and sanctuary teams</p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select
+            value={department}
+            onChange={(e) => setDepartment(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All departments</option>
+            {departments.map(d => (
+              <option key={d} value={d}>{d}</option>
+            ))}
+          </select>
+          <Link
+            to={`/rota/print?month=${month}${department !== 'all' ? `&department=${encodeURIComponent(department)}` : ''}`}
+            className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <i className="ri-printer-line mr-2"></i>
+            Print Roster
+          </Link>
+        </div>
+      </div>
+
+      {/* Month and tabs */}
+      <div className="bg-white p-4 rounded-lg shadow-sm border flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div className="flex items-center space-x-2">
+          <button onClick={() => handleMonthChange(-1)} className="p-2 rounded-lg hover:bg-gray-100" title="Previous month">
+            <i className="ri-arrow-left-s-line text-xl"></i>
+          </button>
+          <h2 className="text-lg font-semibold text-gray-900 w-40 text-center">{formatMonth(month)}</h2>
+          <button onClick={() => handleMonthChange(1)} className="p-2 rounded-lg hover:bg-gray-100" title="Next month">
+            <i className="ri-arrow-right-s-line text-xl"></i>
+          </button>
+        </div>
+        <div className="flex bg-gray-100 rounded-lg p-1">
+          {tabs.map(t => (
+            <button
+              key={t.id}
+              onClick={() => setTab(t.id)}
+              className={`px-3 py-1 text-sm font-medium rounded-md transition-colors ${
+                tab === t.id ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <i className={`${t.icon} mr-1`}></i>
+              {t.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <>
+          {/* Schedule */}
+          {tab === 'schedule' && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div className="bg-white p-6 rounded-lg shadow-sm border">
+                  <p className="text-sm font-medium text-gray-600">Places Filled</p>
+                  <p className="text-2xl font-bold text-gray-900">{totalFilled} / {totalNeeded}</p>
+                </div>
+                <div className="bg-white p-6 rounded-lg shadow-sm border">
+                  <p className="text-sm font-medium text-gray-600">Still Needed</p>
+                  <p className="text-2xl font-bold text-yellow-600">{totalNeeded - totalFilled}</p>
+                </div>
+                <div className="bg-white p-6 rounded-lg shadow-sm border">
+                  <p className="text-sm font-medium text-gray-600">Clashes</p>
+                  <p className={`text-2xl font-bold ${conflictCount > 0 ? 'text-red-600' : 'text-green-600'}`}>{conflictCount}</p>
+                </div>
+              </div>
+
+              {roster.length === 0 ? (
+                <div className="bg-white p-12 rounded-lg shadow-sm border text-center">
+                  <i className="ri-team-line text-4xl text-gray-400"></i>
+                  <p className="mt-2 text-sm text-gray-600">
+                    No roles need filling this month.{' '}
+                    <button onClick={() => setTab('roles')} className="text-blue-600 hover:text-blue-900">
+                      Add roles
+                    </button>
+                  </p>
+                </div>
+              ) : (
+                Object.entries(rosterByDate).map(([date, slots]) => (
+                  <div key={date} className="bg-white rounded-lg shadow-sm border overflow-hidden">
+                    <div className="px-6 py-3 bg-gray-50 border-b border-gray-200">
+                      <h3 className="text-sm font-semibold text-gray-900">
+                        {formatDateKey(date, { weekday: 'long', month: 'long', day: 'numeric' })}
+                      </h3>
+                    </div>
+                    <ul className="divide-y divide-gray-100">
+                      {slots.map(slot => {
+                        const needed = parseInt(slot.role.needed) || 1;
+                        return (
+                          <li key={slot.key} className="px-6 py-3 flex flex-col md:flex-row md:items-center gap-3">
+                            <div className="md:w-72">
+                              <div className="text-sm font-medium text-gray-900">{slot.role.name}</div>
+                              <div className="text-xs text-gray-500">{slot.slot} • {slot.role.department}</div>
+                            </div>
+                            <div className="flex-1 flex flex-wrap items-center gap-2">
+                              {slot.assignments.map(assignment => {
+                                const conflicts = conflictsFor(assignment);
+                                const unavailable = conflicts.some(c => c.type === 'unavailable');
+                                return (
+                                  <span
+                                    key={assignment.id}
+                                    title={conflicts.map(c => c.message).join('\n')}
+                                    className={`inline-flex items-center px-2 py-1 text-xs font-medium rounded-full ${
+                                      unavailable
+                                        ? 'bg-red-100 text-red-800'
+                                        : conflicts.length > 0
+                                          ? 'bg-yellow-100 text-yellow-800'
+                                          : 'bg-blue-100 text-blue-800'
+                                    }`}
+                                  >
+                                    {conflicts.length > 0 && <i className="ri-error-warning-line mr-1"></i>}
+                                    {assignment.memberName}
+                                    <button
+                                      onClick={() => handleRemoveAssignment(assignment)}
+                                      className="ml-1 hover:text-gray-900"
+                                      title="Remove"
+                                    >
+                                      <i className="ri-close-line"></i>
+                                    </button>
+                                  </span>
+                                );
+                              })}
+                              {slot.assignments.length < needed && (
+                                <button
+                                  onClick={() => setAssignSlot(slot)}
+                                  className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-full border border-dashed border-gray-300 text-gray-600 hover:bg-gray-50"
+                                >
+                                  <i className="ri-add-line mr-1"></i>
+                                  Assign ({slot.assignments.length}/{needed})
+                                </button>
+                              )}
+                            </div>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  </div>
+                ))
+              )}
+            </>
+          )}
+
+          {/* Roles */}
+          {tab === 'roles' && (
+            <>
+              <div className="bg-white p-6 rounded-lg shadow-sm border">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Add Role</h2>
+                <form onSubmit={handleCreateRole} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Role *</label>
+                    <input
+                      type="text"
+                      name="name"
+                      value={roleForm.name}
+                      onChange={handleRoleChange}
+                      placeholder="e.g., Door Usher"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Department *</label>
+                    <select
+                      name="department"
+                      value={roleForm.department}
+                      onChange={handleRoleChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">Select...</option>
+                      {departments.map(d => (
+                        <option key={d} value={d}>{d}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Serves At *</label>
+                    <div className="flex gap-2">
+                      <select
+                        name="servesAt"
+                        value={roleForm.servesAt}
+                        onChange={handleRoleChange}
+                        className="w-24 px-2 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="service">Service</option>
+                        <option value="event">Event</option>
+                      </select>
+                      {roleForm.servesAt === 'service' ? (
+                        <select
+                          name="serviceType"
+                          value={roleForm.serviceType}
+                          onChange={handleRoleChange}
+                          className="flex-1 min-w-0 px-2 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        >
+                          <option value="">Select...</option>
+                          {serviceTypes.map(type => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <select
+                          name="eventId"
+                          value={roleForm.eventId}
+                          onChange={handleRoleChange}
+                          className="flex-1 min-w-0 px-2 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        >
+                          <option value="">Select...</option>
+                          {upcomingEvents.map(event => (
+                            <option key={event.id} value={event.id}>{event.title}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">People Needed</label>
+                    <input
+                      type="number"
+                      name="needed"
+                      min="1"
+                      value={roleForm.needed}
+                      onChange={handleRoleChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="inline-flex items-center justify-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                  >
+                    <i className="ri-add-line mr-2"></i>
+                    Add Role
+                  </button>
+                </form>
+                {roleForm.servesAt === 'service' && roleForm.serviceType && !hasServiceSchedule(roleForm.serviceType) && (
+                  <p className="text-xs text-yellow-700 mt-3">
+                    <i className="ri-information-line mr-1"></i>
+                    {roleForm.serviceType} has no fixed day, so it won't appear on the schedule. Add the role to the event instead.
+                  </p>
+                )}
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+                {visibleRoles.length === 0 ? (
+                  <div className="p-12 text-center text-sm text-gray-600">No roles defined yet</div>
+                ) : (
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Serves At</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Needed</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {[...visibleRoles]
+                        .sort((a, b) => a.department.localeCompare(b.department) || a.name.localeCompare(b.name))
+                        .map(role => (
+                          <tr key={role.id} className="hover:bg-gray-50">
+                            <td className="px-6 py-4 text-sm font-medium text-gray-900">{role.name}</td>
+                            <td className="px-6 py-4 text-sm text-gray-900">{role.department}</td>
+                            <td className="px-6 py-4 text-sm text-gray-900">
+                              {role.eventId && <i className="ri-calendar-event-line text-purple-600 mr-1"></i>}
+                              {roleSlot(role)}
+                            </td>
+                            <td className="px-6 py-4 text-sm text-gray-900">{role.needed || 1}</td>
+                            <td className="px-6 py-4 text-right">
+                              <button
+                                onClick={() => handleDeleteRole(role)}
+                                className="text-red-600 hover:text-red-900"
+                                title="Delete Role"
+                              >
+                                <i className="ri-delete-bin-line text-lg"></i>
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </>
+          )}
+
+          {/* Availability */}
+          {tab === 'availability' && (
+            <>
+              <div className="bg-white p-6 rounded-lg shadow-sm border">
+                <h2 className="text-lg font-semibold text-gray-900 mb-1">Mark Unavailable</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                  Record dates a volunteer has said they are away. They are flagged when someone tries to roster them.
+                </p>
+                <form onSubmit={handleAddBlackout} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Member *</label>
+                    <select
+                      name="memberId"
+                      value={blackoutForm.memberId}
+                      onChange={handleBlackoutChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">Select...</option>
+                      {members
+                        .filter(m => department === 'all' || m.department === department)
+                        .map(m => (
+                          <option key={m.id} value={m.id}>{m.name}</option>
+                        ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">From *</label>
+                    <input
+                      type="date"
+                      name="startDate"
+                      value={blackoutForm.startDate}
+                      onChange={handleBlackoutChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+                    <input
+                      type="date"
+                      name="endDate"
+                      value={blackoutForm.endDate}
+                      min={blackoutForm.startDate}
+                      onChange={handleBlackoutChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+                    <input
+                      type="text"
+                      name="reason"
+                      value={blackoutForm.reason}
+                      onChange={handleBlackoutChange}
+                      placeholder="e.g., Travelling"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="inline-flex items-center justify-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                  >
+                    <i className="ri-calendar-close-line mr-2"></i>
+                    Save
+                  </button>
+                </form>
+              </div>
+
+              <div className="bg-white rounded-lg shadow-sm border overflow-hidden">
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h2 className="text-lg font-semibold text-gray-900">Away in {formatMonth(month)}</h2>
+                </div>
+                {blackouts.length === 0 ? (
+                  <div className="p-8 text-center text-sm text-gray-600">Everyone is available this month</div>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {[...blackouts]
+                      .sort((a, b) => a.startDate.localeCompare(b.startDate))
+                      .map(blackout => (
+                        <li key={blackout.id} className="px-6 py-3 flex items-center justify-between">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">{blackout.memberName}</p>
+                            <p className="text-xs text-gray-500">
+                              {formatRange(blackout)}
+                              {blackout.reason && ` • ${blackout.reason}`}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => handleRemoveBlackout(blackout)}
+                            className="text-red-600 hover:text-red-900"
+                            title="Remove"
+                          >
+                            <i className="ri-delete-bin-line text-lg"></i>
+                          </button>
+                        </li>
+                      ))}
+                  </ul>
+                )}
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      {assignSlot && (
+        <AssignVolunteerModal
+          slot={assignSlot}
+          members={members}
+          assignments={assignments}
+          blackouts={blackouts}
+          roles={roles}
+          onAssign={handleAssign}
+          onClose={() => setAssignSlot(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default VolunteerRota;